@@ -47,20 +47,19 @@ $(document).ready(function() {
 						initMode: "full",
 						data: TestData.getMutationAlignerData()
 					}
+				},
+				pancanProxy: {
+					options: {
+						initMode: "full",
+						data: TestData.getPancanData()
+					}
+				},
+				portalProxy: {
+					options: {
+						initMode: "full",
+						data: TestData.getPortalData()
+					}
 				}
-				// TODO implement full init for pancan & portal
-				//pancanProxy: {
-				//	options: {
-				//		initMode: "full",
-				//		data: TestData.getPancanData()
-				//	}
-				//},
-				//portalProxy: {
-				//	options: {
-				//		initMode: "full",
-				//		data: TestData.getPortalData()
-				//	}
-				//}
 			}
 		};
 	}
@@ -221,7 +220,10 @@ $(document).ready(function() {
 				}
 			},
 			view: {
-				mutationTable: tableOpts
+				mutationTable: tableOpts,
+				// the input contains the mutated samples only, the co-occurrence
+				// analysis requires all profiled samples
+				coOccurrence: false
 			}
 		};
 
@@ -39,8 +39,15 @@ var PdbDataProxy = require("./data/PdbDataProxy");
 var PancanMutationDataProxy = require("./data/PancanMutationDataProxy");
 var MutationAlignerDataProxy = require("./data/MutationAlignerDataProxy");
 var PortalDataProxy = require("./data/PortalDataProxy");
+var UniprotFeatureDataProxy = require("./data/UniprotFeatureDataProxy");
+var ExonDataProxy = require("./data/ExonDataProxy");
+var CustomTrackDataProxy = require("./data/CustomTrackDataProxy");
 var MutationDetailsController = require("./controller/MutationDetailsController");
 
+var cbio = {
+	download: require("./util/download-util")
+};
+
 var $ = require("jquery");
 var jQuery = $;
 var _ = require("underscore");
@@ -58,6 +65,8 @@ function MutationMapper(options)
 	var self = this;
 	var _mutationDetailsView = null;
 	var _mutationDetailsController = null;
+	var _dataProxies = null;
+	var _dataCache = null;
 
 	// default options object
 	var _defaultOpts = {
@@ -73,6 +82,13 @@ function MutationMapper(options)
 			mutationDiagram: {},
 			mutationTable: {},
 			mutationSummary: {},
+			// the gene overview, the oncoprint, and the co-occurrence views
+			// (displayed for multiple genes) require the mutations of all genes
+			// upfront: these views share a single request for all genes, which
+			// is not sent if all three views are disabled (set to false)
+			geneOverview: {},
+			oncoprint: {},
+			coOccurrence: {},
 		    pdbPanel: {},
 			pdbTable: {},
 			infoPanel: {},
@@ -164,6 +180,27 @@ function MutationMapper(options)
 				options: {
 					data: {}
 				}
+			},
+			uniprotFeatureProxy: {
+				instance: null,
+				instanceClass: UniprotFeatureDataProxy,
+				options: {
+					data: {}
+				}
+			},
+			exonProxy: {
+				instance: null,
+				instanceClass: ExonDataProxy,
+				options: {
+					data: {}
+				}
+			},
+			customTrackProxy: {
+				instance: null,
+				instanceClass: CustomTrackDataProxy,
+				options: {
+					data: {}
+				}
 			}
 		},
 		// data manager configuration,
@@ -172,6 +209,24 @@ function MutationMapper(options)
 		dataManager: {
 			dataFn: {},
 			dataProxies: {}
+		},
+		// local data bundle (see DataProxyUtil.exportDataBundle),
+		// if provided, proxies with bundle data are initialized in full mode
+		dataBundle: null,
+		// persistent cache configuration (disabled by default)
+		// instance: custom DataCache instance, if provided cache options are ignored
+		// options: DataCache options (storage, ttl, size limits, version, etc.)
+		// proxies: proxies sharing the cache
+		cache: {
+			enabled: false,
+			instance: null,
+			options: {},
+			proxies: {
+				pfamProxy: true,
+				pdbProxy: true,
+				pancanProxy: true,
+				mutationAlignerProxy: true
+			}
 		}
 	};
 
@@ -182,8 +237,24 @@ function MutationMapper(options)
 	{
 		_options.proxy.mutationProxy.options.geneList = _options.data.geneList.join(" ");
 
+		var proxyOptions = _options.proxy;
+
+		// serve proxy data from the local bundle (if any)
+		if (_options.dataBundle)
+		{
+			proxyOptions = DataProxyUtil.applyDataBundle(proxyOptions, _options.dataBundle);
+		}
+
+		// share a single persistent cache among the proxies
+		if (_options.cache.enabled)
+		{
+			_dataCache = DataProxyUtil.initDataCache(_options.cache);
+			proxyOptions = DataProxyUtil.applyCache(proxyOptions, _dataCache, _options.cache.proxies);
+		}
+
 		// init all data proxies & data manager
-		var dataProxies = DataProxyUtil.initDataProxies(_options.proxy);
+		var dataProxies = DataProxyUtil.initDataProxies(proxyOptions);
+		_dataProxies = dataProxies;
 		_options.dataManager = jQuery.extend(true, {}, _options.dataManager, {dataProxies: dataProxies});
 		var dataManager = new MutationDataManager(_options.dataManager);
 
@@ -257,8 +328,38 @@ function MutationMapper(options)
 		return self;
 	}
 
+	/**
+	 * Exports all the data retrieved so far by the data proxies
+	 * as a single data bundle.
+	 *
+	 * @return {Object} data bundle (see DataProxyUtil.exportDataBundle)
+	 */
+	function exportDataBundle()
+	{
+		return DataProxyUtil.exportDataBundle(_dataProxies);
+	}
+
+	/**
+	 * Exports the data bundle and initiates a client side download
+	 * of the bundle as a JSON file.
+	 *
+	 * @param filename  [optional] name of the downloaded file
+	 */
+	function downloadDataBundle(filename)
+	{
+		cbio.download.initDownload(JSON.stringify(exportDataBundle()), {
+			filename: filename || "mutation_mapper_data.json",
+			contentType: "application/json",
+			preProcess: null
+		});
+	}
+
 	this.init = init;
 	this.delayedInit = delayedInit;
+	this.exportDataBundle = exportDataBundle;
+	this.downloadDataBundle = downloadDataBundle;
+	this.getDataProxies = function() {return _dataProxies;};
+	this.getDataCache = function() {return _dataCache;};
 	this.getView = function() {return _mutationDetailsView;};
 	this.getController = function() {return _mutationDetailsController;};
 }
@@ -5,14 +5,20 @@ module.exports = {
 		MutationCollection: require("./model/MutationCollection")
 	},
 	data: {
-		MutationDataProxy: require("./data/MutationDataProxy")
+		MutationDataProxy: require("./data/MutationDataProxy"),
+		MutationDataManager: require("./data/MutationDataManager"),
+		DataCache: require("./data/DataCache"),
+		VariantAnnotationDataProxy: require("./data/VariantAnnotationDataProxy")
 	},
 	util: {
 		MutationInputParser: require("./util/MutationInputParser"),
+		MutationInputParserCore: require("./util/MutationInputParserCore"),
+		VcfInputParser: require("./util/VcfInputParser"),
 		MutationDetailsTableFormatter: require("./util/MutationDetailsTableFormatter"),
 		MutationDetailsUtil: require("./util/MutationDetailsUtil"),
 		MutationViewsUtil: require("./util/MutationViewsUtil"),
 		BackboneTemplateCache: require("./util/BackboneTemplateCache"),
-		VepParser: require("./util/VepParser")
+		VepParser: require("./util/VepParser"),
+		HgvsProteinParser: require("./util/HgvsProteinParser")
 	}
 };
\ No newline at end of file
@@ -43,6 +43,33 @@ require("datatables-tabletools");
 require("../legacy/jquery.dataTables.fnSetFilteringDelay.js");
 require('datatables.net-dt/css/jquery.dataTables.css');
 
+// key of the row filter stored as the data of each table node
+var COLUMN_FILTER_KEY = "advancedDataTableColumnFilter";
+
+/**
+ * DataTables filtering functions are global, so a single filtering function
+ * is registered for all tables. It applies the row filter stored as the data
+ * of the filtered table node (if any), so that the filter is released
+ * together with the table.
+ */
+function registerColumnFilterFunction()
+{
+	var filtering = jQuery.fn.dataTableExt.afnFiltering;
+
+	if (_.contains(filtering, columnFilterFunction))
+	{
+		return;
+	}
+
+	filtering.push(columnFilterFunction);
+}
+
+function columnFilterFunction(oSettings, aData, iDataIndex)
+{
+	var rowFilter = $.data(oSettings.nTable, COLUMN_FILTER_KEY);
+
+	return rowFilter == null || rowFilter(oSettings.aoData[iDataIndex]._aData);
+}
 
 /**
  * Designed as a base (abstract) class for an advanced implementation of data tables
@@ -125,6 +152,53 @@ function AdvancedDataTable(options)
 		customSort: {},
 		// delay amount before applying the user entered filter query
 		filteringDelay: 0,
+		// per column filter widgets:
+		//
+		// type: "range" (numeric range), "multi" (selection of values),
+		// or "regex" (regular expression)
+		// value: [optional] function(datum) returning the value to filter.
+		// if no value function is defined, "range" filters use the sort
+		// function, others use the filter function (or the sort function).
+		//
+		// columns without a widget can only be filtered by the search box.
+		columnFilterWidgets: {},
+		// row rendering mode
+		//
+		// - Valid string constants:
+		// "all":    all rows are rendered at once
+		// "paged":  only the rows of the current page are rendered,
+		// filtering and sorting are still performed for all rows
+		// (sDom should contain "p" to display the pagination buttons)
+		// "scroll": same as "paged", but instead of pagination buttons
+		// more rows are rendered as the user scrolls down the table
+		// (requires a scrollable table, see sScrollY)
+		renderMode: "all",
+		// number of rows to render at once (ignored for the "all" mode)
+		pageSize: 100,
+		// server side processing function: if provided, filtering, sorting
+		// and paging are delegated to this function instead of the DataTables
+		// plugin, and only the returned rows are rendered.
+		//
+		// function(request, callback, rows)
+		//
+		// request: {draw, start, length, search: {value, regex},
+		//           columns: [{name, searchable, search: {value, regex}}],
+		//           order: [{column: [column name], dir: ["asc" or "desc"]}],
+		//           columnFilters: [current column filters, see setColumnFilters]}
+		// callback: should be invoked with the response object
+		//           {data: [rows of the requested page],
+		//            recordsTotal: [number of all rows],
+		//            recordsFiltered: [number of rows after filtering],
+		//            filteredData: [all rows after filtering]}
+		// rows: row data passed to the renderTable function (if any)
+		//
+		// filteredData is optional, but without it the filtered data
+		// (see getFilteredData) is limited to the rows of the current page.
+		//
+		// there is no default implementation: the function itself should
+		// apply the search, the column filters, sorting and paging, since
+		// the DataTables filtering functions are not invoked in this mode.
+		serverProcess: null,
 		// WARNING: overwriting advanced DataTables options such as
 		// aoColumnDefs, oColVis, and fnDrawCallback may break column
 		// visibility, sorting, and filtering. Proceed wisely ;)
@@ -141,6 +215,17 @@ function AdvancedDataTable(options)
 	// reference to the data table object
 	self._dataTable = null;
 
+	// filtered rows returned by the server process (see serverProcess option)
+	var _serverFilteredData = [];
+
+	// row data passed to the renderTable function
+	var _rows = [];
+
+	// current column filters: map of <column name, column filter>
+	// (see DataTableUtil.getColumnFilterMatcher)
+	var _columnFilters = {};
+	var _columnFilterMatcher = DataTableUtil.getColumnFilterMatcher(_columnFilters);
+
 	/**
 	 * Determines the visibility value for the given column name
 	 *
@@ -175,6 +260,8 @@ function AdvancedDataTable(options)
 	{
 		var columnOrder = self._options.columnOrder;
 
+		_rows = rows || [];
+
 		// build a map, to be able to use string constants
 		// instead of integer constants for table columns
 		var indexMap = _indexMap = DataTableUtil.buildColumnIndexMap(columnOrder);
@@ -197,6 +284,9 @@ function AdvancedDataTable(options)
 		// add custom sort functions for specific columns
 		self._addSortFunctions();
 
+		// add the column filters to the client side filtering
+		self._addColumnFilterFunction();
+
 		// actual initialization of the DataTables plug-in
 		self._dataTable = self._initDataTable(
 			$(self._options.el), rows, self._options.columns, nameMap,
@@ -211,6 +301,12 @@ function AdvancedDataTable(options)
 		{
 			self._dataTable.fnSetFilteringDelay(self._options.filteringDelay);
 		}
+
+		// render more rows on scroll
+		if (self._options.renderMode === "scroll")
+		{
+			self._addScrollListener();
+		}
 	};
 
 	/**
@@ -265,10 +361,124 @@ function AdvancedDataTable(options)
 		//tableOpts = jQuery.extend(true, {}, _defaultOpts.dataTableOpts, tableOpts);
 		tableOpts = jQuery.extend(true, {}, self._options.dataTableOpts, tableOpts);
 
+		// render mode options override the paging options of dataTableOpts
+		_.extend(tableOpts, self._renderModeOpts(rows));
+
+		if (_.isFunction(self._options.serverProcess))
+		{
+			// rows are provided by the server process
+			delete tableOpts.aaData;
+		}
+
 		// format the table with the dataTable plugin and return the table instance
 		return tableSelector.dataTable(tableOpts);
 	};
 
+	/**
+	 * Generates the paging and server side processing related
+	 * DataTables options for the current render options.
+	 *
+	 * @param rows  data rows
+	 * @return {object} DataTables options
+	 */
+	self._renderModeOpts = function(rows)
+	{
+		var mode = self._options.renderMode;
+		var opts = {};
+
+		if (mode === "paged" ||
+		    mode === "scroll")
+		{
+			opts.bPaginate = true;
+			opts.bLengthChange = false;
+			opts.iDisplayLength = self._options.pageSize;
+			// create row nodes only when they are displayed
+			opts.bDeferRender = true;
+			// auto width calculation renders the cells of all rows
+			opts.bAutoWidth = false;
+		}
+
+		if (_.isFunction(self._options.serverProcess))
+		{
+			opts.bServerSide = true;
+			opts.bProcessing = true;
+			opts.ajax = function(data, callback, settings) {
+				self._serverData(data, callback, rows);
+			};
+		}
+
+		return opts;
+	};
+
+	/**
+	 * Converts the DataTables server side request into a column name
+	 * based request, and passes it to the server process function.
+	 *
+	 * @param data      DataTables (1.10) server side request
+	 * @param callback  DataTables callback for the response
+	 * @param rows      data rows
+	 */
+	self._serverData = function(data, callback, rows)
+	{
+		var columnOrder = self._options.columnOrder;
+
+		var request = {
+			draw: data.draw,
+			start: data.start,
+			length: data.length,
+			search: data.search,
+			columns: _.map(data.columns, function(column, idx) {
+				return {name: columnOrder[idx],
+					searchable: column.searchable,
+					search: column.search};
+			}),
+			order: _.map(data.order, function(order) {
+				return {column: columnOrder[order.column],
+					dir: order.dir};
+			}),
+			columnFilters: _columnFilters
+		};
+
+		self._options.serverProcess(request, function(response) {
+			_serverFilteredData = response.filteredData || response.data;
+
+			callback({draw: data.draw,
+				recordsTotal: response.recordsTotal,
+				recordsFiltered: response.recordsFiltered,
+				data: response.data});
+		}, rows);
+	};
+
+	/**
+	 * Increases the number of rendered rows by the page size
+	 * whenever the table is scrolled to the bottom.
+	 */
+	self._addScrollListener = function()
+	{
+		var api = $(self._options.el).DataTable();
+		var scrollBody = api.settings()[0].nScrollBody;
+
+		// not a scrollable table, render everything
+		if (scrollBody == null)
+		{
+			api.page.len(-1).draw(false);
+			return;
+		}
+
+		$(scrollBody).on("scroll", function() {
+			var info = api.page.info();
+
+			// ignore the events of a hidden table (zero height)
+			if (this.clientHeight > 0 &&
+			    info.length !== -1 &&
+			    info.length < info.recordsDisplay &&
+			    this.scrollTop + this.clientHeight >= this.scrollHeight - this.clientHeight / 2)
+			{
+				api.page.len(info.length + self._options.pageSize).draw(false);
+			}
+		});
+	};
+
 	/**
 	 * Adds custom DataTables sort function for specific columns.
 	 */
@@ -282,6 +492,126 @@ function AdvancedDataTable(options)
 		});
 	};
 
+	/**
+	 * Adds a DataTables filtering function to exclude the rows
+	 * not matching the current column filters.
+	 */
+	self._addColumnFilterFunction = function()
+	{
+		var tableNode = $(self._options.el)[0];
+
+		if (tableNode == null)
+		{
+			return;
+		}
+
+		registerColumnFilterFunction();
+
+		// replaces the row filter of the previous rendering (if any)
+		$.data(tableNode, COLUMN_FILTER_KEY, function(row) {
+			return _.every(_.keys(_columnFilters), function(columnName) {
+				return _columnFilterMatcher(columnName,
+					self._columnFilterValue(columnName, row));
+			});
+		});
+	};
+
+	/**
+	 * Determines the value of the given column to be used for
+	 * the column filters. The raw cell value is used if the column
+	 * has no value, sort or filter function.
+	 *
+	 * @param columnName    name of the column
+	 * @param row           row data
+	 * @return {*}  column value
+	 */
+	self._columnFilterValue = function(columnName, row)
+	{
+		var widget = self._options.columnFilterWidgets[columnName] || {};
+		var sortFn = self._options.columnSort[columnName];
+		var filterFn = self._options.columnFilter[columnName];
+		var valueFn = widget.value;
+
+		if (!_.isFunction(valueFn))
+		{
+			valueFn = widget.type === "range" ?
+				(sortFn || filterFn) :
+				(filterFn || sortFn);
+		}
+
+		if (!_.isFunction(valueFn))
+		{
+			return row[_indexMap[columnName]];
+		}
+
+		return valueFn(row[_indexMap["datum"]]);
+	};
+
+	/**
+	 * Returns the filter values of the given column for all rows,
+	 * to be used to determine the options of the filter widgets.
+	 *
+	 * @param columnName    name of the column
+	 * @return {Array}  column values
+	 */
+	self.getColumnFilterValues = function(columnName)
+	{
+		return _.map(_rows, function(row) {
+			return self._columnFilterValue(columnName, row);
+		});
+	};
+
+	/**
+	 * Returns the columns with a filter widget, excluding the columns
+	 * which cannot be displayed (see columnVisibility).
+	 *
+	 * @return {Array}  [{name: [column name], title: [display name],
+	 *                    type: [widget type], values: [column values]}]
+	 */
+	self.getFilterableColumns = function()
+	{
+		var widgets = self._options.columnFilterWidgets;
+
+		var names = _.filter(self._options.columnOrder, function(columnName) {
+			return widgets[columnName] != null &&
+				self._visiblityMap[columnName] !== "excluded";
+		});
+
+		return _.map(names, function(columnName) {
+			var column = self._options.columns[columnName] || {};
+
+			return {name: columnName,
+				title: column.sTitle || columnName,
+				type: widgets[columnName].type,
+				values: self.getColumnFilterValues(columnName)};
+		});
+	};
+
+	/**
+	 * Replaces the current column filters with the given ones,
+	 * and redraws the table.
+	 *
+	 * @param filters   map of <column name, column filter>
+	 *                  (see DataTableUtil.getColumnFilterMatcher)
+	 * @param redraw    [optional] whether to redraw the table (default: true)
+	 */
+	self.setColumnFilters = function(filters, redraw)
+	{
+		_columnFilters = jQuery.extend(true, {}, filters);
+		_columnFilterMatcher = DataTableUtil.getColumnFilterMatcher(_columnFilters);
+
+		if (redraw !== false &&
+		    self.getDataTable() != null)
+		{
+			self.getDataTable().fnDraw();
+		}
+	};
+
+	self.getColumnFilters = function()
+	{
+		return jQuery.extend(true, {}, _columnFilters);
+	};
+
 	/**
 	 * Adds event listeners provided within the options object.
 	 *
@@ -342,6 +672,34 @@ function AdvancedDataTable(options)
 	{
 		return _indexMap;
 	};
+
+	/**
+	 * Returns the data of all rows matching the current filters,
+	 * including the rows which are not rendered yet.
+	 *
+	 * @return {Array}  filtered row data
+	 */
+	self.getFilteredData = function()
+	{
+		if (_.isFunction(self._options.serverProcess))
+		{
+			return _serverFilteredData;
+		}
+
+		var tableSelector = $(self._options.el);
+
+		// TODO this try/catch block is for backward compatibility,
+		// we will no longer need this once we completely migrate to DataTables 1.10
+		try {
+			// first, try new API.
+			// this is not backward compatible, requires DataTables 1.10 or later.
+			return tableSelector.DataTable().rows({filter: "applied"}).data();
+		} catch(err) {
+			// if DataTables 1.10 is not available, try the old API function.
+			// DataTables 1.9.4 compatible code (which doesn't work with deferRender):
+			return tableSelector.dataTable()._('tr', {filter: "applied"});
+		}
+	};
 }
 
 module.exports = AdvancedDataTable;
\ No newline at end of file
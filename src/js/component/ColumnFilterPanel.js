@@ -0,0 +1,373 @@
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+var Backbone = require("backbone");
+
+require("jquery-ui/slider");
+
+/**
+ * Constructor for the ColumnFilterPanel class: a panel of per column
+ * filter widgets for a data table. Numeric columns are filtered by a range
+ * slider, categorical columns by a multiple selection box, and text columns
+ * by a regular expression.
+ *
+ * Whenever the user changes a widget, the COLUMN_FILTERS_CHANGED event is
+ * triggered with the current column filters (see getFilters).
+ *
+ * @param options   visual options object
+ * @param columns   list of filterable columns:
+ *                  [{name: [column name], title: [display name],
+ *                    type: ["range", "multi", or "regex"],
+ *                    values: [column values of all rows]}]
+ * @constructor
+ */
+function ColumnFilterPanel(options, columns)
+{
+	/**
+	 * Default visual options.
+	 */
+	var _defaultOpts = {
+		el: "#column_filter_panel", // id of the container
+		title: "Filter columns",    // title of the panel (also the toggle link)
+		collapsed: true,            // whether to hide the widgets initially
+		filteringDelay: 600,        // delay before applying the regex filters
+		maxSelectSize: 5,           // max number of visible multi select options
+		rangeSteps: 100             // number of slider steps for non-integer ranges
+	};
+
+	// custom event dispatcher
+	var _dispatcher = {};
+	_.extend(_dispatcher, Backbone.Events);
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// widget data of each column: <column name, widget> pairs
+	var _widgets = {};
+
+	/**
+	 * Determines the range of the numeric values.
+	 *
+	 * @param values    column values
+	 * @return {Object} {min, max, step}, or null if there are not
+	 *                  at least two distinct numeric values
+	 */
+	function numericRange(values)
+	{
+		var numbers = _.filter(_.map(values, parseFloat), isFinite);
+
+		if (_.isEmpty(numbers))
+		{
+			return null;
+		}
+
+		var min = _.min(numbers);
+		var max = _.max(numbers);
+
+		if (min === max)
+		{
+			return null;
+		}
+
+		var integer = _.every(numbers, function(number) {
+			return number % 1 === 0;
+		});
+
+		return {min: min,
+			max: max,
+			step: integer ? 1 : (max - min) / _options.rangeSteps};
+	}
+
+	/**
+	 * Determines the distinct non-empty values, sorted alphabetically.
+	 *
+	 * @param values    column values
+	 * @return {Array}  distinct values as strings
+	 */
+	function distinctValues(values)
+	{
+		return _.sortBy(_.uniq(_.filter(_.map(values, function(value) {
+			return value == null ? "" : String(value);
+		}), function(value) {
+			return value.length > 0;
+		})), function(value) {
+			return value.toLowerCase();
+		});
+	}
+
+	function formatValue(value, range)
+	{
+		return range.step % 1 === 0 ? String(value) : value.toFixed(2);
+	}
+
+	function initRangeWidget(container, column)
+	{
+		var range = numericRange(column.values);
+
+		if (range == null)
+		{
+			return null;
+		}
+
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_column_filter_range_template");
+
+		var widget = $(templateFn({column: column.name,
+			title: column.title,
+			min: formatValue(range.min, range),
+			max: formatValue(range.max, range)}));
+
+		container.append(widget);
+
+		var updateLabels = function(values) {
+			widget.find(".mutation-table-column-filter-min").text(formatValue(values[0], range));
+			widget.find(".mutation-table-column-filter-max").text(formatValue(values[1], range));
+		};
+
+		var slider = widget.find(".mutation-table-column-filter-slider");
+
+		slider.slider({
+			range: true,
+			min: range.min,
+			max: range.max,
+			step: range.step,
+			values: [range.min, range.max],
+			slide: function(event, ui) {
+				updateLabels(ui.values);
+			},
+			// triggered only when the user stops sliding
+			stop: function(event, ui) {
+				changeHandler();
+			}
+		});
+
+		return {
+			getFilter: function() {
+				var values = slider.slider("values");
+
+				// a handle at the end of the slider does not limit the range
+				// (slider values are aligned to steps, so they may not be
+				// exactly equal to the min and max values)
+				var min = values[0] <= range.min + range.step / 2 ? null : values[0];
+				var max = values[1] >= range.max - range.step / 2 ? null : values[1];
+
+				// full range: no filter
+				if (min == null && max == null)
+				{
+					return null;
+				}
+
+				return {min: min, max: max};
+			},
+			setFilter: function(filter) {
+				var values = [
+					filter && filter.min != null ? filter.min : range.min,
+					filter && filter.max != null ? filter.max : range.max
+				];
+
+				slider.slider("values", values);
+				updateLabels(values);
+			}
+		};
+	}
+
+	function initMultiWidget(container, column)
+	{
+		var values = distinctValues(column.values);
+
+		if (values.length < 2)
+		{
+			return null;
+		}
+
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_column_filter_multi_template");
+
+		var widget = $(templateFn({column: column.name,
+			title: column.title,
+			size: Math.min(values.length, _options.maxSelectSize)}));
+
+		container.append(widget);
+
+		var select = widget.find(".mutation-table-column-filter-select");
+
+		_.each(values, function(value) {
+			select.append($("<option></option>").val(value).text(value));
+		});
+
+		select.change(changeHandler);
+
+		return {
+			getFilter: function() {
+				var selected = select.val();
+
+				// nothing selected: no filter
+				return _.isEmpty(selected) ? null : {values: selected};
+			},
+			setFilter: function(filter) {
+				select.val(filter ? filter.values : []);
+			}
+		};
+	}
+
+	function initRegexWidget(container, column)
+	{
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_column_filter_regex_template");
+
+		var widget = $(templateFn({column: column.name,
+			title: column.title}));
+
+		container.append(widget);
+
+		var input = widget.find(".mutation-table-column-filter-regex");
+		var prevValue = "";
+
+		input.keyup(_.debounce(function() {
+			// ignore keys not changing the value (arrows, shift, etc.)
+			if (input.val() !== prevValue)
+			{
+				prevValue = input.val();
+				changeHandler();
+			}
+		}, _options.filteringDelay));
+
+		return {
+			getFilter: function() {
+				var regex = input.val().trim();
+
+				return regex.length === 0 ? null : {regex: regex};
+			},
+			setFilter: function(filter) {
+				input.val(filter ? filter.regex : "");
+				prevValue = input.val();
+			}
+		};
+	}
+
+	/**
+	 * Initializes the panel and creates the filter widgets.
+	 */
+	function init()
+	{
+		var container = $(_options.el);
+
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_column_filter_panel_template");
+		container.html(templateFn({title: _options.title}));
+
+		var content = container.find(".mutation-table-column-filters-content");
+
+		var initFns = {
+			range: initRangeWidget,
+			multi: initMultiWidget,
+			regex: initRegexWidget
+		};
+
+		_.each(columns, function(column) {
+			var initFn = initFns[column.type];
+			var widget = initFn ? initFn(content, column) : null;
+
+			// skip the columns with no data to filter
+			if (widget != null)
+			{
+				_widgets[column.name] = widget;
+			}
+		});
+
+		// nothing to filter at all
+		if (_.isEmpty(_widgets))
+		{
+			container.hide();
+			return;
+		}
+
+		if (_options.collapsed)
+		{
+			content.hide();
+		}
+
+		container.find(".mutation-table-column-filters-toggle").click(function(event) {
+			event.preventDefault();
+			content.slideToggle();
+		});
+
+		container.find(".mutation-table-column-filters-reset").click(function(event) {
+			event.preventDefault();
+
+			if (!_.isEmpty(getFilters()))
+			{
+				setFilters({});
+				changeHandler();
+			}
+		});
+
+		updateInfo();
+	}
+
+	function changeHandler()
+	{
+		updateInfo();
+
+		_dispatcher.trigger(
+			MutationDetailsEvents.COLUMN_FILTERS_CHANGED,
+			getFilters());
+	}
+
+	function updateInfo()
+	{
+		var count = _.size(getFilters());
+		var container = $(_options.el);
+
+		container.find(".mutation-table-column-filters-info").text(
+			count > 0 ? "(" + count + " active)" : "");
+
+		container.find(".mutation-table-column-filters-reset").toggle(count > 0);
+	}
+
+	/**
+	 * Returns the current column filters.
+	 *
+	 * @return {Object} map of <column name, column filter>
+	 *                  (see DataTableUtil.getColumnFilterMatcher)
+	 */
+	function getFilters()
+	{
+		var filters = {};
+
+		_.each(_.pairs(_widgets), function(pair) {
+			var filter = pair[1].getFilter();
+
+			if (filter != null)
+			{
+				filters[pair[0]] = filter;
+			}
+		});
+
+		return filters;
+	}
+
+	/**
+	 * Updates the widgets with respect to the given column filters,
+	 * without triggering an event. Widgets of the columns not in the
+	 * given filters are reset.
+	 *
+	 * @param filters   map of <column name, column filter>
+	 */
+	function setFilters(filters)
+	{
+		filters = filters || {};
+
+		_.each(_.pairs(_widgets), function(pair) {
+			pair[1].setFilter(filters[pair[0]]);
+		});
+
+		updateInfo();
+	}
+
+	return {init: init,
+		getFilters: getFilters,
+		setFilters: setFilters,
+		dispatcher: _dispatcher};
+}
+
+module.exports = ColumnFilterPanel;
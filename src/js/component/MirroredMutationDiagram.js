@@ -0,0 +1,595 @@
+var MutationDiagram = require("../component/MutationDiagram");
+var MutationCollection = require("../model/MutationCollection");
+var PileupUtil = require("../util/PileupUtil");
+var HotspotUtil = require("../util/HotspotUtil");
+var LollipopComparisonTipView = require("../view/LollipopComparisonTipView");
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+
+var cbio = {
+	util: require("../util/cbio-util")
+};
+
+var d3 = require("d3");
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+
+/**
+ * Mutation diagram to compare the mutations of two cohorts.
+ * Pileups of the first cohort are drawn above the sequence, and pileups
+ * of the second cohort are drawn below the sequence. Both cohorts share
+ * the same x-axis, but each cohort has its own y-axis.
+ *
+ * @param geneSymbol    hugo gene symbol
+ * @param options       visual options object
+ * @param data          object: {mutations: MutationCollection of the first cohort,
+ *                               comparisonMutations: MutationCollection of the second cohort,
+ *                               sequence: sequence data as a JSON object}
+ * @param dataProxies   all available data proxies
+ * @constructor
+ */
+function MirroredMutationDiagram(geneSymbol, options, data, dataProxies)
+{
+	var self = this;
+
+	// call super constructor to init options and other params
+	MutationDiagram.call(self, geneSymbol, options, data, dataProxies);
+
+	// current pileups of the second cohort (updated after each filtering)
+	self.comparisonPileups = (data == null) ? null :
+		PileupUtil.convertToPileups(data.comparisonMutations, self.options.pileupConverter);
+	self.initialComparisonPileups = self.comparisonPileups;
+	// hotspots are detected separately for each cohort
+	self.comparisonHotspots = (data == null) ? null :
+		self.calcHotspots(data.comparisonMutations, data.sequence);
+	HotspotUtil.annotatePileups(self.comparisonPileups, self.comparisonHotspots);
+
+	self.lowerBounds = null;    // bounds of the lower plot area
+	self.lowerYScale = null;    // scale function for the lower y-axis
+	self.lowerYMax = null;      // max value on the lower y-axis
+	self.lowerMaxCount = null;  // mutation count of the highest data point of the second cohort
+	self.cohortLabels = null;   // cohort labels on the top-right of each plot area
+}
+
+// MirroredMutationDiagram extends MutationDiagram...
+MirroredMutationDiagram.prototype = new MutationDiagram();
+MirroredMutationDiagram.prototype.constructor = MirroredMutationDiagram;
+
+/**
+ * Default visual options (in addition to MutationDiagram options).
+ */
+MirroredMutationDiagram.prototype.defaultOpts = jQuery.extend(true, {},
+	MutationDiagram.prototype.defaultOpts, {
+	elHeight: 300,              // height of the container
+	marginBottom: 50,           // bottom margin (below the lower plot area)
+	xAxisPadding: 25,           // padding between x-axis and the lower plot area
+	                            // (leaves space for the lower lollipop labels)
+	cohortLabels: [             // names of the cohorts (first: upper, second: lower)
+		"Cohort 1", "Cohort 2"
+	],
+	cohortLabelFont: "sans-serif",   // font type of the cohort labels
+	cohortLabelFontColor: "#2E3436", // font color of the cohort labels
+	cohortLabelFontSize: "12px",     // font size of the cohort labels
+	cohortLabelPadding: 5,           // padding between the cohort labels and the plot area borders
+	/**
+	 * Default lollipop tooltip function for the comparison mode.
+	 *
+	 * @param element   target svg element (lollipop data point)
+	 * @param pileup    a pileup model instance
+	 * @param cohorts   mutation counts of both cohorts at the pileup location
+	 *                  [{label, count}, {label, count}]
+	 */
+	comparisonTipFn: function (element, pileup, cohorts) {
+		var tooltipView = new LollipopComparisonTipView({model: {
+			count: pileup.count,
+			label: pileup.label,
+			cohorts: cohorts
+		}});
+
+		var content = tooltipView.compileTemplate();
+
+		var options = {content: {text: content},
+			hide: {fixed: true, delay: 100, event: 'mouseout'},
+			show: {event: 'mouseover'},
+			style: {classes: 'qtip-light qtip-rounded qtip-shadow cc-ui-tooltip'},
+			position: {my:'bottom left', at:'top center',viewport: $(window)}};
+
+		cbio.util.addTargetedQTip(element, options);
+	}
+});
+
+/**
+ * Calculates the bounds of the upper plot area. Lower plot area has
+ * the same size, and it is placed just below the sequence.
+ *
+ * @param options   options object
+ * @return {object} bounds as an object
+ */
+MirroredMutationDiagram.prototype.calcBounds = function(options)
+{
+	var bounds = {};
+
+	// space reserved for the sequence and the regions between the plot areas
+	var seqSpace = options.regionHeight + 2 * options.seqPadding;
+
+	bounds.width = options.elWidth -
+	               (options.marginLeft + options.marginRight);
+	bounds.height = (options.elHeight -
+	                (options.marginBottom + options.marginTop) - seqSpace) / 2;
+	bounds.x = options.marginLeft;
+	bounds.y = options.marginTop + bounds.height;
+
+	return bounds;
+};
+
+/**
+ * Calculates the bounds of the lower plot area. Unlike the upper plot area,
+ * the origin of the lower plot area is on its top (just below the sequence).
+ *
+ * @param bounds    bounds of the upper plot area
+ * @param options   options object
+ * @return {object} bounds as an object
+ */
+MirroredMutationDiagram.prototype.calcLowerBounds = function(bounds, options)
+{
+	return {
+		x: bounds.x,
+		y: bounds.y + options.regionHeight + 2 * options.seqPadding,
+		width: bounds.width,
+		height: bounds.height
+	};
+};
+
+/**
+ * Generates a y-scale function for the lower plot area,
+ * values increase downwards.
+ *
+ * @param bounds    bounds of the lower plot area
+ * @param max       maximum value for the y-axis
+ * @return {function} scale function for the lower y-axis
+ */
+MirroredMutationDiagram.prototype.lowerYScaleFn = function(bounds, max)
+{
+	return this.createYScale()
+		.domain([0, max])
+		.range([bounds.y, bounds.y + bounds.height]);
+};
+
+/**
+ * Calculates the y-coordinate of the x-axis (below the lower plot area and the tracks).
+ *
+ * @param bounds    bounds of the upper plot area
+ * @param options   general options object
+ * @return {Number} y-coordinate of the x-axis
+ */
+MirroredMutationDiagram.prototype.calcXAxisPosition = function(bounds, options)
+{
+	var lowerBounds = this.calcLowerBounds(bounds, options);
+
+	return lowerBounds.y + lowerBounds.height + options.xAxisPadding +
+	       this.calcTracksHeight(options);
+};
+
+/**
+ * Calculates the y-coordinate of the top of the track area. Tracks are
+ * drawn below the lower plot area (leaving space for the lollipop labels).
+ *
+ * @param bounds    bounds of the upper plot area
+ * @param options   general options object
+ * @return {Number} y-coordinate of the track area
+ */
+MirroredMutationDiagram.prototype.calcTracksPosition = function(bounds, options)
+{
+	var lowerBounds = this.calcLowerBounds(bounds, options);
+
+	return lowerBounds.y + lowerBounds.height +
+	       options.lollipopTextPadding +
+	       parseInt(options.lollipopFontSize);
+};
+
+/**
+ * Updates global class fields for both cohorts.
+ *
+ * @param options   diagram options
+ */
+MirroredMutationDiagram.prototype.updateGlobals = function(options)
+{
+	var self = this;
+
+	MutationDiagram.prototype.updateGlobals.call(self, options);
+
+	options = options || self.options;
+
+	var pileups = self.initialComparisonPileups;
+
+	if (options.yAxisAutoAdjust)
+	{
+		pileups = self.comparisonPileups;
+	}
+
+	self.updateLowerGlobals(pileups, options);
+};
+
+/**
+ * Updates the lower plot area fields (bounds, scale, max, etc.)
+ * wrt the given pileups of the second cohort.
+ *
+ * @param pileups   pileups of the second cohort
+ * @param options   diagram options
+ */
+MirroredMutationDiagram.prototype.updateLowerGlobals = function(pileups, options)
+{
+	var self = this;
+
+	self.lowerMaxCount = self.calcMaxCount(pileups);
+	self.lowerYMax = self.calcYMax(options, self.lowerMaxCount);
+	self.lowerBounds = self.calcLowerBounds(self.bounds, options);
+	self.lowerYScale = self.lowerYScaleFn(self.lowerBounds, self.lowerYMax);
+};
+
+/**
+ * Draws the mirrored mutation diagram.
+ *
+ * @param svg       svg container for the diagram
+ * @param bounds    bounds of the upper plot area {width, height, x, y}
+ * @param options   options object
+ * @param data      data to visualize
+ */
+MirroredMutationDiagram.prototype.drawDiagram = function(svg, bounds, options, data)
+{
+	var self = this;
+
+	// lower plot values should be ready before drawing the plot contents
+	self.bounds = bounds;
+	self.updateLowerGlobals(self.initialComparisonPileups, options);
+
+	var lowerBounds = self.lowerBounds;
+
+	// draw a fully transparent rectangle for proper background click handling
+	// (should be drawn before the plot contents)
+	svg.append('rect')
+		.attr('fill', '#FFFFFF')
+		.attr('opacity', 0)
+		.attr('x', lowerBounds.x)
+		.attr('y', lowerBounds.y)
+		.attr('width', lowerBounds.width)
+		.attr('height', lowerBounds.height)
+		.attr('class', 'mut-dia-background');
+
+	// upper plot area, sequence, regions and the shared x-axis
+	// (plot contents of the lower plot area are also drawn, see drawPlot)
+	MutationDiagram.prototype.drawDiagram.call(self, svg, bounds, options, data);
+
+	// draw lower y-axis
+	self.drawLowerYAxis(svg, options);
+
+	if (options.labelY != false)
+	{
+		// y-axis label is centered wrt the given origin & height
+		self.drawYAxisLabel(svg, options, {
+			x: lowerBounds.x,
+			y: lowerBounds.y + lowerBounds.height,
+			height: lowerBounds.height
+		});
+	}
+
+	self.cohortLabels = self.drawCohortLabels(svg, options, bounds, lowerBounds);
+};
+
+/**
+ * Draws the y-axis of the lower plot area.
+ *
+ * @param svg       svg to append the axis
+ * @param options   general options object
+ * @return {object} svg group containing all the axis components
+ */
+MirroredMutationDiagram.prototype.drawLowerYAxis = function(svg, options)
+{
+	var self = this;
+
+	var axis = self.drawYAxis(svg,
+		self.lowerYScale,
+		self.lowerYMax,
+		options,
+		self.lowerBounds,
+		self.lowerMaxCount);
+
+	// use a different class to distinguish from the upper y-axis
+	axis.attr("class", "mut-dia-lower-y-axis");
+
+	return axis;
+};
+
+/**
+ * Draws the cohort labels on the top-right corner of the upper plot area,
+ * and on the bottom-right corner of the lower plot area.
+ *
+ * @param svg           svg to append the labels
+ * @param options       general options object
+ * @param bounds        bounds of the upper plot area
+ * @param lowerBounds   bounds of the lower plot area
+ * @return {Array}      cohort labels (svg elements)
+ */
+MirroredMutationDiagram.prototype.drawCohortLabels = function(svg, options, bounds, lowerBounds)
+{
+	var x = bounds.x + bounds.width - options.cohortLabelPadding;
+	var fontSize = parseInt(options.cohortLabelFontSize);
+
+	var positions = [
+		bounds.y - bounds.height + options.cohortLabelPadding + fontSize,
+		lowerBounds.y + lowerBounds.height - options.cohortLabelPadding
+	];
+
+	return _.map(positions, function(y, idx) {
+		return svg.append("text")
+			.attr("fill", options.cohortLabelFontColor)
+			.attr("text-anchor", "end")
+			.attr("x", x)
+			.attr("y", y)
+			.attr("class", "mut-dia-cohort-label")
+			.style("font-family", options.cohortLabelFont)
+			.style("font-size", options.cohortLabelFontSize)
+			.style("pointer-events", "none")
+			.text(options.cohortLabels[idx]);
+	});
+};
+
+/**
+ * Draws the plot contents for both cohorts. Given pileups are drawn
+ * on the upper plot area, and the current pileups of the second cohort
+ * are drawn on the lower plot area.
+ *
+ * @param svg       svg container for the diagram
+ * @param pileups   array of mutations (pileups) of the first cohort
+ * @param options   options object
+ * @param bounds    bounds of the upper plot area
+ * @param xScale    scale function for the x-axis
+ * @param yScale    scale function for the upper y-axis
+ */
+MirroredMutationDiagram.prototype.drawPlot = function(svg, pileups, options, bounds, xScale, yScale)
+{
+	var self = this;
+
+	// use the comparison tooltip for both cohorts
+	var plotOptions = _.extend({}, options, {
+		lollipopTipFn: function(element, pileup) {
+			options.comparisonTipFn(element, pileup, self.getCohortCounts(pileup.location));
+		}
+	});
+
+	MutationDiagram.prototype.drawPlot.call(self, svg, pileups, plotOptions, bounds, xScale, yScale);
+	self.drawLowerPlot(svg, self.comparisonPileups, plotOptions, xScale);
+
+	// mutations of both cohorts should be mapped to their pileups
+	self.mutationPileupMap = _.extend(
+		PileupUtil.mapToMutations(pileups),
+		PileupUtil.mapToMutations(self.comparisonPileups));
+};
+
+/**
+ * Draws the pileups of the second cohort on the lower plot area.
+ * Lines and labels are mirrored wrt the sequence.
+ *
+ * @param svg       svg container for the diagram
+ * @param pileups   array of mutations (pileups) of the second cohort
+ * @param options   options object
+ * @param xScale    scale function for the x-axis
+ */
+MirroredMutationDiagram.prototype.drawLowerPlot = function(svg, pileups, options, xScale)
+{
+	var self = this;
+	var yScale = self.lowerYScale;
+
+	var pileupIds = {};
+
+	_.each(pileups, function(pileup) {
+		pileupIds[pileup.pileupId] = true;
+	});
+
+	var isLower = function(datum) {
+		return pileupIds[datum.pileupId];
+	};
+
+	MutationDiagram.prototype.drawPlot.call(self, svg, pileups, options, self.lowerBounds, xScale, yScale);
+
+	// lines should start from the bottom of the sequence
+	var seqBounds = self.calcSequenceBounds(self.bounds, options);
+
+	self.gLine.selectAll(".mut-dia-data-line")
+		.filter(isLower)
+		.attr("y2", seqBounds.y + seqBounds.height);
+
+	// labels should be below the data points
+	self.gLabel.selectAll(".mut-dia-lollipop-text")
+		.filter(isLower)
+		.each(function(datum) {
+			var text = d3.select(this);
+			var x = text.attr("x");
+			var y = yScale(Math.min(datum.count, options.maxLengthY)) +
+			        options.lollipopTextPadding +
+			        parseInt(options.lollipopFontSize);
+
+			text.attr("y", y)
+				.attr("transform", "rotate(" + options.lollipopTextAngle + ", " + x + "," + y +")");
+		});
+};
+
+/**
+ * Returns the current mutation counts of both cohorts for the given location.
+ *
+ * @param location  protein position
+ * @return {Array}  [{label, count}, {label, count}]
+ */
+MirroredMutationDiagram.prototype.getCohortCounts = function(location)
+{
+	var self = this;
+
+	var countAt = function(pileups) {
+		var pileup = _.find(pileups, function(pileup) {
+			return pileup.location == location;
+		});
+
+		return pileup ? pileup.count : 0;
+	};
+
+	return [
+		{label: self.options.cohortLabels[0], count: countAt(self.pileups)},
+		{label: self.options.cohortLabels[1], count: countAt(self.comparisonPileups)}
+	];
+};
+
+/**
+ * Splits the given mutations into two collections wrt the initial
+ * mutations of the second cohort.
+ *
+ * @param mutationColl  a MutationCollection instance
+ * @return {Array}      [first cohort collection, second cohort collection]
+ */
+MirroredMutationDiagram.prototype.splitCohorts = function(mutationColl)
+{
+	var self = this;
+	var comparisonSids = {};
+
+	self.data.comparisonMutations.each(function(mutation) {
+		comparisonSids[mutation.get("mutationSid")] = true;
+	});
+
+	var partition = mutationColl.partition(function(mutation) {
+		return !comparisonSids[mutation.get("mutationSid")];
+	});
+
+	return [new MutationCollection(partition[0]),
+		new MutationCollection(partition[1])];
+};
+
+/**
+ * Rescales both y-axes by using the updated options and
+ * latest (filtered) data.
+ *
+ * @param noUpdatePlot if set true, plot contents are NOT updated
+ */
+MirroredMutationDiagram.prototype.rescaleYAxis = function(noUpdatePlot)
+{
+	var self = this;
+
+	// rescale the upper y-axis (also recalculates global values)
+	MutationDiagram.prototype.rescaleYAxis.call(self, true);
+
+	// remove & draw lower y-axis
+	self.svg.select(".mut-dia-lower-y-axis").remove();
+	self.drawLowerYAxis(self.svg, self.options);
+
+	if (!noUpdatePlot)
+	{
+		// re-draw the plot with new scale
+		self.updatePlot();
+	}
+};
+
+/**
+ * Updates the plot area of the diagram for the given mutations.
+ * If only one collection is provided, it is split into two cohorts
+ * wrt the initial data.
+ *
+ * @param mutationColl          a MutationCollection instance
+ *                              (first cohort, or both cohorts combined)
+ * @param comparisonMutations   [optional] MutationCollection of the second cohort
+ * @return {boolean}  true if the diagram is filtered, false otherwise
+ */
+MirroredMutationDiagram.prototype.updatePlot = function(mutationColl, comparisonMutations)
+{
+	var self = this;
+
+	if (mutationColl)
+	{
+		if (comparisonMutations == null)
+		{
+			var cohorts = self.splitCohorts(mutationColl);
+			mutationColl = cohorts[0];
+			comparisonMutations = cohorts[1];
+		}
+
+		self.comparisonPileups = PileupUtil.convertToPileups(
+			comparisonMutations, self.options.pileupConverter);
+		HotspotUtil.annotatePileups(self.comparisonPileups, self.comparisonHotspots);
+	}
+
+	return MutationDiagram.prototype.updatePlot.call(self, mutationColl);
+};
+
+/**
+ * Resets the plot area back to its initial state.
+ */
+MirroredMutationDiagram.prototype.resetPlot = function()
+{
+	var self = this;
+
+	self.updatePlot(self.data.mutations, self.data.comparisonMutations);
+
+	// trigger corresponding event
+	self.dispatcher.trigger(
+		MutationDetailsEvents.DIAGRAM_PLOT_RESET);
+};
+
+/**
+ * Draws the marks for the current mutation positions of both cohorts
+ * on the minimap.
+ */
+MirroredMutationDiagram.prototype.drawMinimapMarks = function()
+{
+	var self = this;
+
+	MutationDiagram.prototype.drawMinimapMarks.call(self,
+		_.union(self.pileups, self.comparisonPileups));
+};
+
+MirroredMutationDiagram.prototype.getInitialMutations = function()
+{
+	var self = this;
+
+	return _.flatten(_.pluck(_.union(self.initialPileups, self.initialComparisonPileups), "mutations"), true);
+};
+
+MirroredMutationDiagram.prototype.getDisplayedPileups = function()
+{
+	var self = this;
+
+	return _.union(self.pileups, self.comparisonPileups);
+};
+
+MirroredMutationDiagram.prototype.isFiltered = function()
+{
+	var self = this;
+
+	return PileupUtil.countMutations(self.pileups) +
+		PileupUtil.countMutations(self.comparisonPileups) <
+		PileupUtil.countMutations(self.initialPileups) +
+		PileupUtil.countMutations(self.initialComparisonPileups);
+};
+
+MirroredMutationDiagram.prototype.getThreshold = function()
+{
+	return Math.max(this.maxCount, this.lowerMaxCount, this.options.minLengthY);
+};
+
+MirroredMutationDiagram.prototype.getMaxY = function()
+{
+	return Math.max(this.yMax, this.lowerYMax);
+};
+
+MirroredMutationDiagram.prototype.getInitialMaxY = function()
+{
+	var self = this;
+
+	if (!self.initialYMax)
+	{
+		var maxCount = Math.max(self.calcMaxCount(self.initialPileups),
+			self.calcMaxCount(self.initialComparisonPileups));
+
+		self.initialYMax = self.calcYMax(self.options, maxCount);
+	}
+
+	return self.initialYMax;
+};
+
+module.exports = MirroredMutationDiagram;
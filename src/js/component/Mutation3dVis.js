@@ -31,6 +31,7 @@
 var Mol3DScriptGenerator = require("../util/Mol3DScriptGenerator");
 var Mol3DWrapper = require("../util/Mol3DWrapper");
 var PymolScriptGenerator = require("../util/PymolScriptGenerator");
+var ClusterUtil = require("../util/ClusterUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -641,6 +642,73 @@ function Mutation3dVis(name, options)
 		return numMapped;
 	}
 
+	/**
+	 * Retrieves the coordinates of the alpha carbon atom of each residue
+	 * of the current chain. Residue keys are the pdb positions
+	 * (including the insertion codes, if any).
+	 *
+	 * @return {Object} map of <pdb residue, coordinates {x, y, z}> pairs
+	 */
+	function getResidueCoordinates()
+	{
+		var coordinates = {};
+
+		// no chain selected yet, or the app does not provide atom data
+		if (_chain == null || !hasAtomData())
+		{
+			return coordinates;
+		}
+
+		var atoms = _3dApp.getViewer().selectedAtoms(
+			{chain: _chain.chainId, atom: "CA"});
+
+		_.each(atoms, function(atom) {
+			coordinates[atom.resi + (atom.icode || "").trim()] =
+				{x: atom.x, y: atom.y, z: atom.z};
+		});
+
+		return coordinates;
+	}
+
+	/**
+	 * Checks if the current 3D app provides the atom coordinates.
+	 * Only the 3Dmol viewer does, Jmol/JSmol wrappers do not.
+	 *
+	 * @return {boolean} true if atom coordinates are available
+	 */
+	function hasAtomData()
+	{
+		return _3dApp != null && _.isFunction(_3dApp.getViewer);
+	}
+
+	/**
+	 * Finds the spatial clusters of the given mutations within the current
+	 * chain. Mutations are mapped onto the residues by the position map of
+	 * the chain (see PdbDataProxy.getPositionMap).
+	 *
+	 * @param mutations MutationCollection or an array of Mutation models
+	 * @param options   [optional] detection options (see ClusterUtil)
+	 * @return {Array|null} an array of spatial clusters, or null if the
+	 *                      current 3D app does not provide atom coordinates
+	 */
+	function findClusters(mutations, options)
+	{
+		if (!hasAtomData())
+		{
+			return null;
+		}
+
+		if (_chain == null || _chain.positionMap == null)
+		{
+			return [];
+		}
+
+		return ClusterUtil.findSpatialClusters(mutations,
+			_chain.positionMap,
+			getResidueCoordinates(),
+			options);
+	}
+
 	/**
 	 * Refreshes the current highlights.
 	 */
@@ -873,6 +941,9 @@ function Mutation3dVis(name, options)
 		center: centerOnHighlighted,
 		resetCenter: resetCenter,
 		highlight: highlight,
+		findClusters: findClusters,
+		hasAtomData: hasAtomData,
+		getResidueCoordinates: getResidueCoordinates,
 		resetHighlight: resetHighlight,
 		refreshHighlight: refreshHighlight,
 		zoomIn: zoomIn,
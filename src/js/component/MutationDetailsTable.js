@@ -37,6 +37,7 @@ var PancanMutationHistTipView = require("../view/PancanMutationHistTipView");
 var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 var AdvancedDataTable = require("../component/AdvancedDataTable");
 var DataTableUtil = require("../util/DataTableUtil");
+var HgvsProteinParser = require("../util/HgvsProteinParser");
 
 var cbio = {
 	util: require("../util/cbio-util"),
@@ -197,12 +198,17 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 				tip: "Mutation frequency in cBioPortal",
 				sType: "numeric",
 				sClass: "right-align-td",
+				asSorting: ["desc", "asc"]},
+			hotspot: {sTitle: "Hotspot",
+				tip: "Statistically significant recurrently<br> mutated position (binomial test)",
+				sType: "numeric",
+				sClass: "center-align-td",
 				asSorting: ["desc", "asc"]}
 		},
 		// display order of column headers
 		columnOrder: [
 			"datum", "mutationId", "mutationSid", "caseId", "cancerStudy", "tumorType",
-			"proteinChange", "mutationType", "cna", "cBioPortal", "cosmic", "mutationStatus",
+			"proteinChange", "mutationType", "hotspot", "cna", "cBioPortal", "cosmic", "mutationStatus",
 			"validationStatus", "mutationAssessor", "sequencingCenter", "chr",
 			"startPos", "endPos", "referenceAllele", "variantAllele", "tumorFreq",
 			"normalFreq", "tumorRefCount", "tumorAltCount", "normalRefCount",
@@ -336,7 +342,8 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 			//		return "excluded";
 			//	}
 			//}
-			"cBioPortal": "excluded"
+			"cBioPortal": "excluded",
+			"hotspot": "visible"
 		},
 		// Indicates whether a column is searchable or not.
 		// Should be a boolean value or a function.
@@ -728,6 +735,29 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 					var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_cbio_portal_template");
 					return templateFn(vars);
 				}
+			},
+			"hotspot": function(datum) {
+				var mutation = datum.mutation;
+
+				// check if hotspot data exists,
+				// if not we need to retrieve it from the data manager
+				if (_.isUndefined(mutation.get("hotspot")))
+				{
+					self.requestColumnData("hotspot");
+					return MutationViewsUtil.renderTablePlaceHolder();
+				}
+				else
+				{
+					var hotspot = MutationDetailsTableFormatter.getHotspot(mutation.get("hotspot"));
+
+					var vars = {};
+					vars.hotspotClass = hotspot.style;
+					vars.hotspotText = hotspot.text;
+					vars.hotspotTip = hotspot.tip;
+
+					var templateFn = BackboneTemplateCache.getTemplateFn("mutation_table_hotspot_template");
+					return templateFn(vars);
+				}
 			}
 		},
 		// default tooltip functions
@@ -946,72 +976,38 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 				return mutation.get("caseId");
 			},
 			"proteinChange": function(datum) {
-				var proteinChange = datum.mutation.get("proteinChange");
-				//var matched = proteinChange.match(/.*[A-Z]([0-9]+)[^0-9]+/);
-				var alleleAndPosition = /[A-Za-z][0-9]+./g;
-				var position = /[0-9]+/g;
-				var nonNumerical = /[^0-9]+/g;
-
-				var extractNonNumerical = function(matched) {
-					// this is to sort alphabetically
-					// in case the protein position values are the same
-					var buffer = matched[0].match(nonNumerical);
-
-					if (buffer && buffer.length > 0)
-					{
-						var str = buffer.join("");
-						buffer = [];
-
-						// since we are returning a float value
-						// assigning numerical value for each character.
-						// we have at most 2 characters, so this should be safe...
-						for (var i=0; i<str.length; i++)
-						{
-							buffer.push(str.charCodeAt(i));
-						}
-					}
+				var parsed = HgvsProteinParser.parse(datum.mutation.get("proteinChange"));
 
-					return buffer;
-				};
+				// no match at all: do not sort
+				if (parsed == null)
+				{
+					return -Infinity;
+				}
 
-				// first priority is to match values like V600E , V600, E747G, E747, X37_, X37, etc.
-				var matched = proteinChange.match(alleleAndPosition);
+				// this is to sort alphabetically
+				// in case the protein position values are the same
+				var residues = ((parsed.reference || "") + (parsed.variant || "")).substring(0, 2);
 				var buffer = [];
 
-				// if no match, then search for numerical (position) match only
-				if (!matched || matched.length === 0)
-				{
-					matched = proteinChange.match(position);
-				}
-				// if match, then extract the first numerical value for sorting purposes
-				else
+				// since we are returning a float value
+				// assigning numerical value for each character.
+				// we have at most 2 characters, so this should be safe...
+				for (var i=0; i < residues.length; i++)
 				{
-					// this is to sort alphabetically
-					buffer = extractNonNumerical(matched);
-					matched = matched[0].match(position);
+					buffer.push(residues.charCodeAt(i));
 				}
 
-				// if match, then use the first integer value as sorting data
-				if (matched && matched.length > 0)
-				{
-					var toParse =  matched[0];
-
-					// this is to sort alphabetically
-					if (buffer && buffer.length > 0)
-					{
-						// add the alphabetical information as the decimal part...
-						// (not the best way to ensure alphabetical sorting,
-						// but in this method we are only allowed to return a numerical value)
-						toParse += "." + buffer.join("");
-					}
+				var toParse = parsed.start.toString();
 
-					return parseFloat(toParse);
-				}
-				else
+				// add the alphabetical information as the decimal part...
+				// (not the best way to ensure alphabetical sorting,
+				// but in this method we are only allowed to return a numerical value)
+				if (buffer.length > 0)
 				{
-					// no match at all: do not sort
-					return -Infinity;
+					toParse += "." + buffer.join("");
 				}
+
+				return parseFloat(toParse);
 			},
 			"cancerStudy": function(datum) {
 				var mutation = datum.mutation;
@@ -1150,6 +1146,10 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 				// portal value may be null,
 				// because we are retrieving it through another ajax call...
 				return portal || 0;
+			},
+			"hotspot": function(datum) {
+				var mutation = datum.mutation;
+				return MutationDetailsTableFormatter.assignHotspotValue(mutation.get("hotspot"));
 			}
 		},
 		// column filter functions:
@@ -1204,6 +1204,9 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 			},
 			"endPos": function(datum) {
 				return datum.mutation.get("endPos") || "";
+			},
+			"hotspot": function(datum) {
+				return MutationDetailsTableFormatter.getHotspot(datum.mutation.get("hotspot")).text;
 			}
 		},
 		// native "mData" function for DataTables plugin. if this is implemented,
@@ -1217,6 +1220,34 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 		},
 		// delay amount before applying the user entered filter query
 		filteringDelay: 600,
+		// per column filter widgets
+		//
+		// type: "range" (numeric range), "multi" (selection of values),
+		// or "regex" (regular expression)
+		// value: [optional] function(datum) returning the value to filter
+		columnFilterWidgets: {
+			"caseId": {type: "regex"},
+			"proteinChange": {type: "regex"},
+			"tumorType": {type: "multi"},
+			"mutationType": {type: "multi"},
+			"mutationStatus": {type: "multi"},
+			"validationStatus": {type: "multi"},
+			"tumorFreq": {type: "range"},
+			"normalFreq": {type: "range"},
+			"tumorRefCount": {type: "range"},
+			"tumorAltCount": {type: "range"},
+			"normalRefCount": {type: "range"},
+			"normalAltCount": {type: "range"}
+		},
+		// render the rows incrementally while scrolling (see sScrollY),
+		// rendering thousands of rows at once is too slow
+		renderMode: "scroll",
+		// number of rows to render at once
+		pageSize: 100,
+		// server side processing is not supported: the table relies on
+		// the client side filtering (searches of the other views, column
+		// filters), so providing a serverProcess function is an error
+		serverProcess: null,
 		// WARNING: overwriting advanced DataTables options such as
 		// aoColumnDefs, oColVis, and fnDrawCallback may break column
 		// visibility, sorting, and filtering. Proceed wisely ;)
@@ -1239,6 +1270,12 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 	// merge options with default options to use defaults for missing values
 	var _options = jQuery.extend(true, {}, _defaultOpts, options);
 
+	if (_options.serverProcess != null)
+	{
+		throw new Error("[MutationDetailsTable] serverProcess option " +
+		                "is not supported by the mutation table");
+	}
+
 	// call super constructor to init options and other params
 	AdvancedDataTable.call(this, _options);
 	_options = self._options;
@@ -1255,6 +1292,9 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 	// last search string manually entered by the user
 	var _manualSearch = "";
 
+	// this is used to check if column filters are changed after each redraw
+	var _prevColumnFilters = {};
+
 	var _rowMap = {};
 
 	var _selectedRow = null;
@@ -1347,11 +1387,13 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 				self._addEventListeners(indexMap);
 
 				var currSearch = oSettings.oPreviousSearch.sSearch;
+				var currColumnFilters = self.getColumnFilters();
 
 				// trigger the event only if the corresponding flag is set
-				// and there is a change in the search term
+				// and there is a change in the search term or in the column filters
 				if (_filterEventActive &&
-				    _prevSearch != currSearch)
+				    (_prevSearch != currSearch ||
+				     !_.isEqual(_prevColumnFilters, currColumnFilters)))
 				{
 					// trigger corresponding event
 					// TODO attach self instead of selector to the event
@@ -1366,6 +1408,7 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 
 				// update prev search string reference for future use
 				_prevSearch = currSearch;
+				_prevColumnFilters = currColumnFilters;
 
 				// trigger redraw event
 				_dispatcher.trigger(
@@ -1373,7 +1416,7 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 					self);
 
 				// get the unique number of samples for the current visible data
-				var rowData = $(tableSelector).DataTable().rows({filter: "applied"}).data();
+				var rowData = self.getFilteredData();
 				$(oSettings.nTableWrapper).find('.mutation-table-samples-info').text(
 					_.size(uniqueSamples(rowData)));
 
@@ -1559,6 +1602,40 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 		_filterEventActive = active;
 	}
 
+	/**
+	 * Applies the given column filters together with the last manual
+	 * search, i.e. any programmatic filtering of the table is discarded.
+	 *
+	 * @param filters   map of <column name, column filter>
+	 *                  (see DataTableUtil.getColumnFilterMatcher)
+	 */
+	function applyColumnFilters(filters)
+	{
+		self.setColumnFilters(filters, false);
+
+		// re-apply the manual search, this also redraws the table
+		self.getDataTable().fnFilter(_manualSearch, null, false, true, false, true);
+	}
+
+	/**
+	 * Returns the current (serializable) filter state of the table:
+	 * the search string and the column filters.
+	 *
+	 * @return {Object} {search: [search string], columns: [column filters]}
+	 */
+	function getFilterState()
+	{
+		var search = "";
+
+		if (self.getDataTable() != null)
+		{
+			search = self.getDataTable().fnSettings().oPreviousSearch.sSearch;
+		}
+
+		return {search: search,
+			columns: self.getColumnFilters()};
+	}
+
 	/**
 	 * Resets filtering related variables to their initial state.
 	 * Does not remove actual table filters.
@@ -1757,6 +1834,8 @@ function MutationDetailsTable(options, gene, mutationUtil, dataProxies, dataMana
 	// additional public functions
 	this.setFilterEventActive = setFilterEventActive;
 	this.getManualSearch = getManualSearch;
+	this.applyColumnFilters = applyColumnFilters;
+	this.getFilterState = getFilterState;
 	this.cleanFilters = cleanFilters;
 	this.requestColumnData = requestColumnData;
 	this.getCustomData = getCustomData;
@@ -29,13 +29,26 @@
  */
 
 var PileupUtil = require("../util/PileupUtil");
+var MutationViewsUtil = require("../util/MutationViewsUtil");
+var HotspotUtil = require("../util/HotspotUtil");
+var ScaleUtil = require("../util/ScaleUtil");
+var MutationDetailsUtil = require("../util/MutationDetailsUtil");
+var MutationDataConverter = require("../util/MutationDataConverter");
+var ClusterUtil = require("../util/ClusterUtil");
+var LollipopEncodingUtil = require("../util/LollipopEncodingUtil");
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var ClusterTipView = require("../view/ClusterTipView");
 var LollipopTipView = require("../view/LollipopTipView");
 var RegionTipView = require("../view/RegionTipView");
+var TrackFeatureTipView = require("../view/TrackFeatureTipView");
+var TrackLegendView = require("../view/TrackLegendView");
+var TrackDataUtil = require("../util/TrackDataUtil");
+var SvgExportUtil = require("../util/SvgExportUtil");
 var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 
 var cbio = {
-	util: require("../util/cbio-util")
+	util: require("../util/cbio-util"),
+	download: require("../util/download-util")
 };
 
 var d3= require("d3");
@@ -50,7 +63,8 @@ var Backbone = require("backbone");
  * @param geneSymbol    hugo gene symbol
  * @param options       visual options object
  * @param data          object: {mutations: a MutationCollection instance,
- *                               sequence: sequence data as a JSON object}
+ *                               sequence: sequence data as a JSON object,
+ *                               hotspots: [optional] precalculated hotspot scores}
  * @param dataProxies   all available data proxies
  * @constructor
  *
@@ -76,6 +90,17 @@ function MutationDiagram(geneSymbol, options, data, dataProxies)
 	self.pileups = (data == null) ? null : // current pileups (updated after each filtering)
 		PileupUtil.convertToPileups(data.mutations, options.pileupConverter);
 	self.initialPileups = self.pileups;
+	// hotspot scores of the initial (unfiltered) data: <protein position, score> pairs,
+	// precalculated scores are shared with the other views (see MainMutationView.getHotspots)
+	self.hotspots = (data == null) ? null :
+		(data.hotspots || self.calcHotspots(data.mutations, data.sequence));
+	HotspotUtil.annotatePileups(self.pileups, self.hotspots);
+	// linear clusters of the initial (unfiltered) data
+	self.clusters = (data == null) ? null : self.calcClusters(data.mutations, data.sequence);
+	self.spatialClusters = []; // clusters of the current 3D structure (see updateSpatialClusters)
+	// lollipop color & shape scales (null means the default encoding)
+	self.colorScale = self.createEncodingScale(self.options.lollipopColorBy, "color");
+	self.shapeScale = self.createEncodingScale(self.options.lollipopShapeBy, "shape");
 	self.highlighted = {}; // map of highlighted data points (initially empty)
 	self.multiSelect = false; // indicates if multiple lollipop selection is active
 
@@ -85,6 +110,10 @@ function MutationDiagram(geneSymbol, options, data, dataProxies)
 	self.gData = null; // svg group for lollipop data points
 	self.gLine = null;   // svg group for lollipop lines
 	self.gLabel = null;  // svg group for lollipop labels
+	self.gRegion = null; // svg group for regions
+	self.gTracks = null; // svg group for annotation tracks
+	self.gClusters = null; // svg group for mutation clusters
+	self.gTypeLegend = null; // svg group for the interactive mutation type legend
 	self.xScale = null;  // scale function for x-axis
 	self.yScale = null;  // scale function for y-axis
 	self.topLabel = null;   // label on top-left corner of the diagram
@@ -93,6 +122,12 @@ function MutationDiagram(geneSymbol, options, data, dataProxies)
 	self.xMax = null; // max value on the x-axis
 	self.yMax = null; // max value on the y-axis
 	self.maxCount = null; // mutation count of the highest data point
+	self.zoomRange = null; // visible x-axis range {start, end} (null means not zoomed)
+	self.clipPath = null; // clip path (url) for the zoomed plot area
+	self.minimap = null;  // minimap components {scale, brush, gBrush, gMarks, y}
+	self.panDrag = null;  // drag behavior to pan the zoomed diagram
+	self.tracks = [];     // annotation tracks drawn below the sequence (see addTrack)
+	self.sampleCount = null; // number of distinct samples of the initial data (see getSampleCount)
 
 	// color mapping for mutations: <mutation id, (pileup) color> pairs
 	self.mutationColorMap = {};
@@ -121,6 +156,13 @@ MutationDiagram.prototype.defaultOpts = {
 	labelTopFontSize: "12px",     // font size of the top label
 	labelTopFontWeight: "bold",   // font weight of the top label
 	labelTopMargin: 2,            // left margin for the top label
+	typeLegend: true,             // draw a clickable mutation type legend on top of the plot area
+	typeLegendFont: "sans-serif", // font type of the type legend
+	typeLegendFontColor: "#2E3436", // font color of the type legend
+	typeLegendFontSize: "10px",   // font size of the type legend
+	typeLegendInactiveColor: "#BABDB6", // font color of the filtered out (inactive) types
+	typeLegendSwatchSize: 8,      // size of the type legend swatches
+	typeLegendPadding: 10,        // padding between the type legend items
 	labelX: false,              // informative label of the x-axis (false means "do not draw")
 	labelXFont: "sans-serif",   // font type of the x-axis label
 	labelXFontColor: "#2E3436", // font color of the x-axis label
@@ -131,6 +173,7 @@ MutationDiagram.prototype.defaultOpts = {
 	labelYFontColor: "#2E3436", // font color of the y-axis label
 	labelYFontSize: "12px",     // font size of y-axis label
 	labelYFontWeight: "normal", // font weight of y-axis label
+	labelYPercent: "% Samples", // label of the y-axis in the percent mode
 	minLengthX: 0,              // min value of the largest x value to show
 	minLengthY: 5,              // min value of the largest y value to show
 	maxLengthX: Infinity,       // max value of the largest x value to show (infinity: no upper value)
@@ -144,6 +187,19 @@ MutationDiagram.prototype.defaultOpts = {
 	regionFontSize: "12px",     // font size of the region text
 	regionTextAnchor: "middle", // text anchor (alignment) for the region label
 	showRegionText: true,       // show/hide region text
+	tracks: [],                 // additional feature tracks below the sequence (see addTrack)
+	annotationTracks: {         // built-in tracks retrieved through the corresponding data proxies
+		uniprotFeatures: false, // UniProt features: PTM sites, signal peptides, transmembrane regions
+		exons: false,           // exon boundaries
+		custom: false           // user provided BED-like track (see CustomTrackDataProxy)
+	},
+	trackHeight: 10,            // default height of a track
+	trackPadding: 4,            // padding between the tracks (and the sequence)
+	trackColor: "#7F7F7F",      // default color of the track features
+	trackLineColor: "#D3D7CF",  // color of the track baseline
+	trackLabelFont: "sans-serif",   // font of the track label
+	trackLabelFontColor: "#2E3436", // font color of the track label
+	trackLabelFontSize: "10px",     // font size of the track label
 	showStats: false,           // show/hide mutation stats in the lollipop tooltip
 	multiSelectKeycode: 16,     // shift (default multiple selection key)
 	lollipopLabelCount: 1,          // max number of lollipop labels to display
@@ -170,11 +226,31 @@ MutationDiagram.prototype.defaultOpts = {
 	lollipopStrokeWidth: 1,         // width of the lollipop lines
 	lollipopStrokeColor: "#BABDB6", // color of the lollipop line
 	lollipopShapeRegular: "circle", // shape of the regular lollipop data points
-	lollipopShapeSpecial: "circle", // shape of the special lollipop data points
+	lollipopShapeSpecial: "diamond", // shape of the special (hotspot or out-of-range) data points
+	lollipopSpecialBorderColor: "#FF0000", // border color of the special data points when
+	                                       // the shape is determined by a shape encoding
+	lollipopSpecialBorderWidth: 2,  // border width of the special data points (with a shape encoding)
+	lollipopColorBy: null,          // encoding of the lollipop colors (null: color by main mutation type)
+	lollipopShapeBy: null,          // encoding of the lollipop shapes (null: special shape for hotspots)
+	lollipopEncodings: {},          // custom encoding definitions (see LollipopEncodingUtil)
+	lollipopComposition: null,      // draw the composition of the lollipop heads: "pie", "stacked", or null
+	                                // (composition is by mutation type, or by the active color encoding)
+	hotspotEnabled: true,           // detect hotspots & draw them with the special shape
+	hotspotOpts: {},                // hotspot detection options (see HotspotUtil)
+	clusterEnabled: true,           // detect mutation clusters & shade the cluster windows
+	clusterOpts: {},                // cluster detection options (see ClusterUtil)
+	clusterSpatial: false,          // also shade the spatial clusters of the current 3D structure
+	clusterColor: "#FFA500",        // fill color of the linear cluster windows
+	clusterSpatialColor: "#8A2BE2", // fill color of the spatial cluster positions
+	clusterOpacity: 0.15,           // fill opacity of the cluster shades
+	clusterMinWidth: 3,             // min width of a cluster shade (in pixels)
 	xAxisPadding: 10,           // padding between x-axis and the sequence
 	xAxisTickIntervals: [       // valid major tick intervals for x-axis
 		100, 200, 400, 500, 1000, 2000, 5000, 10000, 20000, 50000
 	],
+	xAxisZoomTickIntervals: [   // additional major tick intervals for a zoomed in x-axis
+		1, 2, 5, 10, 20, 50
+	],
 	xAxisTicks: 8,              // maximum number of major ticks for x-axis
 								// (a major tick may not be labeled if it is too close to the max)
 	xAxisTickSize: 6,           // size of the major ticks of x-axis
@@ -194,6 +270,37 @@ MutationDiagram.prototype.defaultOpts = {
 	yAxisFontSize: "10px",      // font size of the y-axis labels
 	yAxisFontColor: "#2E3436",  // font color of the y-axis labels
 	yAxisAutoAdjust: true,      // indicates whether to adjust max y-axis value after plot update
+	yAxisMode: "linear",        // y-axis mode: "linear", "log", "sqrt", or "percent" (percent of samples)
+	sampleCount: null,          // number of samples for the percent mode (null: number of distinct case ids)
+	zoomEnabled: true,          // enables brush-to-zoom, drag-to-pan and the minimap
+	zoomMinRange: 10,           // min length of the visible x-axis range (in aa)
+	zoomBrushColor: "#1974B8",  // color of the zoom brush & the minimap window
+	zoomBrushOpacity: 0.2,      // fill opacity of the zoom brush & the minimap window
+	minimapHeight: 10,          // height of the minimap (drawn below the x-axis)
+	minimapPadding: 10,         // padding between the minimap and the bottom of the svg
+	minimapMarkColor: "#2E3436", // color of the mutation position marks on the minimap
+	exportOpts: {               // options of the exported diagram (see exportDiagram)
+		format: "svg",          // output format: "svg", "png", or "pdf"
+		width: null,            // output width in pixels (null: same as the diagram, height is scaled accordingly)
+		dpi: 300,               // resolution of the raster (png & pdf) outputs
+		title: null,            // title on top of the diagram (null: gene symbol, false: no title)
+		legend: true,           // add the mutation type & domain legends below the diagram
+		download: true,         // initiate a file download after the export
+		filename: null,         // download file name (null: mutation_diagram_[gene symbol].[format])
+		font: "sans-serif",     // font type of the title & the legends
+		fontColor: "#2E3436",   // font color of the title & the legends
+		titleFontSize: "14px",  // font size of the title
+		legendFontSize: "11px", // font size of the legend labels
+		legendSwatchSize: 10,   // size of the legend color swatches
+		padding: 10,            // padding around the title & the legends
+		mutationTypeLabels: {   // legend labels of the main mutation types
+			missense: "Missense",
+			truncating: "Truncating",
+			inframe: "Inframe",
+			fusion: "Fusion",
+			other: "Other"
+		}
+	},
 	animationDuration: 1000,    // transition duration (in ms) used for highlight animations
 	fadeDuration: 1500,         // transition duration (in ms) used for fade animations
 	pileupConverter: false,
@@ -261,6 +368,49 @@ MutationDiagram.prototype.defaultOpts = {
 				cbio.util.addTargetedQTip(element, options);
 			}
 		);
+	},
+	/**
+	 * Default track feature tooltip function.
+	 *
+	 * @param element   target svg element (track feature)
+	 * @param feature   a JSON object representing the track feature
+	 * @param track     track definition
+	 */
+	trackTipFn: function (element, feature, track) {
+		var model = {label: feature.label || feature.type,
+			description: feature.description || "",
+			start: feature.start,
+			end: feature.end,
+			trackLabel: track.label};
+
+		var tooltipView = new TrackFeatureTipView({model: model});
+		var content = tooltipView.compileTemplate();
+
+		var options = {content: {text: content},
+			hide: {fixed: true, delay: 100, event: 'mouseout'},
+			show: {event: 'mouseover'},
+			style: {classes: 'qtip-light qtip-rounded qtip-shadow qtip-lightyellow'},
+			position: {my:'bottom left', at:'top center',viewport: $(window)}};
+
+		cbio.util.addTargetedQTip(element, options);
+	},
+	/**
+	 * Default cluster tooltip function.
+	 *
+	 * @param element   target svg element (cluster shade)
+	 * @param cluster   a JSON object representing the cluster (see ClusterUtil)
+	 */
+	clusterTipFn: function (element, cluster) {
+		var tooltipView = new ClusterTipView({model: cluster});
+		var content = tooltipView.compileTemplate();
+
+		var options = {content: {text: content},
+			hide: {fixed: true, delay: 100, event: 'mouseout'},
+			show: {event: 'mouseover'},
+			style: {classes: 'qtip-light qtip-rounded qtip-shadow qtip-lightyellow'},
+			position: {my:'bottom left', at:'top center',viewport: $(window)}};
+
+		cbio.util.addTargetedQTip(element, options);
 	}
 };
 
@@ -335,6 +485,9 @@ MutationDiagram.prototype.updateGlobals = function(options)
 	self.bounds = this.calcBounds(options);
 	self.xScale = this.xScaleFn(self.bounds, xMax);
 	self.yScale = this.yScaleFn(self.bounds, yMax);
+
+	// keep the current zoom level
+	self.xScale.domain(self.getZoomDomain());
 };
 
 /**
@@ -367,10 +520,13 @@ MutationDiagram.prototype.initDiagram = function()
 
 	self.mutationPileupMap = PileupUtil.mapToMutations(self.initialPileups);
 
+	// tracks should be ready before calculating the height
+	self.initTracks(self.options);
+
 	// init svg container
 	var svg = self.createSvg(container,
 	                         self.options.elWidth,
-	                         self.options.elHeight);
+	                         self.calcSvgHeight(self.options));
 
 	// save a reference for future access
 	self.svg = svg;
@@ -381,8 +537,39 @@ MutationDiagram.prototype.initDiagram = function()
 	                 self.options,
 	                 self.data);
 
+	// init zoom & pan components
+	if (self.options.zoomEnabled)
+	{
+		self.initZoom(svg, bounds, self.options);
+	}
+
 	// add default listeners
 	self.addDefaultListeners();
+
+	// retrieve track features (tracks are updated as the data arrives)
+	_.each(self.tracks, function(track) {
+		self.loadTrackData(track);
+	});
+};
+
+/**
+ * Calculates the total height of the svg container including
+ * the annotation tracks and the minimap.
+ *
+ * @param options   options object
+ * @return {Number} height of the svg
+ */
+MutationDiagram.prototype.calcSvgHeight = function(options)
+{
+	var height = options.elHeight + this.calcTracksHeight(options);
+
+	// extra space for the minimap
+	if (options.zoomEnabled)
+	{
+		height += options.minimapHeight + options.minimapPadding;
+	}
+
+	return height;
 };
 
 /**
@@ -453,6 +640,12 @@ MutationDiagram.prototype.drawDiagram = function (svg, bounds, options, data)
 		self.topLabel = self.drawTopLabel(svg, options, bounds);
 	}
 
+	if (options.typeLegend)
+	{
+		self.gTypeLegend = svg.append("g").attr("class", "mut-dia-type-legend");
+		self.drawTypeLegend(self.gTypeLegend, options);
+	}
+
 	// draw a fully transparent rectangle for proper background click handling
 	var rect = svg.append('rect')
 		.attr('fill', '#FFFFFF')
@@ -463,6 +656,11 @@ MutationDiagram.prototype.drawDiagram = function (svg, bounds, options, data)
 		.attr('height', bounds.height)
 		.attr('class', 'mut-dia-background');
 
+	// group for mutation clusters (drawn behind the lollipops)
+	self.gClusters = svg.append("g").attr("class", "mut-dia-clusters");
+
+	self.drawClusters(self.gClusters, options, bounds, xScale);
+
 	// draw the plot area content
 	self.drawPlot(svg,
 		pileups,
@@ -476,11 +674,19 @@ MutationDiagram.prototype.drawDiagram = function (svg, bounds, options, data)
 	// add a regular tooltip (not qtip)
 	sequence.attr("title", seqTooltip);
 
+	// group for regions (drawn on the sequence)
+	self.gRegion = svg.append("g").attr("class", "mut-dia-regions");
+
 	// draw regions
 	for (var i = 0, size = regions.length; i < size; i++)
 	{
-		self.drawRegion(svg, regions[i], options, bounds, xScale);
+		self.drawRegion(self.gRegion, regions[i], options, bounds, xScale);
 	}
+
+	// group for annotation tracks (drawn below the sequence)
+	self.gTracks = svg.append("g").attr("class", "mut-dia-tracks");
+
+	self.drawTracks(self.gTracks, options, bounds, xScale);
 };
 
 /**
@@ -510,11 +716,93 @@ MutationDiagram.prototype.xScaleFn = function(bounds, max)
  */
 MutationDiagram.prototype.yScaleFn = function(bounds, max)
 {
-	return d3.scale.linear()
+	return this.createYScale()
 		.domain([0, max])
 		.range([bounds.y, bounds.y - bounds.height]);
 };
 
+/**
+ * Creates a new (empty) y-scale wrt the current y-axis mode. Mutation
+ * counts are the domain values for all modes: percent mode is a linear
+ * scale with different axis labels (see formatYValue).
+ *
+ * @return {function} scale function for the y-axis
+ */
+MutationDiagram.prototype.createYScale = function()
+{
+	var mode = this.options.yAxisMode;
+
+	return ScaleUtil.createScale(mode === "percent" ? "linear" : mode);
+};
+
+/**
+ * Formats the given y-axis value (mutation count) wrt the current y-axis
+ * mode. In the percent mode, the value is displayed as the percentage of
+ * all samples (see getSampleCount).
+ *
+ * @param value     y-axis value (mutation count)
+ * @return {string|Number} formatted value
+ */
+MutationDiagram.prototype.formatYValue = function(value)
+{
+	var sampleCount = this.getSampleCount();
+
+	if (this.options.yAxisMode === "percent" &&
+	    sampleCount > 0)
+	{
+		// at most one decimal digit
+		return (Math.round(value / sampleCount * 1000) / 10) + "%";
+	}
+
+	return value;
+};
+
+/**
+ * Returns the number of samples used to normalize the mutation counts in the
+ * percent mode. If not provided as an option, the number of distinct case ids
+ * of the initial data is used.
+ *
+ * @return {Number} number of samples
+ */
+MutationDiagram.prototype.getSampleCount = function()
+{
+	var self = this;
+
+	if (self.options.sampleCount)
+	{
+		return self.options.sampleCount;
+	}
+
+	if (self.sampleCount == null)
+	{
+		var mutationUtil = new MutationDetailsUtil(
+			MutationDataConverter.convertToCollection(self.getInitialMutations()));
+
+		self.sampleCount = _.size(mutationUtil.getMutationCaseMap());
+	}
+
+	return self.sampleCount;
+};
+
+/**
+ * Updates the y-axis mode, and re-draws the y-axis and the plot area
+ * with the new scale.
+ *
+ * @param mode  "linear", "log", "sqrt", or "percent"
+ */
+MutationDiagram.prototype.updateYAxisMode = function(mode)
+{
+	var self = this;
+	var options = self.options;
+
+	options.yAxisMode = mode;
+
+	self.svg.selectAll(".mut-dia-y-axis-label")
+		.text(mode === "percent" ? options.labelYPercent : options.labelY);
+
+	self.rescaleYAxis();
+};
+
 /**
  * Finds out the maximum value for the x-axis.
  *
@@ -677,14 +965,21 @@ MutationDiagram.prototype.calcTickInterval = function(intervals, maxValue, maxTi
  *
  * @param maxValue  maximum value for the axis
  * @param interval  interval (increment) value
+ * @param minValue  [optional] minimum value for the axis (default: 0)
  * @return {Array}  an array of all tick values
  */
-MutationDiagram.prototype.getTickValues = function(maxValue, interval)
+MutationDiagram.prototype.getTickValues = function(maxValue, interval, minValue)
 {
 	// determine tick values
 	var tickValues = [];
 	var value = 0;
 
+	// start from the first (minor) tick within the range
+	if (minValue)
+	{
+		value = Math.ceil(minValue / (interval / 2)) * (interval / 2);
+	}
+
 	while (value < maxValue)
 	{
 		tickValues.push(value);
@@ -714,11 +1009,22 @@ MutationDiagram.prototype.drawXAxis = function(svg, xScale, xMax, options, bound
 {
 	var self = this;
 
-	var interval = self.calcTickInterval(options.xAxisTickIntervals,
-		xMax,
+	// visible range of the axis (may be smaller than [0, xMax] when zoomed)
+	var domain = xScale.domain();
+	var intervals = options.xAxisTickIntervals;
+
+	if (domain[0] > 0 || domain[1] < xMax)
+	{
+		// smaller intervals may be required for a zoomed in axis
+		intervals = options.xAxisZoomTickIntervals.concat(intervals);
+		xMax = domain[1];
+	}
+
+	var interval = self.calcTickInterval(intervals,
+		xMax - domain[0],
 		options.xAxisTicks);
 
-	var tickValues = self.getTickValues(xMax, interval);
+	var tickValues = self.getTickValues(xMax, interval, domain[0]);
 
 	// formatter to hide labels
 	var formatter = function(value) {
@@ -729,7 +1035,7 @@ MutationDiagram.prototype.drawXAxis = function(svg, xScale, xMax, options, bound
 		// always display max value
 		if (value == xMax)
 		{
-			return value + " aa";
+			return Math.round(value) + " aa";
 		}
 		// do not display minor values
 		// (this is custom implementation of minor ticks,
@@ -761,7 +1067,7 @@ MutationDiagram.prototype.drawXAxis = function(svg, xScale, xMax, options, bound
 		.tickSize(tickSize, tickSize/2, 0);
 
 	// calculate y-coordinate of the axis
-	var position = bounds.y + options.regionHeight + options.xAxisPadding;
+	var position = self.calcXAxisPosition(bounds, options);
 
 	// append axis
 	var axis = svg.append("g")
@@ -779,6 +1085,20 @@ MutationDiagram.prototype.drawXAxis = function(svg, xScale, xMax, options, bound
 	return axis;
 };
 
+/**
+ * Calculates the y-coordinate of the x-axis.
+ *
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param options   general options object
+ * @return {Number} y-coordinate of the x-axis
+ */
+MutationDiagram.prototype.calcXAxisPosition = function(bounds, options)
+{
+	return bounds.y + options.regionHeight + options.xAxisPadding +
+	       this.calcTracksHeight(options);
+};
+
 /**
  * Draws the y-axis on the left side of the plot area.
  *
@@ -788,19 +1108,38 @@ MutationDiagram.prototype.drawXAxis = function(svg, xScale, xMax, options, bound
  * @param options   general options object
  * @param bounds    bounds of the plot area {width, height, x, y}
  *                  x, y is the actual position of the origin
+ * @param maxCount  [optional] number of mutations in the highest data point
+ *                  (default: maxCount of the diagram)
  * @return {object} svg group containing all the axis components
  */
-MutationDiagram.prototype.drawYAxis = function(svg, yScale, yMax, options, bounds)
+MutationDiagram.prototype.drawYAxis = function(svg, yScale, yMax, options, bounds, maxCount)
 {
 	var self = this;
 
-	var interval = self.calcTickInterval(options.yAxisTickIntervals,
-		yMax,
-		options.yAxisTicks);
+	if (maxCount == null)
+	{
+		maxCount = self.maxCount;
+	}
+
+	var tickValues;
+
+	if (options.yAxisMode === "log")
+	{
+		// evenly spaced ticks are too dense on a log scale
+		tickValues = _.filter(yScale.ticks(), function(value) {
+			return value < yMax;
+		}).concat([yMax]);
+	}
+	else
+	{
+		var interval = self.calcTickInterval(options.yAxisTickIntervals,
+			yMax,
+			options.yAxisTicks);
 
-	// passing 2 * interval to avoid non-integer values
-	// (this is also related to minor tick issue)
-	var tickValues = self.getTickValues(yMax, 2 * interval);
+		// passing 2 * interval to avoid non-integer values
+		// (this is also related to minor tick issue)
+		tickValues = self.getTickValues(yMax, 2 * interval);
+	}
 
 	// formatter to hide all except first and last
 	// also determines to put a '>' sign before the max value
@@ -809,16 +1148,16 @@ MutationDiagram.prototype.drawYAxis = function(svg, yScale, yMax, options, bound
 
 		if (value === yMax)
 		{
-			formatted = value;
+			formatted = self.formatYValue(value);
 
-			if (self.maxCount > yMax)
+			if (maxCount > yMax)
 			{
-				formatted = ">" + value;
+				formatted = ">" + formatted;
 			}
 		}
 		else if (value === 0)
 		{
-			formatted = value;
+			formatted = self.formatYValue(value);
 		}
 
 		return formatted;
@@ -883,6 +1222,111 @@ MutationDiagram.prototype.drawTopLabel = function(svg, options, bounds)
 	return label;
 };
 
+/**
+ * Draws the mutation type legend on the top right corner of the diagram.
+ * Each item represents a main mutation type of the initial data, and
+ * the types without any displayed mutation are drawn as inactive.
+ * Clicking an item toggles the corresponding type: the diagram itself
+ * is not updated, a DIAGRAM_MUTATION_TYPE_TOGGLED event is triggered
+ * instead, so that the type can be filtered through the mutation data.
+ * Previously drawn items are removed.
+ *
+ * @param svg       target svg group to append the legend items
+ * @param options   general options object
+ */
+MutationDiagram.prototype.drawTypeLegend = function(svg, options)
+{
+	var self = this;
+	var swatch = options.typeLegendSwatchSize;
+	var y = options.marginTop / 2;
+	var x = 0;
+
+	svg.selectAll(".mut-dia-type-legend-item").remove();
+
+	_.each(self.getTypeLegendData(), function(entry) {
+		var item = svg.append("g")
+			.attr("class", "mut-dia-type-legend-item")
+			.attr("data-mutation-type", entry.type)
+			.style("cursor", "pointer");
+
+		// inactive types are drawn as hollow swatches
+		item.append("circle")
+			.attr("cx", x + swatch / 2)
+			.attr("cy", y)
+			.attr("r", swatch / 2)
+			.attr("fill", entry.active ? entry.color : "none")
+			.attr("stroke", entry.color);
+
+		var text = item.append("text")
+			.attr("x", x + swatch + 3)
+			.attr("y", y)
+			.attr("dy", ".35em")
+			.attr("fill", entry.active ? options.typeLegendFontColor : options.typeLegendInactiveColor)
+			.style("font-family", options.typeLegendFont)
+			.style("font-size", options.typeLegendFontSize)
+			.text(entry.label + " (" + entry.count + ")");
+
+		item.on("click", function() {
+			self.dispatcher.trigger(
+				MutationDetailsEvents.DIAGRAM_MUTATION_TYPE_TOGGLED,
+				entry.type,
+				!entry.active,
+				entry.mutations);
+		});
+
+		x += swatch + 3 + text.node().getComputedTextLength() + options.typeLegendPadding;
+	});
+
+	// align the legend to the right end of the plot area
+	var width = x - options.typeLegendPadding;
+
+	svg.attr("transform", "translate(" +
+		(options.elWidth - options.marginRight - width) + ",0)");
+};
+
+/**
+ * Collects the items of the mutation type legend: main mutation types of
+ * the initial data sorted by priority, with the number of displayed mutations.
+ *
+ * @return {Array}  an array of {type, label, color, count, active, mutations},
+ *                  where mutations are all initial mutations of the type
+ */
+MutationDiagram.prototype.getTypeLegendData = function()
+{
+	var self = this;
+	var styleMap = MutationViewsUtil.getVisualStyleMaps().mutationType;
+	var mainTypeOf = MutationViewsUtil.getMainType;
+
+	var initial = _.groupBy(self.getInitialMutations(), mainTypeOf);
+	var current = _.groupBy(_.flatten(_.pluck(self.getDisplayedPileups(), "mutations"), true), mainTypeOf);
+
+	var types = _.sortBy(_.keys(initial), function(type) {
+		return styleMap[type] ? styleMap[type].priority : styleMap.other.priority;
+	});
+
+	return _.map(types, function(type) {
+		var count = _.size(current[type]);
+
+		return {type: type,
+			label: (styleMap[type] && styleMap[type].longName) || "Other",
+			color: self.getMainTypeColor(type) || self.options.typeLegendFontColor,
+			count: count,
+			active: count > 0,
+			mutations: initial[type]};
+	});
+};
+
+/**
+ * Returns all mutations of the initial (unfiltered) data
+ * displayed on the diagram.
+ *
+ * @return {Array}  an array of Mutation models
+ */
+MutationDiagram.prototype.getInitialMutations = function()
+{
+	return _.flatten(_.pluck(this.initialPileups, "mutations"), true);
+};
+
 /**
  * Draws the label of the y-axis.
  *
@@ -914,7 +1358,7 @@ MutationDiagram.prototype.drawYAxisLabel = function(svg, options, bounds)
 		.style("font-family", options.labelYFont)
 		.style("font-size", options.labelYFontSize)
 		.style("font-weight", options.labelYFontWeight)
-		.text(options.labelY);
+		.text(options.yAxisMode === "percent" ? options.labelYPercent : options.labelY);
 
 	return label;
 };
@@ -967,8 +1411,7 @@ MutationDiagram.prototype.drawLollipop = function (points, lines, pileup, option
 {
 	var self = this;
 
-	// default data point type is circle
-	var type = options.lollipopShapeRegular;
+	var type = self.getLollipopShape(pileup);
 
 	var count = pileup.count;
 	var start = pileup.location;
@@ -979,10 +1422,6 @@ MutationDiagram.prototype.drawLollipop = function (points, lines, pileup, option
 	// check if y-value (count) is out of the range
 	if (count > options.maxLengthY)
 	{
-		// set a different shape for out-of-the-range values
-		//type = "triangle-up";
-		type = options.lollipopShapeSpecial;
-
 		// set y to the max value
 		y = yScale(options.maxLengthY);
 	}
@@ -994,8 +1433,8 @@ MutationDiagram.prototype.drawLollipop = function (points, lines, pileup, option
 		.attr('d', d3.svg.symbol().size(options.lollipopSize).type(type))
 		.attr("transform", "translate(" + x + "," + y + ")")
 		.attr('fill', lollipopFillColor)
-		.attr('stroke', options.lollipopBorderColor)
-		.attr('stroke-width', options.lollipopBorderWidth)
+		.attr('stroke', self.getLollipopBorder(pileup).color)
+		.attr('stroke-width', self.getLollipopBorder(pileup).width)
 		.attr('id', pileup.pileupId)
 		.attr('class', 'mut-dia-data-point')
 		.attr('opacity', 0);
@@ -1006,6 +1445,12 @@ MutationDiagram.prototype.drawLollipop = function (points, lines, pileup, option
 	// bind pileup data with the lollipop data point
 	dataPoint.datum(pileup);
 
+	// draw the composition over the data point
+	if (options.lollipopComposition)
+	{
+		self.drawLollipopComposition(points, pileup, x, y, options);
+	}
+
 	var addTooltip = options.lollipopTipFn;
 	addTooltip(dataPoint, pileup, options.showStats);
 
@@ -1019,12 +1464,70 @@ MutationDiagram.prototype.drawLollipop = function (points, lines, pileup, option
 		.attr('class', 'mut-dia-data-line')
 		.attr('opacity', 0);
 
+	// bind pileup data with the line as well (required to reposition when zoomed)
+	line.datum(pileup);
+
 	// TODO add transition for y2 value to have a nicer effect
 	self.fadeIn(line);
 
 	return {"dataPoint": dataPoint, "line": line};
 };
 
+/**
+ * Calculates the hotspot scores for the given mutations. Returns an empty
+ * map if the hotspot detection is disabled.
+ *
+ * @param mutationColl  collection of Mutation models (MutationCollection)
+ * @param sequence      sequence data as a JSON object
+ * @return {Object}     map of <protein position, hotspot score> pairs
+ */
+MutationDiagram.prototype.calcHotspots = function(mutationColl, sequence)
+{
+	var options = this.options;
+
+	if (!options.hotspotEnabled)
+	{
+		return {};
+	}
+
+	return HotspotUtil.scorePositions(mutationColl,
+		HotspotUtil.proteinLength(sequence, mutationColl),
+		options.hotspotOpts);
+};
+
+/**
+ * Finds the linear clusters of the given mutations. Returns an empty
+ * array if the cluster detection is disabled.
+ *
+ * @param mutationColl  collection of Mutation models (MutationCollection)
+ * @param sequence      sequence data as a JSON object
+ * @return {Array}      an array of clusters (see ClusterUtil)
+ */
+MutationDiagram.prototype.calcClusters = function(mutationColl, sequence)
+{
+	var options = this.options;
+
+	if (!options.clusterEnabled)
+	{
+		return [];
+	}
+
+	return ClusterUtil.findLinearClusters(mutationColl,
+		HotspotUtil.proteinLength(sequence, mutationColl),
+		options.clusterOpts);
+};
+
+/**
+ * Checks whether the given pileup is a hotspot.
+ *
+ * @param pileup    a pileup instance
+ * @return {boolean} true if the location of the pileup is a significant hotspot
+ */
+MutationDiagram.prototype.isHotspot = function(pileup)
+{
+	return pileup.hotspot != null && pileup.hotspot.significant;
+};
+
 /**
  * Updates the mutation color map by adding a new entry for each mutation
  * in the given pile up.
@@ -1063,20 +1566,78 @@ MutationDiagram.prototype.getLollipopShapeFn = function()
 	// actual function to use with d3.symbol.type(...)
 	var shapeFunction = function(datum)
 	{
-		var type = self.options.lollipopShapeRegular;
-
-		// set a different shape for out-of-the-range values
-		if (datum.count > self.options.maxLengthY)
-		{
-			type = self.options.lollipopShapeSpecial;
-		}
-
-		return type;
+		return self.getLollipopShape(datum);
 	};
 
 	return shapeFunction;
 };
 
+/**
+ * Checks whether the given pileup is a hotspot or an out-of-the-range
+ * value, which should be distinguished from the regular data points.
+ *
+ * @param pileup    a pileup instance
+ * @return {boolean} true if the pileup is a special data point
+ */
+MutationDiagram.prototype.isSpecial = function(pileup)
+{
+	return this.isHotspot(pileup) ||
+	       pileup.count > this.options.maxLengthY;
+};
+
+/**
+ * Returns the shape of the lollipop data point for the given pileup.
+ * If there is an active shape encoding, the shape is determined by the
+ * encoding (special data points are distinguished by their border instead,
+ * see getLollipopBorder). Otherwise the default shape is a circle, and
+ * hotspots and out-of-the-range values are drawn with a special shape.
+ *
+ * @param pileup    a pileup instance
+ * @return {String} shape (d3 symbol type)
+ */
+MutationDiagram.prototype.getLollipopShape = function(pileup)
+{
+	var self = this;
+	var options = self.options;
+
+	if (self.shapeScale)
+	{
+		return self.shapeScale.valueOf(pileup);
+	}
+
+	// set a different shape for hotspots and out-of-the-range values
+	if (self.isSpecial(pileup))
+	{
+		return options.lollipopShapeSpecial;
+	}
+
+	return options.lollipopShapeRegular;
+};
+
+/**
+ * Returns the border of the lollipop data point for the given pileup.
+ * When there is an active shape encoding, the special shape is not
+ * available for hotspots and out-of-the-range values, so they are drawn
+ * with a special border.
+ *
+ * @param pileup    a pileup instance
+ * @return {Object} {color: border color, width: border width}
+ */
+MutationDiagram.prototype.getLollipopBorder = function(pileup)
+{
+	var self = this;
+	var options = self.options;
+
+	if (self.shapeScale && self.isSpecial(pileup))
+	{
+		return {color: options.lollipopSpecialBorderColor,
+			width: options.lollipopSpecialBorderWidth};
+	}
+
+	return {color: options.lollipopBorderColor,
+		width: options.lollipopBorderWidth};
+};
+
 /**
  * Returns the fill color of the lollipop data point for the given pileup
  * of mutations.
@@ -1091,7 +1652,12 @@ MutationDiagram.prototype.getLollipopFillColor = function(options, pileup)
 	var color = options.lollipopFillColor;
 	var value;
 
-	if (_.isFunction(color))
+	// active color encoding overrides the mutation type colors
+	if (self.colorScale)
+	{
+		value = self.colorScale.valueOf(pileup);
+	}
+	else if (_.isFunction(color))
 	{
 		value = color(pileup);
 	}
@@ -1124,38 +1690,299 @@ MutationDiagram.prototype.getLollipopFillColor = function(options, pileup)
 };
 
 /**
- * Put labels over the lollipop data points. The number of labels to be displayed is defined
- * by options.lollipopLabelCount.
+ * Returns the composition of the given pileup: the mutation count and the
+ * color of each category. Categories are determined by the active color
+ * encoding, or by the main mutation type if there is no color encoding.
  *
- * @param labels        text group (svg element) for labels
- * @param pileups       array of mutations (pileups)
- * @param options       general options object
- * @param xScale        scale function for the x-axis
- * @param yScale        scale function for the y-axis
+ * @param pileup    a pileup instance
+ * @return {Array}  an array of {label, count, color}, sorted by count
  */
-MutationDiagram.prototype.drawLollipopLabels = function (labels, pileups, options, xScale, yScale)
+MutationDiagram.prototype.getLollipopComposition = function(pileup)
 {
 	var self = this;
+	var options = self.options;
 
-	// helper function to adjust text position to prevent overlapping with the y-axis
-	var getTextAnchor = function(text, textAnchor)
+	if (self.colorScale)
 	{
-		var anchor = textAnchor;
+		return _.map(self.colorScale.composition(pileup), function(entry) {
+			return {label: entry.label, count: entry.count, color: entry.value};
+		});
+	}
 
-		// adjust if necessary and (if it is set to auto only)
-		if (anchor.toLowerCase() == "auto")
-		{
-			// calculate distance of the label to the y-axis (assuming the anchor will be "middle")
-			var distance = text.attr("x") - (text.node().getComputedTextLength() / 2);
+	return _.map(PileupUtil.groupMutationsByMainType(pileup), function(group) {
+		return {label: group.type,
+			count: group.count,
+			color: self.getMainTypeColor(group.type) || self.getLollipopFillColor(options, pileup)};
+	});
+};
 
-			// adjust label to prevent overlapping with the y-axis
-			if (distance < options.marginLeft)
-			{
-				anchor = "start";
-			}
-			else
-			{
-				anchor = "middle";
+/**
+ * Returns the lollipop fill color of the given main mutation type.
+ * Colors can be determined only if they are defined per main type,
+ * and if there is no active color encoding.
+ *
+ * @param type      main mutation type
+ * @return {String|null} fill color, or null if not defined per type
+ */
+MutationDiagram.prototype.getMainTypeColor = function(type)
+{
+	var color = this.options.lollipopFillColor;
+
+	if (this.colorScale ||
+	    !_.isObject(color) ||
+	    _.isFunction(color))
+	{
+		return null;
+	}
+
+	return color[type] || color.default;
+};
+
+/**
+ * Draws the composition of the given pileup over its lollipop data point,
+ * either as a pie chart or as stacked segments. Nothing is drawn for
+ * the pileups with a single category. Composition elements do not receive
+ * mouse events, so the data point underneath is still interactive.
+ *
+ * @param points    group (svg element) to append the composition
+ * @param pileup    a pileup instance
+ * @param x         x-coordinate of the data point
+ * @param y         y-coordinate of the data point
+ * @param options   general options object
+ * @return {object} composition group as an svg element, or null if not drawn
+ */
+MutationDiagram.prototype.drawLollipopComposition = function(points, pileup, x, y, options)
+{
+	var self = this;
+	var composition = self.getLollipopComposition(pileup);
+
+	if (composition.length < 2)
+	{
+		return null;
+	}
+
+	// same area as a circle data point
+	var radius = Math.sqrt(options.lollipopSize / Math.PI);
+
+	var group = points.append("g")
+		.attr("class", "mut-dia-composition")
+		.attr("transform", "translate(" + x + "," + y + ")")
+		.style("pointer-events", "none")
+		.attr("opacity", 0);
+
+	if (options.lollipopComposition === "stacked")
+	{
+		var total = pileup.count;
+		var offset = radius;
+
+		// stack segments from bottom to top, most frequent category first
+		_.each(composition, function(entry) {
+			var height = 2 * radius * entry.count / total;
+			offset -= height;
+
+			group.append("rect")
+				.attr("x", -radius)
+				.attr("y", offset)
+				.attr("width", 2 * radius)
+				.attr("height", height)
+				.attr("fill", entry.color)
+				.attr("stroke", options.lollipopBorderColor)
+				.attr("stroke-width", options.lollipopBorderWidth);
+		});
+	}
+	else
+	{
+		var pie = d3.layout.pie()
+			.sort(null)
+			.value(function(entry) {
+				return entry.count;
+			});
+
+		var arc = d3.svg.arc()
+			.innerRadius(0)
+			.outerRadius(radius);
+
+		group.selectAll("path")
+			.data(pie(composition))
+			.enter()
+			.append("path")
+			.attr("d", arc)
+			.attr("fill", function(slice) {
+				return slice.data.color;
+			})
+			.attr("stroke", options.lollipopBorderColor)
+			.attr("stroke-width", options.lollipopBorderWidth);
+	}
+
+	// bind pileup data with the composition (required to reposition when zoomed)
+	group.datum(pileup);
+
+	self.fadeIn(group);
+
+	return group;
+};
+
+/**
+ * Updates the composition mode of the lollipop heads, and re-draws
+ * the plot area.
+ *
+ * @param mode  "pie", "stacked", or null to draw single colored lollipops
+ */
+MutationDiagram.prototype.updateComposition = function(mode)
+{
+	var self = this;
+
+	self.options.lollipopComposition = mode;
+	self.updatePlot();
+};
+
+/**
+ * Creates a scale for the given lollipop encoding.
+ *
+ * @param encoding  encoding name (a built-in or a custom encoding),
+ *                  or an encoding definition (see LollipopEncodingUtil)
+ * @param channel   visual channel: "color" or "shape"
+ * @return {Object|null} scale object, or null for the default encoding
+ */
+MutationDiagram.prototype.createEncodingScale = function(encoding, channel)
+{
+	var definition = LollipopEncodingUtil.resolveDefinition(encoding,
+		this.options.lollipopEncodings);
+
+	if (definition == null)
+	{
+		return null;
+	}
+
+	return LollipopEncodingUtil.createScale(definition, channel);
+};
+
+/**
+ * Updates the lollipop encoding for the given visual channel,
+ * and re-draws the plot area.
+ *
+ * @param channel   visual channel: "color" or "shape"
+ * @param encoding  encoding name, encoding definition, or null for the default
+ */
+MutationDiagram.prototype.updateEncoding = function(channel, encoding)
+{
+	var self = this;
+	var scale = self.createEncodingScale(encoding, channel);
+
+	if (channel === "shape")
+	{
+		self.options.lollipopShapeBy = encoding;
+		self.shapeScale = scale;
+	}
+	else
+	{
+		self.options.lollipopColorBy = encoding;
+		self.colorScale = scale;
+	}
+
+	self.updatePlot();
+
+	// trigger corresponding event
+	self.dispatcher.trigger(
+		MutationDetailsEvents.DIAGRAM_ENCODING_UPDATED,
+		channel, encoding);
+};
+
+/**
+ * Returns the available lollipop encodings: built-in encodings
+ * followed by the custom ones.
+ *
+ * @return {Array}  an array of {name, label} pairs
+ */
+MutationDiagram.prototype.getEncodingOptions = function()
+{
+	var definitions = _.extend({},
+		LollipopEncodingUtil.getPresets(),
+		this.options.lollipopEncodings);
+
+	return _.map(definitions, function(definition, name) {
+		return {name: name, label: definition.label || name};
+	});
+};
+
+/**
+ * Returns the legends of the active lollipop encodings, for the
+ * currently displayed pileups.
+ *
+ * @return {Array}  an array of {label, channel, entries: [{label, color, shape}]}
+ */
+MutationDiagram.prototype.getEncodingLegend = function()
+{
+	var self = this;
+	var pileups = self.getDisplayedPileups();
+	var legend = [];
+
+	_.each([self.colorScale, self.shapeScale], function(scale) {
+		if (scale == null)
+		{
+			return;
+		}
+
+		// composition displays all color categories of a pileup
+		var all = scale.channel === "color" && !!self.options.lollipopComposition;
+
+		var entries = _.map(scale.legend(pileups, all), function(entry) {
+			return {label: entry.label,
+				color: scale.channel === "color" ? entry.value : self.options.lollipopFontColor,
+				shape: scale.channel === "shape" ? entry.value : self.options.lollipopShapeRegular};
+		});
+
+		legend.push({label: scale.label,
+			channel: scale.channel,
+			entries: entries});
+	});
+
+	return legend;
+};
+
+/**
+ * Returns all pileups currently displayed on the diagram.
+ *
+ * @return {Array}  an array of Pileup instances
+ */
+MutationDiagram.prototype.getDisplayedPileups = function()
+{
+	return this.pileups;
+};
+
+/**
+ * Put labels over the lollipop data points. The number of labels to be displayed is defined
+ * by options.lollipopLabelCount.
+ *
+ * @param labels        text group (svg element) for labels
+ * @param pileups       array of mutations (pileups)
+ * @param options       general options object
+ * @param xScale        scale function for the x-axis
+ * @param yScale        scale function for the y-axis
+ */
+MutationDiagram.prototype.drawLollipopLabels = function (labels, pileups, options, xScale, yScale)
+{
+	var self = this;
+
+	// helper function to adjust text position to prevent overlapping with the y-axis
+	var getTextAnchor = function(text, textAnchor)
+	{
+		var anchor = textAnchor;
+
+		// adjust if necessary and (if it is set to auto only)
+		if (anchor.toLowerCase() == "auto")
+		{
+			// calculate distance of the label to the y-axis (assuming the anchor will be "middle")
+			var distance = text.attr("x") - (text.node().getComputedTextLength() / 2);
+
+			// adjust label to prevent overlapping with the y-axis
+			if (distance < options.marginLeft)
+			{
+				anchor = "start";
+			}
+			else
+			{
+				anchor = "middle";
 			}
 		}
 
@@ -1220,6 +2047,9 @@ MutationDiagram.prototype.drawLollipopLabels = function (labels, pileups, option
 			.text(pileups[i].label)
 			.attr("opacity", 0);
 
+		// bind pileup data with the label (required to reposition when zoomed)
+		text.datum(pileups[i]);
+
 		self.fadeIn(text);
 
 		// adjust anchor
@@ -1443,6 +2273,7 @@ MutationDiagram.prototype.updatePlot = function(mutationColl)
 	if (mutationColl)
 	{
 		pileupData = PileupUtil.convertToPileups(mutationColl, self.options.pileupConverter);
+		HotspotUtil.annotatePileups(pileupData, self.hotspots);
 		self.pileups = pileups = pileupData;
 		self.mutationPileupMap = PileupUtil.mapToMutations(pileups);
 	}
@@ -1468,6 +2299,15 @@ MutationDiagram.prototype.updatePlot = function(mutationColl)
 	              self.xScale,
 	              self.yScale);
 
+	// update mutation positions on the minimap
+	self.drawMinimapMarks();
+
+	// update active mutation types
+	if (self.gTypeLegend)
+	{
+		self.drawTypeLegend(self.gTypeLegend, self.options);
+	}
+
 	// also re-add listeners
 	//for (var selector in self.listeners)
 	_.each(_.keys(self.listeners), function(selector) {
@@ -1501,6 +2341,7 @@ MutationDiagram.prototype.cleanPlotArea = function()
 	var labels = self.gLabel.selectAll("text");
 	var lines = self.gLine.selectAll("line");
 	var dataPoints = self.gData.selectAll(".mut-dia-data-point");
+	var compositions = self.gData.selectAll(".mut-dia-composition");
 
 	// remove all plot elements (no animation)
 //	labels.remove();
@@ -1519,6 +2360,10 @@ MutationDiagram.prototype.cleanPlotArea = function()
 		$(element).remove();
 	});
 
+	self.fadeOut(compositions, function(element) {
+		$(element).remove();
+	});
+
 	// alternative animated version:
 	// fade out and then remove all
 //	labels.transition()
@@ -1561,85 +2406,1456 @@ MutationDiagram.prototype.resetPlot = function()
 };
 
 /**
- * Updates the text of the top label.
+ * Initializes the zoom components of the diagram: a brush on the x-axis
+ * to zoom into a selected range, a drag behavior on the plot background
+ * to pan the zoomed diagram, and a minimap of the full sequence.
  *
- * @param text  new text to set as the label value
+ * @param svg       svg container for the diagram
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param options   options object
  */
-MutationDiagram.prototype.updateTopLabel = function(text)
+MutationDiagram.prototype.initZoom = function(svg, bounds, options)
 {
 	var self = this;
 
-	// if no text value is passed used gene symbol to update the value
-	if (text == undefined || text == null)
-	{
-		text = "";
-	}
+	// clip path to hide the elements outside the visible range
+	// (height is set wrt the current layout, see updateZoomLayout)
+	var clipId = _.uniqueId("mut-dia-clip-");
 
-	self.topLabel.text(text);
+	svg.append("defs")
+		.append("clipPath")
+		.attr("id", clipId)
+		.append("rect")
+		.attr("x", bounds.x)
+		.attr("y", 0)
+		.attr("width", bounds.width)
+		.attr("class", "mut-dia-clip-rect");
+
+	self.clipPath = "url(#" + clipId + ")";
+
+	// brush on the x-axis
+	var brush = d3.svg.brush()
+		.x(self.xScale)
+		.on("brushend", function() {
+			// x-scale may be replaced after the brush is initialized
+			brush.x(self.xScale);
+
+			var empty = brush.empty();
+			var extent = brush.extent();
+
+			brush.clear();
+			gBrush.call(brush);
+
+			if (!empty)
+			{
+				self.zoomToRange(extent[0], extent[1]);
+			}
+		});
+
+	var gBrush = svg.append("g")
+		.attr("class", "mut-dia-x-axis-brush")
+		.call(brush);
+
+	// drag behavior on the background to pan
+	var drag = d3.behavior.drag()
+		.on("drag", function() {
+			if (self.isZoomed())
+			{
+				var domain = self.xScale.domain();
+				var delta = d3.event.dx * (domain[1] - domain[0]) / bounds.width;
+
+				self.zoomToRange(domain[0] - delta, domain[1] - delta);
+			}
+		});
+
+	svg.selectAll(".mut-dia-background, .mut-dia-cluster").call(drag);
+
+	// save a reference for the elements drawn later
+	self.panDrag = drag;
+
+	self.updateZoomLayout();
 };
 
 /**
- * Adds an event listener for specific diagram elements.
- *
- * @param selector  selector string for elements
- * @param event     name of the event
- * @param handler   event handler function
+ * Updates the clip path and the brush area wrt the current layout,
+ * and re-draws the minimap. Should be invoked whenever the vertical
+ * layout of the diagram changes (e.g. a track is added or removed).
  */
-MutationDiagram.prototype.addListener = function(selector, event, handler)
+MutationDiagram.prototype.updateZoomLayout = function()
 {
 	var self = this;
+	var svg = self.svg;
+	var options = self.options;
 
-	self.svg.selectAll(selector).on(event, handler);
+	// brush area starts halfway between the tracks (or the sequence) and the x-axis
+	var y = self.calcXAxisPosition(self.bounds, options) - options.xAxisPadding / 2;
 
-	// save the listener for future reference
-	if (self.listeners[selector] == null)
-	{
-		self.listeners[selector] = {};
-	}
+	svg.select(".mut-dia-clip-rect")
+		.attr("height", y);
 
-	self.listeners[selector][event] = handler;
+	self.formatBrush(svg.select(".mut-dia-x-axis-brush"),
+		y,
+		self.calcMinimapPosition(options) - y,
+		options);
 
+	svg.select(".mut-dia-minimap").remove();
+	self.drawMinimap(svg, options, self.bounds);
 };
 
 /**
- * Removes an event listener for specific diagram elements.
+ * Draws the minimap of the full sequence (including the regions and
+ * the mutation positions) just below the x-axis. The visible range
+ * of the diagram is displayed as a window on the minimap, which can be
+ * dragged to pan. Brushing a new range zooms into that range, and a
+ * click outside the window resets the zoom.
  *
- * @param selector  selector string for elements
- * @param event     name of the event
+ * @param svg       svg container for the diagram
+ * @param options   options object
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
  */
-MutationDiagram.prototype.removeListener = function(selector, event)
+MutationDiagram.prototype.drawMinimap = function(svg, options, bounds)
 {
 	var self = this;
 
-	self.svg.selectAll(selector).on(event, null);
+	// minimap always displays the full sequence
+	var scale = self.xScaleFn(bounds, self.xMax);
+	var y = self.calcMinimapPosition(options);
+	var height = options.minimapHeight;
 
-	// remove listener from the map
-	if (self.listeners[selector] &&
-	    self.listeners[selector][event])
-	{
-		delete self.listeners[selector][event];
-	}
+	var gMinimap = svg.append("g")
+		.attr("class", "mut-dia-minimap");
+
+	gMinimap.append("rect")
+		.attr("fill", options.seqFillColor)
+		.attr("x", bounds.x)
+		.attr("y", y)
+		.attr("width", bounds.width)
+		.attr("height", height)
+		.attr("class", "mut-dia-minimap-sequence");
+
+	_.each(self.data.sequence.regions, function(region) {
+		var start = region.metadata.start;
+		var end = region.metadata.end;
+
+		gMinimap.append("rect")
+			.attr("fill", region.colour)
+			.attr("x", scale(start))
+			.attr("y", y)
+			.attr("width", Math.abs(scale(end) - scale(start)))
+			.attr("height", height)
+			.attr("class", "mut-dia-minimap-region");
+	});
+
+	var gMarks = gMinimap.append("g")
+		.attr("class", "mut-dia-minimap-marks");
+
+	var brush = d3.svg.brush()
+		.x(scale)
+		.on("brush", function() {
+			// window is being dragged (or a new range is being selected)
+			if (!brush.empty())
+			{
+				var extent = brush.extent();
+				self.applyZoom(extent[0], extent[1], false);
+			}
+		})
+		.on("brushend", function() {
+			// a click outside the window resets the zoom
+			if (brush.empty())
+			{
+				self.resetZoom();
+			}
+			else
+			{
+				// adjust the window wrt the actual (possibly adjusted) range
+				self.updateMinimapWindow();
+			}
+		});
+
+	var gBrush = gMinimap.append("g")
+		.attr("class", "mut-dia-minimap-brush")
+		.call(brush);
+
+	self.formatBrush(gBrush, y, height, options);
+
+	self.minimap = {
+		scale: scale,
+		brush: brush,
+		gBrush: gBrush,
+		gMarks: gMarks,
+		y: y
+	};
+
+	self.drawMinimapMarks();
+	self.updateMinimapWindow();
 };
 
-MutationDiagram.prototype.addDefaultListeners = function()
+/**
+ * Calculates the y-coordinate of the minimap (below the x-axis).
+ *
+ * @param options   options object
+ * @return {Number} y-coordinate of the minimap
+ */
+MutationDiagram.prototype.calcMinimapPosition = function(options)
+{
+	return options.elHeight + this.calcTracksHeight(options);
+};
+
+/**
+ * Sets the vertical position and the style of the given brush group.
+ *
+ * @param gBrush    svg group of the brush
+ * @param y         y-coordinate of the brush area
+ * @param height    height of the brush area
+ * @param options   options object
+ */
+MutationDiagram.prototype.formatBrush = function(gBrush, y, height, options)
+{
+	gBrush.selectAll("rect")
+		.attr("y", y)
+		.attr("height", height);
+
+	gBrush.select(".extent")
+		.attr("fill", options.zoomBrushColor)
+		.attr("fill-opacity", options.zoomBrushOpacity)
+		.attr("stroke", options.zoomBrushColor)
+		.style("shape-rendering", "crispEdges");
+};
+
+/**
+ * Draws the marks for the current mutation positions on the minimap.
+ *
+ * @param pileups   [optional] pileups to mark (default: current pileups)
+ */
+MutationDiagram.prototype.drawMinimapMarks = function(pileups)
 {
 	var self = this;
 
-	// diagram background click
-	self.addListener(".mut-dia-background", "click", function(datum, index) {
-		// ignore the action (do not dispatch an event) if multi selection mode is on
-		if (!self.multiSelect)
-		{
-			// remove all diagram highlights
-			self.clearHighlights();
+	// minimap is not initialized (zoom disabled)
+	if (self.minimap == null)
+	{
+		return;
+	}
 
-			// trigger corresponding event
-			self.dispatcher.trigger(
-				MutationDetailsEvents.ALL_LOLLIPOPS_DESELECTED);
-		}
-	});
+	var options = self.options;
+	var scale = self.minimap.scale;
+	var gMarks = self.minimap.gMarks;
+	var y = self.minimap.y;
 
-	// lollipop circle click
+	gMarks.selectAll("line").remove();
+
+	_.each(pileups || self.pileups, function(pileup) {
+		var x = scale(pileup.location);
+
+		gMarks.append("line")
+			.attr("x1", x)
+			.attr("y1", y)
+			.attr("x2", x)
+			.attr("y2", y + options.minimapHeight)
+			.attr("stroke", options.minimapMarkColor)
+			.attr("stroke-width", 1)
+			.attr("class", "mut-dia-minimap-mark");
+	});
+};
+
+/**
+ * Updates the window on the minimap wrt the current zoom range.
+ */
+MutationDiagram.prototype.updateMinimapWindow = function()
+{
+	var self = this;
+
+	if (self.minimap == null)
+	{
+		return;
+	}
+
+	if (self.isZoomed())
+	{
+		self.minimap.brush.extent(self.getZoomDomain());
+	}
+	else
+	{
+		self.minimap.brush.clear();
+	}
+
+	self.minimap.gBrush.call(self.minimap.brush);
+};
+
+/**
+ * Zooms the diagram into the given range of the x-axis (protein positions).
+ * Lollipops, regions and axis ticks are re-rendered wrt the new scale.
+ * Range is adjusted if it is out of the sequence bounds, or if it is
+ * shorter than the min allowed range (see zoomMinRange option).
+ *
+ * @param start     start position of the range
+ * @param end       end position of the range
+ */
+MutationDiagram.prototype.zoomToRange = function(start, end)
+{
+	var self = this;
+
+	self.applyZoom(start, end, true);
+};
+
+/**
+ * Resets the zoom level, so that the full sequence is visible.
+ */
+MutationDiagram.prototype.resetZoom = function()
+{
+	var self = this;
+
+	self.applyZoom(0, self.xMax, true);
+};
+
+/**
+ * Applies the given zoom range and re-renders the diagram
+ * wrt the new scale.
+ *
+ * @param start         start position of the range
+ * @param end           end position of the range
+ * @param updateMinimap indicates whether to update the minimap window
+ */
+MutationDiagram.prototype.applyZoom = function(start, end, updateMinimap)
+{
+	var self = this;
+
+	self.zoomRange = self.calcZoomRange(start, end);
+	self.xScale.domain(self.getZoomDomain());
+
+	self.redrawZoomedElements();
+
+	if (updateMinimap)
+	{
+		self.updateMinimapWindow();
+	}
+
+	// trigger corresponding event
+	self.dispatcher.trigger(
+		MutationDetailsEvents.DIAGRAM_ZOOMED,
+		self.getZoomRange());
+};
+
+/**
+ * Adjusts the given range wrt the sequence bounds and the min allowed range.
+ *
+ * @param start     start position of the range
+ * @param end       end position of the range
+ * @return {object} adjusted range {start, end}, or null if the full sequence is covered
+ */
+MutationDiagram.prototype.calcZoomRange = function(start, end)
+{
+	var self = this;
+	var xMax = self.xMax;
+	var minRange = Math.min(self.options.zoomMinRange, xMax);
+
+	var lower = Math.min(start, end);
+	var upper = Math.max(start, end);
+
+	// expand the range around its center if it is too short
+	if (upper - lower < minRange)
+	{
+		var center = (lower + upper) / 2;
+		lower = center - minRange / 2;
+		upper = center + minRange / 2;
+	}
+
+	// shift the range back into the sequence bounds (keeping its length)
+	if (lower < 0)
+	{
+		upper -= lower;
+		lower = 0;
+	}
+
+	if (upper > xMax)
+	{
+		lower = Math.max(0, lower - (upper - xMax));
+		upper = xMax;
+	}
+
+	// full sequence, no need to zoom
+	if (lower <= 0 && upper >= xMax)
+	{
+		return null;
+	}
+
+	return {start: lower, end: upper};
+};
+
+/**
+ * Re-renders the lollipops, regions, tracks and the x-axis wrt the current x-scale.
+ */
+MutationDiagram.prototype.redrawZoomedElements = function()
+{
+	var self = this;
+	var options = self.options;
+	var xScale = self.xScale;
+
+	// hide the elements outside the visible range only when zoomed
+	var clipPath = self.isZoomed() ? self.clipPath : null;
+
+	_.each([self.gLabel, self.gLine, self.gData, self.gRegion, self.gClusters], function(group) {
+		group.attr("clip-path", clipPath);
+	});
+
+	// reposition lollipops (only the x-coordinate changes)
+	self.gData.selectAll(".mut-dia-data-point, .mut-dia-composition").attr("transform", function(datum) {
+		var y = d3.transform(d3.select(this).attr("transform")).translate[1];
+		return "translate(" + xScale(datum.location) + "," + y + ")";
+	});
+
+	self.gLine.selectAll(".mut-dia-data-line").each(function(datum) {
+		var x = xScale(datum.location);
+		d3.select(this).attr("x1", x).attr("x2", x);
+	});
+
+	self.gLabel.selectAll(".mut-dia-lollipop-text").each(function(datum) {
+		var text = d3.select(this);
+		var x = xScale(datum.location);
+		var y = text.attr("y");
+
+		text.attr("x", x)
+			.attr("transform", "rotate(" + options.lollipopTextAngle + ", " + x + "," + y +")");
+	});
+
+	// re-draw regions
+	self.gRegion.selectAll(".mut-dia-region").remove();
+
+	_.each(self.data.sequence.regions, function(region) {
+		self.drawRegion(self.gRegion, region, options, self.bounds, xScale);
+	});
+
+	// re-draw tracks & clusters
+	self.drawTracks(self.gTracks, options, self.bounds, xScale);
+	self.drawClusters(self.gClusters, options, self.bounds, xScale);
+
+	// re-draw x-axis (brush on the axis should still receive mouse events)
+	self.svg.select(".mut-dia-x-axis").remove();
+	self.drawXAxis(self.svg, xScale, self.xMax, options, self.bounds)
+		.style("pointer-events", "none");
+
+	// background is draggable only when zoomed
+	self.svg.selectAll(".mut-dia-background")
+		.style("cursor", self.isZoomed() ? "move" : null);
+};
+
+/**
+ * Returns the domain of the visible x-axis range.
+ *
+ * @return {Array}  [start, end] of the visible range
+ */
+MutationDiagram.prototype.getZoomDomain = function()
+{
+	var self = this;
+
+	if (self.zoomRange)
+	{
+		return [self.zoomRange.start, self.zoomRange.end];
+	}
+	else
+	{
+		return [0, self.xMax];
+	}
+};
+
+/**
+ * Returns the visible range of the x-axis.
+ *
+ * @return {object} visible range as {start, end}
+ */
+MutationDiagram.prototype.getZoomRange = function()
+{
+	var self = this;
+	var domain = self.getZoomDomain();
+
+	return {start: domain[0], end: domain[1]};
+};
+
+/**
+ * Checks whether the diagram is zoomed in.
+ *
+ * @return {boolean} true if only a part of the sequence is visible
+ */
+MutationDiagram.prototype.isZoomed = function()
+{
+	return this.zoomRange != null;
+};
+
+/**
+ * Initializes the tracks of the diagram: custom tracks provided with
+ * the "tracks" option, followed by the enabled built-in annotation tracks
+ * (see annotationTracks option). Tracks added before the initialization
+ * are kept at the end of the list.
+ *
+ * @param options   options object
+ */
+MutationDiagram.prototype.initTracks = function(options)
+{
+	var self = this;
+
+	var tracks = _.map(options.tracks.concat(self.createAnnotationTracks(options)),
+		function(track) {
+			return self.initTrack(track, options);
+		});
+
+	self.tracks = tracks.concat(self.tracks);
+};
+
+/**
+ * Creates the definitions of the enabled built-in annotation tracks.
+ * A track is skipped if the corresponding data proxy is not available.
+ *
+ * @param options   options object
+ * @return {Array}  track definitions
+ */
+MutationDiagram.prototype.createAnnotationTracks = function(options)
+{
+	var proxies = this.dataProxies || {};
+	var tracks = [];
+
+	if (options.annotationTracks.uniprotFeatures &&
+	    proxies.uniprotFeatureProxy)
+	{
+		tracks.push(TrackDataUtil.uniprotFeatureTrack(proxies.uniprotFeatureProxy));
+	}
+
+	if (options.annotationTracks.exons &&
+	    proxies.exonProxy)
+	{
+		tracks.push(TrackDataUtil.exonTrack(proxies.exonProxy));
+	}
+
+	if (options.annotationTracks.custom &&
+	    proxies.customTrackProxy)
+	{
+		tracks.push(TrackDataUtil.customTrack(proxies.customTrackProxy));
+	}
+
+	return tracks;
+};
+
+/**
+ * Initializes a track with the default values for the missing fields.
+ *
+ * A track definition is a JSON object:
+ * {id: [unique track id],
+ *  label: [track label, displayed on the left side of the track],
+ *  height: [track height],
+ *  color: [default color of the features],
+ *  features: [array of track features {start, end, label, type, description, color}],
+ *  dataFn: [function(params, callback) to retrieve the features,
+ *           params: {geneSymbol, uniprotId, uniprotAcc}],
+ *  tipFn: [function(element, feature, track) to add a tooltip to a feature],
+ *  legend: [array of {label, color} pairs, generated from the features by default]}
+ *
+ * @param track     track definition
+ * @param options   options object
+ * @return {object} initialized track
+ */
+MutationDiagram.prototype.initTrack = function(track, options)
+{
+	var defaults = {
+		id: _.uniqueId("mut-dia-track-"),
+		label: "",
+		height: options.trackHeight,
+		color: options.trackColor,
+		features: [],
+		dataFn: null,
+		tipFn: options.trackTipFn,
+		legend: null
+	};
+
+	return _.extend(defaults, track);
+};
+
+/**
+ * Adds a new track below the existing tracks. If a track with the same id
+ * already exists, it is replaced. If the track has a data function,
+ * its features are retrieved after adding the track.
+ *
+ * @param track     track definition (see initTrack)
+ * @return {object} initialized track
+ */
+MutationDiagram.prototype.addTrack = function(track)
+{
+	var self = this;
+
+	track = self.initTrack(track, self.options);
+
+	self.tracks = _.reject(self.tracks, function(existing) {
+		return existing.id === track.id;
+	});
+
+	self.tracks.push(track);
+
+	// diagram is already initialized
+	if (self.svg)
+	{
+		self.updateTrackLayout();
+		self.loadTrackData(track);
+	}
+
+	return track;
+};
+
+/**
+ * Removes the track with the given id.
+ *
+ * @param id        track id
+ * @return {boolean} true if the track is removed, false if there is no such track
+ */
+MutationDiagram.prototype.removeTrack = function(id)
+{
+	var self = this;
+	var count = self.tracks.length;
+
+	self.tracks = _.reject(self.tracks, function(track) {
+		return track.id === id;
+	});
+
+	if (self.tracks.length === count)
+	{
+		return false;
+	}
+
+	if (self.svg)
+	{
+		self.updateTrackLayout();
+	}
+
+	return true;
+};
+
+/**
+ * Replaces the features of the track with the given id, and re-draws the tracks.
+ *
+ * @param id        track id
+ * @param features  array of track features
+ */
+MutationDiagram.prototype.updateTrackFeatures = function(id, features)
+{
+	var self = this;
+	var track = self.getTrack(id);
+
+	// track may be removed before its data is retrieved
+	if (track == null)
+	{
+		return;
+	}
+
+	track.features = features || [];
+
+	if (self.svg)
+	{
+		self.drawTracks(self.gTracks, self.options, self.bounds, self.xScale);
+	}
+};
+
+/**
+ * Returns the track with the given id.
+ *
+ * @param id        track id
+ * @return {object} track, or undefined if there is no such track
+ */
+MutationDiagram.prototype.getTrack = function(id)
+{
+	return _.findWhere(this.tracks, {id: id});
+};
+
+/**
+ * Returns all tracks of the diagram (in the display order).
+ *
+ * @return {Array}  array of tracks
+ */
+MutationDiagram.prototype.getTracks = function()
+{
+	return this.tracks;
+};
+
+/**
+ * Retrieves the features of the given track by using its data function
+ * (if any), and updates the track when the data is retrieved.
+ *
+ * @param track     track definition
+ */
+MutationDiagram.prototype.loadTrackData = function(track)
+{
+	var self = this;
+
+	if (!_.isFunction(track.dataFn))
+	{
+		return;
+	}
+
+	var metadata = self.data.sequence.metadata || {};
+
+	var params = {
+		geneSymbol: self.geneSymbol,
+		uniprotId: metadata.identifier,
+		uniprotAcc: metadata.accession
+	};
+
+	track.dataFn(params, function(features) {
+		if (features != null)
+		{
+			self.updateTrackFeatures(track.id, features);
+		}
+	});
+};
+
+/**
+ * Returns the legend of the given track. If no legend is provided with
+ * the track definition, the legend is generated from the track features.
+ *
+ * @param track     track definition
+ * @return {Array}  legend entries [{label, color}]
+ */
+MutationDiagram.prototype.getTrackLegend = function(track)
+{
+	return track.legend || TrackDataUtil.createLegend(track.features, track.color);
+};
+
+/**
+ * Calculates the total height of the tracks (including the paddings).
+ *
+ * @param options   options object
+ * @return {Number} total height of the tracks
+ */
+MutationDiagram.prototype.calcTracksHeight = function(options)
+{
+	return _.reduce(this.tracks, function(memo, track) {
+		return memo + options.trackPadding + track.height;
+	}, 0);
+};
+
+/**
+ * Calculates the y-coordinate of the top of the track area.
+ *
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param options   options object
+ * @return {Number} y-coordinate of the track area
+ */
+MutationDiagram.prototype.calcTracksPosition = function(bounds, options)
+{
+	return bounds.y + options.seqPadding + options.regionHeight;
+};
+
+/**
+ * Draws all tracks below the sequence (removes the previously drawn ones).
+ *
+ * @param svg       target svg group to append the tracks
+ * @param options   options object
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param xScale    scale function for the x-axis
+ */
+MutationDiagram.prototype.drawTracks = function(svg, options, bounds, xScale)
+{
+	var self = this;
+	var y = self.calcTracksPosition(bounds, options);
+
+	svg.selectAll(".mut-dia-track").remove();
+
+	_.each(self.tracks, function(track) {
+		y += options.trackPadding;
+		self.drawTrack(svg, track, y, options, bounds, xScale);
+		y += track.height;
+	});
+};
+
+/**
+ * Draws a single track: a baseline, the track label on the left side,
+ * and the track features (ranges as rectangles, single positions as triangles).
+ *
+ * @param svg       target svg group to append the track
+ * @param track     track definition
+ * @param y         y-coordinate of the track
+ * @param options   options object
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param xScale    scale function for the x-axis
+ * @return {object} track (as an svg group element)
+ */
+MutationDiagram.prototype.drawTrack = function(svg, track, y, options, bounds, xScale)
+{
+	var self = this;
+	var center = y + track.height / 2;
+
+	var group = svg.append("g")
+		.attr("class", "mut-dia-track")
+		.attr("data-track-id", track.id);
+
+	group.append("line")
+		.attr("x1", bounds.x)
+		.attr("y1", center)
+		.attr("x2", bounds.x + bounds.width)
+		.attr("y2", center)
+		.attr("stroke", options.trackLineColor)
+		.attr("stroke-width", 1)
+		.attr("class", "mut-dia-track-line");
+
+	var label = group.append("text")
+		.style("font-size", options.trackLabelFontSize)
+		.style("font-family", options.trackLabelFont)
+		.text(track.label)
+		.attr("text-anchor", "end")
+		.attr("fill", options.trackLabelFontColor)
+		.attr("x", bounds.x - options.yAxisPadding)
+		.attr("y", center)
+		.attr("dy", ".35em")
+		.attr("class", "mut-dia-track-label");
+
+	self.addTrackLegend(label, track);
+
+	// only the features are hidden outside the visible range
+	var gFeatures = group.append("g")
+		.attr("class", "mut-dia-track-features")
+		.attr("clip-path", self.isZoomed() ? self.clipPath : null);
+
+	_.each(track.features, function(feature) {
+		var element = self.drawTrackFeature(gFeatures, feature, track, y, xScale);
+
+		if (_.isFunction(track.tipFn))
+		{
+			track.tipFn(element, feature, track);
+		}
+	});
+
+	return group;
+};
+
+/**
+ * Draws a single track feature.
+ *
+ * @param svg       target svg group to append the feature
+ * @param feature   track feature
+ * @param track     track definition
+ * @param y         y-coordinate of the track
+ * @param xScale    scale function for the x-axis
+ * @return {object} feature (svg element)
+ */
+MutationDiagram.prototype.drawTrackFeature = function(svg, feature, track, y, xScale)
+{
+	var color = feature.color || track.color;
+	var start = xScale(feature.start);
+
+	// range feature
+	if (feature.end > feature.start)
+	{
+		return svg.append("rect")
+			.attr("fill", color)
+			.attr("x", start)
+			.attr("y", y)
+			.attr("width", Math.max(xScale(feature.end) - start, 1))
+			.attr("height", track.height)
+			.attr("class", "mut-dia-track-feature");
+	}
+
+	// single position feature
+	return svg.append("path")
+		.attr("d", d3.svg.symbol()
+			.type("triangle-down")
+			.size(track.height * track.height / 2))
+		.attr("fill", color)
+		.attr("transform", "translate(" + start + "," + (y + track.height / 2) + ")")
+		.attr("class", "mut-dia-track-feature");
+};
+
+/**
+ * Adds a legend tooltip to the given track label.
+ *
+ * @param label     track label (svg element)
+ * @param track     track definition
+ */
+MutationDiagram.prototype.addTrackLegend = function(label, track)
+{
+	var legend = this.getTrackLegend(track);
+
+	if (_.isEmpty(legend))
+	{
+		return;
+	}
+
+	var legendView = new TrackLegendView({model: {
+		trackLabel: track.label,
+		legend: legend
+	}});
+
+	var options = {content: {text: legendView.compileTemplate()},
+		hide: {fixed: true, delay: 100, event: 'mouseout'},
+		show: {event: 'mouseover'},
+		style: {classes: 'qtip-light qtip-rounded qtip-shadow'},
+		position: {my:'bottom left', at:'top center',viewport: $(window)}};
+
+	cbio.util.addTargetedQTip(label, options);
+};
+
+/**
+ * Updates the vertical layout of the diagram after adding or removing
+ * a track: svg height, x-axis position, and the zoom components.
+ */
+MutationDiagram.prototype.updateTrackLayout = function()
+{
+	var self = this;
+
+	self.svg.attr("height", self.calcSvgHeight(self.options));
+
+	if (self.options.zoomEnabled)
+	{
+		self.updateZoomLayout();
+	}
+
+	// re-draws the tracks and the x-axis as well
+	self.redrawZoomedElements();
+};
+
+/**
+ * Returns all the clusters displayed on the diagram: linear clusters
+ * of the initial data and the spatial clusters (if enabled).
+ *
+ * @return {Array}  an array of clusters (see ClusterUtil)
+ */
+MutationDiagram.prototype.getClusters = function()
+{
+	var self = this;
+	var clusters = self.clusters || [];
+
+	if (self.options.clusterSpatial)
+	{
+		clusters = clusters.concat(self.spatialClusters);
+	}
+
+	return clusters;
+};
+
+/**
+ * Replaces the spatial clusters with the given ones, and re-draws
+ * the cluster shades. Spatial clusters are determined wrt a 3D structure
+ * (see Mutation3dVis.findClusters), so they should be updated each time
+ * a new structure is loaded.
+ *
+ * @param clusters  an array of spatial clusters (see ClusterUtil)
+ */
+MutationDiagram.prototype.updateSpatialClusters = function(clusters)
+{
+	var self = this;
+
+	self.spatialClusters = clusters || [];
+
+	if (self.gClusters)
+	{
+		self.drawClusters(self.gClusters, self.options, self.bounds, self.xScale);
+	}
+};
+
+/**
+ * Draws the cluster shades on the plot area: a single window for a linear
+ * cluster, and a separate shade for each position of a spatial cluster.
+ * Previously drawn shades are removed.
+ *
+ * @param svg       target svg group to append the cluster shades
+ * @param options   options object
+ * @param bounds    bounds of the plot area {width, height, x, y}
+ *                  x, y is the actual position of the origin
+ * @param xScale    scale function for the x-axis
+ */
+MutationDiagram.prototype.drawClusters = function(svg, options, bounds, xScale)
+{
+	var self = this;
+
+	svg.selectAll(".mut-dia-cluster").remove();
+
+	_.each(self.getClusters(), function(cluster) {
+		var segments = [[cluster.start, cluster.end]];
+		var color = options.clusterColor;
+
+		if (cluster.type === "spatial")
+		{
+			segments = _.map(cluster.positions, function(position) {
+				return [position, position];
+			});
+
+			color = options.clusterSpatialColor;
+		}
+
+		_.each(segments, function(segment) {
+			var x = xScale(segment[0]);
+			var width = xScale(segment[1]) - x;
+
+			// keep the shade visible for short segments
+			if (width < options.clusterMinWidth)
+			{
+				x -= (options.clusterMinWidth - width) / 2;
+				width = options.clusterMinWidth;
+			}
+
+			var rect = svg.append("rect")
+				.datum(cluster)
+				.attr("fill", color)
+				.attr("opacity", options.clusterOpacity)
+				.attr("x", x)
+				.attr("y", bounds.y - bounds.height)
+				.attr("width", width)
+				.attr("height", bounds.height)
+				.attr("data-cluster-id", cluster.id)
+				.attr("class", "mut-dia-cluster");
+
+			if (_.isFunction(options.clusterTipFn))
+			{
+				options.clusterTipFn(rect, cluster);
+			}
+		});
+	});
+
+	var shades = svg.selectAll(".mut-dia-cluster");
+
+	// shades cover the background, so they should also be draggable
+	if (self.panDrag)
+	{
+		shades.call(self.panDrag);
+	}
+
+	// re-add the listeners for the new elements
+	_.each(self.listeners[".mut-dia-cluster"], function(handler, event) {
+		shades.on(event, handler);
+	});
+};
+
+/**
+ * Exports the current state of the diagram as a standalone document:
+ * all styles are inlined, interactive components (zoom brush & minimap)
+ * are excluded, and a title and legends are added. The exported content
+ * (a string for svg, a Blob for png & pdf) is passed to the given callback.
+ *
+ * @param options   [optional] export options (see exportOpts)
+ * @param callback  [optional] function to be invoked with an error (or null)
+ *                  and the exported content
+ */
+MutationDiagram.prototype.exportDiagram = function(options, callback)
+{
+	var self = this;
+	var contentTypes = {svg: "application/svg+xml", png: "image/png", pdf: "application/pdf"};
+
+	options = jQuery.extend(true, {}, self.options.exportOpts, options);
+
+	var svg = self.createExportSvg(options);
+	var filename = options.filename ||
+		"mutation_diagram_" + self.geneSymbol + "." + options.format;
+
+	var convertOpts = {format: options.format,
+		width: parseFloat(svg.getAttribute("width")),
+		height: parseFloat(svg.getAttribute("height")),
+		dpi: options.dpi,
+		title: self.getExportTitle(options),
+		subject: self.getExportDescription()};
+
+	SvgExportUtil.convert(svg, convertOpts, function(error, content) {
+		if (error)
+		{
+			console.log("[MutationDiagram.exportDiagram] " + error.message);
+		}
+		else if (options.download)
+		{
+			cbio.download.clientSideDownload([content], filename, contentTypes[options.format]);
+		}
+
+		if (_.isFunction(callback))
+		{
+			callback(error, content);
+		}
+	});
+};
+
+/**
+ * Creates a standalone (detached) copy of the diagram svg for the export.
+ *
+ * @param options   export options (see exportOpts)
+ * @return {object} svg element
+ */
+MutationDiagram.prototype.createExportSvg = function(options)
+{
+	var self = this;
+	var source = self.svg.node();
+	var svg = source.cloneNode(true);
+
+	// styles should be copied before altering the structure
+	SvgExportUtil.inlineStyles(source, svg);
+
+	// text lengths of the legends can only be measured within the document,
+	// so the copy is attached to an invisible container until it is complete
+	var container = document.createElement("div");
+	container.style.position = "absolute";
+	container.style.left = "-10000px";
+	container.style.top = "0";
+	container.style.visibility = "hidden";
+	container.appendChild(svg);
+	document.body.appendChild(container);
+
+	try {
+		var exported = d3.select(svg);
+		var width = self.options.elWidth;
+		var height = self.calcSvgHeight(self.options);
+
+		// interactive components are not needed in a static document
+		exported.selectAll(".mut-dia-x-axis-brush, .mut-dia-minimap").remove();
+
+		if (self.options.zoomEnabled)
+		{
+			height -= self.options.minimapHeight + self.options.minimapPadding;
+		}
+
+		var title = self.getExportTitle(options);
+		var titleHeight = 0;
+
+		if (title)
+		{
+			titleHeight = parseInt(options.titleFontSize) + options.padding * 2;
+		}
+
+		// move the diagram contents below the title
+		var content = exported.append("g")
+			.attr("class", "mut-dia-export-content")
+			.attr("transform", "translate(0," + titleHeight + ")");
+
+		_.each(_.toArray(svg.childNodes), function(child) {
+			if (child !== content.node() &&
+			    child.tagName !== "defs")
+			{
+				content.node().appendChild(child);
+			}
+		});
+
+		if (title)
+		{
+			exported.append("text")
+				.attr("x", self.options.marginLeft)
+				.attr("y", options.padding)
+				.attr("dy", "1em")
+				.attr("font-family", options.font)
+				.attr("font-size", options.titleFontSize)
+				.attr("font-weight", "bold")
+				.attr("fill", options.fontColor)
+				.attr("class", "mut-dia-export-title")
+				.text(title);
+		}
+
+		var legendHeight = 0;
+
+		if (options.legend)
+		{
+			legendHeight = self.drawExportLegend(exported,
+				self.getLegendData(options),
+				titleHeight + height,
+				width,
+				options);
+		}
+
+		height += titleHeight + legendHeight;
+
+		// document metadata
+		var desc = svg.insertBefore(
+			document.createElementNS("http://www.w3.org/2000/svg", "desc"), svg.firstChild);
+		desc.textContent = self.getExportDescription();
+
+		var titleElement = svg.insertBefore(
+			document.createElementNS("http://www.w3.org/2000/svg", "title"), svg.firstChild);
+		titleElement.textContent = title || self.geneSymbol;
+
+		// scale the output wrt the desired width
+		var scale = (options.width || width) / width;
+
+		exported.attr("width", width * scale)
+			.attr("height", height * scale)
+			.attr("viewBox", "0 0 " + width + " " + height);
+	} finally {
+		container.removeChild(svg);
+		document.body.removeChild(container);
+	}
+
+	return svg;
+};
+
+/**
+ * Returns the title of the exported diagram.
+ *
+ * @param options   export options (see exportOpts)
+ * @return {string|boolean} title, or false if no title
+ */
+MutationDiagram.prototype.getExportTitle = function(options)
+{
+	if (options.title === false)
+	{
+		return false;
+	}
+
+	return options.title || this.geneSymbol;
+};
+
+/**
+ * Returns a short description of the exported diagram.
+ *
+ * @return {string} description of the diagram
+ */
+MutationDiagram.prototype.getExportDescription = function()
+{
+	var self = this;
+	var count = _.reduce(self.pileups, function(memo, pileup) {
+		return memo + pileup.count;
+	}, 0);
+
+	var description = "Mutation diagram of " + self.geneSymbol;
+	var metadata = self.data.sequence.metadata;
+
+	if (metadata && metadata.identifier)
+	{
+		description += " (" + metadata.identifier + ")";
+	}
+
+	return description + ", " + count + " mutations";
+};
+
+/**
+ * Collects the legend entries of the current diagram: the main mutation
+ * types of the displayed lollipops, the active lollipop encodings, and
+ * the domains on the sequence. Mutation types are omitted when the
+ * lollipops are colored by another encoding.
+ *
+ * @param options   export options (see exportOpts)
+ * @return {Object} {mutationTypes: [{label, color}], domains: [{label, color}],
+ *                   encodings: (see getEncodingLegend)}
+ */
+MutationDiagram.prototype.getLegendData = function(options)
+{
+	var self = this;
+	var pileups = self.colorScale ? [] : self.getDisplayedPileups();
+
+	var mutationTypes;
+
+	// composition displays all mutation types of a pileup
+	if (self.options.lollipopComposition)
+	{
+		mutationTypes = _.flatten(_.map(pileups, function(pileup) {
+			return _.map(self.getLollipopComposition(pileup), function(entry) {
+				return {label: options.mutationTypeLabels[entry.label] || entry.label,
+					color: entry.color};
+			});
+		}), true);
+	}
+	else
+	{
+		mutationTypes = _.map(pileups, function(pileup) {
+			var mainType = _.first(PileupUtil.groupMutationsByMainType(pileup));
+			var type = mainType ? mainType.type : "other";
+
+			return {label: options.mutationTypeLabels[type] || type,
+				color: self.getLollipopFillColor(self.options, pileup)};
+		});
+	}
+
+	var domains = _.map(self.data.sequence.regions, function(region) {
+		return {label: region.text || region.metadata.identifier,
+			color: region.colour};
+	});
+
+	var uniqueFn = function(entry) {
+		return entry.label + entry.color;
+	};
+
+	return {mutationTypes: _.uniq(mutationTypes, false, uniqueFn),
+		encodings: self.getEncodingLegend(),
+		domains: _.uniq(domains, false, uniqueFn)};
+};
+
+/**
+ * Draws the legends of the exported diagram, one row for the mutation
+ * types (circles), one row for each active lollipop encoding (lollipop
+ * symbols), and one row for the domains (rectangles). Long rows are
+ * wrapped to fit into the given width.
+ *
+ * @param svg       target svg to append the legends
+ * @param legend    legend entries (see getLegendData)
+ * @param y         y-coordinate of the legends
+ * @param width     available width
+ * @param options   export options (see exportOpts)
+ * @return {Number} total height of the legends
+ */
+MutationDiagram.prototype.drawExportLegend = function(svg, legend, y, width, options)
+{
+	var self = this;
+	var fontSize = parseInt(options.legendFontSize);
+	var swatch = options.legendSwatchSize;
+	var lineHeight = Math.max(fontSize, swatch) + options.padding / 2;
+	var startX = self.options.marginLeft;
+	var maxX = width - self.options.marginRight;
+	var top = y;
+
+	var group = svg.append("g").attr("class", "mut-dia-export-legend");
+
+	var addText = function(text, x, y, weight) {
+		return group.append("text")
+			.attr("x", x)
+			.attr("y", y)
+			.attr("dy", ".35em")
+			.attr("font-family", options.font)
+			.attr("font-size", options.legendFontSize)
+			.attr("font-weight", weight || "normal")
+			.attr("fill", options.fontColor)
+			.text(text);
+	};
+
+	var drawRow = function(title, entries, shape) {
+		if (_.isEmpty(entries))
+		{
+			return;
+		}
+
+		y += lineHeight;
+
+		var heading = addText(title, startX, y, "bold");
+		var x = startX + heading.node().getComputedTextLength() + options.padding;
+
+		_.each(entries, function(entry) {
+			var label = addText(entry.label, 0, y);
+			var entryWidth = swatch + 4 + label.node().getComputedTextLength();
+
+			// wrap to the next line
+			if (x + entryWidth > maxX && x > startX)
+			{
+				y += lineHeight;
+				x = startX;
+			}
+
+			if (shape === "symbol")
+			{
+				group.append("path")
+					.attr("d", d3.svg.symbol()
+						.size(swatch * swatch * 0.6)
+						.type(entry.shape))
+					.attr("transform", "translate(" + (x + swatch / 2) + "," + y + ")")
+					.attr("fill", entry.color);
+			}
+			else if (shape === "circle")
+			{
+				group.append("circle")
+					.attr("cx", x + swatch / 2)
+					.attr("cy", y)
+					.attr("r", swatch / 2)
+					.attr("fill", entry.color);
+			}
+			else
+			{
+				group.append("rect")
+					.attr("x", x)
+					.attr("y", y - swatch / 2)
+					.attr("width", swatch)
+					.attr("height", swatch)
+					.attr("fill", entry.color);
+			}
+
+			label.attr("x", x + swatch + 4);
+			x += entryWidth + options.padding;
+		});
+	};
+
+	drawRow("Mutation types:", legend.mutationTypes, "circle");
+
+	_.each(legend.encodings, function(encoding) {
+		drawRow(encoding.label + ":", encoding.entries, "symbol");
+	});
+
+	drawRow("Domains:", legend.domains, "rect");
+
+	if (y === top)
+	{
+		return 0;
+	}
+
+	return y - top + lineHeight;
+};
+
+/**
+ * Updates the text of the top label.
+ *
+ * @param text  new text to set as the label value
+ */
+MutationDiagram.prototype.updateTopLabel = function(text)
+{
+	var self = this;
+
+	// if no text value is passed used gene symbol to update the value
+	if (text == undefined || text == null)
+	{
+		text = "";
+	}
+
+	self.topLabel.text(text);
+};
+
+/**
+ * Adds an event listener for specific diagram elements.
+ *
+ * @param selector  selector string for elements
+ * @param event     name of the event
+ * @param handler   event handler function
+ */
+MutationDiagram.prototype.addListener = function(selector, event, handler)
+{
+	var self = this;
+
+	self.svg.selectAll(selector).on(event, handler);
+
+	// save the listener for future reference
+	if (self.listeners[selector] == null)
+	{
+		self.listeners[selector] = {};
+	}
+
+	self.listeners[selector][event] = handler;
+
+};
+
+/**
+ * Removes an event listener for specific diagram elements.
+ *
+ * @param selector  selector string for elements
+ * @param event     name of the event
+ */
+MutationDiagram.prototype.removeListener = function(selector, event)
+{
+	var self = this;
+
+	self.svg.selectAll(selector).on(event, null);
+
+	// remove listener from the map
+	if (self.listeners[selector] &&
+	    self.listeners[selector][event])
+	{
+		delete self.listeners[selector][event];
+	}
+};
+
+MutationDiagram.prototype.addDefaultListeners = function()
+{
+	var self = this;
+
+	// diagram background click
+	self.addListener(".mut-dia-background", "click", function(datum, index) {
+		// ignore the action (do not dispatch an event) if multi selection mode is on
+		if (!self.multiSelect)
+		{
+			// remove all diagram highlights
+			self.clearHighlights();
+
+			// trigger corresponding event
+			self.dispatcher.trigger(
+				MutationDetailsEvents.ALL_LOLLIPOPS_DESELECTED);
+		}
+	});
+
+	// lollipop circle click
 	self.addListener(".mut-dia-data-point", "click", function(datum, index) {
 		if (self.multiSelect)
 		{
@@ -1657,6 +3873,14 @@ MutationDiagram.prototype.addDefaultListeners = function()
 		}
 	});
 
+	// cluster shade click
+	self.addListener(".mut-dia-cluster", "click", function(datum, index) {
+		// trigger corresponding event
+		self.dispatcher.trigger(
+			MutationDetailsEvents.DIAGRAM_CLUSTER_SELECTED,
+			datum, self.multiSelect);
+	});
+
 	// lollipop circle mouse out
 	self.addListener(".mut-dia-data-point", "mouseout", function(datum, index) {
 		// trigger corresponding event
@@ -1685,6 +3909,7 @@ MutationDiagram.prototype.addDefaultListeners = function()
 	};
 
 	self.addListener(".mut-dia-data-point", "mousedown", preventSelection);
+	self.addListener(".mut-dia-cluster", "mousedown", preventSelection);
 	self.addListener(".mut-dia-background", "mousedown", preventSelection);
 
 	// TODO listen to the key events only on the diagram (if possible)
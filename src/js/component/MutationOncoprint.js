@@ -0,0 +1,416 @@
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+var MutationViewsUtil = require("../util/MutationViewsUtil");
+
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+var Backbone = require("backbone");
+var d3 = require("d3");
+
+/**
+ * Constructor for the MutationOncoprint class: an oncoprint-like matrix
+ * of the queried genes (rows) and samples (columns). Each mutated cell
+ * displays a glyph colored by the main type of its highest priority mutation.
+ *
+ * Clicking a sample column selects the sample (shift + click adds the sample
+ * to the current selection), and triggers the ONCOPRINT_SAMPLES_SELECTED event.
+ *
+ * @param options   visual options object
+ * @param data      {genes: [list of hugo gene symbols],
+ *                   samples: [list of case ids, unmutated samples included],
+ *                   mutations: [list of Mutation models for all genes]}
+ * @constructor
+ */
+function MutationOncoprint(options, data)
+{
+	/**
+	 * Default visual options.
+	 */
+	var _defaultOpts = {
+		el: "#mutation_oncoprint_d3", // id of the container
+		marginLeft: 5,      // left margin
+		marginRight: 5,     // right margin
+		marginTop: 5,       // top margin
+		marginBottom: 5,    // bottom margin
+		labelWidth: 80,     // width of the gene label area
+		cellWidth: 6,       // width of a single sample cell
+		cellHeight: 18,     // height of a single sample cell
+		cellPadding: 1,     // horizontal padding between the cells
+		rowPadding: 4,      // vertical padding between the gene rows
+		glyphHeight: 6,     // height of the mutation glyph (centered within the cell)
+		sortGenes: true,    // sort genes by the number of mutated samples
+		sortSamples: true,  // sort samples by the mutated genes (in gene order)
+		showUnmutated: true, // show samples without any mutation
+		labelFont: "sans-serif",    // font type of the gene labels
+		labelFontColor: "#2E3436",  // font color of the gene labels
+		labelFontSize: "11px",      // font size of the gene labels
+		cellColor: "#D3D3D3",       // background color of the cells
+		selectionColor: "#FF9900",  // border color of the selected sample columns
+		highlightColor: "#1974B8",  // border color of the cells with selected mutations
+		typeColors: MutationViewsUtil.getMainTypeColors() // colors of the main mutation types
+	};
+
+	// custom event dispatcher
+	var _dispatcher = {};
+	_.extend(_dispatcher, Backbone.Events);
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// reference to the main svg element
+	var _svg = null;
+
+	// matrix data: genes & samples in display order,
+	// and the mutations of each cell as <gene, <sample, mutations>> pairs
+	var _genes = [];
+	var _samples = [];
+	var _cells = {};
+
+	// list of selected samples
+	var _selected = [];
+
+	// map of highlighted mutations: <mutation id, true> pairs
+	var _highlighted = {};
+
+	// case ids are not case sensitive (see MutationOncoprintController),
+	// each sample is displayed with the first spelling of its id:
+	// <lower case id, displayed id> pairs
+	var _sampleIds = {};
+
+	function sampleId(caseId)
+	{
+		if (caseId == null)
+		{
+			return null;
+		}
+
+		var key = caseId.toLowerCase();
+		_sampleIds[key] = _sampleIds[key] || caseId;
+
+		return _sampleIds[key];
+	}
+
+	function sampleOf(mutation)
+	{
+		return sampleId(mutation.get("caseId"));
+	}
+
+	/**
+	 * Builds the matrix of cells, and determines the display order
+	 * of the genes and samples.
+	 */
+	function processData()
+	{
+		var geneMap = {};
+
+		_.each(data.genes, function(gene) {
+			geneMap[gene.toUpperCase()] = gene;
+			_cells[gene] = {};
+		});
+
+		_.each(data.mutations, function(mutation) {
+			var gene = geneMap[(mutation.get("geneSymbol") || "").toUpperCase()];
+			var sample = sampleOf(mutation);
+
+			if (gene != null && sample != null)
+			{
+				_cells[gene][sample] = _cells[gene][sample] || [];
+				_cells[gene][sample].push(mutation);
+			}
+		});
+
+		var mutatedSamples = _.uniq(_.flatten(_.map(_cells, _.keys)));
+
+		_genes = data.genes.slice();
+		_samples = _options.showUnmutated ?
+			_.union(mutatedSamples, _.map(data.samples || [], sampleId)) :
+			mutatedSamples;
+
+		if (_options.sortGenes)
+		{
+			// genes with the same number of mutated samples keep their input order
+			_genes = _.sortBy(_genes, function(gene) {
+				return -_.size(_cells[gene]);
+			});
+		}
+
+		if (_options.sortSamples)
+		{
+			// samples mutated in the first gene come first, then the ones
+			// mutated in the second gene, and so on (ties by the sample id)
+			_samples.sort(function(a, b) {
+				for (var i = 0; i < _genes.length; i++)
+				{
+					var mutatedA = _cells[_genes[i]][a] != null;
+					var mutatedB = _cells[_genes[i]][b] != null;
+
+					if (mutatedA !== mutatedB)
+					{
+						return mutatedA ? -1 : 1;
+					}
+				}
+
+				return a < b ? -1 : (a > b ? 1 : 0);
+			});
+		}
+	}
+
+	/**
+	 * Initializes the oncoprint and draws the matrix.
+	 */
+	function init()
+	{
+		processData();
+
+		var columnWidth = _options.cellWidth + _options.cellPadding;
+		var rowHeight = _options.cellHeight + _options.rowPadding;
+
+		var width = _options.marginLeft + _options.labelWidth +
+			_samples.length * columnWidth + _options.marginRight;
+		var height = _options.marginTop +
+			_genes.length * rowHeight + _options.marginBottom;
+
+		var container = d3.select($(_options.el)[0]);
+
+		container.selectAll("svg").remove();
+
+		_svg = container.append("svg")
+			.attr("class", "mut-onco-svg")
+			.attr("width", width)
+			.attr("height", height);
+
+		drawGeneLabels(_svg, rowHeight);
+		drawSampleColumns(_svg, columnWidth, rowHeight);
+	}
+
+	function drawGeneLabels(svg, rowHeight)
+	{
+		var total = _samples.length;
+
+		svg.append("g")
+			.attr("class", "mut-onco-gene-labels")
+			.selectAll("text")
+			.data(_genes)
+			.enter().append("text")
+			.attr("class", "mut-onco-gene-label")
+			.attr("x", _options.marginLeft)
+			.attr("y", function(gene, idx) {
+				return _options.marginTop + idx * rowHeight + _options.cellHeight / 2;
+			})
+			.attr("dy", ".35em")
+			.attr("fill", _options.labelFontColor)
+			.style("font-family", _options.labelFont)
+			.style("font-size", _options.labelFontSize)
+			.text(function(gene) {
+				var percent = total > 0 ? Math.round(_.size(_cells[gene]) / total * 100) : 0;
+				return gene + " " + percent + "%";
+			});
+	}
+
+	function drawSampleColumns(svg, columnWidth, rowHeight)
+	{
+		var glyphY = (_options.cellHeight - _options.glyphHeight) / 2;
+
+		var columns = svg.append("g")
+			.attr("class", "mut-onco-samples")
+			.attr("transform", "translate(" +
+				(_options.marginLeft + _options.labelWidth) + "," + _options.marginTop + ")")
+			.selectAll("g")
+			.data(_samples)
+			.enter().append("g")
+			.attr("class", "mut-onco-sample")
+			.attr("data-sample", function(sample) {return sample;})
+			.attr("transform", function(sample, idx) {
+				return "translate(" + (idx * columnWidth) + ",0)";
+			})
+			.style("cursor", "pointer")
+			.on("click", function(sample) {
+				sampleClickHandler(sample, d3.event && d3.event.shiftKey);
+			});
+
+		columns.each(function(sample) {
+			var column = d3.select(this);
+
+			_.each(_genes, function(gene, idx) {
+				var mutations = _cells[gene][sample];
+				var cell = column.append("g")
+					.attr("class", "mut-onco-cell")
+					.attr("data-gene", gene)
+					.attr("transform", "translate(0," + (idx * rowHeight) + ")");
+
+				cell.append("rect")
+					.attr("class", "mut-onco-cell-background")
+					.attr("width", _options.cellWidth)
+					.attr("height", _options.cellHeight)
+					.attr("fill", _options.cellColor);
+
+				if (mutations)
+				{
+					// the mutation with the highest priority determines the color
+					var style = _.min(_.map(mutations, MutationViewsUtil.getMutationTypeStyle), "priority");
+
+					cell.append("rect")
+						.attr("class", "mut-onco-glyph")
+						.attr("y", glyphY)
+						.attr("width", _options.cellWidth)
+						.attr("height", _options.glyphHeight)
+						.attr("fill", _options.typeColors[style.mainType] || _options.typeColors.other)
+						.attr("stroke-width", 1);
+				}
+
+				cell.append("title")
+					.text(sample + ", " + gene + ": " + (mutations ?
+						_.map(mutations, function(mutation) {
+							return mutation.get("proteinChange") || mutation.get("mutationType");
+						}).join(", ") :
+						"not mutated"));
+			});
+
+			// selection border (updated by updateSelection)
+			column.append("rect")
+				.attr("class", "mut-onco-selection")
+				.attr("x", -0.5)
+				.attr("y", -0.5)
+				.attr("width", _options.cellWidth + 1)
+				.attr("height", _genes.length * rowHeight - _options.rowPadding + 1)
+				.attr("fill", "none")
+				.attr("stroke", _options.selectionColor)
+				.attr("stroke-width", 1)
+				.attr("opacity", 0)
+				.style("pointer-events", "none");
+		});
+
+		updateSelection();
+		updateHighlights();
+	}
+
+	function sampleClickHandler(sample, multi)
+	{
+		var selected = _.contains(_selected, sample);
+
+		if (multi)
+		{
+			_selected = selected ?
+				_.without(_selected, sample) :
+				_selected.concat([sample]);
+		}
+		// single selection: select only the given sample, or deselect
+		// if it is the only selected sample
+		else
+		{
+			_selected = (selected && _selected.length === 1) ? [] : [sample];
+		}
+
+		updateSelection();
+
+		_dispatcher.trigger(
+			MutationDetailsEvents.ONCOPRINT_SAMPLES_SELECTED,
+			_selected.slice());
+	}
+
+	function updateSelection()
+	{
+		if (_svg)
+		{
+			_svg.selectAll(".mut-onco-sample").each(function(sample) {
+				d3.select(this).select(".mut-onco-selection")
+					.attr("opacity", _.contains(_selected, sample) ? 1 : 0);
+			});
+		}
+	}
+
+	function updateHighlights()
+	{
+		if (_svg)
+		{
+			_svg.selectAll(".mut-onco-sample").each(function(sample) {
+				d3.select(this).selectAll(".mut-onco-cell").each(function() {
+					var cell = d3.select(this);
+					var mutations = _cells[cell.attr("data-gene")][sample];
+
+					var highlighted = _.find(mutations, function(mutation) {
+						return _highlighted[mutation.get("mutationId")];
+					}) != null;
+
+					cell.select(".mut-onco-glyph")
+						.attr("stroke", highlighted ? _options.highlightColor : "none");
+				});
+			});
+		}
+	}
+
+	/**
+	 * Selects the given samples, without triggering an event.
+	 *
+	 * @param samples   list of case ids
+	 */
+	function selectSamples(samples)
+	{
+		_selected = _.uniq(_.map(samples, sampleId));
+		updateSelection();
+	}
+
+	/**
+	 * Clears the sample selection, and triggers the corresponding event.
+	 */
+	function clearSelection()
+	{
+		if (_selected.length > 0)
+		{
+			_selected = [];
+			updateSelection();
+
+			_dispatcher.trigger(
+				MutationDetailsEvents.ONCOPRINT_SAMPLES_SELECTED,
+				[]);
+		}
+	}
+
+	function getSelectedSamples()
+	{
+		return _selected.slice();
+	}
+
+	/**
+	 * Highlights the cells containing any of the given mutations.
+	 *
+	 * @param mutations list of Mutation models
+	 */
+	function highlightMutations(mutations)
+	{
+		_highlighted = {};
+
+		_.each(mutations, function(mutation) {
+			_highlighted[mutation.get("mutationId")] = true;
+		});
+
+		updateHighlights();
+	}
+
+	function clearHighlights()
+	{
+		highlightMutations([]);
+	}
+
+	function getGenes()
+	{
+		return _genes;
+	}
+
+	function getSamples()
+	{
+		return _samples;
+	}
+
+	return {init: init,
+		selectSamples: selectSamples,
+		clearSelection: clearSelection,
+		getSelectedSamples: getSelectedSamples,
+		highlightMutations: highlightMutations,
+		clearHighlights: clearHighlights,
+		getGenes: getGenes,
+		getSamples: getSamples,
+		dispatcher: _dispatcher};
+}
+
+module.exports = MutationOncoprint;
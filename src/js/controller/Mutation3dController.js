@@ -236,6 +236,12 @@ function Mutation3dController(mutationDetailsView, mainMutationView, viewOptions
 		{
 			_pdbPanelView.hideView();
 		}
+
+		// spatial clusters are no longer valid without a structure
+		if (_mutationDiagram)
+		{
+			_mutationDiagram.updateSpatialClusters([]);
+		}
 	}
 
 	function mut3dInitHandler(event)
@@ -318,6 +324,32 @@ function Mutation3dController(mutationDetailsView, mainMutationView, viewOptions
 		{
 			highlightSelected();
 		}
+
+		updateSpatialClusters();
+	}
+
+	/**
+	 * Updates the spatial clusters of the diagram wrt the current structure.
+	 */
+	function updateSpatialClusters()
+	{
+		if (_mutationDiagram &&
+		    _mutationDiagram.options.clusterSpatial &&
+		    _mut3dVis != null)
+		{
+			var mutations = mainMutationView.model.mutationData.getData();
+			var clusters = _mut3dVis.findClusters(mutations, _mutationDiagram.options.clusterOpts);
+
+			// the 3D app does not provide the atom coordinates (Jmol/JSmol)
+			if (clusters == null)
+			{
+				console.log("[Mutation3dController.updateSpatialClusters] " +
+					"spatial clusters are not supported by the current 3D viewer");
+				clusters = [];
+			}
+
+			_mutationDiagram.updateSpatialClusters(clusters);
+		}
 	}
 
 	function tableChainSelectHandler(pdbId, chainId)
@@ -97,6 +97,14 @@ function MutationDataFilterController(mainMutationView)
 			MutationDetailsEvents.LOLLIPOP_MULTI_SELECT,
 			diagramMultiSelectHandler);
 
+		mutationDiagram.dispatcher.on(
+			MutationDetailsEvents.DIAGRAM_CLUSTER_SELECTED,
+			diagramClusterSelectHandler);
+
+		mutationDiagram.dispatcher.on(
+			MutationDetailsEvents.DIAGRAM_MUTATION_TYPE_TOGGLED,
+			diagramTypeToggleHandler);
+
 		mutationDiagram.dispatcher.on(
 			MutationDetailsEvents.LOLLIPOP_MOUSEOVER,
 			diagramMouseoverHandler);
@@ -127,6 +135,26 @@ function MutationDataFilterController(mainMutationView)
 		diagramSelectHandler(datum, index, true);
 	}
 
+	function diagramClusterSelectHandler(cluster, multi)
+	{
+		// select all mutations of the cluster at once
+		diagramSelectHandler({mutations: cluster.mutations}, null, multi);
+	}
+
+	function diagramTypeToggleHandler(mutationType, active, mutations)
+	{
+		// add the mutations of the type back to the filtered set,
+		// or remove them, keeping the rest of the current filter as is
+		if (active)
+		{
+			_mutationData.filterMutations(mutations);
+		}
+		else
+		{
+			_mutationData.unfilterMutations(mutations);
+		}
+	}
+
 	function diagramSelectHandler(datum, index, multi)
 	{
 		var selected = [];
@@ -196,19 +224,8 @@ function MutationDataFilterController(mainMutationView)
 		var filtered = [];
 
 		// add current (filtered) mutations into an array
-		var rowData = [];
-
-		// TODO this try/catch block is for backward compatibility,
-		// we will no longer need this once we completely migrate to DataTables 1.10
-		try {
-			// first, try new API.
-			// this is not backward compatible, requires DataTables 1.10 or later.
-			rowData = $(tableSelector).DataTable().rows({filter: "applied"}).data();
-		} catch(err) {
-			// if DataTables 1.10 is not available, try the old API function.
-			// DataTables 1.9.4 compatible code (which doesn't work with deferRender):
-			rowData = $(tableSelector).dataTable()._('tr', {filter: "applied"});
-		}
+		// (including the rows not rendered yet)
+		var rowData = _mutationTable.getFilteredData();
 
 		_.each(rowData, function(data, index) {
 			// assuming only the first element contains the datum
@@ -220,7 +237,11 @@ function MutationDataFilterController(mainMutationView)
 			}
 		});
 
-		_mutationData.updateFilteredMutations(filtered, {view: mainMutationView.tableView});
+		// also report the current search string and column filters of the table
+		_mutationData.updateFilteredMutations(filtered, {
+			view: mainMutationView.tableView,
+			filters: _mutationTable.getFilterState()
+		});
 	}
 
 	function proteinChangeLinkHandler(mutationId)
@@ -34,11 +34,16 @@ var MutationDetailsTableController = require("../controller/MutationDetailsTable
 var MutationInfoController = require("../controller/MutationInfoController");
 var MutationDiagramController = require("../controller/MutationDiagramController");
 var MainMutationController = require("../controller/MainMutationController");
+var MutationOncoprintController = require("../controller/MutationOncoprintController");
 var Mutation3dController = require("../controller/Mutation3dController");
 var Mutation3dVis = require("../component/Mutation3dVis");
 var Mutation3dVisView = require("../view/Mutation3dVisView");
 var MainMutationView = require("../view/MainMutationView");
+var GeneOverviewView = require("../view/GeneOverviewView");
+var MutationOncoprintView = require("../view/MutationOncoprintView");
+var CoOccurrenceView = require("../view/CoOccurrenceView");
 var MutationData = require("../data/MutationData");
+var MutationDiagram = require("../component/MutationDiagram");
 
 var cbio = {
 	util: require("../util/cbio-util")
@@ -46,6 +51,7 @@ var cbio = {
 
 var $ = require("jquery");
 var jQuery = $;
+var _ = require("underscore");
 
 /**
  * Controller class for the Mutation Details view.
@@ -64,11 +70,43 @@ function MutationDetailsController(
 
 	var _geneTabView = {};
 
+	// data request errors for each gene: <gene, {panel: message}> pairs
+	var _requestErrors = {};
+
+	// panel and data description for each proxy,
+	// used to display data request errors
+	var _proxyErrorInfo = {
+		mutationProxy: {panel: "mutations", description: "mutation data"},
+		pfamProxy: {panel: "diagram", description: "protein domain (Pfam) data"},
+		mutationAlignerProxy: {panel: "diagram", description: "Mutation Aligner data"},
+		uniprotFeatureProxy: {panel: "diagram", description: "UniProt feature data"},
+		exonProxy: {panel: "diagram", description: "exon data"},
+		customTrackProxy: {panel: "diagram", description: "custom track data"},
+		pdbProxy: {panel: "structure", description: "3D structure (PDB) data"},
+		variantAnnotationProxy: {panel: "table", description: "variant annotation data"},
+		pancanProxy: {panel: "table", description: "cancer-wide mutation data"},
+		portalProxy: {panel: "table", description: "portal metadata"},
+		clinicalProxy: {panel: "summary", description: "clinical data"}
+	};
+
 	// a single 3D view instance shared by all MainMutationView instances
 	var _mut3dVisView = null;
 
 	var _3dController = null;
 
+	// overview of all genes (only for multiple genes)
+	var _geneOverviewView = null;
+
+	// oncoprint view of the samples across all genes (only for multiple genes)
+	var _oncoprintView = null;
+	var _oncoprintController = null;
+
+	// co-occurrence analysis of gene pairs (only for multiple genes)
+	var _coOccurrenceView = null;
+
+	// mutations of all genes, shared by the views above (see getAllMutations)
+	var _allMutations = null;
+
 	function init()
 	{
 		// add listeners to the custom event dispatcher of the view
@@ -80,9 +118,88 @@ function MutationDetailsController(
 			MutationDetailsEvents.GENE_TABS_CREATED,
 			geneTabCreateHandler);
 
+		mutationDetailsView.dispatcher.on(
+			MutationDetailsEvents.GENE_TAB_REMOVED,
+			geneTabRemoveHandler);
+
 		mutationDetailsView.dispatcher.on(
 			MutationDetailsEvents.VIS_3D_PANEL_INIT,
 			vis3dInitHandler);
+
+		// add listeners to the data proxies
+		_.each(dataProxies, function(proxy, name) {
+			if (proxy && proxy.dispatcher)
+			{
+				proxy.dispatcher.on(
+					MutationDetailsEvents.DATA_REQUEST_ERROR,
+					function(error) {
+						requestErrorHandler(name, error);
+					});
+			}
+		});
+	}
+
+	function requestErrorHandler(proxyName, error)
+	{
+		var info = _proxyErrorInfo[proxyName] ||
+			{panel: proxyName, description: "data"};
+
+		var message = "Error retrieving " + info.description +
+			" (" + (error.statusCode || error.status) + ")." +
+			" Please try again later.";
+
+		var genes = errorGenes(error.groups);
+
+		_.each(genes, function(gene) {
+			_requestErrors[gene] = _requestErrors[gene] || {};
+			_requestErrors[gene][info.panel] = message;
+
+			var geneView = _geneTabView[gene];
+
+			if (geneView && geneView.mainMutationView)
+			{
+				geneView.mainMutationView.showErrorInfo(info.panel, message);
+			}
+			// main view is not initialized yet, show the error instead of the loader
+			else
+			{
+				mutationDetailsView.showErrorInfo(gene, info.panel, message);
+			}
+		});
+	}
+
+	/**
+	 * Determines the genes affected by a failed request
+	 * with respect to the given request groups.
+	 *
+	 * @param groups    request groups (gene symbols or uniprot ids)
+	 * @returns {Array} list of genes
+	 */
+	function errorGenes(groups)
+	{
+		var geneList = mutationProxy.getGeneList();
+
+		var genes = _.filter(geneList, function(gene) {
+			var geneView = _geneTabView[gene];
+			var uniprotId = geneView && geneView.mainMutationView ?
+				geneView.mainMutationView.model.uniprotId : null;
+
+			return _.find(groups, function(group) {
+				return group === gene ||
+				       (uniprotId && group === uniprotId) ||
+				       (_.isString(group) && _.contains(group.split(" "), gene));
+			}) != null;
+		});
+
+		// no specific gene, assume all initialized views are affected
+		if (genes.length === 0)
+		{
+			genes = _.filter(geneList, function(gene) {
+				return _geneTabView[gene] != null;
+			});
+		}
+
+		return genes;
 	}
 
 	function vis3dInitHandler(container)
@@ -106,12 +223,41 @@ function MutationDetailsController(
 
 	function geneTabSelectHandler(gene)
 	{
+		if (_geneOverviewView)
+		{
+			_geneOverviewView.highlightGene(gene);
+		}
+
 		if (_geneTabView[gene] == null)
 		{
 			initView(gene, sampleArray, viewOptions);
 		}
 	}
 
+	function geneTabRemoveHandler(gene)
+	{
+		// cancel all pending requests for the removed gene
+		dataManager.cancelRequests(gene);
+
+		_.each(dataProxies, function(proxy) {
+			if (proxy && _.isFunction(proxy.cancelRequests))
+			{
+				proxy.cancelRequests(gene);
+			}
+		});
+
+		var geneView = _geneTabView[gene];
+
+		// pdb requests are grouped by uniprot id
+		if (pdbProxy && geneView && geneView.mainMutationView)
+		{
+			pdbProxy.cancelRequests(geneView.mainMutationView.model.uniprotId);
+		}
+
+		delete _geneTabView[gene];
+		delete _requestErrors[gene];
+	}
+
 	function geneTabCreateHandler()
 	{
 		// initially hide 3d container
@@ -121,6 +267,122 @@ function MutationDetailsController(
 		// init the view for the first gene only
 		var genes = mutationProxy.getGeneList();
 		initView(genes[0], sampleArray, viewOptions);
+
+		initGeneOverview(genes);
+		initOncoprint(genes);
+		initCoOccurrence(genes);
+	}
+
+	/**
+	 * Retrieves the mutations of all genes. The gene overview, the oncoprint,
+	 * and the co-occurrence views share a single request (and its result),
+	 * and the request is sent only if any of these views is enabled.
+	 *
+	 * @param genes list of hugo gene symbols
+	 * @return {object} a promise resolved with the mutations of all genes
+	 */
+	function getAllMutations(genes)
+	{
+		if (_allMutations == null)
+		{
+			_allMutations = $.Deferred(function(deferred) {
+				mutationProxy.getMutationData(genes.join(" "), deferred.resolve);
+			}).promise();
+		}
+
+		return _allMutations;
+	}
+
+	/**
+	 * Initializes the overview of all genes above the gene tabs.
+	 * The overview is not displayed for a single gene.
+	 *
+	 * @param genes list of hugo gene symbols
+	 */
+	function initGeneOverview(genes)
+	{
+		var overviewOpts = viewOptions.geneOverview;
+
+		if (!overviewOpts || genes.length < 2)
+		{
+			return;
+		}
+
+		_geneOverviewView = new GeneOverviewView({
+			el: mutationDetailsView.$el.find(".mutation-details-overview"),
+			config: overviewOpts,
+			model: {mutationProxy: mutationProxy,
+				allMutations: getAllMutations(genes),
+				sampleArray: sampleArray}
+		});
+
+		_geneOverviewView.render();
+		_geneOverviewView.highlightGene(genes[0]);
+
+		// open the corresponding gene tab when clicked on a gene
+		_geneOverviewView.dispatcher.on(
+			MutationDetailsEvents.GENE_OVERVIEW_GENE_SELECTED,
+			function(gene) {
+				mutationDetailsView.selectGeneTab(gene);
+			});
+	}
+
+	/**
+	 * Initializes the oncoprint view of the samples across all genes.
+	 * The oncoprint is not displayed for a single gene.
+	 *
+	 * @param genes list of hugo gene symbols
+	 */
+	function initOncoprint(genes)
+	{
+		var oncoprintOpts = viewOptions.oncoprint;
+
+		if (!oncoprintOpts || genes.length < 2)
+		{
+			return;
+		}
+
+		_oncoprintView = new MutationOncoprintView({
+			el: mutationDetailsView.$el.find(".mutation-details-oncoprint"),
+			config: oncoprintOpts,
+			model: {mutationProxy: mutationProxy,
+				allMutations: getAllMutations(genes),
+				sampleArray: sampleArray}
+		});
+
+		_oncoprintView.render();
+
+		// gene views initialized so far
+		var mainViews = _.compact(_.pluck(_.values(_geneTabView), "mainMutationView"));
+
+		_oncoprintController = new MutationOncoprintController(
+			mutationDetailsView, _oncoprintView, mainViews);
+	}
+
+	/**
+	 * Initializes the co-occurrence analysis view of the gene pairs.
+	 * The analysis requires at least two genes.
+	 *
+	 * @param genes list of hugo gene symbols
+	 */
+	function initCoOccurrence(genes)
+	{
+		var coOccurrenceOpts = viewOptions.coOccurrence;
+
+		if (!coOccurrenceOpts || genes.length < 2)
+		{
+			return;
+		}
+
+		_coOccurrenceView = new CoOccurrenceView({
+			el: mutationDetailsView.$el.find(".mutation-details-co-occurrence"),
+			config: coOccurrenceOpts,
+			model: {mutationProxy: mutationProxy,
+				allMutations: getAllMutations(genes),
+				sampleArray: sampleArray}
+		});
+
+		_coOccurrenceView.render();
 	}
 
 	function init3dView(mut3dVis)
@@ -168,6 +430,14 @@ function MutationDetailsController(
 		// sequence information.
 		var init = function(sequenceData, mutationData)
 		{
+			var container = "#mutation_details_" + cbio.util.safeProperty(gene);
+
+			// gene tab is removed before the data is retrieved
+			if (mutationDetailsView.$el.find(container).length === 0)
+			{
+				return;
+			}
+
 			// TODO a new util for each instance instead?
 //			var mutationUtil = new MutationDetailsUtil(
 //				new MutationCollection(mutationData));
@@ -183,17 +453,25 @@ function MutationDetailsController(
 			var mutationModel = new MutationData();
 			mutationModel.setData(mutationData);
 
+			// hotspots are detected with the diagram options, even if the
+			// diagram is disabled, so that the table shows the same hotspots
+			var diagramOpts = jQuery.extend(true, {},
+				MutationDiagram.prototype.defaultOpts,
+				viewOptions.mutationDiagram);
+
 			// prepare data for mutation view
 			var model = {geneSymbol: gene,
 				mutationData: mutationModel,
 				dataProxies: dataProxies,
 				dataManager: dataManager,
 				uniprotId: uniprotId,
+				sequence: sequenceData,
+				hotspotOpts: diagramOpts.hotspotEnabled ? diagramOpts.hotspotOpts : null,
 				sampleArray: cases};
 
 			// init the main view
 			var mainView = new MainMutationView({
-				el: "#mutation_details_" + cbio.util.safeProperty(gene),
+				el: container,
 				config: renderOptions.mainMutation,
 				model: model});
 
@@ -210,11 +488,22 @@ function MutationDetailsController(
 			_geneTabView[gene].mainMutationView = mainView;
 			dataManager.addView(gene, mainView);
 
+			var errors = _requestErrors[gene] || {};
+
+			// show the errors occurred before the view is initialized
+			_.each(errors, function(message, panel) {
+				mainView.showErrorInfo(panel, message);
+			});
+
 			// no mutation data, nothing to show...
 			if (mutationData == null ||
 			    mutationData.length == 0)
 			{
-				mainView.showNoDataInfo();
+				// no data info is misleading if the mutation data request failed
+				if (errors[_proxyErrorInfo.mutationProxy.panel] == null)
+				{
+					mainView.showNoDataInfo();
+				}
 			}
 			else
 			{
@@ -376,6 +665,10 @@ function MutationDetailsController(
 
 	this.get3dController = function() {return _3dController;};
 	this.get3dVisView = function() {return _mut3dVisView;};
+	this.getGeneOverviewView = function() {return _geneOverviewView;};
+	this.getOncoprintView = function() {return _oncoprintView;};
+	this.getOncoprintController = function() {return _oncoprintController;};
+	this.getCoOccurrenceView = function() {return _coOccurrenceView;};
 	this.getMainViews = function() {return _geneTabView;};
 	this.getDataManager = function() {return dataManager};
 	this.getDataProxies = function() {return dataProxies};
@@ -51,10 +51,15 @@ var MutationDetailsEvents = (function()
 	var _diagramInit = "mutationDiagramInitialized";
 	var _diagramPlotUpdated = "mutationDiagramPlotUpdated";
 	var _diagramPlotReset = "mutationDiagramPlotReset";
+	var _diagramZoomed = "mutationDiagramZoomed";
+	var _diagramClusterSelected = "mutationDiagramClusterSelected";
+	var _diagramEncodingUpdated = "mutationDiagramEncodingUpdated";
+	var _diagramMutationTypeToggled = "mutationDiagramMutationTypeToggled";
 	var _mutationTableFiltered = "mutationTableFiltered";
 	var _mutationTableInitialized = "mutationTableInitialized";
 	var _mutationTableRedrawn = "mutationTableRedrawn";
 	var _mutationTableHeaderCreated = "mutationTableHeaderCreated";
+	var _columnFiltersChanged = "mutationTableColumnFiltersChanged";
 	var _proteinChangeLinkClicked = "mutationTableProteinChangeLinkClicked";
 	var _mutationTypeSelected = "infoPanelMutationTypeSelected";
 	var _infoPanelInit = "infoPanelInit";
@@ -68,10 +73,15 @@ var MutationDetailsEvents = (function()
 	var _pdbTableReady = "mutationPdbTableReady";
 	var _geneTabSelected = "mutationDetailsGeneTabSelected";
 	var _geneTabsCreated = "mutationDetailsGeneTabsCreated";
+	var _geneTabRemoved = "mutationDetailsGeneTabRemoved";
+	var _geneOverviewGeneSelected = "geneOverviewGeneSelected";
+	var _oncoprintInit = "mutationOncoprintInitialized";
+	var _oncoprintSamplesSelected = "mutationOncoprintSamplesSelected";
 	var _3dVisInit = "mutation3dPanelInit";
 	var _3dVisCreated = "mutation3dPanelCreated";
 	var _3dPanelClosed = "mutation3dPanelClosed";
 	var _3dStructureReloaded = "mutation3dStructureReloaded";
+	var _dataRequestError = "dataProxyRequestError";
 
 	return {
 		MUTATION_HIGHLIGHT: _mutationHighlighted,
@@ -88,10 +98,15 @@ var MutationDetailsEvents = (function()
 		DIAGRAM_INIT: _diagramInit,
 		DIAGRAM_PLOT_UPDATED: _diagramPlotUpdated,
 		DIAGRAM_PLOT_RESET: _diagramPlotReset,
+		DIAGRAM_ZOOMED: _diagramZoomed,
+		DIAGRAM_CLUSTER_SELECTED: _diagramClusterSelected,
+		DIAGRAM_ENCODING_UPDATED: _diagramEncodingUpdated,
+		DIAGRAM_MUTATION_TYPE_TOGGLED: _diagramMutationTypeToggled,
 		MUTATION_TABLE_INITIALIZED: _mutationTableInitialized,
 		MUTATION_TABLE_FILTERED: _mutationTableFiltered,
 		MUTATION_TABLE_REDRAWN: _mutationTableRedrawn,
 		MUTATION_TABLE_HEADER_CREATED: _mutationTableHeaderCreated,
+		COLUMN_FILTERS_CHANGED: _columnFiltersChanged,
 		PROTEIN_CHANGE_LINK_CLICKED: _proteinChangeLinkClicked,
 		INFO_PANEL_MUTATION_TYPE_SELECTED: _mutationTypeSelected,
 		INFO_PANEL_INIT: _infoPanelInit,
@@ -105,10 +120,15 @@ var MutationDetailsEvents = (function()
 		PDB_TABLE_READY: _pdbTableReady,
 		GENE_TAB_SELECTED: _geneTabSelected,
 		GENE_TABS_CREATED: _geneTabsCreated,
+		GENE_TAB_REMOVED: _geneTabRemoved,
+		GENE_OVERVIEW_GENE_SELECTED: _geneOverviewGeneSelected,
+		ONCOPRINT_INIT: _oncoprintInit,
+		ONCOPRINT_SAMPLES_SELECTED: _oncoprintSamplesSelected,
 		VIS_3D_PANEL_INIT: _3dVisInit,
 		VIS_3D_PANEL_CREATED: _3dVisCreated,
 		VIEW_3D_STRUCTURE_RELOADED: _3dStructureReloaded,
-		VIEW_3D_PANEL_CLOSED: _3dPanelClosed
+		VIEW_3D_PANEL_CLOSED: _3dPanelClosed,
+		DATA_REQUEST_ERROR: _dataRequestError
 	};
 })();
 
@@ -134,6 +134,12 @@ function MutationDetailsTableController(mainMutationView, mutationDetailsView)
 
 		if (needToFilter)
 		{
+			// column filters no longer describe the filtered mutations
+			if (mainMutationView.tableView)
+			{
+				mainMutationView.tableView.clearColumnFilters();
+			}
+
 			mutationSelectHandler(event, params);
 		}
 	}
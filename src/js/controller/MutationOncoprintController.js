@@ -0,0 +1,251 @@
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+
+var $ = require("jquery");
+var _ = require("underscore");
+
+/**
+ * Controller class for the oncoprint view. Shares the selection state
+ * between the oncoprint and the MutationData of each gene view:
+ *
+ * - selecting samples on the oncoprint filters the mutations of every
+ *   gene view to the mutations of the selected samples,
+ * - selecting mutations within a gene view highlights the corresponding
+ *   cells of the oncoprint.
+ *
+ * @param mutationDetailsView   a MutationDetailsView instance
+ * @param oncoprintView         a MutationOncoprintView instance
+ * @param mainMutationViews     [optional] already initialized MainMutationView instances
+ */
+function MutationOncoprintController(mutationDetailsView, oncoprintView, mainMutationViews)
+{
+	var _oncoprint = null;
+	var _mainViews = [];
+
+	// currently selected samples
+	var _selectedSamples = [];
+
+	// filtered mutations & filter criteria set by the views other than
+	// the oncoprint, {mutations, filters} for each gene view (in the
+	// same order as _mainViews)
+	var _baseFilters = [];
+
+	function init()
+	{
+		if (oncoprintView.oncoprint)
+		{
+			oncoprintInitHandler(oncoprintView.oncoprint);
+		}
+		else
+		{
+			oncoprintView.dispatcher.on(
+				MutationDetailsEvents.ONCOPRINT_INIT,
+				oncoprintInitHandler);
+		}
+
+		_.each(mainMutationViews, addMainView);
+
+		mutationDetailsView.dispatcher.on(
+			MutationDetailsEvents.MAIN_VIEW_INIT,
+			addMainView);
+	}
+
+	function oncoprintInitHandler(oncoprint)
+	{
+		_oncoprint = oncoprint;
+
+		oncoprint.dispatcher.on(
+			MutationDetailsEvents.ONCOPRINT_SAMPLES_SELECTED,
+			samplesSelectHandler);
+
+		mutationSelectHandler();
+	}
+
+	/**
+	 * Registers the given gene view. Since the components of a gene view
+	 * are initialized with all mutations, the current sample filter is
+	 * applied after each component is initialized.
+	 *
+	 * @param mainView  a MainMutationView instance
+	 */
+	function addMainView(mainView)
+	{
+		if (_.contains(_mainViews, mainView))
+		{
+			return;
+		}
+
+		_mainViews.push(mainView);
+
+		var mutationDataDispatcher = $(mainView.model.mutationData.dispatcher);
+
+		mutationDataDispatcher.on(
+			MutationDetailsEvents.MUTATION_SELECT,
+			mutationSelectHandler);
+
+		mutationDataDispatcher.on(
+			MutationDetailsEvents.MUTATION_HIGHLIGHT,
+			mutationSelectHandler);
+
+		mutationDataDispatcher.on(
+			MutationDetailsEvents.MUTATION_FILTER,
+			function(event, params) {
+				mutationFilterHandler(mainView, params);
+			});
+
+		var componentInitHandler = function() {
+			// defer until the controllers of the component are initialized
+			_.defer(function() {
+				applySampleFilter(mainView, true);
+			});
+		};
+
+		mainView.dispatcher.on(
+			MutationDetailsEvents.DIAGRAM_INIT,
+			componentInitHandler);
+
+		mainView.dispatcher.on(
+			MutationDetailsEvents.MUTATION_TABLE_INITIALIZED,
+			componentInitHandler);
+	}
+
+	function samplesSelectHandler(samples)
+	{
+		_selectedSamples = samples;
+
+		_.each(_mainViews, function(mainView) {
+			applySampleFilter(mainView, false);
+		});
+	}
+
+	/**
+	 * Returns the mutations filtered by the views other than the oncoprint.
+	 *
+	 * @param mainView  a MainMutationView instance
+	 * @return {Object} {mutations, filters}
+	 */
+	function getBaseFilter(mainView)
+	{
+		return _baseFilters[_.indexOf(_mainViews, mainView)] ||
+			{mutations: mainView.model.mutationData.getData(), filters: {}};
+	}
+
+	/**
+	 * Filters the given mutations with respect to the currently selected
+	 * samples, the mutations are returned as is if no sample is selected.
+	 *
+	 * @param mutations list of mutations
+	 * @return {Array}  mutations of the selected samples
+	 */
+	function filterBySamples(mutations)
+	{
+		if (_.isEmpty(_selectedSamples))
+		{
+			return mutations;
+		}
+
+		var samples = _.map(_selectedSamples, function(sample) {
+			return sample.toLowerCase();
+		});
+
+		return _.filter(mutations, function(mutation) {
+			return _.contains(samples, (mutation.get("caseId") || "").toLowerCase());
+		});
+	}
+
+	/**
+	 * Keeps track of the mutations filtered by the other views (diagram
+	 * legend, table, etc.), so that the sample filter can be applied on top
+	 * of them, and removed without discarding them.
+	 *
+	 * @param mainView  a MainMutationView instance
+	 * @param params    MUTATION_FILTER event parameters
+	 */
+	function mutationFilterHandler(mainView, params)
+	{
+		// ignore the events triggered by the sample filter itself
+		if (params && params.view === oncoprintView)
+		{
+			return;
+		}
+
+		var state = mainView.model.mutationData.getState();
+		var base = getBaseFilter(mainView);
+
+		// the other view changed the mutations of the selected samples only,
+		// so apply the same change to the mutations of all samples
+		var previous = filterBySamples(base.mutations);
+		var added = _.difference(state.filtered, previous);
+		var removed = _.difference(previous, state.filtered);
+
+		_baseFilters[_.indexOf(_mainViews, mainView)] = {
+			mutations: _.union(_.difference(base.mutations, removed), added),
+			filters: state.filters};
+
+		// the other view may have brought back mutations of the
+		// samples not selected (e.g. by enabling a mutation type)
+		if (!_.isEmpty(_selectedSamples))
+		{
+			applySampleFilter(mainView, false);
+		}
+	}
+
+	/**
+	 * Filters the mutations of the given gene view with respect to the
+	 * currently selected samples. The mutations filtered by the other
+	 * views are restored if no sample is selected.
+	 *
+	 * @param mainView  a MainMutationView instance
+	 * @param refresh   whether to notify the components even if the
+	 *                  filtered mutations do not change
+	 */
+	function applySampleFilter(mainView, refresh)
+	{
+		var mutationData = mainView.model.mutationData;
+		var base = getBaseFilter(mainView);
+
+		if (_.isEmpty(_selectedSamples))
+		{
+			// nothing to refresh, components are initialized with all mutations
+			if (!refresh)
+			{
+				mutationData.updateFilteredMutations(base.mutations,
+					{view: oncoprintView, filters: base.filters});
+			}
+
+			return;
+		}
+
+		if (refresh)
+		{
+			mutationData.unfilterMutations(null, {view: oncoprintView});
+		}
+
+		mutationData.updateFilteredMutations(filterBySamples(base.mutations),
+			{view: oncoprintView});
+	}
+
+	/**
+	 * Highlights the oncoprint cells of the selected and highlighted
+	 * mutations of all gene views.
+	 */
+	function mutationSelectHandler()
+	{
+		if (_oncoprint == null)
+		{
+			return;
+		}
+
+		var mutations = _.flatten(_.map(_mainViews, function(mainView) {
+			var state = mainView.model.mutationData.getState();
+			return _.union(state.selected, state.highlighted);
+		}), true);
+
+		_oncoprint.highlightMutations(mutations);
+	}
+
+	init();
+
+	this.getSelectedSamples = function() {return _selectedSamples;};
+}
+
+module.exports = MutationOncoprintController;
@@ -29,14 +29,24 @@
  */
 
 var RequestQueue = require("../util/RequestQueue");
+var DataCache = require("../data/DataCache");
+var DataProxyUtil = require("../util/DataProxyUtil");
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 
 var $ = require("jquery");
 var jQuery = $;
 var _ = require("underscore");
+var Backbone = require("backbone");
 
 /**
  * Base class for data proxy instances.
  *
+ * Data retrieval functions of the proxies accept an optional callback
+ * function, and also return a promise resolved with the same arguments
+ * passed to the callback (see DataProxyUtil.withPromise). In case of a
+ * request error, the promise is rejected with the arguments of the ajax
+ * error callback, while the callback is still invoked with an empty result.
+ *
  * @author Selcuk Onur Sumer
  */
 function AbstractDataProxy(options)
@@ -47,22 +57,179 @@ function AbstractDataProxy(options)
 	self._defaultOpts = {
 		initMode: "lazy", // "lazy" or "full"
 		servletName: "",  // name of the servlet to retrieve the actual data (used for AJAX query)
+		concurrency: 1,   // max number of simultaneous ajax requests
+		cache: null,      // persistent cache for server responses, a DataCache instance or DataCache options
+		cacheName: "",    // key prefix for the cached responses (servlet name by default)
+		timeout: 30000,   // ajax request timeout in milliseconds (0 for no timeout)
+		retryCount: 2,    // max number of retries for a failed request (timeout, network or server error)
+		retryDelay: 1000, // delay before the first retry in milliseconds, doubled for each subsequent retry
 		data: {}          // actual data, will be used only if it is a full init, i.e {initMode: "full"}
 	};
 
-	self._queryQueue = new RequestQueue();
-
 	// merge options with default options to use defaults for missing values
 	self._options = jQuery.extend(true, {}, self._defaultOpts, options);
 
+	// identical simultaneous requests are sent to the server only once
+	self._queryQueue = new RequestQueue({
+		concurrency: self._options.concurrency,
+		keyFn: requestKey
+	});
+
+	self._cache = initCache(self._options.cache);
+
+	// custom event dispatcher
+	self.dispatcher = {};
+	_.extend(self.dispatcher, Backbone.Events);
+
+	function initCache(cache)
+	{
+		// an existing cache instance (possibly shared by other proxies)
+		if (cache && _.isFunction(cache.get))
+		{
+			return cache;
+		}
+		// cache options
+		else if (_.isObject(cache))
+		{
+			return new DataCache(cache);
+		}
+		else
+		{
+			return null;
+		}
+	}
+
+	function requestKey(ajaxOptions)
+	{
+		return JSON.stringify([ajaxOptions.type,
+			ajaxOptions.url,
+			ajaxOptions.data,
+			ajaxOptions.dataType]);
+	}
+
+	function cachePrefix()
+	{
+		return (self._options.cacheName || self._options.servletName) + ":";
+	}
+
+	/**
+	 * Sends the ajax request for the given queue element. Failed requests
+	 * are retried with an exponential backoff, and the response is forwarded
+	 * to all requests coalesced with the given one.
+	 *
+	 * @param ajaxOptions   jQuery ajax options
+	 * @returns {object}    an abortable request handle
+	 */
+	function sendRequest(ajaxOptions)
+	{
+		var attempt = 0;
+		var xhr = null;
+		var retryTimer = null;
+		var aborted = false;
+
+		// invokes the given callback for all requests
+		// coalesced with the current one
+		var notify = function(callbackName, args) {
+			_.each(self._queryQueue.getElements(ajaxOptions), function(ele) {
+				if (_.isFunction(ele[callbackName]))
+				{
+					ele[callbackName].apply(ele, args);
+				}
+			});
+		};
+
+		var send = function() {
+			retryTimer = null;
+
+			xhr = $.ajax(_.extend({timeout: self._options.timeout}, ajaxOptions, {
+				success: function() {
+					notify("success", arguments);
+				},
+				error: function(request, status, error) {
+					if (!aborted &&
+					    attempt < self._options.retryCount &&
+					    isRetriable(request, status))
+					{
+						retryTimer = setTimeout(send,
+							self._options.retryDelay * Math.pow(2, attempt));
+						attempt++;
+						return;
+					}
+
+					if (status !== "abort")
+					{
+						triggerError(ajaxOptions, request, status, error, attempt + 1);
+					}
+
+					notify("error", arguments);
+				},
+				complete: function() {
+					// a retry is scheduled, not complete yet
+					if (retryTimer != null)
+					{
+						return;
+					}
+
+					notify("complete", arguments);
+					self._queryQueue.complete(ajaxOptions);
+				}
+			}));
+		};
+
+		send();
+
+		return {
+			abort: function() {
+				aborted = true;
+
+				if (retryTimer != null)
+				{
+					clearTimeout(retryTimer);
+					retryTimer = null;
+				}
+				else if (xhr)
+				{
+					xhr.abort();
+				}
+			}
+		};
+	}
+
+	/**
+	 * Checks if the failed request is worth retrying. Only timeouts, network
+	 * errors and server side (5xx) errors are retried.
+	 */
+	function isRetriable(request, status)
+	{
+		var statusCode = request ? request.status : 0;
+
+		return status === "timeout" ||
+			(status === "error" && (statusCode === 0 || statusCode >= 500));
+	}
+
+	/**
+	 * Triggers the standard request error event for the given failed request.
+	 */
+	function triggerError(ajaxOptions, request, status, error, attempts)
+	{
+		self.dispatcher.trigger(MutationDetailsEvents.DATA_REQUEST_ERROR, {
+			proxy: self,
+			url: ajaxOptions.url,
+			data: ajaxOptions.data,
+			status: status,
+			statusCode: request ? request.status : null,
+			error: error,
+			attempts: attempts,
+			groups: self._queryQueue.getGroups(ajaxOptions)
+		});
+	}
+
 	/**
 	 * Initializes the data proxy with respect to init mode.
 	 */
 	self.init = function()
 	{
-		self._queryQueue.init(function(options) {
-			$.ajax(options);
-		});
+		self._queryQueue.init(sendRequest);
 
 		if (self.isFullInit())
 		{
@@ -96,6 +263,19 @@ function AbstractDataProxy(options)
 		// method body should be overridden by subclasses
 	};
 
+	/**
+	 * Exports the data retrieved so far, in the format expected by the
+	 * fullInit function. This allows the data to be saved and then
+	 * served later without any server connection.
+	 *
+	 * @return {object} data to be used as the "data" option of a full init
+	 */
+	self.exportData = function()
+	{
+		// method body should be overridden by subclasses
+		return {};
+	};
+
 	/**
 	 * Checks if the initialization is full or lazy.
 	 *
@@ -108,32 +288,139 @@ function AbstractDataProxy(options)
 
 
 	/**
-	 * This function ensures that at most only one ajax request is
-	 * sent from a particular DataProxy instance. This is to prevent
-	 * too many simultaneous requests.
+	 * This function ensures that at most the configured number of
+	 * ajax requests (one by default) is sent simultaneously from
+	 * a particular DataProxy instance. This is to prevent too many
+	 * simultaneous requests. Identical requests are sent only once,
+	 * and the response is forwarded to all of them.
 	 *
-	 * @ajaxOptions jQuery ajax options
+	 * Failed requests are retried (see retryCount and retryDelay options),
+	 * and a DATA_REQUEST_ERROR event is triggered if the request still fails.
+	 * Proxies should always provide an error callback, so that the callers
+	 * are notified in case of an error.
+	 *
+	 * If a persistent cache is configured, the response is retrieved from
+	 * the cache when available, and successful responses are cached.
+	 *
+	 * @param ajaxOptions   jQuery ajax options
+	 * @param group         [optional] request group (or an array of groups),
+	 *                      used for cancellation
 	 */
-	self.requestData = function(ajaxOptions)
+	self.requestData = function(ajaxOptions, group)
 	{
-		var complete = ajaxOptions.complete;
+		var cache = self._cache;
+
+		if (cache == null)
+		{
+			self._queryQueue.add(ajaxOptions, group);
+			return;
+		}
 
-		var defaultOpts = {
-			complete: function(request, status)
+		var key = cachePrefix() + requestKey(ajaxOptions);
+
+		cache.get(key, function(data) {
+			// cache hit, no need to query the server
+			if (!_.isUndefined(data))
 			{
-				self._queryQueue.complete();
+				if (_.isFunction(ajaxOptions.success))
+				{
+					ajaxOptions.success(data, "success", null);
+				}
 
-				if (_.isFunction(complete))
+				if (_.isFunction(ajaxOptions.complete))
 				{
-					complete(request, status);
+					ajaxOptions.complete(null, "success");
 				}
+
+				return;
 			}
-		};
 
-		// extend options with default options
-		var options = jQuery.extend(true, {}, ajaxOptions, defaultOpts);
+			var options = _.extend({}, ajaxOptions, {
+				success: function(data) {
+					cache.set(key, data);
+
+					if (_.isFunction(ajaxOptions.success))
+					{
+						ajaxOptions.success.apply(this, arguments);
+					}
+				}
+			});
+
+			self._queryQueue.add(options, group);
+		});
+	};
+
+	/**
+	 * Removes all the cached responses of this proxy from the persistent cache.
+	 *
+	 * @param callback  [optional] function to be invoked after clearing
+	 * @return {object} a promise resolved after clearing
+	 */
+	self.clearCache = DataProxyUtil.withPromise(function(callback)
+	{
+		if (self._cache)
+		{
+			self._cache.clear(cachePrefix(), callback);
+		}
+		else if (_.isFunction(callback))
+		{
+			callback();
+		}
+	}, 0);
+
+
+	/**
+	 * Provides information about the cached responses of this proxy
+	 * (see DataCache.inspect).
+	 *
+	 * @param callback  [optional] function to be invoked with the cache info,
+	 *                  or with null if there is no persistent cache
+	 * @return {object} a promise resolved with the cache info
+	 */
+	self.inspectCache = DataProxyUtil.withPromise(function(callback)
+	{
+		if (self._cache)
+		{
+			self._cache.inspect(cachePrefix(), callback);
+		}
+		else
+		{
+			callback(null);
+		}
+	}, 0);
+
+
+	/**
+	 * Returns the persistent cache of this proxy (if any).
+	 *
+	 * @return {DataCache|null} persistent cache instance
+	 */
+	self.getCache = function()
+	{
+		return self._cache;
+	};
+
+	/**
+	 * Cancels all pending requests of the given group. A request which is
+	 * already sent is aborted only if no other group is waiting for it.
+	 *
+	 * @param group     request group
+	 * @return {number} number of cancelled requests
+	 */
+	self.cancelRequests = function(group)
+	{
+		return self._queryQueue.cancel(group);
+	};
 
-		self._queryQueue.add(options);
+	/**
+	 * Returns the request queue of this proxy, mainly to listen to
+	 * queue status events.
+	 *
+	 * @return {RequestQueue} request queue instance
+	 */
+	self.getRequestQueue = function()
+	{
+		return self._queryQueue;
 	};
 }
 
@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -60,7 +61,7 @@ function ClinicalDataProxy(options)
 	AbstractDataProxy.call(this, _options);
 	_options = self._options;
 
-	// cache
+	// cache: map of <sample id, clinical data array> pairs
 	var _data = {};
 
 	/**
@@ -71,12 +72,57 @@ function ClinicalDataProxy(options)
 	 */
 	function fullInit(options)
 	{
+		//assuming the given data is a map of <sample id, clinical data array> pairs
 		_data = options.data;
 	}
 
+	/**
+	 * Exports the cached clinical data as a map of
+	 * <sample id, clinical data array> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _data);
+	}
+
+	/**
+	 * Collects the cached clinical data for the given samples.
+	 * Returns null if there is no cached data for any of the samples.
+	 *
+	 * @param samples   list of sample ids
+	 * @return {Array|null} clinical data array
+	 */
+	function getCachedData(samples)
+	{
+		var data = [];
+		var found = false;
+
+		_.each(samples, function(sample) {
+			if (_data[sample] != null)
+			{
+				data = data.concat(_data[sample]);
+				found = true;
+			}
+		});
+
+		return found ? data : null;
+	}
+
 	function getPatientData(samples, callback)
 	{
-		// TODO full init & cache...
+		var uncached = _.filter(samples, function(sample) {
+			return _data[sample] == null;
+		});
+
+		// all data is already retrieved (full init), or everything is cached
+		if (self.isFullInit() ||
+		    (_.size(samples) > 0 && uncached.length === 0))
+		{
+			callback(getCachedData(samples));
+			return;
+		}
 
 		var cancerStudyId;
 		var patientSampleMap = {};
@@ -130,22 +176,37 @@ function ClinicalDataProxy(options)
 			    data: arg_string,
 			    dataType: "json",
 			    success: function(data) {
+				    cacheData(data);
 				    callback(data);
 			    },
 			    error: function(data) {
+				    DataProxyUtil.reject(callback, arguments);
 				    callback(null);
 			    }
 		    };
 
 		    self.requestData(ajaxOpts);
         }
+
+		// cache the retrieved data by sample id
+		function cacheData(data)
+		{
+			_.each(samples, function(sample, idx) {
+				var patientId = patientIds[idx];
+
+				_data[sample] = _.filter(data, function(clinicalData) {
+					return clinicalData.patient_id === patientId;
+				});
+			});
+		}
 	}
 
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getPatientData = getPatientData;
+	self.getPatientData = DataProxyUtil.withPromise(getPatientData, 1);
 }
 
 // ClinicalDataProxy extends AbstractDataProxy...
@@ -0,0 +1,142 @@
+var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
+var TrackDataUtil = require("../util/TrackDataUtil");
+
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+
+/**
+ * This class is designed to retrieve user provided (custom) track data.
+ * Track data is either a BED-like text (see TrackDataUtil.parseBed), or
+ * a map of <gene, array of track features> pairs. In lazy mode,
+ * the BED-like file is retrieved from the servlet (file url) only once.
+ *
+ * @param options  additional options
+ */
+function CustomTrackDataProxy(options)
+{
+	var self = this;
+
+	// default options
+	var _defaultOpts = {
+		servletName: "",        // url of the BED-like track file
+		trackLabel: "Custom"    // label of the track
+	};
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// call super constructor to init options and other params
+	AbstractDataProxy.call(this, _options);
+	_options = self._options;
+
+	// map of <gene, array of track features> pairs (null if not retrieved yet)
+	var _trackDataCache = null;
+
+	/**
+	 * Initializes with full track data. Once initialized with full data,
+	 * this proxy class assumes that there will be no additional data.
+	 *
+	 * @param options   data proxy options
+	 */
+	function fullInit(options)
+	{
+		_trackDataCache = parseData(options.data);
+	}
+
+	function parseData(data)
+	{
+		if (_.isString(data))
+		{
+			return TrackDataUtil.parseBed(data);
+		}
+		else
+		{
+			// assuming the given data is a map of <gene, array of track features> pairs
+			return data || {};
+		}
+	}
+
+	/**
+	 * Retrieves the track features for the given gene.
+	 *
+	 * @param servletParams {geneSymbol: [hugo gene symbol]}
+	 * @param callback      callback function to be invoked after retrieval
+	 */
+	function getTrackData(servletParams, callback)
+	{
+		var gene = servletParams.geneSymbol;
+
+		if (gene == null)
+		{
+			// no gene symbol provided, nothing to retrieve
+			callback(null);
+			return;
+		}
+
+		// retrieve the whole file from the server if not retrieved yet
+		if (_trackDataCache == null)
+		{
+			if (self.isFullInit() ||
+			    _.isEmpty(_options.servletName))
+			{
+				callback(null);
+				return;
+			}
+
+			// process & cache the raw data
+			var processData = function(data) {
+				_trackDataCache = parseData(data);
+
+				// forward the processed data to the provided callback function
+				callback(_trackDataCache[gene] || []);
+			};
+
+			// retrieve data from the servlet
+			var ajaxOpts = {
+				type: "GET",
+				url: _options.servletName,
+				success: processData,
+				error: function() {
+					console.log("[CustomTrackDataProxy.getTrackData] " +
+						"error retrieving track data from: " + _options.servletName);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
+				dataType: "text"
+			};
+
+			self.requestData(ajaxOpts);
+		}
+		else
+		{
+			// data is already cached, just forward it
+			callback(_trackDataCache[gene] || []);
+		}
+	}
+
+	/**
+	 * Exports the cached track data as a map of <gene, array of track features> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _trackDataCache);
+	}
+
+	// override required base functions
+	self.fullInit = fullInit;
+	self.exportData = exportData;
+
+	// class specific functions
+	self.getTrackData = DataProxyUtil.withPromise(getTrackData, 1);
+	self.getTrackLabel = function() {return _options.trackLabel;};
+}
+
+// CustomTrackDataProxy extends AbstractDataProxy...
+CustomTrackDataProxy.prototype = new AbstractDataProxy();
+CustomTrackDataProxy.prototype.constructor = CustomTrackDataProxy;
+
+module.exports = CustomTrackDataProxy;
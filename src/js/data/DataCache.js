@@ -0,0 +1,405 @@
+var MemoryCacheStorage = require("../data/MemoryCacheStorage");
+var LocalStorageCacheStorage = require("../data/LocalStorageCacheStorage");
+var IndexedDbCacheStorage = require("../data/IndexedDbCacheStorage");
+
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+
+/**
+ * Persistent cache for the data retrieved by data proxies, so that the
+ * data is available across page reloads without querying the server.
+ * A single instance can be shared by multiple data proxies
+ * (see AbstractDataProxy "cache" option).
+ *
+ * Every entry expires after the configured TTL, and the least recently
+ * used entries are evicted when the size limits are exceeded. Keys are
+ * prefixed with the namespace and the version, entries of all other
+ * versions are removed on initialization.
+ *
+ * options: {storage: ["auto", "indexedDB", "localStorage", "memory",
+ *                     or a custom storage instance (see MemoryCacheStorage)],
+ *           namespace: [key prefix],
+ *           version: [cache version, changing it invalidates all entries],
+ *           ttl: [time to live for each entry in milliseconds],
+ *           maxSize: [max total size in characters],
+ *           maxEntries: [max number of entries]}
+ */
+function DataCache(options)
+{
+	var self = this;
+
+	var _defaultOpts = {
+		storage: "auto",
+		namespace: "mutationMapper",
+		version: 1,
+		ttl: 1000 * 60 * 60 * 24 * 7, // one week
+		maxSize: 1024 * 1024 * 4, // ~4M characters
+		maxEntries: 1000
+	};
+
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	var _storage = initStorage(_options.storage);
+
+	// <key, {size, created, expires, accessed}> pairs for all entries,
+	// the index itself is also saved into the storage
+	var _index = null;
+
+	// operations waiting for the index to be loaded
+	var _pending = null;
+
+	function initStorage(storage)
+	{
+		if (_.isObject(storage))
+		{
+			// custom storage instance
+			return storage;
+		}
+		else if (storage === "memory")
+		{
+			return new MemoryCacheStorage();
+		}
+		else if (storage === "localStorage" ||
+		         (storage === "auto" && IndexedDbCacheStorage.getFactory() == null))
+		{
+			if (LocalStorageCacheStorage.getStorage() != null)
+			{
+				return new LocalStorageCacheStorage();
+			}
+			else
+			{
+				return new MemoryCacheStorage();
+			}
+		}
+		else
+		{
+			return new IndexedDbCacheStorage({dbName: _options.namespace});
+		}
+	}
+
+	function keyPrefix()
+	{
+		return _options.namespace + ":v" + _options.version + ":";
+	}
+
+	function indexKey()
+	{
+		return keyPrefix() + "__index__";
+	}
+
+	function storageKey(key)
+	{
+		return keyPrefix() + key;
+	}
+
+	/**
+	 * Loads the index from the storage (only once), and removes the entries
+	 * of the other cache versions. Given function is invoked when ready.
+	 *
+	 * @param callback  function to be invoked after loading the index
+	 */
+	function ready(callback)
+	{
+		if (_index != null)
+		{
+			callback();
+			return;
+		}
+
+		// already loading, wait for the result
+		if (_pending)
+		{
+			_pending.push(callback);
+			return;
+		}
+
+		_pending = [callback];
+
+		_storage.get(indexKey(), function(value) {
+			_index = parseJson(value) || {};
+
+			removeOutdated();
+
+			var callbacks = _pending;
+			_pending = null;
+
+			_.each(callbacks, function(fn) {
+				fn();
+			});
+		});
+	}
+
+	/**
+	 * Removes the entries created by another version of the cache.
+	 */
+	function removeOutdated()
+	{
+		var namespace = _options.namespace + ":";
+
+		_storage.keys(function(keys) {
+			_.each(keys, function(key) {
+				if (key.indexOf(namespace) === 0 &&
+				    key.indexOf(keyPrefix()) !== 0)
+				{
+					_storage.remove(key);
+				}
+			});
+		});
+	}
+
+	function parseJson(value)
+	{
+		if (value == null)
+		{
+			return null;
+		}
+
+		try {
+			return JSON.parse(value);
+		}
+		catch (e) {
+			return null;
+		}
+	}
+
+	function saveIndex()
+	{
+		_storage.set(indexKey(), JSON.stringify(_index));
+	}
+
+	/**
+	 * Retrieves the cached value for the given key.
+	 *
+	 * @param key       cache key
+	 * @param callback  function to be invoked with the cached value,
+	 *                  or with undefined if there is no valid entry
+	 */
+	function get(key, callback)
+	{
+		ready(function() {
+			var entry = _index[key];
+
+			if (entry == null)
+			{
+				callback(undefined);
+				return;
+			}
+
+			if (isExpired(entry))
+			{
+				remove(key);
+				callback(undefined);
+				return;
+			}
+
+			_storage.get(storageKey(key), function(value) {
+				var data = parseJson(value);
+
+				if (data == null)
+				{
+					// storage and index are out of sync
+					remove(key);
+					callback(undefined);
+				}
+				else
+				{
+					entry.accessed = Date.now();
+					callback(data);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Stores the given value for the given key. Values which exceed the
+	 * size limit are not stored at all.
+	 *
+	 * @param key       cache key
+	 * @param value     JSON serializable value
+	 * @param callback  [optional] function to be invoked with a success flag
+	 */
+	function set(key, value, callback)
+	{
+		var done = function(success) {
+			if (_.isFunction(callback))
+			{
+				callback(success);
+			}
+		};
+
+		var serialized;
+
+		try {
+			serialized = JSON.stringify(value);
+		}
+		catch (e) {
+			serialized = null;
+		}
+
+		if (serialized == null ||
+		    serialized.length > _options.maxSize)
+		{
+			done(false);
+			return;
+		}
+
+		ready(function() {
+			_storage.set(storageKey(key), serialized, function(success) {
+				if (success)
+				{
+					var now = Date.now();
+
+					_index[key] = {
+						size: serialized.length,
+						created: now,
+						accessed: now,
+						expires: now + _options.ttl
+					};
+
+					evict();
+				}
+				else
+				{
+					delete _index[key];
+				}
+
+				saveIndex();
+				done(success);
+			});
+		});
+	}
+
+	/**
+	 * Removes the entry for the given key.
+	 *
+	 * @param key       cache key
+	 * @param callback  [optional] function to be invoked after removal
+	 */
+	function remove(key, callback)
+	{
+		ready(function() {
+			delete _index[key];
+			saveIndex();
+			_storage.remove(storageKey(key), callback);
+		});
+	}
+
+	/**
+	 * Removes all entries, or only the entries with the given key prefix.
+	 *
+	 * @param prefix    [optional] key prefix
+	 * @param callback  [optional] function to be invoked after clearing
+	 */
+	function clear(prefix, callback)
+	{
+		if (_.isFunction(prefix))
+		{
+			callback = prefix;
+			prefix = null;
+		}
+
+		ready(function() {
+			_.each(_.keys(_index), function(key) {
+				if (!prefix || key.indexOf(prefix) === 0)
+				{
+					delete _index[key];
+					_storage.remove(storageKey(key));
+				}
+			});
+
+			saveIndex();
+
+			if (_.isFunction(callback))
+			{
+				callback();
+			}
+		});
+	}
+
+	/**
+	 * Provides information about the current state of the cache.
+	 *
+	 * @param prefix    [optional] key prefix, to inspect only matching entries
+	 * @param callback  function to be invoked with the cache info
+	 */
+	function inspect(prefix, callback)
+	{
+		if (_.isFunction(prefix))
+		{
+			callback = prefix;
+			prefix = null;
+		}
+
+		ready(function() {
+			var entries = [];
+
+			_.each(_index, function(entry, key) {
+				if (!prefix || key.indexOf(prefix) === 0)
+				{
+					entries.push(_.extend({key: key, expired: isExpired(entry)}, entry));
+				}
+			});
+
+			callback({
+				storage: _storage.name,
+				namespace: _options.namespace,
+				version: _options.version,
+				count: entries.length,
+				size: _.reduce(entries, function(memo, entry) {
+					return memo + entry.size;
+				}, 0),
+				maxSize: _options.maxSize,
+				maxEntries: _options.maxEntries,
+				entries: entries
+			});
+		});
+	}
+
+	function isExpired(entry)
+	{
+		return entry.expires < Date.now();
+	}
+
+	/**
+	 * Removes expired entries first, and then the least recently used
+	 * entries until the size limits are satisfied.
+	 */
+	function evict()
+	{
+		_.each(_.keys(_index), function(key) {
+			if (isExpired(_index[key]))
+			{
+				delete _index[key];
+				_storage.remove(storageKey(key));
+			}
+		});
+
+		var keys = _.sortBy(_.keys(_index), function(key) {
+			return _index[key].accessed;
+		});
+
+		var totalSize = _.reduce(_index, function(memo, entry) {
+			return memo + entry.size;
+		}, 0);
+
+		while (keys.length > 0 &&
+		       (keys.length > _options.maxEntries || totalSize > _options.maxSize))
+		{
+			var key = keys.shift();
+
+			totalSize -= _index[key].size;
+			delete _index[key];
+			_storage.remove(storageKey(key));
+		}
+	}
+
+	self.get = get;
+	self.set = set;
+	self.remove = remove;
+	self.clear = clear;
+	self.inspect = inspect;
+	self.getStorage = function() {return _storage;};
+}
+
+module.exports = DataCache;
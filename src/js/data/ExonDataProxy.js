@@ -0,0 +1,124 @@
+var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
+
+var $ = require("jquery");
+var jQuery = $;
+
+/**
+ * This class is designed to retrieve genomic coordinate data
+ * (including the exon boundaries) of proteins on demand.
+ *
+ * @param options  additional options
+ */
+function ExonDataProxy(options)
+{
+	var self = this;
+
+	// default options
+	var _defaultOpts = {
+		servletName: "https://www.ebi.ac.uk/proteins/api/coordinates"
+	};
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// call super constructor to init options and other params
+	AbstractDataProxy.call(this, _options);
+	_options = self._options;
+
+	// map of <uniprot accession, coordinate data> pairs
+	var _exonDataCache = {};
+
+	/**
+	 * Initializes with full coordinate data. Once initialized with full data,
+	 * this proxy class assumes that there will be no additional data.
+	 *
+	 * @param options   data proxy options
+	 */
+	function fullInit(options)
+	{
+		// assuming the given data is a map of <uniprot accession, coordinate data> pairs
+		_exonDataCache = options.data;
+	}
+
+	/**
+	 * Retrieves the genomic coordinate data for the given protein.
+	 *
+	 * @param servletParams {uniprotAcc: [uniprot accession]}
+	 * @param callback      callback function to be invoked after retrieval
+	 */
+	function getExonData(servletParams, callback)
+	{
+		var accession = servletParams.uniprotAcc;
+
+		if (accession == null)
+		{
+			// no accession provided, nothing to retrieve
+			callback(null);
+			return;
+		}
+
+		// retrieve data from the server if not cached
+		if (_exonDataCache[accession] == undefined)
+		{
+			if (self.isFullInit())
+			{
+				callback(null);
+				return;
+			}
+
+			// process & cache the raw data
+			var processData = function(data) {
+				_exonDataCache[accession] = data;
+
+				// forward the processed data to the provided callback function
+				callback(data);
+			};
+
+			// retrieve data from the servlet
+			var ajaxOpts = {
+				type: "GET",
+				url: _options.servletName,
+				data: {accession: accession},
+				success: processData,
+				error: function() {
+					console.log("[ExonDataProxy.getExonData] " +
+						"error retrieving exon data for: " + accession);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
+				dataType: "json"
+			};
+
+			self.requestData(ajaxOpts, accession);
+		}
+		else
+		{
+			// data is already cached, just forward it
+			callback(_exonDataCache[accession]);
+		}
+	}
+
+	/**
+	 * Exports the cached coordinate data as a map of <uniprot accession, coordinate data> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _exonDataCache);
+	}
+
+	// override required base functions
+	self.fullInit = fullInit;
+	self.exportData = exportData;
+
+	// class specific functions
+	self.getExonData = DataProxyUtil.withPromise(getExonData, 1);
+}
+
+// ExonDataProxy extends AbstractDataProxy...
+ExonDataProxy.prototype = new AbstractDataProxy();
+ExonDataProxy.prototype.constructor = ExonDataProxy;
+
+module.exports = ExonDataProxy;
@@ -0,0 +1,176 @@
+var _ = require("underscore");
+
+/**
+ * IndexedDB based storage backend for DataCache.
+ * (See MemoryCacheStorage for the storage interface.)
+ *
+ * The database is opened lazily on the first operation. If the database
+ * cannot be opened, all operations behave as if the storage is empty.
+ *
+ * @param options   {dbName: [database name], storeName: [object store name]}
+ */
+function IndexedDbCacheStorage(options)
+{
+	var self = this;
+
+	var _defaultOpts = {
+		dbName: "mutationMapperCache",
+		storeName: "cache"
+	};
+
+	var _options = _.extend({}, _defaultOpts, options);
+
+	// database instance (or false if cannot be opened)
+	var _db = null;
+
+	// operations waiting for the database to be opened
+	var _pending = null;
+
+	function openDb(callback)
+	{
+		if (_db !== null)
+		{
+			callback(_db);
+			return;
+		}
+
+		// already opening, wait for the result
+		if (_pending)
+		{
+			_pending.push(callback);
+			return;
+		}
+
+		_pending = [callback];
+
+		var done = function(db) {
+			_db = db;
+
+			var callbacks = _pending;
+			_pending = null;
+
+			_.each(callbacks, function(fn) {
+				fn(_db);
+			});
+		};
+
+		try {
+			var request = IndexedDbCacheStorage.getFactory().open(_options.dbName, 1);
+
+			request.onupgradeneeded = function() {
+				request.result.createObjectStore(_options.storeName);
+			};
+
+			request.onsuccess = function() {
+				done(request.result);
+			};
+
+			request.onerror = function() {
+				done(false);
+			};
+		}
+		catch (e) {
+			done(false);
+		}
+	}
+
+	/**
+	 * Runs the given operation on the object store within a transaction.
+	 *
+	 * @param mode          transaction mode ("readonly" or "readwrite")
+	 * @param operation     function that creates the request for the given store
+	 * @param callback      function to be invoked with the request result,
+	 *                      or with the given default value in case of an error
+	 * @param defaultValue  result in case of an error
+	 */
+	function transaction(mode, operation, callback, defaultValue)
+	{
+		openDb(function(db) {
+			if (!db)
+			{
+				callback(defaultValue);
+				return;
+			}
+
+			try {
+				var store = db.transaction(_options.storeName, mode).objectStore(_options.storeName);
+				var request = operation(store);
+
+				request.onsuccess = function() {
+					callback(request.result);
+				};
+
+				request.onerror = function() {
+					callback(defaultValue);
+				};
+			}
+			catch (e) {
+				callback(defaultValue);
+			}
+		});
+	}
+
+	function get(key, callback)
+	{
+		transaction("readonly", function(store) {
+			return store.get(key);
+		}, callback, undefined);
+	}
+
+	function set(key, value, callback)
+	{
+		transaction("readwrite", function(store) {
+			return store.put(value, key);
+		}, function(result) {
+			if (_.isFunction(callback))
+			{
+				callback(result !== false);
+			}
+		}, false);
+	}
+
+	function remove(key, callback)
+	{
+		transaction("readwrite", function(store) {
+			return store.delete(key);
+		}, function() {
+			if (_.isFunction(callback))
+			{
+				callback();
+			}
+		});
+	}
+
+	function keys(callback)
+	{
+		transaction("readonly", function(store) {
+			return store.getAllKeys();
+		}, function(result) {
+			callback(result || []);
+		}, []);
+	}
+
+	self.name = "indexedDB";
+	self.get = get;
+	self.set = set;
+	self.remove = remove;
+	self.keys = keys;
+}
+
+/**
+ * Returns the IndexedDB factory of the window, or null if IndexedDB
+ * is not available in this environment.
+ *
+ * @returns {IDBFactory|null}   IndexedDB factory
+ */
+IndexedDbCacheStorage.getFactory = function()
+{
+	try {
+		return window.indexedDB || null;
+	}
+	catch (e) {
+		return null;
+	}
+};
+
+module.exports = IndexedDbCacheStorage;
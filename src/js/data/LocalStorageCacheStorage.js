@@ -0,0 +1,109 @@
+var _ = require("underscore");
+
+/**
+ * localStorage based storage backend for DataCache.
+ * (See MemoryCacheStorage for the storage interface.)
+ *
+ * @param storage   [optional] Web Storage instance, window.localStorage by default
+ */
+function LocalStorageCacheStorage(storage)
+{
+	var self = this;
+
+	var _storage = storage || LocalStorageCacheStorage.getStorage();
+
+	function get(key, callback)
+	{
+		var value;
+
+		try {
+			value = _storage.getItem(key);
+		}
+		catch (e) {
+			value = null;
+		}
+
+		// getItem returns null for a missing key
+		callback(value == null ? undefined : value);
+	}
+
+	function set(key, value, callback)
+	{
+		var success = true;
+
+		try {
+			_storage.setItem(key, value);
+		}
+		catch (e) {
+			// most likely the quota is exceeded
+			success = false;
+		}
+
+		if (_.isFunction(callback))
+		{
+			callback(success);
+		}
+	}
+
+	function remove(key, callback)
+	{
+		try {
+			_storage.removeItem(key);
+		}
+		catch (e) {
+			// ignore, nothing to remove
+		}
+
+		if (_.isFunction(callback))
+		{
+			callback();
+		}
+	}
+
+	function keys(callback)
+	{
+		var storageKeys = [];
+
+		try {
+			for (var i = 0; i < _storage.length; i++)
+			{
+				storageKeys.push(_storage.key(i));
+			}
+		}
+		catch (e) {
+			storageKeys = [];
+		}
+
+		callback(storageKeys);
+	}
+
+	self.name = "localStorage";
+	self.get = get;
+	self.set = set;
+	self.remove = remove;
+	self.keys = keys;
+}
+
+/**
+ * Returns the localStorage instance of the window, or null if
+ * localStorage is not available (or not accessible) in this environment.
+ *
+ * @returns {Storage|null}  localStorage instance
+ */
+LocalStorageCacheStorage.getStorage = function()
+{
+	try {
+		var storage = window.localStorage;
+		var testKey = "__localStorageCacheTest__";
+
+		storage.setItem(testKey, testKey);
+		storage.removeItem(testKey);
+
+		return storage;
+	}
+	catch (e) {
+		return null;
+	}
+};
+
+module.exports = LocalStorageCacheStorage;
@@ -0,0 +1,78 @@
+var _ = require("underscore");
+
+/**
+ * In-memory storage backend for DataCache. Data is not persisted across
+ * page reloads, so this is mainly a fallback for environments without
+ * IndexedDB or localStorage support.
+ *
+ * All storage backends provide the same asynchronous (callback based)
+ * interface: get, set, remove and keys.
+ */
+function MemoryCacheStorage()
+{
+	var self = this;
+
+	var _store = {};
+
+	/**
+	 * Retrieves the value for the given key.
+	 *
+	 * @param key       storage key
+	 * @param callback  function to be invoked with the value (undefined if missing)
+	 */
+	function get(key, callback)
+	{
+		callback(_store[key]);
+	}
+
+	/**
+	 * Stores the given value for the given key.
+	 *
+	 * @param key       storage key
+	 * @param value     value (string) to store
+	 * @param callback  [optional] function to be invoked with a success flag
+	 */
+	function set(key, value, callback)
+	{
+		_store[key] = value;
+
+		if (_.isFunction(callback))
+		{
+			callback(true);
+		}
+	}
+
+	/**
+	 * Removes the value for the given key.
+	 *
+	 * @param key       storage key
+	 * @param callback  [optional] function to be invoked after removal
+	 */
+	function remove(key, callback)
+	{
+		delete _store[key];
+
+		if (_.isFunction(callback))
+		{
+			callback();
+		}
+	}
+
+	/**
+	 * Retrieves all the keys in the storage.
+	 *
+	 * @param callback  function to be invoked with the array of keys
+	 */
+	function keys(callback)
+	{
+		callback(_.keys(_store));
+	}
+
+	self.name = "memory";
+	self.get = get;
+	self.set = set;
+	self.remove = remove;
+	self.keys = keys;
+}
+
+module.exports = MemoryCacheStorage;
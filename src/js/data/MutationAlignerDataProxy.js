@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -106,6 +107,12 @@ function MutationAlignerDataProxy(options)
 				url: _options.servletName,
 				data: servletParams,
 				success: processData,
+				error: function() {
+					console.log("[MutationAlignerDataProxy.getMutationAlignerData] " +
+						"error retrieving mutation aligner data for pfam accession: " + pfamAccession);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
 				dataType: "json"
 			};
 
@@ -118,11 +125,22 @@ function MutationAlignerDataProxy(options)
 		}
 	}
 
+	/**
+	 * Exports the cached data as a map of <pfam accession, data> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _maDataCache);
+	}
+
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getMutationAlignerData = getMutationAlignerData;
+	self.getMutationAlignerData = DataProxyUtil.withPromise(getMutationAlignerData, 1);
 }
 
 // MutationAlignerDataProxy extends AbstractDataProxy...
@@ -59,7 +59,11 @@ function MutationData(options)
     var _state = {
         highlighted: [],
         selected: [],
-        filtered: []
+        filtered: [],
+        // serializable criteria of the filtered mutations provided by the
+        // filtering view (e.g. table search and column filters),
+        // empty if the criteria are unknown
+        filters: {}
     };
 
     // merge options with default options to use defaults for missing values
@@ -161,19 +165,30 @@ function MutationData(options)
         remove("highlighted", mutations, MutationDetailsEvents.MUTATION_HIGHLIGHT, info);
     }
 
+    /**
+     * Updates the filtered mutations.
+     *
+     * @param mutations filtered mutations
+     * @param info      [optional] event info, info.filters (if any) is
+     *                  stored as the criteria of the filtered mutations
+     */
     function updateFilteredMutations(mutations, info)
     {
+        _state.filters = (info && info.filters) || {};
         update("filtered", mutations, MutationDetailsEvents.MUTATION_FILTER, info);
     }
 
     function filterMutations(mutations, info)
     {
+        _state.filters = {};
         // add given mutations to the set of filtered mutations
         add("filtered", mutations, MutationDetailsEvents.MUTATION_FILTER, info);
     }
 
     function unfilterMutations(mutations, info)
     {
+        _state.filters = {};
+
         if (mutations == null) {
             _state.filtered = _data;
             $(_dispatcher).trigger(MutationDetailsEvents.MUTATION_FILTER,
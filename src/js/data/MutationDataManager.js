@@ -1,7 +1,9 @@
 var VariantAnnotationUtil = require("../util/VariantAnnotationUtil");
 var PdbDataUtil = require("../util/PdbDataUtil");
 var PancanMutationDataUtil = require("../util/PancanMutationDataUtil");
+var HotspotUtil = require("../util/HotspotUtil");
 var RequestQueue = require("../util/RequestQueue");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -42,7 +44,7 @@ function MutationDataManager(options)
 					// make variants a comma separated list
 					variants = variants.join(",");
 
-					annotationProxy.getAnnotationData(variants, function(annotationData) {
+					forwardErrors(annotationProxy.getAnnotationData(variants, function(annotationData) {
 						// enrich current mutation data with the annotation data
 						VariantAnnotationUtil.addAnnotationData(mutations, annotationData);
 
@@ -50,7 +52,7 @@ function MutationDataManager(options)
 						{
 							callback(params);
 						}
-					});
+					}), callback);
 				}
 				else if (_.isFunction(callback))
 				{
@@ -69,28 +71,63 @@ function MutationDataManager(options)
 
 				if (mutations && pdbProxy && uniprotId)
 				{
-					pdbProxy.getPdbRowData(uniprotId, function(pdbRowData) {
+					forwardErrors(pdbProxy.getPdbRowData(uniprotId, function(pdbRowData) {
 						PdbDataUtil.addPdbMatchData(mutations, pdbRowData);
 
 						if (_.isFunction(callback))
 						{
 							callback(params);
 						}
-					});
+					}), callback);
 				}
 				else if (_.isFunction(callback))
 				{
 					callback(params);
 				}
 			},
+			hotspot: function(dataProxies, params, callback) {
+				var mutations = params.mutations || params.mutationTable.getMutations();
+				var gene = params.gene || params.mutationTable.getGene();
+
+				var mainView = _viewMap[gene];
+				var scores;
+
+				// only the mutations of the given gene are scored
+				// (mutation list may contain mutations of other genes)
+				if (gene)
+				{
+					mutations = _.filter(mutations, function(mutation) {
+						return (mutation.get("geneSymbol") || "").toUpperCase() === gene.toUpperCase();
+					});
+				}
+
+				// use the same scores as the diagram of the gene
+				if (mainView)
+				{
+					scores = mainView.getHotspots();
+				}
+				else
+				{
+					scores = HotspotUtil.scorePositions(mutations,
+						HotspotUtil.proteinLength(null, mutations),
+						params.hotspotOpts);
+				}
+
+				HotspotUtil.addHotspotData(mutations, scores);
+
+				if (_.isFunction(callback))
+				{
+					callback(params);
+				}
+			},
 			cBioPortal: function(dataProxies, params, callback) {
 				var pancanProxy = dataProxies.pancanProxy;
 				var mutationUtil = params.mutationUtil || params.mutationTable.getMutationUtil();
 				var mutations = params.mutations || params.mutationTable.getMutations();
 
 				// get the pancan data and update the data & display values
-				pancanProxy.getPancanData({cmd: "byProteinPos"}, mutationUtil, function(dataByPos) {
-					pancanProxy.getPancanData({cmd: "byHugos"}, mutationUtil, function(dataByGeneSymbol) {
+				forwardErrors(pancanProxy.getPancanData({cmd: "byProteinPos"}, mutationUtil, function(dataByPos) {
+					forwardErrors(pancanProxy.getPancanData({cmd: "byHugos"}, mutationUtil, function(dataByGeneSymbol) {
 						var frequencies = PancanMutationDataUtil.getMutationFrequencies(
 							{protein_pos_start: dataByPos, hugo: dataByGeneSymbol});
 
@@ -119,8 +156,8 @@ function MutationDataManager(options)
 							// mutation object directly, so passing it to the callback function
 							callback(params, frequencies);
 						}
-					});
-				});
+					}), callback);
+				}), callback);
 			}
 		},
 		dataProxies : {}
@@ -129,6 +166,25 @@ function MutationDataManager(options)
 	// merge options with default options to use defaults for missing values
 	var _options = jQuery.extend(true, {}, _defaultOpts, options);
 
+	/**
+	 * Forwards the errors of a data proxy request to the promise bound to
+	 * the given callback (see DataProxyUtil.reject). Data functions still
+	 * rely on the proxy callbacks, since custom proxies may not return
+	 * a promise at all.
+	 *
+	 * @param result    return value of the data proxy function
+	 * @param callback  callback of the data function
+	 */
+	function forwardErrors(result, callback)
+	{
+		if (result != null && _.isFunction(result.then))
+		{
+			result.then(null, function() {
+				DataProxyUtil.reject(callback, arguments);
+			});
+		}
+	}
+
 	// list of request queues keyed by data request type
 	// <type, RequestQueue instance> pairs
 	var _requestManager = {};
@@ -139,7 +195,9 @@ function MutationDataManager(options)
 	 *
 	 * @param type      data type
 	 * @param params    params to be passed over the callback function
-	 * @param callback  callback function to be invoked after data retrieval
+	 * @param callback  [optional] callback function to be invoked after data retrieval
+	 * @return {object} a promise resolved with the same arguments passed to the callback,
+	 *                  or rejected if the data cannot be retrieved
 	 */
 	function getData(type, params, callback)
 	{
@@ -150,26 +208,41 @@ function MutationDataManager(options)
 
 			// init with a custom request process function
 			_requestManager[type].init(function(element) {
+				var queue = _requestManager[element.type];
+
 				// corresponding data retrieval function
 				var dataFn = _options.dataFn[element.type];
 
+				// invokes the actual callback function of the element,
+				// unless the element is cancelled in the meantime
+				var complete = function(params, data) {
+					_.each(queue.getElements(element), function(ele) {
+						ele.callback(params, data);
+					});
+
+					// process of the current element complete
+					queue.complete(element);
+				};
+
+				// rejects the promises of the waiting elements in case of an error,
+				// data functions should still invoke complete afterwards
+				complete.reject = function() {
+					var args = arguments;
+
+					_.each(queue.getElements(element), function(ele) {
+						DataProxyUtil.reject(ele.callback, args);
+					});
+				};
+
 				if (_.isFunction(dataFn))
 				{
 					// call the function, with a special callback
-					dataFn(_options.dataProxies, element.params, function(params, data) {
-						// call the actual callback function
-						element.callback(params, data);
-
-						// process of the current element complete
-						_requestManager[element.type].complete();
-					});
+					dataFn(_options.dataProxies, element.params, complete);
 				}
 				// no data function is registered for this data field
 				else
 				{
-					element.callback(element.params, null);
-					// process of the current element complete
-					_requestManager[type].complete();
+					complete(element.params, null);
 				}
 			});
 		}
@@ -177,7 +250,46 @@ function MutationDataManager(options)
 		// add the request to the corresponding queue.
 		// this helps preventing simultaneously requests to the server for the same type
 		// (NOTE: this does not check if the parameters are exactly the same or not)
-		_requestManager[type].add({type: type, params: params, callback: callback});
+		_requestManager[type].add({type: type, params: params, callback: callback},
+			requestGroup(params));
+	}
+
+	/**
+	 * Cancels all pending data requests for the given gene.
+	 * Callback functions of the cancelled requests are not invoked.
+	 *
+	 * @param gene  hugo gene symbol
+	 */
+	function cancelRequests(gene)
+	{
+		_.each(_requestManager, function(queue) {
+			queue.cancel(gene);
+		});
+	}
+
+	/**
+	 * Determines the request group (gene) for the given data request params.
+	 *
+	 * @param params    data request params
+	 * @returns {string|undefined}  gene symbol if can be determined
+	 */
+	function requestGroup(params)
+	{
+		if (params.gene)
+		{
+			return params.gene;
+		}
+		else if (params.mutationTable)
+		{
+			return params.mutationTable.getGene();
+		}
+
+		var mutation = _.first(params.mutations);
+
+		if (mutation && _.isFunction(mutation.get))
+		{
+			return mutation.get("geneSymbol");
+		}
 	}
 
 	function addView(gene, mainView)
@@ -185,8 +297,9 @@ function MutationDataManager(options)
 		_viewMap[gene] = mainView;
 	}
 
-	this.getData = getData;
+	this.getData = DataProxyUtil.withPromise(getData, 2);
 	this.addView = addView;
+	this.cancelRequests = cancelRequests;
 }
 
 module.exports = MutationDataManager;
\ No newline at end of file
@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 var MutationCollection = require("../model/MutationCollection");
 var MutationDetailsUtil = require("../util/MutationDetailsUtil");
 
@@ -91,6 +92,19 @@ function MutationDataProxy(options)
 		_util.processMutationData(mutations);
 	}
 
+	/**
+	 * Exports all mutations retrieved so far as an array of
+	 * mutation attributes.
+	 *
+	 * @return {Array} array of mutation attributes
+	 */
+	function exportData()
+	{
+		return _.map(_util.getMutations(), function(mutation) {
+			return mutation.toJSON();
+		});
+	}
+
 	function getGeneList()
 	{
 		// TODO lazy init: to find out genes with mutation data ONLY,
@@ -190,12 +204,14 @@ function MutationDataProxy(options)
 						error: function() {
 							console.log("[MutationDataProxy.getMutationData] " +
 								"error retrieving mutation data for genetic profiles: " + servletParams.geneticProfiles);
+							DataProxyUtil.reject(callback, arguments);
 							process([]);
 						},
 						dataType: "json"
 					};
 
-					self.requestData(ajaxOpts);
+					// a batch request is cancelled once all of its genes are cancelled
+					self.requestData(ajaxOpts, genesToQuery);
 				}
 				// data for all requested genes already cached
 				else
@@ -224,9 +240,10 @@ function MutationDataProxy(options)
 
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getMutationData = getMutationData;
+	self.getMutationData = DataProxyUtil.withPromise(getMutationData, 1);
 	self.getGeneList = getGeneList;
 	self.getRawGeneList = getRawGeneList;
 	self.getUnsortedGeneList = getUnsortedGeneList;
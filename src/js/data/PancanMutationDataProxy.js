@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -76,10 +77,25 @@ function PancanMutationDataProxy(options)
 	{
 		var data = options.data;
 
-		_cacheByKeyword = data.byKeyword;
-		_cacheByProteinChange = data.byProteinChange;
-		_cacheByGeneSymbol = data.byGeneSymbol;
-		_cacheByProteinPosition = data.byProteinPosition;
+		_cacheByKeyword = data.byKeyword || {};
+		_cacheByProteinChange = data.byProteinChange || {};
+		_cacheByGeneSymbol = data.byGeneSymbol || {};
+		_cacheByProteinPosition = data.byProteinPosition || {};
+	}
+
+	/**
+	 * Exports all cached data in the full init format.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, {
+			byKeyword: _cacheByKeyword,
+			byProteinChange: _cacheByProteinChange,
+			byProteinPosition: _cacheByProteinPosition,
+			byGeneSymbol: _cacheByGeneSymbol
+		});
 	}
 
 	function getPancanData(servletParams, mutationUtil, callback)
@@ -153,6 +169,13 @@ function PancanMutationDataProxy(options)
 				success: function(response) {
 					processData(response, data, cache, fields, callback);
 				},
+				error: function() {
+					console.log("[PancanMutationDataProxy.getData] " +
+						"error retrieving pancan data: " + cmd);
+					DataProxyUtil.reject(callback, arguments);
+					// forward only the cached data
+					processData([], data, cache, fields, callback);
+				},
 				dataType: "json"
 			};
 
@@ -252,9 +275,10 @@ function PancanMutationDataProxy(options)
 
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getPancanData = getPancanData;
+	self.getPancanData = DataProxyUtil.withPromise(getPancanData, 2);
 }
 
 // PancanMutationDataProxy extends AbstractDataProxy...
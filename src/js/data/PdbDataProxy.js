@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 var PdbDataUtil = require("../util/PdbDataUtil");
 
 var $ = require("jquery");
@@ -75,6 +76,9 @@ function PdbDataProxy(options)
 	// map of <uniprot id, PdbCollection> pairs
 	var _pdbDataCache = {};
 
+	// map of <uniprot id, raw pdb data> pairs
+	var _pdbRawDataCache = {};
+
 	// map of <uniprot id, PdbChain[][]> pairs
 	var _pdbRowDataCache = {};
 
@@ -95,6 +99,8 @@ function PdbDataProxy(options)
 	{
 		var data = options.data;
 
+		_pdbRawDataCache = data.pdbData || {};
+
 		// process pdb data
 		_.each(_.keys(data.pdbData), function(uniprotId) {
 			var pdbColl = PdbDataUtil.processPdbData(data.pdbData[uniprotId]);
@@ -103,10 +109,10 @@ function PdbDataProxy(options)
 		});
 
 		// set info data
-		_pdbInfoCache = data.infoData;
+		_pdbInfoCache = data.infoData || {};
 
 		// set summary data
-		_pdbDataSummaryCache = data.summaryData;
+		_pdbDataSummaryCache = data.summaryData || {};
 
 		// process position data
 //		_.each(_.keys(data.positionData), function(key) {
@@ -114,7 +120,22 @@ function PdbDataProxy(options)
 //		});
 
 		// set position data
-		_positionMapCache = data.positionData;
+		_positionMapCache = data.positionData || {};
+	}
+
+	/**
+	 * Exports all cached data in the full init format.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, {
+			pdbData: _pdbRawDataCache,
+			infoData: _pdbInfoCache,
+			summaryData: _pdbDataSummaryCache,
+			positionData: _positionMapCache
+		});
 	}
 
 	/**
@@ -203,7 +224,7 @@ function PdbDataProxy(options)
 					if (type != null &&
 						type.toLowerCase() === "in_frame_del")
 					{
-						end = positionData[mutations[i].get("proteinPosEnd")] || end;
+						end = positionData[mutations[i].getProteinEndPos()] || end;
 
 						// TODO if array pick the longest one...
 						if (_.isArray(end) && _.size(end) > 0)
@@ -254,10 +275,16 @@ function PdbDataProxy(options)
 					alignments: alignmentData.join(_options.listJoiner)
 				},
 				success: processData,
+				error: function() {
+					console.log("[PdbDataProxy.getPositionMap] " +
+						"error retrieving position map for gene: " + gene);
+					DataProxyUtil.reject(callbackFn, arguments);
+					callbackFn({});
+				},
 				dataType: "json"
 			};
 
-			self.requestData(ajaxOpts);
+			self.requestData(ajaxOpts, gene);
 		}
 		// no position data: no need to query the server
 		else
@@ -311,6 +338,7 @@ function PdbDataProxy(options)
 			var processData = function(data) {
 				var pdbColl = PdbDataUtil.processPdbData(data);
 				_pdbDataCache[uniprotId] = pdbColl;
+				_pdbRawDataCache[uniprotId] = data;
 
 				// forward the processed data to the provided callback function
 				callback(pdbColl);
@@ -330,10 +358,17 @@ function PdbDataProxy(options)
 				url: url,
 				data: {uniprotId: uniprotId, uniprotIds: uniprotId},
 				success: processData,
+				error: function() {
+					console.log("[PdbDataProxy.getPdbData] " +
+						"error retrieving pdb data for uniprot id: " + uniprotId);
+					DataProxyUtil.reject(callback, arguments);
+					// forward an empty collection without caching
+					callback(PdbDataUtil.processPdbData([]));
+				},
 				dataType: "json"
 			};
 
-			self.requestData(ajaxOpts);
+			self.requestData(ajaxOpts, uniprotId);
 		}
 		else
 		{
@@ -358,14 +393,19 @@ function PdbDataProxy(options)
 		if (!self.isFullInit() &&
 		    _pdbRowDataCache[uniprotId] == undefined)
 		{
-			getPdbData(uniprotId, function(pdbColl) {
+			var processData = function(pdbColl) {
 				// get the data & cache
 				var rowData = PdbDataUtil.allocateChainRows(pdbColl);
 				_pdbRowDataCache[uniprotId] = rowData;
 
 				// forward to the callback
 				callback(rowData);
-			});
+			};
+
+			// forward the errors to the promise of this function
+			processData.reject = callback.reject;
+
+			getPdbData(uniprotId, processData);
 		}
 		else
 		{
@@ -422,10 +462,16 @@ function PdbDataProxy(options)
 					type: "summary"
 				},
 				success: processData,
+				error: function() {
+					console.log("[PdbDataProxy.getPdbDataSummary] " +
+						"error retrieving pdb summary for uniprot id: " + uniprotId);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
 				dataType: "json"
 			};
 
-			self.requestData(ajaxOpts);
+			self.requestData(ajaxOpts, uniprotId);
 		}
 		else
 		{
@@ -449,6 +495,9 @@ function PdbDataProxy(options)
 			callback(hasData);
 		};
 
+		// forward the errors to the promise of this function
+		processData.reject = callback.reject;
+
 		getPdbDataSummary(uniprotId, processData);
 	}
 
@@ -541,6 +590,13 @@ function PdbDataProxy(options)
 				url: url,
 				data: servletParams,
 				success: processData,
+				error: function() {
+					console.log("[PdbDataProxy.getPdbInfo] " +
+						"error retrieving pdb info for: " + servletParams.pdbIds);
+					DataProxyUtil.reject(callback, arguments);
+					// forward only the cached data
+					callback(pdbData);
+				},
 				dataType: "json"
 			};
 
@@ -556,13 +612,14 @@ function PdbDataProxy(options)
 
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.hasPdbData = hasPdbData;
-	self.getPdbData = getPdbData;
-	self.getPdbRowData = getPdbRowData;
-	self.getPdbInfo = getPdbInfo;
-	self.getPositionMap = getPositionMap;
+	self.hasPdbData = DataProxyUtil.withPromise(hasPdbData, 1);
+	self.getPdbData = DataProxyUtil.withPromise(getPdbData, 1);
+	self.getPdbRowData = DataProxyUtil.withPromise(getPdbRowData, 1);
+	self.getPdbInfo = DataProxyUtil.withPromise(getPdbInfo, 1);
+	self.getPositionMap = DataProxyUtil.withPromise(getPositionMap, 2);
 }
 
 // PdbDataProxy extends AbstractDataProxy...
@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -106,10 +107,16 @@ function PfamDataProxy(options)
 				url: _options.servletName,
 				data: servletParams,
 				success: processData,
+				error: function() {
+					console.log("[PfamDataProxy.getPfamData] " +
+						"error retrieving pfam data for gene: " + gene);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
 				dataType: "json"
 			};
 
-			self.requestData(ajaxOpts);
+			self.requestData(ajaxOpts, gene);
 		}
 		else
 		{
@@ -118,11 +125,22 @@ function PfamDataProxy(options)
 		}
 	}
 
+	/**
+	 * Exports the cached PFAM data as a map of <gene, sequence data> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _pfamDataCache);
+	}
+
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getPfamData = getPfamData;
+	self.getPfamData = DataProxyUtil.withPromise(getPfamData, 1);
 }
 
 // PdbDataProxy extends AbstractDataProxy...
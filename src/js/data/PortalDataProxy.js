@@ -30,6 +30,7 @@
 
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -107,10 +108,9 @@ function PortalDataProxy(options)
 			}
 		};
 
-		// TODO full init...
-
-		// everything is cached
-		if (_.isEmpty(queryParams))
+		// everything is cached (or full init)
+		if (_.isEmpty(queryParams) ||
+		    self.isFullInit())
 		{
 			// just forward
 			processData(metadata);
@@ -123,6 +123,13 @@ function PortalDataProxy(options)
 				url: _options.servletName,
 				data: queryParams,
 				success: processData,
+				error: function() {
+					console.log("[PortalDataProxy.getPortalData] " +
+						"error retrieving portal data");
+					DataProxyUtil.reject(callback, arguments);
+					// forward only the cached data
+					processData({});
+				},
 				dataType: "json"
 			};
 
@@ -130,11 +137,22 @@ function PortalDataProxy(options)
 		}
 	}
 
+	/**
+	 * Exports the cached portal metadata.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _data);
+	}
+
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getPortalData = getPortalData;
+	self.getPortalData = DataProxyUtil.withPromise(getPortalData, 1);
 }
 
 // PdbDataProxy extends AbstractDataProxy...
@@ -0,0 +1,124 @@
+var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
+
+var $ = require("jquery");
+var jQuery = $;
+
+/**
+ * This class is designed to retrieve UniProt feature data
+ * (PTM sites, signal peptides, transmembrane regions, etc.) on demand.
+ *
+ * @param options  additional options
+ */
+function UniprotFeatureDataProxy(options)
+{
+	var self = this;
+
+	// default options
+	var _defaultOpts = {
+		servletName: "https://www.ebi.ac.uk/proteins/api/features"
+	};
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// call super constructor to init options and other params
+	AbstractDataProxy.call(this, _options);
+	_options = self._options;
+
+	// map of <uniprot accession, feature data> pairs
+	var _featureDataCache = {};
+
+	/**
+	 * Initializes with full feature data. Once initialized with full data,
+	 * this proxy class assumes that there will be no additional data.
+	 *
+	 * @param options   data proxy options
+	 */
+	function fullInit(options)
+	{
+		// assuming the given data is a map of <uniprot accession, feature data> pairs
+		_featureDataCache = options.data;
+	}
+
+	/**
+	 * Retrieves the UniProt feature data for the given protein.
+	 *
+	 * @param servletParams {uniprotAcc: [uniprot accession]}
+	 * @param callback      callback function to be invoked after retrieval
+	 */
+	function getFeatureData(servletParams, callback)
+	{
+		var accession = servletParams.uniprotAcc;
+
+		if (accession == null)
+		{
+			// no accession provided, nothing to retrieve
+			callback(null);
+			return;
+		}
+
+		// retrieve data from the server if not cached
+		if (_featureDataCache[accession] == undefined)
+		{
+			if (self.isFullInit())
+			{
+				callback(null);
+				return;
+			}
+
+			// process & cache the raw data
+			var processData = function(data) {
+				_featureDataCache[accession] = data;
+
+				// forward the processed data to the provided callback function
+				callback(data);
+			};
+
+			// retrieve data from the servlet
+			var ajaxOpts = {
+				type: "GET",
+				url: _options.servletName,
+				data: {accession: accession},
+				success: processData,
+				error: function() {
+					console.log("[UniprotFeatureDataProxy.getFeatureData] " +
+						"error retrieving feature data for: " + accession);
+					DataProxyUtil.reject(callback, arguments);
+					callback(null);
+				},
+				dataType: "json"
+			};
+
+			self.requestData(ajaxOpts, accession);
+		}
+		else
+		{
+			// data is already cached, just forward it
+			callback(_featureDataCache[accession]);
+		}
+	}
+
+	/**
+	 * Exports the cached feature data as a map of <uniprot accession, feature data> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _featureDataCache);
+	}
+
+	// override required base functions
+	self.fullInit = fullInit;
+	self.exportData = exportData;
+
+	// class specific functions
+	self.getFeatureData = DataProxyUtil.withPromise(getFeatureData, 1);
+}
+
+// UniprotFeatureDataProxy extends AbstractDataProxy...
+UniprotFeatureDataProxy.prototype = new AbstractDataProxy();
+UniprotFeatureDataProxy.prototype.constructor = UniprotFeatureDataProxy;
+
+module.exports = UniprotFeatureDataProxy;
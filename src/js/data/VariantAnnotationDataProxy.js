@@ -29,6 +29,7 @@
  */
 
 var AbstractDataProxy = require("../data/AbstractDataProxy");
+var DataProxyUtil = require("../util/DataProxyUtil");
 
 var $ = require("jquery");
 var jQuery = $;
@@ -155,6 +156,7 @@ function VariantAnnotationDataProxy(options)
 						console.log("[VariantDataProxy.getAnnotationData] " +
 						            "error retrieving annotation data for variants: " +
 						            variantsData);
+						DataProxyUtil.reject(callback, arguments);
 						process([]);
 					},
 					//processData: false,
@@ -195,11 +197,22 @@ function VariantAnnotationDataProxy(options)
 		}
 	}
 
+	/**
+	 * Exports the cached annotation data as a map of <variant, data> pairs.
+	 *
+	 * @return {object} cached data
+	 */
+	function exportData()
+	{
+		return jQuery.extend(true, {}, _annotationDataCache);
+	}
+
 	// override required base functions
 	self.fullInit = fullInit;
+	self.exportData = exportData;
 
 	// class specific functions
-	self.getAnnotationData = getAnnotationData;
+	self.getAnnotationData = DataProxyUtil.withPromise(getAnnotationData, 1);
 }
 
 // VariantAnnotationDataProxy extends AbstractDataProxy...
@@ -28,6 +28,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+var HgvsProteinParser = require("../util/HgvsProteinParser");
+
 var Backbone = require("backbone");
 
 /**
@@ -122,6 +124,29 @@ var MutationModel = Backbone.Model.extend({
 
 		return position;
 	},
+	/**
+	 * Finds out the protein end position for this mutation.
+	 * The field proteinPosEnd has a priority over proteinChange.
+	 * If none of these has a valid value, then this function
+	 * returns null.
+	 *
+	 * @return protein end position
+	 */
+	getProteinEndPos: function()
+	{
+		var position = this.get("proteinPosEnd");
+
+		if (position == null ||
+		    position.length == 0 ||
+		    position == "NA" ||
+		    position < 0)
+		{
+			var parsed = HgvsProteinParser.parse(this.get("proteinChange"));
+			position = parsed ? parsed.end.toString() : null;
+		}
+
+		return position;
+	},
 	/**
 	 * Finds the uniprot location for the protein change of
 	 * the given mutation.
@@ -131,17 +156,11 @@ var MutationModel = Backbone.Model.extend({
 	getProteinChangeLocation: function()
 	{
 		var location = null;
-		var result = null;
-		var proteinChange = this.get("proteinChange");
-
-		if (proteinChange != null)
-		{
-			result = proteinChange.match(/[0-9]+/);
-		}
+		var result = HgvsProteinParser.parse(this.get("proteinChange"));
 
-		if (result && result.length > 0)
+		if (result)
 		{
-			location = result[0];
+			location = result.start.toString();
 		}
 
 		return location;
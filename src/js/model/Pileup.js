@@ -46,6 +46,7 @@ var Pileup = Backbone.Model.extend({
 		this.location = attributes.location; // the location of the mutations
 		this.label = attributes.label; // text label for this data point
 		this.stats = attributes.stats;
+		this.hotspot = attributes.hotspot || null; // hotspot score of the location (see HotspotUtil)
 	}
 });
 
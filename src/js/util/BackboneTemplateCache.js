@@ -53,28 +53,48 @@ var BackboneTemplateCache = (function () {
 		"mutation_3d_type_color_tip_template": "3d/type_color_tip",
 		"mutation_info_panel_template": "info_panel/info_panel",
 		"mutation_info_panel_type_template": "info_panel/info_panel_type",
+		"mutation_details_co_occurrence_view_template": "mutation_details/co_occurrence_view",
+		"mutation_details_co_occurrence_row_template": "mutation_details/co_occurrence_row",
+		"mutation_details_error_info_template": "mutation_details/error_info",
 		"default_mutation_details_gene_info_template": "mutation_details/gene_info",
+		"mutation_details_gene_overview_template": "mutation_details/gene_overview",
+		"mutation_details_gene_overview_row_template": "mutation_details/gene_overview_row",
+		"mutation_details_gene_overview_type_template": "mutation_details/gene_overview_type",
 		"default_mutation_details_info_template": "mutation_details/info",
 		"default_mutation_details_list_content_template": "mutation_details/list_content",
 		"default_mutation_details_main_content_template": "mutation_details/main_content",
 		"default_mutation_details_template": "mutation_details/mutation_details",
+		"mutation_oncoprint_view_template": "mutation_details/mutation_oncoprint_view",
 		"mutation_summary_view_template": "mutation_details/mutation_summary_view",
 		"mutation_view_template": "mutation_details/mutation_view",
+		"mutation_details_cluster_tip_template": "mutation_diagram/cluster_tip",
+		"mutation_details_encoding_legend_template": "mutation_diagram/encoding_legend",
+		"mutation_details_encoding_legend_item_template": "mutation_diagram/encoding_legend_item",
+		"mutation_details_lollipop_comparison_tip_template": "mutation_diagram/lollipop_comparison_tip",
 		"mutation_details_lollipop_tip_template": "mutation_diagram/lollipop_tip",
+		"mutation_details_lollipop_tip_hotspot_template": "mutation_diagram/lollipop_tip_hotspot",
 		"mutation_details_lollipop_tip_stats_template": "mutation_diagram/lollipop_tip_stats",
 		"mutation_aligner_info_template": "mutation_diagram/mutation_aligner_info",
 		"mutation_customize_panel_template": "mutation_diagram/mutation_customize_panel",
 		"mutation_diagram_view_template": "mutation_diagram/mutation_diagram_view",
 		"mutation_help_panel_template": "mutation_diagram/mutation_help_panel",
 		"mutation_details_region_tip_template": "mutation_diagram/region_tip",
+		"mutation_details_track_feature_tip_template": "mutation_diagram/track_feature_tip",
+		"mutation_details_track_legend_template": "mutation_diagram/track_legend",
+		"mutation_details_track_legend_item_template": "mutation_diagram/track_legend_item",
 		"mutation_table_cancer_study_template": "mutation_table/cancer_study",
 		"mutation_table_case_id_template": "mutation_table/case_id",
 		"mutation_table_cbio_portal_template": "mutation_table/cbio_portal",
 		"mutation_table_cna_template": "mutation_table/cna",
+		"mutation_table_column_filter_panel_template": "mutation_table/column_filter_panel",
+		"mutation_table_column_filter_range_template": "mutation_table/column_filter_range",
+		"mutation_table_column_filter_multi_template": "mutation_table/column_filter_multi",
+		"mutation_table_column_filter_regex_template": "mutation_table/column_filter_regex",
 		"mutation_table_cosmic_template": "mutation_table/cosmic",
 		"mutation_details_cosmic_tip_template": "mutation_table/cosmic_tip",
 		"mutation_table_end_pos_template": "mutation_table/end_position",
 		"mutation_details_fis_tip_template": "mutation_table/fis_tip",
+		"mutation_table_hotspot_template": "mutation_table/hotspot",
 		"mutation_table_igv_link_template": "mutation_table/igv_link",
 		"mutation_table_mutation_assessor_template": "mutation_table/mutation_assessor",
 		"mutation_table_mutation_count_template": "mutation_table/mutation_count",
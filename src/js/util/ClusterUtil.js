@@ -0,0 +1,319 @@
+var HotspotUtil = require("../util/HotspotUtil");
+var StatUtil = require("../util/StatUtil");
+
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to detect clusters of mutations, i.e. groups of
+ * nearby positions which are mutated more frequently than expected by chance.
+ *
+ * Linear clusters are windows along the protein sequence: every mutated
+ * position is scored with the mutation count of the surrounding window
+ * (see HotspotUtil.scorePositions), and the overlapping significant windows
+ * are merged into a single cluster.
+ *
+ * Spatial clusters are groups of residues close to each other in a 3D
+ * structure: every mutated residue is scored with the mutation count of
+ * the residues within the given distance, where the expected count is
+ * proportional to the number of residues in that neighborhood.
+ *
+ * A cluster is a JSON object:
+ * {id: [cluster id], type: ["linear" or "spatial"], start: [first protein position],
+ *  end: [last protein position], positions: [mutated protein positions],
+ *  residues: [mutated pdb residues, spatial clusters only], count: [number of mutations],
+ *  pValue: [min raw p-value], qValue: [min corrected p-value], mutations: [Mutation models]}
+ */
+var ClusterUtil = (function()
+{
+	var _defaultOpts = {
+		windowSize: 5,          // half width of the linear window around a position (in aa)
+		distance: 8,            // max distance between the residues of a spatial cluster (in angstroms)
+		correction: "fdr",      // multiple testing correction: "fdr", "bonferroni", or "none"
+		threshold: 0.05,        // max corrected p-value for a significant cluster
+		minCount: 3             // min number of mutations in a significant cluster
+	};
+
+	/**
+	 * Finds the clusters of mutations along the linear protein sequence.
+	 *
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @param length        protein length
+	 * @param options       [optional] detection options (see _defaultOpts)
+	 * @return {Array}      an array of clusters sorted by the start position
+	 */
+	function findLinearClusters(mutations, length, options)
+	{
+		options = _.extend({}, _defaultOpts, options);
+		mutations = toArray(mutations);
+
+		var scores = HotspotUtil.scorePositions(mutations, length, {
+			windowSize: options.windowSize,
+			correction: options.correction,
+			threshold: options.threshold,
+			minCount: 0
+		});
+
+		var locations = _.map(_.keys(scores), function(location) {
+			return parseInt(location);
+		});
+
+		// significant windows, limited to the mutated positions within the window
+		var windows = [];
+
+		_.each(scores, function(score) {
+			if (score.significant &&
+			    score.windowCount >= options.minCount)
+			{
+				var positions = _.filter(locations, function(location) {
+					return Math.abs(location - score.location) <= options.windowSize;
+				});
+
+				// a single position is a hotspot, not a cluster
+				if (positions.length < 2)
+				{
+					return;
+				}
+
+				windows.push({start: _.min(positions),
+					end: _.max(positions),
+					pValue: score.pValue,
+					qValue: score.qValue});
+			}
+		});
+
+		// merge overlapping windows
+		var merged = [];
+
+		_.each(_.sortBy(windows, "start"), function(window) {
+			var last = _.last(merged);
+
+			if (last && window.start <= last.end)
+			{
+				last.end = Math.max(last.end, window.end);
+				last.pValue = Math.min(last.pValue, window.pValue);
+				last.qValue = Math.min(last.qValue, window.qValue);
+			}
+			else
+			{
+				merged.push(_.clone(window));
+			}
+		});
+
+		return _.map(merged, function(window) {
+			var clusterMutations = filterMutations(mutations, function(mutation) {
+				var location = mutation.getProteinStartPos();
+				return location >= window.start && location <= window.end;
+			});
+
+			return createCluster("linear", clusterMutations, window.pValue, window.qValue);
+		});
+	}
+
+	/**
+	 * Finds the clusters of mutations in the given 3D structure. Mutations
+	 * are mapped onto the residues by the given position map (see
+	 * PdbDataProxy.getPositionMap), mutations without a mapping or without
+	 * residue coordinates are excluded.
+	 *
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @param positionMap   map of <mutation id, pdb position {start, end}> pairs
+	 * @param coordinates   map of <pdb residue, coordinates {x, y, z}> pairs
+	 *                      for all residues of the structure (chain)
+	 * @param options       [optional] detection options (see _defaultOpts)
+	 * @return {Array}      an array of clusters sorted by the start position
+	 */
+	function findSpatialClusters(mutations, positionMap, coordinates, options)
+	{
+		options = _.extend({}, _defaultOpts, options);
+
+		// mutations grouped by the pdb residue
+		var residueMutations = {};
+
+		_.each(filterMutations(toArray(mutations)), function(mutation) {
+			var position = positionMap[mutation.get("mutationId")];
+			var residue = position ? residueKey(position.start) : null;
+
+			if (residue != null && coordinates[residue] != null)
+			{
+				residueMutations[residue] = residueMutations[residue] || [];
+				residueMutations[residue].push(mutation);
+			}
+		});
+
+		var residues = _.keys(residueMutations);
+		var allResidues = _.keys(coordinates);
+
+		var total = _.reduce(residueMutations, function(memo, list) {
+			return memo + list.length;
+		}, 0);
+
+		// mutated neighbors, mutation count & p-value for each mutated residue
+		var neighbors = [];
+		var counts = [];
+
+		var pValues = _.map(residues, function(residue, idx) {
+			var isClose = function(other) {
+				return distance(coordinates[residue], coordinates[other]) <= options.distance;
+			};
+
+			neighbors[idx] = _.filter(residues, isClose);
+
+			counts[idx] = _.reduce(neighbors[idx], function(memo, other) {
+				return memo + residueMutations[other].length;
+			}, 0);
+
+			var p = _.filter(allResidues, isClose).length / allResidues.length;
+
+			return HotspotUtil.binomialTail(counts[idx], total, p);
+		});
+
+		var qValues = StatUtil.correctPValues(pValues,
+			Math.max(allResidues.length, 1),
+			options.correction);
+
+		// merge the significant neighborhoods sharing at least one residue
+		var groups = [];
+
+		_.each(residues, function(residue, idx) {
+			// a single residue is a hotspot, not a cluster
+			if (neighbors[idx].length < 2 ||
+			    counts[idx] < options.minCount ||
+			    qValues[idx] > options.threshold)
+			{
+				return;
+			}
+
+			var group = {residues: neighbors[idx],
+				pValue: pValues[idx],
+				qValue: qValues[idx]};
+
+			var overlapping = _.filter(groups, function(other) {
+				return _.size(_.intersection(other.residues, group.residues)) > 0;
+			});
+
+			_.each(overlapping, function(other) {
+				group.residues = _.union(group.residues, other.residues);
+				group.pValue = Math.min(group.pValue, other.pValue);
+				group.qValue = Math.min(group.qValue, other.qValue);
+			});
+
+			groups = _.difference(groups, overlapping);
+			groups.push(group);
+		});
+
+		var clusters = _.map(groups, function(group) {
+			var clusterMutations = _.flatten(_.map(group.residues, function(residue) {
+				return residueMutations[residue];
+			}), true);
+
+			var cluster = createCluster("spatial", clusterMutations, group.pValue, group.qValue);
+			cluster.residues = _.sortBy(group.residues, function(residue) {
+				return parseInt(residue);
+			});
+
+			return cluster;
+		});
+
+		return _.sortBy(clusters, "start");
+	}
+
+	/**
+	 * Creates a cluster object for the given mutations.
+	 *
+	 * @param type          cluster type ("linear" or "spatial")
+	 * @param mutations     an array of Mutation models within the cluster
+	 * @param pValue        raw p-value of the cluster
+	 * @param qValue        corrected p-value of the cluster
+	 * @return {Object}     cluster as a JSON object
+	 */
+	function createCluster(type, mutations, pValue, qValue)
+	{
+		var positions = _.sortBy(_.uniq(_.map(mutations, function(mutation) {
+			return mutation.getProteinStartPos();
+		})), _.identity);
+
+		var start = _.first(positions);
+		var end = _.last(positions);
+
+		return {
+			id: type + "_" + start + "_" + end,
+			type: type,
+			start: start,
+			end: end,
+			positions: positions,
+			count: mutations.length,
+			pValue: pValue,
+			qValue: qValue,
+			mutations: mutations
+		};
+	}
+
+	/**
+	 * Returns the mutations with a valid position which pass the given
+	 * filter. Fusions and redundant mutations (same sid) are excluded,
+	 * consistent with HotspotUtil.countByPosition.
+	 *
+	 * @param mutations     an array of Mutation models
+	 * @param filterFn      [optional] filter function
+	 * @return {Array}      an array of Mutation models
+	 */
+	function filterMutations(mutations, filterFn)
+	{
+		var sids = {};
+
+		return _.filter(mutations, function(mutation) {
+			var type = (mutation.get("mutationType") || "").trim().toLowerCase();
+			var sid = mutation.get("mutationSid");
+
+			if (mutation.getProteinStartPos() == null ||
+			    type === "fusion" ||
+			    sids[sid] ||
+			    (_.isFunction(filterFn) && !filterFn(mutation)))
+			{
+				return false;
+			}
+
+			sids[sid] = true;
+			return true;
+		});
+	}
+
+	/**
+	 * Returns the residue key (position + insertion code) for the given pdb
+	 * position, matching the keys of Mutation3dVis.getResidueCoordinates.
+	 *
+	 * @param position  pdb position {pdbPosition, insertion}
+	 * @return {string|null} residue key
+	 */
+	function residueKey(position)
+	{
+		var pdbPosition = position.pdbPosition || position.pdbPos;
+
+		if (pdbPosition == null)
+		{
+			return null;
+		}
+
+		return pdbPosition + (position.insertion || "");
+	}
+
+	function distance(a, b)
+	{
+		return Math.sqrt(Math.pow(a.x - b.x, 2) +
+		                 Math.pow(a.y - b.y, 2) +
+		                 Math.pow(a.z - b.z, 2));
+	}
+
+	function toArray(mutations)
+	{
+		return _.isFunction(mutations.toArray) ? mutations.toArray() : mutations;
+	}
+
+	return {
+		findLinearClusters: findLinearClusters,
+		findSpatialClusters: findSpatialClusters,
+		residueKey: residueKey
+	};
+})();
+
+module.exports = ClusterUtil;
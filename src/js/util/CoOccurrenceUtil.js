@@ -0,0 +1,285 @@
+var StatUtil = require("../util/StatUtil");
+
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to analyze the co-occurrence and the mutual
+ * exclusivity of the mutations of gene pairs across samples.
+ *
+ * For each gene pair the samples are split into a 2x2 contingency table
+ * (mutated in neither gene, only in the first, only in the second, in both).
+ * The tendency is given by the log odds ratio: positive values indicate
+ * co-occurrence, negative values indicate mutual exclusivity, and zero
+ * indicates no association. The p-value is the one-sided Fisher exact test
+ * in the direction of the tendency (two-sided if there is no association),
+ * and p-values are corrected for testing all gene pairs.
+ *
+ * A gene pair result is a JSON object:
+ * {geneA: [first gene], geneB: [second gene], neither: [sample count],
+ *  aNotB: [sample count], bNotA: [sample count], both: [sample count],
+ *  logOddsRatio: [log odds ratio], tendency: ["co-occurrence", "mutual exclusivity", or "no association"],
+ *  pValue: [raw p-value], qValue: [corrected p-value], significant: [true if qValue <= threshold]}
+ */
+var CoOccurrenceUtil = (function()
+{
+	var _defaultOpts = {
+		samples: null,          // all profiled samples, unmutated samples included (required)
+		correction: "fdr",      // multiple testing correction: "fdr", "bonferroni", or "none"
+		threshold: 0.05,        // max corrected p-value for a significant gene pair
+		pseudoCount: 0.5        // added to each cell of the table when any cell is zero
+	};
+
+	var CO_OCCURRENCE = "co-occurrence";
+	var MUTUAL_EXCLUSIVITY = "mutual exclusivity";
+	var NO_ASSOCIATION = "no association";
+
+	/**
+	 * Calculates the natural logarithm of the binomial coefficient.
+	 *
+	 * @param n     number of elements
+	 * @param k     number of chosen elements
+	 * @return {Number} ln(n choose k)
+	 */
+	function logChoose(n, k)
+	{
+		return StatUtil.logGamma(n + 1) -
+		       StatUtil.logGamma(k + 1) -
+		       StatUtil.logGamma(n - k + 1);
+	}
+
+	/**
+	 * Calculates the one-sided Fisher exact test p-value for the given
+	 * 2x2 contingency table.
+	 *
+	 * @param neither   samples mutated in neither gene
+	 * @param aNotB     samples mutated only in the first gene
+	 * @param bNotA     samples mutated only in the second gene
+	 * @param both      samples mutated in both genes
+	 * @param greater   true: P(X >= both) (co-occurrence),
+	 *                  false: P(X <= both) (mutual exclusivity)
+	 * @return {Number} p-value
+	 */
+	function fisherExact(neither, aNotB, bNotA, both, greater)
+	{
+		var total = neither + aNotB + bNotA + both;
+		var mutatedA = aNotB + both;
+		var mutatedB = bNotA + both;
+
+		// range of the possible values of "both" for the fixed margins
+		var min = Math.max(0, mutatedA + mutatedB - total);
+		var max = Math.min(mutatedA, mutatedB);
+
+		var logDenominator = logChoose(total, mutatedB);
+		var sum = 0;
+
+		for (var k = greater ? both : min; k <= (greater ? max : both); k++)
+		{
+			sum += Math.exp(logChoose(mutatedA, k) +
+			                logChoose(total - mutatedA, mutatedB - k) -
+			                logDenominator);
+		}
+
+		return Math.min(sum, 1);
+	}
+
+	/**
+	 * Calculates the two-sided Fisher exact test p-value for the given
+	 * 2x2 contingency table: the sum of the probabilities of all tables
+	 * (with the same margins) not more likely than the given one.
+	 *
+	 * @param neither   samples mutated in neither gene
+	 * @param aNotB     samples mutated only in the first gene
+	 * @param bNotA     samples mutated only in the second gene
+	 * @param both      samples mutated in both genes
+	 * @return {Number} p-value
+	 */
+	function fisherExactTwoSided(neither, aNotB, bNotA, both)
+	{
+		var total = neither + aNotB + bNotA + both;
+		var mutatedA = aNotB + both;
+		var mutatedB = bNotA + both;
+
+		var min = Math.max(0, mutatedA + mutatedB - total);
+		var max = Math.min(mutatedA, mutatedB);
+
+		var logDenominator = logChoose(total, mutatedB);
+
+		var logProbability = function(k) {
+			return logChoose(mutatedA, k) +
+			       logChoose(total - mutatedA, mutatedB - k) -
+			       logDenominator;
+		};
+
+		// relative tolerance for the tables as likely as the given one
+		var threshold = logProbability(both) + 1e-7;
+		var sum = 0;
+
+		for (var k = min; k <= max; k++)
+		{
+			var logP = logProbability(k);
+
+			if (logP <= threshold)
+			{
+				sum += Math.exp(logP);
+			}
+		}
+
+		return Math.min(sum, 1);
+	}
+
+	/**
+	 * Determines the tendency for the given log odds ratio.
+	 *
+	 * @param lor   log odds ratio
+	 * @return {string} tendency of the gene pair
+	 */
+	function tendency(lor)
+	{
+		if (lor > 0)
+		{
+			return CO_OCCURRENCE;
+		}
+		else if (lor < 0)
+		{
+			return MUTUAL_EXCLUSIVITY;
+		}
+
+		return NO_ASSOCIATION;
+	}
+
+	/**
+	 * Calculates the natural logarithm of the odds ratio for the given
+	 * 2x2 contingency table. The pseudo count is added to all cells
+	 * if any cell is zero (Haldane-Anscombe correction).
+	 *
+	 * @param neither       samples mutated in neither gene
+	 * @param aNotB         samples mutated only in the first gene
+	 * @param bNotA         samples mutated only in the second gene
+	 * @param both          samples mutated in both genes
+	 * @param pseudoCount   pseudo count for the tables with a zero cell
+	 * @return {Number} log odds ratio
+	 */
+	function logOddsRatio(neither, aNotB, bNotA, both, pseudoCount)
+	{
+		var cells = [neither, aNotB, bNotA, both];
+
+		if (_.contains(cells, 0))
+		{
+			cells = _.map(cells, function(count) {
+				return count + pseudoCount;
+			});
+		}
+
+		return Math.log((cells[0] * cells[3]) / (cells[1] * cells[2]));
+	}
+
+	/**
+	 * Analyzes all pairs of the given genes. The list of all profiled
+	 * samples is required: the samples of the case map are the mutated
+	 * ones only, and leaving out the samples mutated in neither gene
+	 * biases the test towards mutual exclusivity.
+	 *
+	 * @param caseMap   map of <case id, mutations> pairs
+	 *                  (see MutationDetailsUtil.getMutationCaseMap)
+	 * @param genes     list of hugo gene symbols
+	 * @param options   analysis options (see _defaultOpts)
+	 * @return {Array}  an array of gene pair results in gene list order,
+	 *                  or null if the profiled samples are not provided
+	 */
+	function analyze(caseMap, genes, options)
+	{
+		options = _.extend({}, _defaultOpts, options);
+
+		if (_.isEmpty(options.samples))
+		{
+			console.log("[CoOccurrenceUtil.analyze] " +
+			            "the list of profiled samples is required");
+			return null;
+		}
+
+		// case map keys are lower case
+		var samples = _.uniq(_.map(options.samples, function(sample) {
+			return sample.toLowerCase();
+		}));
+
+		// mutated samples of each gene: <gene, <case id, true>> pairs
+		var mutated = {};
+
+		_.each(genes, function(gene) {
+			mutated[gene.toUpperCase()] = {};
+		});
+
+		_.each(samples, function(sample) {
+			_.each(caseMap[sample], function(mutation) {
+				var gene = (mutation.get("geneSymbol") || "").toUpperCase();
+
+				if (mutated[gene])
+				{
+					mutated[gene][sample] = true;
+				}
+			});
+		});
+
+		var results = [];
+
+		_.each(genes, function(geneA, idx) {
+			_.each(genes.slice(idx + 1), function(geneB) {
+				var counts = {neither: 0, aNotB: 0, bNotA: 0, both: 0};
+
+				_.each(samples, function(sample) {
+					var inA = mutated[geneA.toUpperCase()][sample];
+					var inB = mutated[geneB.toUpperCase()][sample];
+
+					if (inA && inB) {
+						counts.both++;
+					}
+					else if (inA) {
+						counts.aNotB++;
+					}
+					else if (inB) {
+						counts.bNotA++;
+					}
+					else {
+						counts.neither++;
+					}
+				});
+
+				var lor = logOddsRatio(counts.neither, counts.aNotB, counts.bNotA, counts.both,
+					options.pseudoCount);
+
+				var pValue = lor === 0 ?
+					fisherExactTwoSided(counts.neither, counts.aNotB, counts.bNotA, counts.both) :
+					fisherExact(counts.neither, counts.aNotB, counts.bNotA, counts.both, lor > 0);
+
+				results.push(_.extend({geneA: geneA, geneB: geneB}, counts, {
+					logOddsRatio: lor,
+					tendency: tendency(lor),
+					pValue: pValue
+				}));
+			});
+		});
+
+		var qValues = StatUtil.correctPValues(_.pluck(results, "pValue"),
+			results.length,
+			options.correction);
+
+		_.each(results, function(result, idx) {
+			result.qValue = qValues[idx];
+			result.significant = result.qValue <= options.threshold;
+		});
+
+		return results;
+	}
+
+	return {
+		CO_OCCURRENCE: CO_OCCURRENCE,
+		MUTUAL_EXCLUSIVITY: MUTUAL_EXCLUSIVITY,
+		NO_ASSOCIATION: NO_ASSOCIATION,
+		fisherExact: fisherExact,
+		fisherExactTwoSided: fisherExactTwoSided,
+		logOddsRatio: logOddsRatio,
+		analyze: analyze
+	};
+})();
+
+module.exports = CoOccurrenceUtil;
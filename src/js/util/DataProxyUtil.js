@@ -28,6 +28,10 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+var DataCache = require("../data/DataCache");
+
+var $ = require("jquery");
+var jQuery = $;
 var _ = require("underscore");
 
 /**
@@ -122,9 +126,178 @@ var DataProxyUtil = (function()
 		return instance;
 	}
 
+	/**
+	 * Applies the given data bundle to the data proxy options. Every proxy
+	 * with an entry in the bundle is switched to full init mode, so that
+	 * it serves the data from the bundle without querying the server.
+	 *
+	 * Bundle is a map of <proxy name, proxy data> pairs, where proxy data
+	 * is in the format expected by the fullInit function of the proxy
+	 * (see exportDataBundle).
+	 *
+	 * @param options   data proxy options (for all proxies)
+	 * @param bundle    data bundle
+	 * @returns {Object} updated data proxy options
+	 */
+	function applyDataBundle(options, bundle)
+	{
+		var proxyOptions = jQuery.extend(true, {}, options);
+
+		_.each(bundle, function(data, proxy) {
+			// ignore non-proxy entries (such as version)
+			if (!_.isObject(data) || proxyOptions[proxy] == null)
+			{
+				return;
+			}
+
+			proxyOptions[proxy].options = proxyOptions[proxy].options || {};
+			proxyOptions[proxy].options.initMode = "full";
+			proxyOptions[proxy].options.data = data;
+		});
+
+		return proxyOptions;
+	}
+
+	/**
+	 * Configures the given data proxies to use a single persistent cache
+	 * instance. Proxies with a custom cache option are not modified.
+	 *
+	 * @param options       data proxy options (for all proxies)
+	 * @param cache         DataCache instance to be shared
+	 * @param proxies       map of <proxy name, boolean> pairs,
+	 *                      only the proxies with a true value use the cache
+	 * @returns {Object}    updated data proxy options
+	 */
+	function applyCache(options, cache, proxies)
+	{
+		var proxyOptions = jQuery.extend(true, {}, options);
+
+		_.each(proxies, function(enabled, proxy) {
+			if (!enabled || proxyOptions[proxy] == null)
+			{
+				return;
+			}
+
+			proxyOptions[proxy].options = proxyOptions[proxy].options || {};
+
+			if (proxyOptions[proxy].options.cache == null)
+			{
+				proxyOptions[proxy].options.cache = cache;
+			}
+		});
+
+		return proxyOptions;
+	}
+
+	/**
+	 * Initializes a persistent cache instance for the given cache options.
+	 *
+	 * @param options   cache options {instance: [custom instance], options: [DataCache options]}
+	 * @returns {DataCache} a DataCache instance
+	 */
+	function initDataCache(options)
+	{
+		return options.instance || new DataCache(options.options);
+	}
+
+	/**
+	 * Exports the data retrieved so far by the given data proxies as
+	 * a single bundle. This bundle can be saved as a JSON file, and used
+	 * later to initialize the proxies without any server connection
+	 * (see applyDataBundle).
+	 *
+	 * @param dataProxies   map of <proxy name, proxy instance> pairs
+	 * @returns {Object}    data bundle
+	 */
+	function exportDataBundle(dataProxies)
+	{
+		var bundle = {};
+
+		_.each(dataProxies, function(instance, proxy) {
+			if (instance != null &&
+			    _.isFunction(instance.exportData))
+			{
+				bundle[proxy] = instance.exportData();
+			}
+		});
+
+		return bundle;
+	}
+
+	/**
+	 * Wraps the given callback based function, so that the returned function
+	 * also returns a promise. The promise is resolved with the arguments
+	 * passed to the callback, so the callback is still optional.
+	 *
+	 * The position of the callback is given explicitly, since functions with
+	 * optional parameters (or reading the arguments object) do not declare
+	 * the callback as their last parameter.
+	 *
+	 * In case of an error, the wrapped function should reject the promise
+	 * (see reject) before invoking the callback with its empty result.
+	 * Once rejected, the promise is not resolved by the callback anymore.
+	 *
+	 * @param fn            callback based function
+	 * @param callbackIdx   index of the callback within the arguments,
+	 *                      e.g. 1 for function(uniprotId, callback)
+	 * @returns {Function}  function returning a promise
+	 */
+	function withPromise(fn, callbackIdx)
+	{
+		return function() {
+			var deferred = $.Deferred();
+			var args = _.toArray(arguments);
+			var callback = args[callbackIdx];
+
+			args[callbackIdx] = function() {
+				if (_.isFunction(callback))
+				{
+					callback.apply(this, arguments);
+				}
+
+				deferred.resolve.apply(deferred, arguments);
+			};
+
+			args[callbackIdx].reject = function() {
+				deferred.reject.apply(deferred, arguments);
+			};
+
+			fn.apply(this, args);
+
+			return deferred.promise();
+		};
+	}
+
+	/**
+	 * Rejects the promise bound to the given callback (a callback provided
+	 * by a function wrapped with withPromise). The callback itself is not
+	 * invoked, so it is still possible to forward an empty result to the
+	 * callers not using the promise.
+	 *
+	 * An intermediate callback can forward the errors to the promise by
+	 * sharing the reject function of the original callback.
+	 *
+	 * @param callback  callback provided by a withPromise wrapper
+	 * @param args      [optional] arguments to reject the promise with,
+	 *                  such as the arguments of a jQuery ajax error callback
+	 */
+	function reject(callback, args)
+	{
+		if (callback && _.isFunction(callback.reject))
+		{
+			callback.reject.apply(null, _.toArray(args));
+		}
+	}
+
 	return {
 		initDataProxies: initDataProxies,
-		initDataProxy: initDataProxy
+		initDataProxy: initDataProxy,
+		applyDataBundle: applyDataBundle,
+		applyCache: applyCache,
+		initDataCache: initDataCache,
+		exportDataBundle: exportDataBundle,
+		withPromise: withPromise,
+		reject: reject
 	};
 })();
 
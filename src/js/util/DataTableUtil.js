@@ -498,6 +498,62 @@ var DataTableUtil = (function()
 		}
 	}
 
+	/**
+	 * Creates a matcher function for the given column filters.
+	 * Each column filter is one of the following:
+	 *
+	 * {min: [min value], max: [max value]}: numeric range (inclusive),
+	 * min or max may be null, non-numeric values never match
+	 * {values: [list of allowed values]}: values are compared as strings
+	 * {regex: [regular expression]}: case insensitive regex match
+	 *
+	 * @param filters   map of <column name, column filter>
+	 * @return {Function}   function(columnName, value), returns true if
+	 *                      the value passes the filter of the column
+	 */
+	function getColumnFilterMatcher(filters)
+	{
+		var regexMap = {};
+
+		_.each(_.pairs(filters), function(pair) {
+			if (pair[1].regex != null)
+			{
+				try {
+					regexMap[pair[0]] = new RegExp(pair[1].regex, "i");
+				} catch(err) {
+					// invalid expression: match the string as is
+					regexMap[pair[0]] = new RegExp(
+						pair[1].regex.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&"), "i");
+				}
+			}
+		});
+
+		return function(columnName, value) {
+			var filter = filters[columnName];
+
+			if (filter == null)
+			{
+				return true;
+			}
+			else if (filter.values != null)
+			{
+				return _.contains(filter.values, String(value));
+			}
+			else if (filter.regex != null)
+			{
+				return regexMap[columnName].test(value == null ? "" : String(value));
+			}
+			else
+			{
+				var number = parseFloat(value);
+
+				return isFinite(number) &&
+					(filter.min == null || number >= filter.min) &&
+					(filter.max == null || number <= filter.max);
+			}
+		};
+	}
+
 	return {
 		buildColumnIndexMap: buildColumnIndexMap,
 		buildColumnNameMap: buildColumnNameMap,
@@ -514,7 +570,8 @@ var DataTableUtil = (function()
 		getAltTextValue: getAltTextValue,
 		getLabelTextValue: getLabelTextValue,
 		getLabelTextIntValue: getLabelTextIntValue,
-		getLabelTextFloatValue: getLabelTextFloatValue
+		getLabelTextFloatValue: getLabelTextFloatValue,
+		getColumnFilterMatcher: getColumnFilterMatcher
 	};
 })();
 
@@ -0,0 +1,291 @@
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to parse protein changes given in HGVS protein
+ * notation (p.Val600Glu, p.(V600E), p.R123Lfs*12, p.E746_A750del, etc.),
+ * as well as the short forms commonly used in mutation files (V600E,
+ * X125_splice, etc.).
+ */
+var HgvsProteinParser = (function()
+{
+	var _aa3to1 = {
+		"Ala": "A",
+		"Arg": "R",
+		"Asn": "N",
+		"Asp": "D",
+		"Asx": "B",
+		"Cys": "C",
+		"Glu": "E",
+		"Gln": "Q",
+		"Glx": "Z",
+		"Gly": "G",
+		"His": "H",
+		"Ile": "I",
+		"Leu": "L",
+		"Lys": "K",
+		"Met": "M",
+		"Phe": "F",
+		"Pro": "P",
+		"Ser": "S",
+		"Sec": "U",
+		"Thr": "T",
+		"Trp": "W",
+		"Tyr": "Y",
+		"Val": "V",
+		"Xaa": "X",
+		"Xxx": "X",
+		"Ter": "*"
+	};
+
+	// change classes
+	var _changeType = {
+		MISSENSE: "missense",
+		NONSENSE: "nonsense",
+		NONSTOP: "nonstop",
+		SILENT: "silent",
+		FRAMESHIFT: "frameshift",
+		DELETION: "deletion",
+		INSERTION: "insertion",
+		DELINS: "delins",
+		DUPLICATION: "duplication",
+		EXTENSION: "extension",
+		SPLICE: "splice",
+		UNKNOWN: "unknown"
+	};
+
+	// residue: one letter amino acid code or stop (* or X)
+	var _residue = "([A-Z*])";
+
+	var _patterns = [
+		// X125_splice
+		{
+			regex: new RegExp("^" + _residue + "?([0-9]+)_splice$"),
+			parse: function(match) {
+				return position(match[1], match[2], match[2], _changeType.SPLICE);
+			}
+		},
+		// R123Lfs*12, R123fs, R123fsX12
+		{
+			regex: new RegExp("^" + _residue + "([0-9]+)([A-Z])?fs(?:[*X]([0-9]+|\\?))?$"),
+			parse: function(match) {
+				var result = position(match[1], match[2], match[2], _changeType.FRAMESHIFT);
+				result.variant = match[3] || null;
+				// distance to the new stop codon, null if absent or unknown (fs*?)
+				result.stopDistance = (match[4] == null || match[4] === "?") ?
+					null : parseInt(match[4]);
+				return result;
+			}
+		},
+		// *757Wext*?, M1ext-5
+		{
+			regex: new RegExp("^" + _residue + "([0-9]+)([A-Z])?ext(.*)$"),
+			parse: function(match) {
+				var result = position(match[1], match[2], match[2], _changeType.EXTENSION);
+				result.variant = match[3] || null;
+				return result;
+			}
+		},
+		// E746_A750del, K745_E746insIP, L747_P753delinsS, A767_V769dup
+		{
+			regex: new RegExp("^" + _residue + "([0-9]+)_" + _residue + "([0-9]+)(delins|del|ins|dup)([A-Z*]*)$"),
+			parse: function(match) {
+				var result = position(match[1], match[2], match[4], editType(match[5]));
+				result.referenceEnd = match[3];
+				result.variant = match[6] || null;
+				return result;
+			}
+		},
+		// E746del, C420delinsRW, A767dup
+		{
+			regex: new RegExp("^" + _residue + "([0-9]+)(delins|del|ins|dup)([A-Z*]*)$"),
+			parse: function(match) {
+				var result = position(match[1], match[2], match[2], editType(match[3]));
+				result.variant = match[4] || null;
+				return result;
+			}
+		},
+		// V600E, R213*, V600=, V600
+		{
+			regex: new RegExp("^" + _residue + "([0-9]+)([A-Z*=?]*)$"),
+			parse: function(match) {
+				var result = position(match[1], match[2], match[2], _changeType.UNKNOWN);
+				result.variant = match[3] || null;
+				result.changeType = substitutionType(result.reference, result.variant);
+				return result;
+			}
+		}
+	];
+
+	/**
+	 * Parses the given protein change.
+	 *
+	 * @param proteinChange     protein change string
+	 * @returns {object|null}   parsed protein change, or null if cannot be parsed
+	 */
+	function parse(proteinChange)
+	{
+		if (!_.isString(proteinChange))
+		{
+			return null;
+		}
+
+		var normalized = normalize(proteinChange);
+		var result = null;
+
+		_.find(_patterns, function(pattern) {
+			var match = normalized.match(pattern.regex);
+
+			if (match)
+			{
+				result = pattern.parse(match);
+			}
+
+			return result != null;
+		});
+
+		// fallback: use the first number as the position
+		if (result == null)
+		{
+			var location = normalized.match(/[0-9]+/);
+
+			if (location)
+			{
+				result = position(null, location[0], location[0], _changeType.UNKNOWN);
+			}
+		}
+
+		if (result != null)
+		{
+			result.original = proteinChange;
+			result.normalized = normalized;
+			result.predicted = isPredicted(proteinChange);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Normalizes the given protein change into the short form:
+	 * removes the "p." prefix and the parentheses of a predicted change,
+	 * and converts three letter amino acid codes into one letter codes.
+	 *
+	 * X is the stop codon of a short form substitution (mutation file
+	 * convention), so it is also converted into "*".
+	 *
+	 * Examples: p.Val600Glu    -> V600E
+	 *           p.(R213*)      -> R213*
+	 *           R213X          -> R213*
+	 *           p.Arg123LeufsTer12 -> R123Lfs*12
+	 *
+	 * @param proteinChange     protein change string
+	 * @returns {string}        normalized protein change
+	 */
+	function normalize(proteinChange)
+	{
+		var normalized = proteinChange.trim();
+
+		// remove transcript/protein id prefix (ENSP00000288602:p.V600E)
+		normalized = normalized.replace(/^[^:]*:(?=p\.)/, "");
+		normalized = normalized.replace(/^p\./i, "");
+		normalized = normalized.replace(/^\((.*)\)$/, "$1");
+
+		// R213X -> R213* (before the conversion of the three letter codes,
+		// so that Xaa, the unknown amino acid, is not affected)
+		normalized = normalized.replace(/^([A-Z*][0-9]+)X$/, "$1*");
+
+		normalized = normalized.replace(/[A-Z][a-z]{2}/g, function(code) {
+			return _aa3to1[code] || code;
+		});
+
+		return normalized;
+	}
+
+	/**
+	 * Returns the protein start position for the given protein change.
+	 *
+	 * @param proteinChange     protein change string
+	 * @returns {number|null}   start position, or null if cannot be parsed
+	 */
+	function getStartPosition(proteinChange)
+	{
+		var parsed = parse(proteinChange);
+
+		return parsed ? parsed.start : null;
+	}
+
+	/**
+	 * Returns the protein end position for the given protein change.
+	 *
+	 * @param proteinChange     protein change string
+	 * @returns {number|null}   end position, or null if cannot be parsed
+	 */
+	function getEndPosition(proteinChange)
+	{
+		var parsed = parse(proteinChange);
+
+		return parsed ? parsed.end : null;
+	}
+
+	function position(reference, start, end, changeType)
+	{
+		return {
+			start: parseInt(start),
+			end: parseInt(end),
+			reference: reference || null,
+			referenceEnd: null,
+			variant: null,
+			changeType: changeType
+		};
+	}
+
+	function editType(edit)
+	{
+		var types = {
+			"del": _changeType.DELETION,
+			"ins": _changeType.INSERTION,
+			"delins": _changeType.DELINS,
+			"dup": _changeType.DUPLICATION
+		};
+
+		return types[edit] || _changeType.UNKNOWN;
+	}
+
+	function substitutionType(reference, variant)
+	{
+		if (variant == null || variant === "?")
+		{
+			return _changeType.UNKNOWN;
+		}
+		else if (variant === "=" || variant === reference)
+		{
+			return _changeType.SILENT;
+		}
+		else if (variant === "*")
+		{
+			return _changeType.NONSENSE;
+		}
+		else if (reference === "*")
+		{
+			return _changeType.NONSTOP;
+		}
+		else
+		{
+			return _changeType.MISSENSE;
+		}
+	}
+
+	function isPredicted(proteinChange)
+	{
+		return (/^(?:[^:]*:)?p\.\(.*\)$/i).test(proteinChange.trim());
+	}
+
+	return {
+		parse: parse,
+		normalize: normalize,
+		getStartPosition: getStartPosition,
+		getEndPosition: getEndPosition,
+		CHANGE_TYPE: _changeType
+	};
+})();
+
+module.exports = HgvsProteinParser;
@@ -0,0 +1,226 @@
+var StatUtil = require("../util/StatUtil");
+
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to detect mutation hotspots, i.e. protein
+ * positions which are mutated more frequently than expected by chance.
+ *
+ * Under the null hypothesis mutations are uniformly distributed along
+ * the protein, so the number of mutations falling into a window of
+ * (2 * windowSize + 1) positions follows a binomial distribution with
+ * n = total number of mutations and p = window length / protein length.
+ * A window size of zero scores single positions, a larger window scores
+ * clusters of nearby positions. P-values are corrected for testing all
+ * positions of the protein.
+ *
+ * A position score is a JSON object:
+ * {location: [protein position], count: [number of mutations at the position],
+ *  windowCount: [number of mutations within the window], pValue: [raw p-value],
+ *  qValue: [corrected p-value], significant: [true if the position is a hotspot]}
+ */
+var HotspotUtil = (function()
+{
+	var _defaultOpts = {
+		windowSize: 0,          // half width of the window around a position (in aa)
+		correction: "fdr",      // multiple testing correction: "fdr", "bonferroni", or "none"
+		threshold: 0.05,        // max corrected p-value for a significant position
+		minCount: 2             // min number of mutations at a significant position
+	};
+
+	/**
+	 * Calculates the probability of observing at least k successes
+	 * in n trials with the success probability p.
+	 *
+	 * @param k     number of successes
+	 * @param n     number of trials
+	 * @param p     success probability of a single trial
+	 * @return {Number} P(X >= k)
+	 */
+	function binomialTail(k, n, p)
+	{
+		if (k <= 0 || p >= 1)
+		{
+			return 1;
+		}
+
+		if (k > n || p <= 0)
+		{
+			return 0;
+		}
+
+		var logP = Math.log(p);
+		var logQ = Math.log(1 - p);
+		var logN = StatUtil.logGamma(n + 1);
+		var sum = 0;
+
+		for (var i = k; i <= n; i++)
+		{
+			sum += Math.exp(logN - StatUtil.logGamma(i + 1) - StatUtil.logGamma(n - i + 1) +
+			                i * logP + (n - i) * logQ);
+		}
+
+		return Math.min(sum, 1);
+	}
+
+	/**
+	 * Counts the mutations at each protein position. Fusions, mutations without
+	 * a valid position, and redundant mutations (same sid) are excluded,
+	 * consistent with PileupUtil.convertToPileups.
+	 *
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @return {Object}     map of <protein position, mutation count> pairs
+	 */
+	function countByPosition(mutations)
+	{
+		var counts = {};
+		var sids = {};
+
+		mutations = _.isFunction(mutations.toArray) ? mutations.toArray() : mutations;
+
+		_.each(mutations, function(mutation) {
+			var location = mutation.getProteinStartPos();
+			var type = (mutation.get("mutationType") || "").trim().toLowerCase();
+			var sid = mutation.get("mutationSid");
+
+			if (location == null ||
+			    type === "fusion" ||
+			    sids[sid])
+			{
+				return;
+			}
+
+			sids[sid] = true;
+			counts[location] = (counts[location] || 0) + 1;
+		});
+
+		return counts;
+	}
+
+	/**
+	 * Determines the protein length for the given sequence data. If not
+	 * available, the highest mutated position is used instead.
+	 *
+	 * @param sequence      sequence data (may be null)
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @return {Number}     protein length
+	 */
+	function proteinLength(sequence, mutations)
+	{
+		var length = sequence ? parseInt(sequence["length"]) : NaN;
+
+		if (_.isNaN(length) || length <= 0)
+		{
+			var positions = _.map(_.keys(countByPosition(mutations)), function(location) {
+				return parseInt(location);
+			});
+
+			length = Math.max(_.max(positions), 1);
+		}
+
+		return length;
+	}
+
+	/**
+	 * Scores all mutated positions of a protein.
+	 *
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @param length        protein length
+	 * @param options       [optional] detection options (see _defaultOpts)
+	 * @return {Object}     map of <protein position, position score> pairs
+	 */
+	function scorePositions(mutations, length, options)
+	{
+		options = _.extend({}, _defaultOpts, options);
+
+		var counts = countByPosition(mutations);
+		var locations = _.map(_.keys(counts), function(location) {
+			return parseInt(location);
+		});
+
+		var total = _.reduce(counts, function(memo, count) {
+			return memo + count;
+		}, 0);
+
+		var windowLength = 2 * options.windowSize + 1;
+		var p = Math.min(windowLength / length, 1);
+
+		var windowCounts = _.map(locations, function(location) {
+			var count = 0;
+
+			_.each(locations, function(other) {
+				if (Math.abs(other - location) <= options.windowSize)
+				{
+					count += counts[other];
+				}
+			});
+
+			return count;
+		});
+
+		var pValues = _.map(windowCounts, function(count) {
+			return binomialTail(count, total, p);
+		});
+
+		// number of (non-overlapping) windows tested
+		var testCount = Math.max(Math.ceil(length / windowLength), 1);
+		var qValues = StatUtil.correctPValues(pValues, testCount, options.correction);
+
+		var scores = {};
+
+		_.each(locations, function(location, idx) {
+			scores[location] = {
+				location: location,
+				count: counts[location],
+				windowCount: windowCounts[idx],
+				pValue: pValues[idx],
+				qValue: qValues[idx],
+				significant: counts[location] >= options.minCount &&
+				             qValues[idx] <= options.threshold
+			};
+		});
+
+		return scores;
+	}
+
+	/**
+	 * Attaches the corresponding position score to each of the given pileups.
+	 *
+	 * @param pileups   an array of Pileup instances
+	 * @param scores    map of <protein position, position score> pairs
+	 */
+	function annotatePileups(pileups, scores)
+	{
+		_.each(pileups, function(pileup) {
+			pileup.hotspot = scores[pileup.location] || null;
+		});
+	}
+
+	/**
+	 * Enriches the given mutations with the corresponding position score
+	 * ("hotspot" field, null for the mutations without a score).
+	 *
+	 * @param mutations     MutationCollection or an array of Mutation models
+	 * @param scores        map of <protein position, position score> pairs
+	 */
+	function addHotspotData(mutations, scores)
+	{
+		mutations = _.isFunction(mutations.toArray) ? mutations.toArray() : mutations;
+
+		_.each(mutations, function(mutation) {
+			var location = mutation.getProteinStartPos();
+			mutation.set({hotspot: scores[location] || null});
+		});
+	}
+
+	return {
+		binomialTail: binomialTail,
+		countByPosition: countByPosition,
+		proteinLength: proteinLength,
+		scorePositions: scorePositions,
+		annotatePileups: annotatePileups,
+		addHotspotData: addHotspotData
+	};
+})();
+
+module.exports = HotspotUtil;
@@ -0,0 +1,371 @@
+var MutationViewsUtil = require("../util/MutationViewsUtil");
+
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to encode lollipop colors and shapes by
+ * any mutation field.
+ *
+ * An encoding definition is a JSON object:
+ * {label: [name of the encoding, displayed in the legend],
+ *  field: [mutation attribute name, or a function(mutation) returning the value],
+ *  values: [optional <raw value, category> pairs to normalize the raw values],
+ *  bins: [optional bins for numeric values: [{max: [exclusive upper bound], label: [category]}]],
+ *  colors: [optional <category, color> pairs],
+ *  shapes: [optional <category, shape> pairs],
+ *  palette: [optional colors assigned to the categories without an explicit color],
+ *  shapePalette: [optional shapes assigned to the categories without an explicit shape]}
+ *
+ * Each mutation is assigned to a category, and a pileup is represented by the
+ * most frequent category of its mutations (or by the composition of all its
+ * categories). Values are assigned to the categories in the order of appearance
+ * (in the order of bins for binned encodings).
+ */
+var LollipopEncodingUtil = (function()
+{
+	var _defaultPalette = [
+		"#1F77B4", "#FF7F0E", "#2CA02C", "#D62728", "#9467BD",
+		"#8C564B", "#E377C2", "#BCBD22", "#17BECF", "#7F7F7F"
+	];
+
+	// "diamond" is excluded, since it is the shape of the special (hotspot
+	// or out-of-range) data points (see MutationDiagram lollipopShapeSpecial)
+	var _defaultShapePalette = [
+		"circle", "square", "triangle-up", "triangle-down", "cross"
+	];
+
+	// category of the mutations without a value
+	var _missingCategory = "NA";
+	var _missingColor = "#BABDB6";
+
+	/**
+	 * Converts the given visual style map (see MutationViewsUtil) into
+	 * a <raw value, category> mapping.
+	 */
+	function styleMapValues(styleMap)
+	{
+		var values = {};
+
+		_.each(styleMap, function(style, value) {
+			values[value] = style.tooltip;
+		});
+
+		return values;
+	}
+
+	var _styleMaps = MutationViewsUtil.getVisualStyleMaps();
+
+	// built-in encodings
+	var _presets = {
+		cancerType: {
+			label: "Cancer type",
+			field: "cancerType"
+		},
+		cancerStudy: {
+			label: "Cancer study",
+			field: "cancerStudyShort"
+		},
+		validationStatus: {
+			label: "Validation status",
+			field: "validationStatus",
+			values: styleMapValues(_styleMaps.validationStatus),
+			colors: {"Valid": "#008000", "Wildtype": "#FFA500", "Unknown": _missingColor}
+		},
+		mutationStatus: {
+			label: "Mutation status",
+			field: "mutationStatus",
+			values: styleMapValues(_styleMaps.mutationStatus),
+			colors: {"Somatic": "#1F77B4", "Germline": "#D62728", "Unknown": _missingColor}
+		},
+		functionalImpact: {
+			label: "Functional impact",
+			field: "functionalImpactScore",
+			values: styleMapValues(_styleMaps.omaScore),
+			colors: {"High": "#CC0000", "Medium": "#FF9900", "Low": "#1F77B4", "Neutral": "#7F7F7F"}
+		},
+		alleleFrequency: {
+			label: "Allele frequency",
+			field: function(mutation) {
+				var alt = parseInt(mutation.get("tumorAltCount"));
+				var ref = parseInt(mutation.get("tumorRefCount"));
+
+				if (alt >= 0 && ref >= 0 && alt + ref > 0)
+				{
+					return alt / (alt + ref);
+				}
+
+				return parseFloat(mutation.get("tumorFreq"));
+			},
+			bins: [
+				{max: 0.1, label: "< 0.1"},
+				{max: 0.25, label: "0.1 - 0.25"},
+				{max: 0.5, label: "0.25 - 0.5"},
+				{max: Infinity, label: ">= 0.5"}
+			],
+			palette: ["#C6DBEF", "#6BAED6", "#2171B5", "#08306B"]
+		}
+	};
+
+	/**
+	 * Returns the built-in encoding definitions.
+	 *
+	 * @return {Object} map of <encoding name, encoding definition> pairs
+	 */
+	function getPresets()
+	{
+		return _presets;
+	}
+
+	/**
+	 * Resolves the given encoding into a definition.
+	 *
+	 * @param encoding  encoding name, or an encoding definition
+	 * @param custom    [optional] custom definitions: <encoding name, definition> pairs
+	 * @return {Object|null} encoding definition, or null if not found
+	 */
+	function resolveDefinition(encoding, custom)
+	{
+		if (_.isString(encoding))
+		{
+			return (custom && custom[encoding]) || _presets[encoding] || null;
+		}
+
+		return encoding || null;
+	}
+
+	/**
+	 * Determines the category of the given mutation.
+	 *
+	 * @param definition    encoding definition
+	 * @param mutation      a Mutation model
+	 * @return {string}     category
+	 */
+	function categoryOf(definition, mutation)
+	{
+		var value = _.isFunction(definition.field) ?
+			definition.field(mutation) :
+			mutation.get(definition.field);
+
+		if (value == null ||
+		    (_.isString(value) && value.trim().length === 0) ||
+		    (_.isNumber(value) && _.isNaN(value)))
+		{
+			return _missingCategory;
+		}
+
+		if (definition.bins)
+		{
+			value = parseFloat(value);
+
+			var bin = _.find(definition.bins, function(bin) {
+				return value < bin.max;
+			});
+
+			return (bin && !_.isNaN(value)) ? bin.label : _missingCategory;
+		}
+
+		if (definition.values)
+		{
+			var key = String(value).toLowerCase();
+
+			if (definition.values[key] != null)
+			{
+				return definition.values[key];
+			}
+		}
+
+		return String(value);
+	}
+
+	/**
+	 * Determines the category of the given pileup, which is the most
+	 * frequent category of its mutations.
+	 *
+	 * @param definition    encoding definition
+	 * @param pileup        a Pileup instance
+	 * @return {string}     category
+	 */
+	function pileupCategory(definition, pileup)
+	{
+		var counts = {};
+		var category = null;
+
+		_.each(pileup.mutations, function(mutation) {
+			var current = categoryOf(definition, mutation);
+			counts[current] = (counts[current] || 0) + 1;
+
+			// ties are resolved by the order of the mutations
+			if (category == null ||
+			    counts[current] > counts[category])
+			{
+				category = current;
+			}
+		});
+
+		return category || _missingCategory;
+	}
+
+	/**
+	 * Determines the composition of the given pileup: the mutation count of
+	 * each category, sorted by count (ties are resolved by the order of the
+	 * mutations).
+	 *
+	 * @param definition    encoding definition
+	 * @param pileup        a Pileup instance
+	 * @return {Array}      an array of {label, count} pairs
+	 */
+	function pileupComposition(definition, pileup)
+	{
+		var counts = {};
+		var order = [];
+
+		_.each(pileup.mutations, function(mutation) {
+			var category = categoryOf(definition, mutation);
+
+			if (counts[category] == null)
+			{
+				counts[category] = 0;
+				order.push(category);
+			}
+
+			counts[category]++;
+		});
+
+		var composition = _.map(order, function(category) {
+			return {label: category, count: counts[category]};
+		});
+
+		// sortBy is stable, so the order of the mutations is preserved for ties
+		return _.sortBy(composition, function(entry) {
+			return -entry.count;
+		});
+	}
+
+	/**
+	 * Creates a scale for the given encoding definition and the visual channel.
+	 *
+	 * @param definition    encoding definition
+	 * @param channel       visual channel: "color" or "shape"
+	 * @return {Object}     scale object
+	 */
+	function createScale(definition, channel)
+	{
+		var fixed = (channel === "shape" ? definition.shapes : definition.colors) || {};
+		var palette = channel === "shape" ?
+			(definition.shapePalette || _defaultShapePalette) :
+			(definition.palette || _defaultPalette);
+
+		// <category, value> pairs, in the order of assignment
+		var assigned = {};
+		var order = [];
+
+		var assign = function(category)
+		{
+			if (assigned[category] == null)
+			{
+				var value = fixed[category];
+
+				if (value == null)
+				{
+					if (channel === "color" && category === _missingCategory)
+					{
+						value = _missingColor;
+					}
+					else
+					{
+						// use only the palette values not used by the fixed values
+						var index = _.filter(order, function(other) {
+							return fixed[other] == null;
+						}).length;
+
+						value = palette[index % palette.length];
+					}
+				}
+
+				assigned[category] = value;
+				order.push(category);
+			}
+
+			return assigned[category];
+		};
+
+		// binned categories are assigned in the order of the bins
+		_.each(definition.bins, function(bin) {
+			assign(bin.label);
+		});
+
+		/**
+		 * Returns the encoded value (color or shape) for the given pileup.
+		 */
+		function valueOf(pileup)
+		{
+			return assign(pileupCategory(definition, pileup));
+		}
+
+		/**
+		 * Returns the composition of the given pileup, with the encoded
+		 * value of each category.
+		 *
+		 * @param pileup    a Pileup instance
+		 * @return {Array}  an array of {label, count, value}
+		 */
+		function composition(pileup)
+		{
+			return _.map(pileupComposition(definition, pileup), function(entry) {
+				return _.extend({value: assign(entry.label)}, entry);
+			});
+		}
+
+		/**
+		 * Returns the legend entries of the categories of the given pileups.
+		 *
+		 * @param pileups   an array of Pileup instances
+		 * @param all       [optional] include all categories of the pileups,
+		 *                  not only the most frequent one of each pileup
+		 * @return {Array}  legend entries [{label, value}]
+		 */
+		function legend(pileups, all)
+		{
+			var categories = _.uniq(_.flatten(_.map(pileups, function(pileup) {
+				if (all)
+				{
+					return _.pluck(pileupComposition(definition, pileup), "label");
+				}
+
+				return pileupCategory(definition, pileup);
+			})));
+
+			_.each(categories, assign);
+
+			var entries = [];
+
+			_.each(order, function(category) {
+				if (_.contains(categories, category))
+				{
+					entries.push({label: category, value: assigned[category]});
+				}
+			});
+
+			return entries;
+		}
+
+		return {
+			label: definition.label,
+			channel: channel,
+			valueOf: valueOf,
+			composition: composition,
+			legend: legend
+		};
+	}
+
+	return {
+		getPresets: getPresets,
+		resolveDefinition: resolveDefinition,
+		categoryOf: categoryOf,
+		pileupCategory: pileupCategory,
+		pileupComposition: pileupComposition,
+		createScale: createScale
+	};
+})();
+
+module.exports = LollipopEncodingUtil;
@@ -29,6 +29,7 @@
  */
 
 var MutationViewsUtil = require("../util/MutationViewsUtil");
+var StatUtil = require("../util/StatUtil");
 
 /**
  * Singleton utility class to format Mutation Details Table View content.
@@ -475,6 +476,32 @@ var MutationDetailsTableFormatter = (function()
 			frequency: text};
 	}
 
+	/**
+	 * Returns the text content, the css class, and the tooltip
+	 * for the given hotspot score (see HotspotUtil).
+	 *
+	 * @param hotspot   hotspot score of the mutation position (may be null)
+	 * @return {{style: string, text: string, tip: string}}
+	 */
+	function getHotspot(hotspot)
+	{
+		var style = "";
+		var text = "";
+		var tip = "";
+
+		if (hotspot && hotspot.significant)
+		{
+			style = "mutation_table_hotspot";
+			text = "Hotspot";
+			tip = hotspot.count + " mutations at this position<br>" +
+			      "q-value: " + StatUtil.formatPValue(hotspot.qValue);
+		}
+
+		return {style: style,
+			text: text,
+			tip: tip};
+	}
+
 	/**
 	 * Returns the text and css class values for the given integer value.
 	 *
@@ -566,6 +593,23 @@ var MutationDetailsTableFormatter = (function()
 		return val;
 	}
 
+	/**
+	 * Returns the sort value for the given hotspot score: significant
+	 * positions are sorted by their q-values, all others have a value of 0.
+	 *
+	 * @param hotspot   hotspot score of the mutation position (may be null)
+	 * @return {Number} sort value
+	 */
+	function assignHotspotValue(hotspot)
+	{
+		if (hotspot && hotspot.significant)
+		{
+			return 2 - hotspot.qValue;
+		}
+
+		return 0;
+	}
+
 	function assignFloatValue(value)
 	{
 		var val = parseFloat(value);
@@ -593,9 +637,11 @@ var MutationDetailsTableFormatter = (function()
 		getTumorType: getTumorType,
 		getCosmic: getCosmic,
 		getCbioPortal: getCbioPortal,
+		getHotspot: getHotspot,
 		getIntValue: getIntValue,
 		assignValueToPredictedImpact: assignValueToPredictedImpact,
 		assignIntValue: assignIntValue,
+		assignHotspotValue: assignHotspotValue,
 		assignFloatValue: assignFloatValue
 	}
 })();
@@ -115,7 +115,7 @@ var MutationDetailsUtil = function(mutations)
 			{
 				var position = {id: mutations[i].get("mutationId"),
 					start: mutations[i].getProteinStartPos(),
-					end: mutations[i].get("proteinPosEnd")};
+					end: mutations[i].getProteinEndPos()};
 
 				positions.push(position);
 			}
@@ -28,245 +28,291 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+var MutationInputParserCore = require("../util/MutationInputParserCore");
 var MutationCollection = require("../model/MutationCollection");
 var MutationModel = require("../model/MutationModel");
-var VariantAnnotationUtil = require("../util/VariantAnnotationUtil");
 
 var _ = require("underscore");
 
 /**
  * Utility class to parse the custom mutation input data.
  *
+ * The actual parsing is delegated to a MutationInputParserCore instance,
+ * this class creates the MutationCollection of the parsed mutations.
+ * In order to parse within a Web Worker, use MutationInputParserCore in the
+ * worker, and pass its result to the loadResult function of this class.
+ *
+ * @param options   parser options
+ *
  * @author Selcuk Onur Sumer
  */
-function MutationInputParser ()
+function MutationInputParser (options)
 {
 	var _data = null; // MutationCollection
 	var _geneList = null;
 	var _sampleList = null;
-	var _idCounter = 0;
-
-	// TODO add column name alternatives?
-	// map of <mutation model field name, input header name> pairs
-	var _headerMap = {
-		"proteinPosEnd": "protein_position_end",
-		"uniprotId": "uniprot_id",
-		"cancerType": "cancer_type",
-		"tumorType": "tumor_type",
-		"cancerStudyLink": "cancer_study_link",
-		"codonChange": "codon_change",
-		"proteinPosStart": "protein_position_start",
-		"linkToPatientView": "patient_view_link",
-		"geneticProfileId": "genetic_profile_id",
-		"mutationCount": "mutation_count",
-		"mutationType": "mutation_type", // "variant_classification"
-		"referenceAllele": "reference_allele",
-		"uniprotAcc": "uniprot_accession",
-		"fisValue": "fis_value",
-		"functionalImpactScore": "fis",
-		"cancerStudy": "cancer_study",
-		"normalRefCount": "normal_ref_count",
-		"ncbiBuildNo": "ncbi_build",
-		"normalFreq": "normal_frequency",
-		"cancerStudyShort": "cancer_study_short",
-		"msaLink": "msa_link",
-		"mutationStatus": "mutation_status",
-		"cna": "copy_number",
-		"proteinChange": "protein_change",
-		"aminoAcidChange": "amino_acid_change",
-		"endPos": "end_position",
-		//"refseqMrnaId": "",
-		"geneSymbol": "hugo_symbol",
-		"tumorFreq": "tumor_frequency",
-		"startPos": "start_position",
-		"keyword": "keyword",
-		"cosmic": "cosmic",
-		"validationStatus": "validation_status",
-		"mutationSid": "mutation_sid",
-		//"canonicalTranscript": "",
-		"normalAltCount": "normal_alt_count",
-		"variantAllele": "variant_allele",
-		//"mutationEventId": "",
-		"mutationId": "mutation_id",
-		"caseId": "sample_id", // "tumor_sample_barcode"
-		"xVarLink": "xvar_link",
-		"pdbLink": "pdb_link",
-		"tumorAltCount": "tumor_alt_count",
-		"tumorRefCount": "tumor_ref_count",
-		"sequencingCenter": "center",
-		"chr": "chromosome"
+	var _format = null; // format of the most recently parsed input
+	var _report = null; // validation report for the most recently parsed input
+	var _parse = null; // identifies the current asynchronous parse
+
+	// default options
+	var _defaultOpts = {
+		// input format: "auto", "default" (custom tab delimited), or "maf"
+		format: "auto",
+		// lines starting with this prefix are ignored (such as #version 2.4)
+		commentPrefix: "#",
+		// if true, the entire input is rejected when there is a validation error
+		strict: false,
+		// size of a single chunk (in characters, or in bytes for files)
+		// for asynchronous parsing
+		chunkSize: 1048576,
+		// function to be invoked after each chunk is parsed,
+		// progress object is passed as a parameter
+		onProgress: null
 	};
 
+	// merge options with default options to use defaults for missing values
+	var _options = _.extend({}, _defaultOpts, options);
+
+	var _core = new MutationInputParserCore(_options);
+
 	/**
-	 * Initializes a default mutation object where all data fields are empty strings.
+	 * Parses the entire input data and creates an array of mutation objects.
+	 * In strict mode, an empty collection is returned if the input has any
+	 * validation errors (see getValidationReport for the details).
 	 *
-	 * @returns {Object}    a default "empty" mutation object
+	 * @param input     input string/file.
+	 * @returns {MutationCollection} an array of mutation objects.
 	 */
-	function initMutation()
+	function parseInput(input)
 	{
-		return {
-			"proteinPosEnd": "",
-			"uniprotId": "",
-			"cancerType": "",
-			"tumorType": "",
-			"cancerStudyLink": "",
-			"codonChange": "",
-			"proteinPosStart": "",
-			"linkToPatientView": "",
-			"geneticProfileId": "",
-			"mutationCount": "",
-			"mutationType": "",
-			"referenceAllele": "",
-			"uniprotAcc": "",
-			"fisValue": "",
-			"functionalImpactScore": "",
-			"cancerStudy": "",
-			"normalRefCount": "",
-			"ncbiBuildNo": "",
-			"normalFreq": "",
-			"cancerStudyShort": "",
-			"msaLink": "",
-			"mutationStatus": "",
-			"cna": "",
-			"proteinChange": "",
-			"aminoAcidChange": "",
-			"endPos": "",
-			"refseqMrnaId": "",
-			"geneSymbol": "",
-			"tumorFreq": "",
-			"startPos": "",
-			"keyword": "",
-			"cosmic": "",
-			"validationStatus": "",
-			"mutationSid": "",
-			//"canonicalTranscript": "",
-			"normalAltCount": "",
-			"variantAllele": "",
-			//"mutationEventId": "",
-			"mutationId": "",
-			"caseId": "",
-			"xVarLink": "",
-			"pdbLink": "",
-			"tumorAltCount": "",
-			"tumorRefCount": "",
-			"sequencingCenter": "",
-			"chr": ""
-		};
+		start();
+		_core.parseChunk(input);
+
+		return finish();
 	}
 
 	/**
-	 * Parses the entire input data and creates an array of mutation objects.
+	 * Parses the given input string asynchronously chunk by chunk,
+	 * so that parsing a large input does not block the page.
 	 *
-	 * @param input     input string/file.
-	 * @returns {MutationCollection} an array of mutation objects.
+	 * @param input     input string
+	 * @param callback  function to be invoked with the final MutationCollection,
+	 *                  or with null if the parse is aborted
 	 */
-	function parseInput(input)
+	function parseInputAsync(input, callback)
 	{
-		var mutationData = new MutationCollection();
+		var offset = 0;
 
-		var lines = input.split("\n");
+		parseAsync(input.length, function(chunkCallback) {
+			var chunk = input.substring(offset, offset + _options.chunkSize);
+			offset += chunk.length;
+			chunkCallback(chunk, chunk.length);
+		}, callback);
+	}
 
-		if (lines.length > 0)
-		{
-			// assuming first line is a header
-			// TODO allow comments?
-			var indexMap = buildIndexMap(lines[0]);
+	/**
+	 * Reads and parses the given file (File or Blob instance) asynchronously
+	 * chunk by chunk, so that parsing a large file does not block the page.
+	 * The file is assumed to be UTF-8 encoded.
+	 *
+	 * @param file      File or Blob instance
+	 * @param callback  function to be invoked with the final MutationCollection,
+	 *                  or with null in case of a read error or an aborted parse
+	 */
+	function parseFile(file, callback)
+	{
+		var offset = 0;
 
-			// rest should be data
-			for (var i=1; i < lines.length; i++)
-			{
-				// skip empty lines
-				if (lines[i].length > 0)
+		// chunks are sliced by bytes, so a multi-byte character may be split
+		// between two chunks: the streaming decoder keeps the incomplete
+		// character until the next chunk arrives
+		var decoder = typeof TextDecoder !== "undefined" ?
+			new TextDecoder("utf-8") : null;
+
+		// without a decoder the file cannot be split safely,
+		// so it is read as a single chunk
+		var chunkSize = decoder ? _options.chunkSize : file.size;
+
+		parseAsync(file.size, function(chunkCallback) {
+			var reader = new FileReader();
+			var blob = file.slice(offset, offset + chunkSize);
+
+			reader.onload = function(evt) {
+				offset += blob.size;
+
+				var chunk = evt.target.result;
+
+				if (decoder)
 				{
-					mutationData.push(parseLine(lines[i], indexMap));
+					// flush the decoder with the last chunk
+					chunk = decoder.decode(chunk, {stream: offset < file.size});
 				}
-			}
-		}
 
-		_data = mutationData;
+				chunkCallback(chunk, blob.size);
+			};
 
-		return mutationData;
+			reader.onerror = function() {
+				chunkCallback(null);
+			};
+
+			if (decoder)
+			{
+				reader.readAsArrayBuffer(blob);
+			}
+			else
+			{
+				reader.readAsText(blob);
+			}
+		}, callback);
 	}
 
 	/**
-	 * Parses a single line of the input and returns a new mutation object.
+	 * Parses chunks provided by the given read function one by one,
+	 * yielding to the browser between two consecutive chunks.
 	 *
-	 * @param line      single line of the input data
-	 * @param indexMap  map of <header name, index> pairs
-	 * @returns {MutationModel}    a mutation model object
+	 * Starting another parse (with any of the parse functions) before this
+	 * one completes aborts this parse, and the callback is invoked with null.
+	 *
+	 * @param totalSize     total size of the input (characters or bytes)
+	 * @param readFn        function to read the next chunk, invokes its
+	 *                      callback with the chunk and its size in the
+	 *                      units of the total size
+	 * @param callback      function to be invoked with the final MutationCollection
 	 */
-	function parseLine(line, indexMap)
+	function parseAsync(totalSize, readFn, callback)
 	{
-		//var mutation = initMutation();
-		// init an empty mutation object
-		var mutation = new MutationModel();
-
-		// assuming values are separated by tabs
-		var values = line.split("\t");
-		var attributes = {};
+		var parse = start(totalSize);
+		var position = 0;
 
-		// find the corresponding column for each field, and set the value
-		_.each(_.keys(_headerMap), function(key) {
-			var value = parseValue(key, values, indexMap);
+		function next()
+		{
+			// another parse has been started in the meantime
+			if (_parse !== parse)
+			{
+				callback(null);
+				return;
+			}
 
-			if (value)
+			if (position >= totalSize)
 			{
-				attributes[key] = value;
+				callback(finish());
+				return;
 			}
-		});
 
-		attributes.mutationId = attributes.mutationId || nextId();
+			readFn(function(chunk, size) {
+				if (_parse !== parse)
+				{
+					callback(null);
+					return;
+				}
 
-		// TODO mutationSid?
-		attributes.mutationSid = attributes.mutationSid || attributes.mutationId;
+				// read error, abort parsing
+				if (chunk == null)
+				{
+					_parse = null;
+					_core.abort();
+					callback(null);
+					return;
+				}
 
-		attributes.variantKey = VariantAnnotationUtil.generateVariantKey(attributes);
+				position += size;
+				_core.parseChunk(chunk, size);
+				setTimeout(next, 0);
+			});
+		}
 
-		mutation.set(attributes);
-		return mutation;
+		next();
 	}
 
 	/**
-	 * Parses the value of a single input cell.
+	 * Parses the next chunk of the input. Chunks do not need to be aligned
+	 * with lines: an incomplete last line is kept until the next chunk
+	 * arrives. Call finish once all chunks are provided.
 	 *
-	 * @param field     name of the mutation model field
-	 * @param values    array of values for a single input line
-	 * @param indexMap  map of <header name, index> pairs
-	 * @returns {string|undefined}    data value for the given field name.
+	 * @param chunk     next chunk of the input string
+	 * @returns {object} progress of the current parse
 	 */
-	function parseValue(field, values, indexMap)
+	function parseChunk(chunk)
 	{
-		// get the column name for the given field name
-		var column = _headerMap[field];
-		var index = indexMap[column];
-		var value = undefined;
-
-		if (index != null &&
-		    values[index] != null)
+		if (!_core.isParsing())
 		{
-			value = values[index].trim();
+			start();
 		}
 
-		return value;
+		return _core.parseChunk(chunk);
 	}
 
 	/**
-	 * Builds a map of <header name, index> pairs, to use header names
-	 * instead of index constants.
+	 * Starts a new parse, and aborts the current asynchronous parse (if any).
 	 *
-	 * @param header    header line (first line) of the input
-	 * @returns {object} map of <header name, index> pairs
+	 * @param totalSize     [optional] total size of the input
+	 * @returns {object}    identifier of the new parse
 	 */
-	function buildIndexMap(header)
+	function start(totalSize)
 	{
-		var columns = header.split("\t");
-		var map = {};
+		_parse = {};
+		_format = null;
+		_report = null;
+		_core.start(totalSize);
 
-		_.each(columns, function(column, index) {
-			map[column.trim().toLowerCase()] = index;
+		return _parse;
+	}
+
+	/**
+	 * Completes the current incremental parse, and creates the
+	 * collection of all parsed mutations. In strict mode, an empty
+	 * collection is returned if the input has any validation errors.
+	 *
+	 * @returns {MutationCollection} an array of mutation objects.
+	 */
+	function finish()
+	{
+		_parse = null;
+
+		return loadResult(_core.finish());
+	}
+
+	/**
+	 * Creates the collection of the mutations parsed by a
+	 * MutationInputParserCore instance (possibly within a Web Worker).
+	 * The validation report and the format of the given result become
+	 * the ones of the most recently parsed input.
+	 *
+	 * @param result    result of MutationInputParserCore.finish
+	 * @returns {MutationCollection} an array of mutation objects.
+	 */
+	function loadResult(result)
+	{
+		var mutations = _.map(result.mutations, function(attributes) {
+			var mutation = new MutationModel();
+			mutation.set(attributes);
+			return mutation;
 		});
 
-		return map;
+		_data = new MutationCollection(mutations);
+		_format = result.format;
+		_report = result.report;
+		_geneList = null;
+		_sampleList = null;
+
+		return _data;
+	}
+
+	/**
+	 * Returns the validation report for the most recently parsed input.
+	 *
+	 * @returns {object} validation report with the list of errors
+	 */
+	function getValidationReport()
+	{
+		// report of the current (or aborted) parse
+		return _report || _core.getValidationReport();
+	}
+
+	function getFormat()
+	{
+		return _format || _core.getFormat();
 	}
 
 	/**
@@ -325,18 +371,21 @@ function MutationInputParser ()
 		return _geneList;
 	}
 
-	function nextId()
-	{
-	    _idCounter++;
-
-		return "stalone_mut_" + _idCounter;
-	}
-
 	return {
 		parseInput: parseInput,
+		parseInputAsync: parseInputAsync,
+		parseFile: parseFile,
+		parseChunk: parseChunk,
+		finish: finish,
+		loadResult: loadResult,
 		getSampleArray: getSampleArray,
-		getGeneList: getGeneList
+		getGeneList: getGeneList,
+		getValidationReport: getValidationReport,
+		getFormat: getFormat
 	};
 }
 
+// validation error types
+MutationInputParser.ERROR_TYPE = MutationInputParserCore.ERROR_TYPE;
+
 module.exports = MutationInputParser;
\ No newline at end of file
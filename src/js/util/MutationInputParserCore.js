@@ -0,0 +1,724 @@
+var VariantKeyUtil = require("../util/VariantKeyUtil");
+var MutationTypeUtil = require("../util/MutationTypeUtil");
+var HgvsProteinParser = require("../util/HgvsProteinParser");
+
+var _ = require("underscore");
+
+/**
+ * Parsing core of the MutationInputParser. Parses the custom mutation input
+ * chunk by chunk into plain mutation attribute objects. This class has no
+ * Backbone or view (DOM) dependency, so that a large input can be parsed
+ * within a Web Worker, and only the final MutationCollection is created on
+ * the main thread (see MutationInputParser.loadResult):
+ *
+ *   // worker
+ *   var core = new MutationInputParserCore(options);
+ *   core.start(totalSize);
+ *   core.parseChunk(chunk); // for each chunk
+ *   postMessage(core.finish());
+ *
+ *   // main thread
+ *   var mutationData = parser.loadResult(result);
+ *
+ * @param options   parser options (see MutationInputParser)
+ */
+function MutationInputParserCore(options)
+{
+	var _idCounter = 0;
+	var _format = null; // format of the most recently parsed input
+	var _header = []; // original header column names
+	var _errors = []; // validation errors for the most recently parsed input
+	var _rejected = false;
+	var _stream = null; // state of the current incremental parse
+
+	// default options
+	var _defaultOpts = {
+		// input format: "auto", "default" (custom tab delimited), or "maf"
+		format: "auto",
+		// lines starting with this prefix are ignored (such as #version 2.4)
+		commentPrefix: "#",
+		// if true, the entire input is rejected when there is a validation error
+		strict: false,
+		// function to be invoked after each chunk is parsed,
+		// progress object is passed as a parameter
+		onProgress: null
+	};
+
+	// merge options with default options to use defaults for missing values
+	var _options = _.extend({}, _defaultOpts, options);
+
+	// map of <mutation model field name, input header name> pairs
+	var _headerMap = {
+		"proteinPosEnd": "protein_position_end",
+		"uniprotId": "uniprot_id",
+		"cancerType": "cancer_type",
+		"tumorType": "tumor_type",
+		"cancerStudyLink": "cancer_study_link",
+		"codonChange": "codon_change",
+		"proteinPosStart": "protein_position_start",
+		"linkToPatientView": "patient_view_link",
+		"geneticProfileId": "genetic_profile_id",
+		"mutationCount": "mutation_count",
+		"mutationType": "mutation_type", // "variant_classification"
+		"referenceAllele": "reference_allele",
+		"uniprotAcc": "uniprot_accession",
+		"fisValue": "fis_value",
+		"functionalImpactScore": "fis",
+		"cancerStudy": "cancer_study",
+		"normalRefCount": "normal_ref_count",
+		"ncbiBuildNo": "ncbi_build",
+		"normalFreq": "normal_frequency",
+		"cancerStudyShort": "cancer_study_short",
+		"msaLink": "msa_link",
+		"mutationStatus": "mutation_status",
+		"cna": "copy_number",
+		"proteinChange": "protein_change",
+		"aminoAcidChange": "amino_acid_change",
+		"endPos": "end_position",
+		//"refseqMrnaId": "",
+		"geneSymbol": "hugo_symbol",
+		"tumorFreq": "tumor_frequency",
+		"startPos": "start_position",
+		"keyword": "keyword",
+		"cosmic": "cosmic",
+		"validationStatus": "validation_status",
+		"mutationSid": "mutation_sid",
+		//"canonicalTranscript": "",
+		"normalAltCount": "normal_alt_count",
+		"variantAllele": "variant_allele",
+		//"mutationEventId": "",
+		"mutationId": "mutation_id",
+		"caseId": "sample_id", // "tumor_sample_barcode"
+		"xVarLink": "xvar_link",
+		"pdbLink": "pdb_link",
+		"tumorAltCount": "tumor_alt_count",
+		"tumorRefCount": "tumor_ref_count",
+		"sequencingCenter": "center",
+		"chr": "chromosome"
+	};
+
+	// map of <mutation model field name, MAF column name alternatives> pairs.
+	// alternatives are listed in order of precedence, and if none of them
+	// exists in the input, the column name in _headerMap is used instead.
+	var _mafHeaderMap = {
+		"geneSymbol": ["hugo_symbol"],
+		"caseId": ["tumor_sample_barcode"],
+		"proteinChange": ["hgvsp_short", "amino_acid_change"],
+		"mutationType": ["variant_classification"],
+		"chr": ["chromosome"],
+		"startPos": ["start_position"],
+		"endPos": ["end_position"],
+		"referenceAllele": ["reference_allele"],
+		"variantAllele": ["tumor_seq_allele2", "tumor_seq_allele1"],
+		"tumorAltCount": ["t_alt_count"],
+		"tumorRefCount": ["t_ref_count"],
+		"normalAltCount": ["n_alt_count"],
+		"normalRefCount": ["n_ref_count"],
+		"ncbiBuildNo": ["ncbi_build"],
+		"sequencingCenter": ["center"],
+		"validationStatus": ["validation_status"],
+		"mutationStatus": ["mutation_status"],
+		"codonChange": ["codons"],
+		"refseqMrnaId": ["refseq"],
+		"uniprotId": ["swissprot"]
+	};
+
+	// presence of any of these columns indicates a MAF input
+	var _mafIndicators = [
+		"tumor_sample_barcode",
+		"variant_classification",
+		"hgvsp_short",
+		"tumor_seq_allele2"
+	];
+
+	// map of <mutation model field name, input header name> pairs
+	// resolved for the current input
+	var _columnMap = _headerMap;
+
+	// fields expected to have integer values
+	var _numericFields = [
+		"startPos",
+		"endPos",
+		"proteinPosStart",
+		"proteinPosEnd"
+	];
+
+	// values considered as "not available" rather than invalid
+	var _naValues = ["na", "n/a", "."];
+
+	/**
+	 * Initializes a default mutation object where all data fields are empty strings.
+	 *
+	 * @returns {Object}    a default "empty" mutation object
+	 */
+	function initMutation()
+	{
+		return {
+			"proteinPosEnd": "",
+			"uniprotId": "",
+			"cancerType": "",
+			"tumorType": "",
+			"cancerStudyLink": "",
+			"codonChange": "",
+			"proteinPosStart": "",
+			"linkToPatientView": "",
+			"geneticProfileId": "",
+			"mutationCount": "",
+			"mutationType": "",
+			"referenceAllele": "",
+			"uniprotAcc": "",
+			"fisValue": "",
+			"functionalImpactScore": "",
+			"cancerStudy": "",
+			"normalRefCount": "",
+			"ncbiBuildNo": "",
+			"normalFreq": "",
+			"cancerStudyShort": "",
+			"msaLink": "",
+			"mutationStatus": "",
+			"cna": "",
+			"proteinChange": "",
+			"aminoAcidChange": "",
+			"endPos": "",
+			"refseqMrnaId": "",
+			"geneSymbol": "",
+			"tumorFreq": "",
+			"startPos": "",
+			"keyword": "",
+			"cosmic": "",
+			"validationStatus": "",
+			"mutationSid": "",
+			//"canonicalTranscript": "",
+			"normalAltCount": "",
+			"variantAllele": "",
+			//"mutationEventId": "",
+			"mutationId": "",
+			"caseId": "",
+			"xVarLink": "",
+			"pdbLink": "",
+			"tumorAltCount": "",
+			"tumorRefCount": "",
+			"sequencingCenter": "",
+			"chr": ""
+		};
+	}
+
+	/**
+	 * Starts a new incremental parse, the current parse (if any)
+	 * is discarded.
+	 *
+	 * @param totalSize     [optional] total size of the input
+	 *                      (used to report the progress)
+	 */
+	function start(totalSize)
+	{
+		_stream = initStream(totalSize);
+	}
+
+	/**
+	 * Parses the next chunk of the input. Chunks do not need to be aligned
+	 * with lines: an incomplete last line is kept until the next chunk
+	 * arrives. Call finish once all chunks are provided.
+	 *
+	 * @param chunk     next chunk of the input string
+	 * @param size      [optional] size of the chunk in the units of the
+	 *                  total size (defaults to the length of the chunk)
+	 * @returns {object} progress of the current parse
+	 */
+	function parseChunk(chunk, size)
+	{
+		if (_stream == null)
+		{
+			_stream = initStream();
+		}
+
+		var lines = (_stream.buffer + chunk).split("\n");
+
+		// last element may be an incomplete line
+		_stream.buffer = lines.pop();
+		_stream.charCount += chunk.length;
+		_stream.position += size == null ? chunk.length : size;
+
+		_.each(lines, processLine);
+
+		var progress = getProgress();
+
+		if (_.isFunction(_options.onProgress))
+		{
+			_options.onProgress(progress);
+		}
+
+		return progress;
+	}
+
+	/**
+	 * Completes the current incremental parse. The result contains plain
+	 * objects only, so that it can be passed from a Web Worker to the main
+	 * thread. In strict mode, the list of mutations is empty if the input
+	 * has any validation errors.
+	 *
+	 * @returns {object} {mutations: [list of mutation attributes],
+	 *                    format: input format,
+	 *                    report: validation report}
+	 */
+	function finish()
+	{
+		if (_stream == null)
+		{
+			_stream = initStream();
+		}
+
+		// process the remaining line (if any)
+		if (_stream.buffer.length > 0)
+		{
+			processLine(_stream.buffer);
+			_stream.buffer = "";
+		}
+
+		var mutations = _stream.mutations;
+
+		if (_options.strict && _errors.length > 0)
+		{
+			mutations = [];
+			_rejected = true;
+		}
+
+		_stream = null;
+
+		return {
+			mutations: mutations,
+			format: _format,
+			report: getValidationReport()
+		};
+	}
+
+	/**
+	 * Discards the current incremental parse (if any).
+	 */
+	function abort()
+	{
+		_stream = null;
+	}
+
+	function isParsing()
+	{
+		return _stream != null;
+	}
+
+	/**
+	 * Initializes the state for a new incremental parse.
+	 *
+	 * @param totalSize     [optional] total size of the input
+	 * @returns {object}    initial parse state
+	 */
+	function initStream(totalSize)
+	{
+		_errors = [];
+		_rejected = false;
+
+		return {
+			buffer: "",
+			indexMap: null,
+			lineNumber: 0,
+			charCount: 0,
+			position: 0,
+			totalSize: totalSize,
+			mutations: []
+		};
+	}
+
+	/**
+	 * Processes a single complete line of the current incremental parse.
+	 *
+	 * @param line  single line of the input data
+	 */
+	function processLine(line)
+	{
+		_stream.lineNumber++;
+
+		// skip empty lines and comments
+		if (line.trim().length === 0 ||
+		    isComment(line))
+		{
+			return;
+		}
+
+		// assuming first non-comment line is a header
+		if (_stream.indexMap == null)
+		{
+			_stream.indexMap = buildIndexMap(line);
+			_format = detectFormat(_stream.indexMap);
+			_columnMap = buildColumnMap(_stream.indexMap, _format);
+		}
+		// rest should be data
+		else
+		{
+			_stream.mutations.push(
+				parseLine(line, _stream.indexMap, _stream.lineNumber));
+		}
+	}
+
+	/**
+	 * Returns the progress of the current incremental parse.
+	 *
+	 * @returns {object} progress information
+	 */
+	function getProgress()
+	{
+		var progress = {
+			lineCount: _stream.lineNumber,
+			mutationCount: _stream.mutations.length,
+			errorCount: _errors.length,
+			charCount: _stream.charCount,
+			position: _stream.position,
+			totalSize: _stream.totalSize,
+			percent: null
+		};
+
+		if (_stream.totalSize > 0)
+		{
+			progress.percent = Math.min(100,
+				Math.round(100 * _stream.position / _stream.totalSize));
+		}
+
+		return progress;
+	}
+
+	/**
+	 * Parses a single line of the input and returns the mutation attributes.
+	 *
+	 * @param line          single line of the input data
+	 * @param indexMap      map of <header name, index> pairs
+	 * @param lineNumber    line number within the input (used for error reporting)
+	 * @returns {object}    mutation attributes
+	 */
+	function parseLine(line, indexMap, lineNumber)
+	{
+		// assuming values are separated by tabs
+		var values = line.split("\t");
+		var attributes = {};
+
+		// find the corresponding column for each field, and set the value
+		_.each(_.keys(_columnMap), function(key) {
+			var value = parseValue(key, values, indexMap);
+
+			if (value)
+			{
+				attributes[key] = value;
+			}
+		});
+
+		if (_format === "maf")
+		{
+			normalizeMafAttributes(attributes, values, indexMap);
+		}
+
+		// use the same short form for all inputs (p.Arg213Ter, R213X -> R213*)
+		if (attributes.proteinChange)
+		{
+			attributes.proteinChange = HgvsProteinParser.normalize(attributes.proteinChange);
+
+			if (attributes.proteinChange.length === 0)
+			{
+				delete attributes.proteinChange;
+			}
+		}
+
+		validate(attributes, lineNumber);
+
+		attributes.mutationId = attributes.mutationId || nextId();
+
+		// TODO mutationSid?
+		attributes.mutationSid = attributes.mutationSid || attributes.mutationId;
+
+		attributes.variantKey = VariantKeyUtil.generateVariantKey(attributes);
+
+		return attributes;
+	}
+
+	/**
+	 * Parses the value of a single input cell.
+	 *
+	 * @param field     name of the mutation model field
+	 * @param values    array of values for a single input line
+	 * @param indexMap  map of <header name, index> pairs
+	 * @returns {string|undefined}    data value for the given field name.
+	 */
+	function parseValue(field, values, indexMap)
+	{
+		// get the column name for the given field name
+		var column = _columnMap[field];
+		var index = indexMap[column];
+		var value = undefined;
+
+		if (index != null &&
+		    values[index] != null)
+		{
+			value = values[index].trim();
+		}
+
+		return value;
+	}
+
+	/**
+	 * Validates the parsed attributes of a single line, and records
+	 * an error for each invalid or missing value.
+	 *
+	 * @param attributes    parsed mutation attributes
+	 * @param lineNumber    line number within the input
+	 */
+	function validate(attributes, lineNumber)
+	{
+		if (!attributes.geneSymbol)
+		{
+			addError(lineNumber, "geneSymbol", attributes.geneSymbol,
+				MutationInputParserCore.ERROR_TYPE.MISSING_GENE,
+				"Missing gene symbol");
+		}
+
+		_.each(_numericFields, function(field) {
+			var value = attributes[field];
+
+			if (value != null &&
+			    !_.contains(_naValues, value.toLowerCase()) &&
+			    !(/^-?[0-9]+$/).test(value))
+			{
+				addError(lineNumber, field, value,
+					MutationInputParserCore.ERROR_TYPE.NON_NUMERIC_POSITION,
+					"Non-numeric position value");
+			}
+		});
+
+		if (attributes.mutationType &&
+		    !isKnownMutationType(attributes.mutationType))
+		{
+			addError(lineNumber, "mutationType", attributes.mutationType,
+				MutationInputParserCore.ERROR_TYPE.UNKNOWN_MUTATION_TYPE,
+				"Unknown mutation type");
+		}
+
+		if (attributes.proteinChange &&
+		    HgvsProteinParser.parse(attributes.proteinChange) == null)
+		{
+			addError(lineNumber, "proteinChange", attributes.proteinChange,
+				MutationInputParserCore.ERROR_TYPE.UNPARSEABLE_PROTEIN_CHANGE,
+				"Unparseable protein change");
+		}
+	}
+
+	/**
+	 * Checks if the given value is a known mutation type. MAF input is
+	 * validated against the Variant_Classification values of the MAF
+	 * specification, while the custom format also accepts the mutation
+	 * type values of the portal (such as "Missense" or "Fusion").
+	 *
+	 * @param mutationType  mutation type value
+	 * @returns {boolean}   true if the value is a known mutation type
+	 */
+	function isKnownMutationType(mutationType)
+	{
+		if (_format === "maf")
+		{
+			return MutationTypeUtil.isMafVariantClassification(mutationType);
+		}
+
+		return MutationTypeUtil.isKnownMutationType(mutationType);
+	}
+
+	/**
+	 * Records a validation error for the current input.
+	 *
+	 * @param lineNumber    line number within the input
+	 * @param field         name of the mutation model field
+	 * @param value         invalid value
+	 * @param reason        error type (see MutationInputParserCore.ERROR_TYPE)
+	 * @param description   human readable description of the error
+	 */
+	function addError(lineNumber, field, value, reason, description)
+	{
+		var column = _columnMap[field];
+		var index = _.indexOf(_.map(_header, function(name) {
+			return name.toLowerCase();
+		}), column);
+
+		// use the original column name if exists in the input
+		column = index < 0 ? column : _header[index];
+
+		var message = "Line " + lineNumber + ": " + description;
+
+		if (value)
+		{
+			message += " '" + value + "'";
+		}
+
+		message += " (column: " + column + ")";
+
+		_errors.push({
+			line: lineNumber,
+			column: column,
+			field: field,
+			value: value,
+			reason: reason,
+			message: message
+		});
+	}
+
+	/**
+	 * Returns the validation report for the most recently parsed input.
+	 *
+	 * @returns {object} validation report with the list of errors
+	 */
+	function getValidationReport()
+	{
+		return {
+			valid: _errors.length === 0,
+			rejected: _rejected,
+			errorCount: _errors.length,
+			invalidLines: _.uniq(_.pluck(_errors, "line")),
+			errors: _errors
+		};
+	}
+
+	/**
+	 * Builds a map of <header name, index> pairs, to use header names
+	 * instead of index constants.
+	 *
+	 * @param header    header line (first line) of the input
+	 * @returns {object} map of <header name, index> pairs
+	 */
+	function buildIndexMap(header)
+	{
+		var columns = header.split("\t");
+		var map = {};
+
+		_header = _.map(columns, function(column) {
+			return column.trim();
+		});
+
+		_.each(columns, function(column, index) {
+			map[column.trim().toLowerCase()] = index;
+		});
+
+		return map;
+	}
+
+	/**
+	 * Determines the format of the input by looking at the header columns.
+	 * If a specific format is provided within the options, then the
+	 * provided format is used without checking the header.
+	 *
+	 * @param indexMap  map of <header name, index> pairs
+	 * @returns {string} "maf" or "default"
+	 */
+	function detectFormat(indexMap)
+	{
+		var format = _options.format.toLowerCase();
+
+		if (format === "auto")
+		{
+			var isMaf = _.find(_mafIndicators, function(column) {
+				return indexMap[column] != null;
+			});
+
+			format = isMaf ? "maf" : "default";
+		}
+
+		return format;
+	}
+
+	/**
+	 * Resolves the actual input column for each mutation model field.
+	 * For MAF input, the first available alternative column name is used,
+	 * falling back to the default column name if none is available.
+	 *
+	 * @param indexMap  map of <header name, index> pairs
+	 * @param format    input format ("maf" or "default")
+	 * @returns {object} map of <mutation model field name, input header name> pairs
+	 */
+	function buildColumnMap(indexMap, format)
+	{
+		var columnMap = _.clone(_headerMap);
+
+		if (format === "maf")
+		{
+			_.each(_mafHeaderMap, function(alternatives, field) {
+				var column = _.find(alternatives, function(name) {
+					return indexMap[name] != null;
+				});
+
+				if (column)
+				{
+					columnMap[field] = column;
+				}
+			});
+		}
+
+		return columnMap;
+	}
+
+	/**
+	 * Normalizes MAF specific values of the given mutation attributes.
+	 *
+	 * @param attributes    parsed mutation attributes
+	 * @param values        array of values for a single input line
+	 * @param indexMap      map of <header name, index> pairs
+	 */
+	function normalizeMafAttributes(attributes, values, indexMap)
+	{
+		// in MAF, Tumor_Seq_Allele2 is usually the variant allele, but
+		// when it is the same as the reference, Tumor_Seq_Allele1 is the one
+		var allele1 = indexMap["tumor_seq_allele1"];
+
+		if (attributes.variantAllele != null &&
+		    attributes.variantAllele === attributes.referenceAllele &&
+		    allele1 != null &&
+		    values[allele1] != null &&
+		    values[allele1].trim().length > 0)
+		{
+			attributes.variantAllele = values[allele1].trim();
+		}
+	}
+
+	/**
+	 * Checks if the given input line is a comment line.
+	 *
+	 * @param line  single line of the input data
+	 * @returns {boolean} true if the line is a comment, false otherwise
+	 */
+	function isComment(line)
+	{
+		var prefix = _options.commentPrefix;
+
+		return prefix != null &&
+		       prefix.length > 0 &&
+		       line.indexOf(prefix) === 0;
+	}
+
+
+	function nextId()
+	{
+		_idCounter++;
+
+		return "stalone_mut_" + _idCounter;
+	}
+
+	return {
+		start: start,
+		parseChunk: parseChunk,
+		finish: finish,
+		abort: abort,
+		isParsing: isParsing,
+		getValidationReport: getValidationReport,
+		getFormat: function() {return _format;}
+	};
+}
+
+// validation error types
+MutationInputParserCore.ERROR_TYPE = {
+	MISSING_GENE: "missing_gene",
+	NON_NUMERIC_POSITION: "non_numeric_position",
+	UNKNOWN_MUTATION_TYPE: "unknown_mutation_type",
+	UNPARSEABLE_PROTEIN_CHANGE: "unparseable_protein_change"
+};
+
+module.exports = MutationInputParserCore;
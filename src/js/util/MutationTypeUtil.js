@@ -0,0 +1,149 @@
+var _ = require("underscore");
+
+/**
+ * Singleton utility class for the mutation type values. This class has
+ * no view (DOM) dependency, so that it can be shared by the input parsers
+ * and the views (see MutationViewsUtil for the visual styles).
+ */
+var MutationTypeUtil = (function()
+{
+	/**
+	 * Mapping between the mutation type (data) values and
+	 * the style keys (see the mutation style map of MutationViewsUtil).
+	 */
+	var _mutationTypeMap = {
+		"missense_mutation": "missense",
+		"missense": "missense",
+		"missense_variant": "missense",
+		"frame_shift_ins": "frame_shift_ins",
+		"frame_shift_del": "frame_shift_del",
+		"frameshift": "frameshift",
+		"frameshift_deletion": "frame_shift_del",
+		"frameshift_insertion": "frame_shift_ins",
+		"de_novo_start_outofframe": "frameshift",
+		"frameshift_variant": "frameshift",
+		"nonsense_mutation": "nonsense",
+		"nonsense": "nonsense",
+		"stopgain_snv": "nonsense",
+		"stop_gained": "nonsense",
+		"splice_site": "splice_site",
+		"splice": "splice_site",
+		"splice site": "splice_site",
+		"splicing": "splice_site",
+		"splice_site_snp": "splice_site",
+		"splice_site_del": "splice_site",
+		"splice_site_indel": "splice_site",
+		"splice_region_variant": "splice_site",
+		"translation_start_site": "nonstart",
+		"initiator_codon_variant": "nonstart",
+		"start_codon_snp": "nonstart",
+		"start_codon_del": "nonstart",
+		"nonstop_mutation": "nonstop",
+		"stop_lost": "nonstop",
+		"in_frame_del": "in_frame_del",
+		"in_frame_deletion": "in_frame_del",
+		"in_frame_ins": "in_frame_ins",
+		"in_frame_insertion": "in_frame_ins",
+		"indel": "in_frame_del",
+		"nonframeshift_deletion": "inframe",
+		"nonframeshift": "inframe",
+		"nonframeshift insertion": "inframe",
+		"nonframeshift_insertion": "inframe",
+		"targeted_region": "inframe",
+		"inframe": "inframe",
+		"truncating": "truncating",
+		"feature_truncation": "truncating",
+		"fusion": "fusion",
+		"silent": "silent",
+		"synonymous_variant": "silent",
+		"any": "default",
+		"other": "default"
+	};
+
+	// Variant_Classification values defined by the MAF specification
+	var _mafVariantClassifications = [
+		"frame_shift_del",
+		"frame_shift_ins",
+		"in_frame_del",
+		"in_frame_ins",
+		"missense_mutation",
+		"nonsense_mutation",
+		"nonstop_mutation",
+		"silent",
+		"splice_site",
+		"splice_region",
+		"translation_start_site",
+		"de_novo_start_inframe",
+		"de_novo_start_outofframe",
+		"3'utr",
+		"5'utr",
+		"3'flank",
+		"5'flank",
+		"igr",
+		"intron",
+		"rna",
+		"lincrna",
+		"targeted_region",
+		"unknown"
+	];
+
+	function normalize(mutationType)
+	{
+		return (mutationType || "").trim().toLowerCase();
+	}
+
+	/**
+	 * Returns a copy of the mutation type map.
+	 *
+	 * @return {Object} map of <mutation type, style key> pairs
+	 */
+	function getMutationTypeMap()
+	{
+		return _.clone(_mutationTypeMap);
+	}
+
+	/**
+	 * Returns the style key of the given mutation type value.
+	 *
+	 * @param mutationType  mutation type value (case insensitive)
+	 * @return {string|null} style key, or null if the type is unknown
+	 */
+	function getStyleKey(mutationType)
+	{
+		return _mutationTypeMap[normalize(mutationType)] || null;
+	}
+
+	/**
+	 * Checks if the given value is a Variant_Classification value
+	 * defined by the MAF specification.
+	 *
+	 * @param mutationType  mutation type value (case insensitive)
+	 * @return {boolean}    true if the value is a MAF Variant_Classification
+	 */
+	function isMafVariantClassification(mutationType)
+	{
+		return _.contains(_mafVariantClassifications, normalize(mutationType));
+	}
+
+	/**
+	 * Checks if the given value is either a MAF Variant_Classification
+	 * or a mutation type value of the portal (such as "Missense" or "Fusion").
+	 *
+	 * @param mutationType  mutation type value (case insensitive)
+	 * @return {boolean}    true if the value is a known mutation type
+	 */
+	function isKnownMutationType(mutationType)
+	{
+		return isMafVariantClassification(mutationType) ||
+			getStyleKey(mutationType) != null;
+	}
+
+	return {
+		getMutationTypeMap: getMutationTypeMap,
+		getStyleKey: getStyleKey,
+		isMafVariantClassification: isMafVariantClassification,
+		isKnownMutationType: isKnownMutationType
+	};
+})();
+
+module.exports = MutationTypeUtil;
@@ -29,6 +29,7 @@
  */
 
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var MutationTypeUtil = require("../util/MutationTypeUtil");
 
 var loaderImage = require("../../images/ajax-loader.gif");
 
@@ -132,53 +133,22 @@ var MutationViewsUtil = (function()
 			priority: 11}
 	};
 
-	var _mutationTypeMap = {
-		"missense_mutation": _mutationStyleMap.missense,
-		"missense": _mutationStyleMap.missense,
-		"missense_variant": _mutationStyleMap.missense,
-		"frame_shift_ins": _mutationStyleMap.frame_shift_ins,
-		"frame_shift_del": _mutationStyleMap.frame_shift_del,
-		"frameshift": _mutationStyleMap.frameshift,
-		"frameshift_deletion": _mutationStyleMap.frame_shift_del,
-		"frameshift_insertion": _mutationStyleMap.frame_shift_ins,
-		"de_novo_start_outofframe": _mutationStyleMap.frameshift,
-		"frameshift_variant": _mutationStyleMap.frameshift,
-		"nonsense_mutation": _mutationStyleMap.nonsense,
-		"nonsense": _mutationStyleMap.nonsense,
-		"stopgain_snv": _mutationStyleMap.nonsense,
-		"stop_gained": _mutationStyleMap.nonsense,
-		"splice_site": _mutationStyleMap.splice_site,
-		"splice": _mutationStyleMap.splice_site,
-		"splice site": _mutationStyleMap.splice_site,
-		"splicing": _mutationStyleMap.splice_site,
-		"splice_site_snp": _mutationStyleMap.splice_site,
-		"splice_site_del": _mutationStyleMap.splice_site,
-		"splice_site_indel": _mutationStyleMap.splice_site,
-		"splice_region_variant": _mutationStyleMap.splice_site,
-		"translation_start_site":  _mutationStyleMap.nonstart,
-		"initiator_codon_variant": _mutationStyleMap.nonstart,
-		"start_codon_snp": _mutationStyleMap.nonstart,
-		"start_codon_del": _mutationStyleMap.nonstart,
-		"nonstop_mutation": _mutationStyleMap.nonstop,
-		"stop_lost": _mutationStyleMap.nonstop,
-		"in_frame_del": _mutationStyleMap.in_frame_del,
-		"in_frame_deletion": _mutationStyleMap.in_frame_del,
-		"in_frame_ins": _mutationStyleMap.in_frame_ins,
-		"in_frame_insertion": _mutationStyleMap.in_frame_ins,
-		"indel": _mutationStyleMap.in_frame_del,
-		"nonframeshift_deletion": _mutationStyleMap.inframe,
-		"nonframeshift": _mutationStyleMap.inframe,
-		"nonframeshift insertion": _mutationStyleMap.inframe,
-		"nonframeshift_insertion": _mutationStyleMap.inframe,
-		"targeted_region": _mutationStyleMap.inframe,
-		"inframe": _mutationStyleMap.inframe,
-		"truncating": _mutationStyleMap.truncating,
-		"feature_truncation": _mutationStyleMap.truncating,
-		"fusion": _mutationStyleMap.fusion,
-		"silent": _mutationStyleMap.silent,
-		"synonymous_variant": _mutationStyleMap.silent,
-		"any": _mutationStyleMap.default,
-		"other": _mutationStyleMap.default
+	// mapping between the mutation type (data) values and the view values,
+	// see MutationTypeUtil for the list of known mutation types
+	var _mutationTypeMap = _.mapObject(MutationTypeUtil.getMutationTypeMap(), function(styleKey) {
+		return _mutationStyleMap[styleKey];
+	});
+
+	/**
+	 * Default colors of the main mutation types
+	 * (see mainType values of the mutation style map).
+	 */
+	var _mainTypeColorMap = {
+		missense: "#008000",
+		truncating: "#000000",
+		inframe: "#8B4513",
+		fusion: "#8B00C9",
+		other: "#8B00C9"
 	};
 
 	/**
@@ -246,6 +216,42 @@ var MutationViewsUtil = (function()
 		};
 	}
 
+	/**
+	 * Returns a copy of the default main mutation type colors.
+	 *
+	 * @return {Object} map of <main type, color> pairs
+	 */
+	function getMainTypeColors()
+	{
+		return _.clone(_mainTypeColorMap);
+	}
+
+	/**
+	 * Returns the visual style of the type of the given mutation.
+	 * Unknown mutation types are mapped to the "other" style.
+	 *
+	 * @param mutation  a MutationModel instance
+	 * @return {Object} mutation type style
+	 */
+	function getMutationTypeStyle(mutation)
+	{
+		var type = (mutation.get("mutationType") || "").trim().toLowerCase();
+
+		return _mutationTypeMap[type] || _mutationTypeMap.other;
+	}
+
+	/**
+	 * Returns the main type (missense, truncating, inframe, etc.)
+	 * of the given mutation.
+	 *
+	 * @param mutation  a MutationModel instance
+	 * @return {string} main mutation type
+	 */
+	function getMainType(mutation)
+	{
+		return getMutationTypeStyle(mutation).mainType;
+	}
+
 	function defaultTableTooltipOpts()
 	{
 		return {
@@ -301,7 +307,10 @@ var MutationViewsUtil = (function()
 		renderTablePlaceHolder: renderTablePlaceholder,
 		refreshTableColumn: refreshTableColumn,
 		defaultTableTooltipOpts: defaultTableTooltipOpts,
-		getVisualStyleMaps: getVisualStyleMaps
+		getVisualStyleMaps: getVisualStyleMaps,
+		getMainTypeColors: getMainTypeColors,
+		getMutationTypeStyle: getMutationTypeStyle,
+		getMainType: getMainType
 	};
 })();
 
@@ -36,6 +36,15 @@ var Backbone = require("backbone");
 /**
  * A simple queue implementation for serializing requests.
  *
+ * Optionally, it is possible to process more than one element at a time
+ * (concurrency option), to coalesce identical requests into a single
+ * request (keyFn option), and to cancel the elements of a specific group.
+ *
+ * options: {concurrency: [max number of elements processed at the same time],
+ *           keyFn: [function returning a key for an element,
+ *                   elements with the same key are processed only once],
+ *           abortFn: [function to abort an element already in progress]}
+ *
  * @author Selcuk Onur Sumer
  */
 function RequestQueue(options)
@@ -44,29 +53,57 @@ function RequestQueue(options)
 
 	var _defaultOpts = {
 		completeEvent: "requestQueueProcessComplete",
-		newRequestEvent: "requestQueueNewRequest"
+		newRequestEvent: "requestQueueNewRequest",
+		statusEvent: "requestQueueStatusChange",
+		concurrency: 1,
+		// no coalescing by default
+		keyFn: null,
+		// by default, abort the request if the process function returns
+		// an abortable object (such as a jqXHR)
+		abortFn: function(element, handle) {
+			if (handle && _.isFunction(handle.abort))
+			{
+				handle.abort();
+				return true;
+			}
+
+			return false;
+		}
 	};
 
 	var _options = jQuery.extend(true, {}, _defaultOpts, options);
 
+	// each queue entry is an object of {key, element, subscribers, handle},
+	// where element is the actual element to process and subscribers is
+	// an array of {element, groups} pairs waiting for the result
 	var _queryQueue = [];
-	var _queryInProgress = false;
+	var _queryInProgress = [];
+	var _processFn = null;
+
+	// number of completed, cancelled and coalesced elements so far
+	var _counts = {
+		completed: 0,
+		cancelled: 0,
+		coalesced: 0
+	};
+
 	var _dispatcher = {};
 	_.extend(_dispatcher, Backbone.Events);
 
 	/**
 	 * Initializes the queue with the provided process function.
+	 * If the process function returns a value (such as a jqXHR),
+	 * that value is passed to the abort function in case the
+	 * corresponding element is cancelled.
 	 *
 	 * @param processFn function to be invoked to process queue elements
 	 */
 	function init(processFn)
 	{
+		_processFn = processFn;
+
 		_dispatcher.on(_options.newRequestEvent, function() {
-			// no query in progress, ready to consume
-			if (!_queryInProgress)
-			{
-				processQueue(processFn);
-			}
+			processQueue(processFn);
 		});
 
 		_dispatcher.on(_options.completeEvent, function() {
@@ -74,61 +111,256 @@ function RequestQueue(options)
 		});
 	}
 
-	// TODO find an efficient way to avoid hitting the server more than once
-	// for the exact same simultaneous query
-
 	/**
 	 * Processes the queue by invoking the given process function
-	 * for the current element in the queue.
+	 * for the next elements in the queue, as long as the number of
+	 * elements in progress is below the concurrency limit.
 	 *
 	 * @param processFn function to process the queue element
 	 */
 	function processQueue(processFn)
 	{
-		// get the first element from the queue
-		var element = _.first(_queryQueue);
-		_queryQueue = _.rest(_queryQueue);
-
-		// still elements in queue
-		if (element)
+		while (_queryQueue.length > 0 &&
+		       _queryInProgress.length < _options.concurrency)
 		{
-			_queryInProgress = element;
+			// get the first entry from the queue
+			var entry = _queryQueue.shift();
+			_queryInProgress.push(entry);
+			triggerStatus();
 
 			if (_.isFunction(processFn))
 			{
-				processFn(element);
+				entry.handle = processFn(entry.element);
 			}
 		}
-		// no more query to process
-		else
-		{
-			_queryInProgress = false;
-		}
 	}
 
 	/**
 	 * Function to be invoked upon completion of the process of a queue element.
+	 * If no element is provided, the element which has been in progress for
+	 * the longest time is assumed to be complete.
+	 *
+	 * @param element   [optional] completed queue element
 	 */
-	function complete()
+	function complete(element)
 	{
-		_queryInProgress = false;
+		var entry = element ?
+			findEntry(_queryInProgress, element) :
+			_.first(_queryInProgress);
+
+		if (entry)
+		{
+			_queryInProgress = _.without(_queryInProgress, entry);
+			_counts.completed += entry.subscribers.length;
+		}
+
+		triggerStatus();
 		_dispatcher.trigger(_options.completeEvent);
 	}
 
 	/**
 	 * Adds a new element into the queue, and triggers a new request event.
+	 * If there is already an identical element (an element with the same key)
+	 * in the queue or in progress, then the new element is attached to the
+	 * existing one instead of being processed separately.
 	 *
 	 * @param element   a new queue element
+	 * @param group     [optional] group of the element, used for cancellation.
+	 *                  an array of groups is also allowed for an element
+	 *                  serving multiple groups (such as a batch request)
+	 */
+	function add(element, group)
+	{
+		var subscriber = {
+			element: element,
+			groups: group == null ? [] : _.flatten([group])
+		};
+		var key = null;
+
+		if (_.isFunction(_options.keyFn))
+		{
+			key = _options.keyFn(element);
+		}
+
+		var entry = null;
+
+		if (key != null)
+		{
+			entry = _.find(_queryInProgress.concat(_queryQueue), function(entry) {
+				return entry.key === key;
+			});
+		}
+
+		if (entry)
+		{
+			entry.subscribers.push(subscriber);
+			_counts.coalesced++;
+			triggerStatus();
+		}
+		else
+		{
+			_queryQueue.push({
+				key: key,
+				element: element,
+				subscribers: [subscriber],
+				handle: null
+			});
+			triggerStatus();
+			_dispatcher.trigger(_options.newRequestEvent);
+		}
+	}
+
+	/**
+	 * Returns all the elements (the element itself and the coalesced ones)
+	 * waiting for the result of the given element. Cancelled elements are
+	 * not included.
+	 *
+	 * @param element   a queue element
+	 * @returns {Array} elements waiting for the result of the given element
+	 */
+	function getElements(element)
+	{
+		var entry = findEntry(_queryInProgress.concat(_queryQueue), element);
+
+		if (entry)
+		{
+			return _.pluck(entry.subscribers, "element");
+		}
+		else
+		{
+			return [];
+		}
+	}
+
+	/**
+	 * Returns the distinct groups of all the elements waiting for the
+	 * result of the given element.
+	 *
+	 * @param element   a queue element
+	 * @returns {Array} groups of the waiting elements (excluding undefined groups)
 	 */
-	function add(element)
+	function getGroups(element)
 	{
-		_queryQueue.push(element);
-		_dispatcher.trigger(_options.newRequestEvent);
+		var entry = findEntry(_queryInProgress.concat(_queryQueue), element);
+
+		if (entry)
+		{
+			return _.uniq(_.flatten(_.pluck(entry.subscribers, "groups")));
+		}
+		else
+		{
+			return [];
+		}
+	}
+
+	/**
+	 * Cancels all the elements of the given group. Elements waiting in the
+	 * queue are simply removed. An element in progress is aborted (if possible)
+	 * only if there is no other element (of a different group) waiting for
+	 * its result. An element of multiple groups is cancelled only after all
+	 * of its groups are cancelled.
+	 *
+	 * @param group     group of the elements to cancel
+	 * @returns {number} number of cancelled elements
+	 */
+	function cancel(group)
+	{
+		var cancelled = 0;
+
+		var removeGroup = function(entry) {
+			var size = entry.subscribers.length;
+
+			entry.subscribers = _.reject(entry.subscribers, function(subscriber) {
+				if (!_.contains(subscriber.groups, group))
+				{
+					return false;
+				}
+
+				subscriber.groups = _.without(subscriber.groups, group);
+
+				return subscriber.groups.length === 0;
+			});
+
+			cancelled += size - entry.subscribers.length;
+
+			return entry.subscribers.length === 0;
+		};
+
+		_queryQueue = _.reject(_queryQueue, removeGroup);
+
+		// entries in progress with no remaining subscribers
+		var toAbort = _.filter(_queryInProgress, removeGroup);
+
+		_.each(toAbort, function(entry) {
+			// remove the entry first, so that completion of an aborted request
+			// does not interfere with the next element in progress
+			_queryInProgress = _.without(_queryInProgress, entry);
+
+			// if not abortable, keep the entry in progress until it completes
+			if (!_options.abortFn(entry.element, entry.handle))
+			{
+				_queryInProgress.push(entry);
+			}
+		});
+
+		_counts.cancelled += cancelled;
+		triggerStatus();
+
+		// there may be free slots after cancellation
+		if (_processFn)
+		{
+			processQueue(_processFn);
+		}
+
+		return cancelled;
+	}
+
+	/**
+	 * Returns the current status of the queue.
+	 *
+	 * @returns {object} queue status
+	 */
+	function getStatus()
+	{
+		var count = function(entries) {
+			return _.reduce(entries, function(memo, entry) {
+				return memo + entry.subscribers.length;
+			}, 0);
+		};
+
+		return {
+			queued: count(_queryQueue),
+			inProgress: count(_queryInProgress),
+			requests: _queryInProgress.length,
+			completed: _counts.completed,
+			cancelled: _counts.cancelled,
+			coalesced: _counts.coalesced
+		};
+	}
+
+	function triggerStatus()
+	{
+		_dispatcher.trigger(_options.statusEvent, getStatus());
+	}
+
+	function findEntry(entries, element)
+	{
+		return _.find(entries, function(entry) {
+			return entry.element === element ||
+				_.find(entry.subscribers, function(subscriber) {
+					return subscriber.element === element;
+				}) != null;
+		});
 	}
 
 	self.add = add;
 	self.complete = complete;
+	self.cancel = cancel;
 	self.init = init;
+	self.getElements = getElements;
+	self.getGroups = getGroups;
+	self.getStatus = getStatus;
+	self.dispatcher = _dispatcher;
 }
 
-module.exports = RequestQueue;
\ No newline at end of file
+module.exports = RequestQueue;
@@ -0,0 +1,110 @@
+var d3 = require("d3");
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to create the d3 scales used by the diagrams.
+ *
+ * In addition to the built-in d3 scales, a logarithmic scale defined at
+ * zero is provided: values are mapped by log(1 + x), so that the baseline
+ * (zero) and single mutations are still visible on the log scale.
+ */
+var ScaleUtil = (function()
+{
+	/**
+	 * Creates a log(1 + x) scale wrapping the given linear scale.
+	 * Domain values are in the original (untransformed) units.
+	 *
+	 * @param linear    [optional] underlying linear scale
+	 * @return {Function} scale function
+	 */
+	function logScale(linear)
+	{
+		linear = linear || d3.scale.linear();
+
+		var transform = function(value) {
+			return Math.log(1 + Math.max(value, 0));
+		};
+
+		var inverse = function(value) {
+			return Math.exp(value) - 1;
+		};
+
+		var scale = function(value) {
+			return linear(transform(value));
+		};
+
+		scale.invert = function(value) {
+			return inverse(linear.invert(value));
+		};
+
+		scale.domain = function(domain) {
+			if (!arguments.length)
+			{
+				return _.map(linear.domain(), inverse);
+			}
+
+			linear.domain(_.map(domain, transform));
+			return scale;
+		};
+
+		scale.range = function(range) {
+			if (!arguments.length)
+			{
+				return linear.range();
+			}
+
+			linear.range(range);
+			return scale;
+		};
+
+		scale.copy = function() {
+			return logScale(linear.copy());
+		};
+
+		// zero and the powers of 10 within the domain
+		scale.ticks = function() {
+			var max = _.max(scale.domain());
+			var ticks = [0];
+
+			for (var value = 1; value <= max; value *= 10)
+			{
+				ticks.push(value);
+			}
+
+			return ticks;
+		};
+
+		scale.tickFormat = function(count, format) {
+			return d3.format(format || "d");
+		};
+
+		return scale;
+	}
+
+	/**
+	 * Creates a new scale of the given type.
+	 *
+	 * @param type  scale type: "linear", "log", or "sqrt"
+	 * @return {Function} scale function
+	 */
+	function createScale(type)
+	{
+		if (type === "log")
+		{
+			return logScale();
+		}
+		else if (type === "sqrt")
+		{
+			return d3.scale.sqrt();
+		}
+
+		return d3.scale.linear();
+	}
+
+	return {
+		logScale: logScale,
+		createScale: createScale
+	};
+})();
+
+module.exports = ScaleUtil;
@@ -0,0 +1,106 @@
+var _ = require("underscore");
+
+/**
+ * Singleton utility class for the statistical functions shared by
+ * the analyses (hotspots, clusters, co-occurrence).
+ */
+var StatUtil = (function()
+{
+	/**
+	 * Calculates the natural logarithm of the gamma function
+	 * (Lanczos approximation).
+	 *
+	 * @param x     a positive number
+	 * @return {Number} ln(gamma(x))
+	 */
+	function logGamma(x)
+	{
+		var coefficients = [76.18009172947146, -86.50532032941677,
+			24.01409824083091, -1.231739572450155,
+			0.1208650973866179e-2, -0.5395239384953e-5];
+
+		var y = x;
+		var tmp = x + 5.5;
+		var series = 1.000000000190015;
+
+		tmp -= (x + 0.5) * Math.log(tmp);
+
+		_.each(coefficients, function(coefficient) {
+			y++;
+			series += coefficient / y;
+		});
+
+		return -tmp + Math.log(2.5066282746310005 * series / x);
+	}
+
+	/**
+	 * Corrects the given p-values for testing the given number of hypotheses.
+	 *
+	 * @param pValues       array of p-values
+	 * @param testCount     total number of tests
+	 * @param correction    correction method: "fdr", "bonferroni", or "none"
+	 * @return {Array}  corrected p-values (in the same order)
+	 */
+	function correctPValues(pValues, testCount, correction)
+	{
+		if (correction === "bonferroni")
+		{
+			return _.map(pValues, function(pValue) {
+				return Math.min(pValue * testCount, 1);
+			});
+		}
+		else if (correction !== "fdr")
+		{
+			return pValues.slice();
+		}
+
+		// Benjamini-Hochberg: the tests not in the given p-values are assumed
+		// to have a p-value of 1, so they only contribute to the number of tests
+		var order = _.sortBy(_.range(pValues.length), function(idx) {
+			return pValues[idx];
+		});
+
+		var qValues = [];
+		var min = 1;
+
+		for (var rank = order.length; rank > 0; rank--)
+		{
+			var idx = order[rank - 1];
+
+			min = Math.min(min, pValues[idx] * testCount / rank);
+			qValues[idx] = min;
+		}
+
+		return qValues;
+	}
+
+	/**
+	 * Formats the given p-value for display purposes.
+	 *
+	 * @param value     p-value
+	 * @return {string} formatted value
+	 */
+	function formatPValue(value)
+	{
+		if (value < 1e-10)
+		{
+			return "< 1e-10";
+		}
+		else if (value < 0.001)
+		{
+			return value.toExponential(1);
+		}
+		else
+		{
+			return value.toFixed(3);
+		}
+	}
+
+	return {
+		logGamma: logGamma,
+		correctPValues: correctPValues,
+		formatPValue: formatPValue
+	};
+})();
+
+module.exports = StatUtil;
@@ -0,0 +1,318 @@
+var cbio = {
+	download: require("../util/download-util")
+};
+
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to convert svg elements into standalone
+ * SVG, PNG and PDF documents entirely on the client side.
+ *
+ * Exported documents should not depend on the page CSS, so the computed
+ * styles of the source elements are inlined into the exported copy.
+ * Raster outputs (PNG & PDF) are rendered through a canvas element,
+ * PDF documents embed the rendered image as a single page.
+ */
+var SvgExportUtil = (function()
+{
+	// style properties to be inlined
+	var _styleProperties = [
+		"fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity",
+		"stroke-dasharray", "opacity", "font-family", "font-size", "font-weight",
+		"font-style", "text-anchor", "dominant-baseline", "visibility", "display"
+	];
+
+	// default computed styles: <tag name, {property: value}> pairs
+	var _defaultStyles = {};
+
+	/**
+	 * Retrieves the default computed style of the given svg element type,
+	 * by creating an empty element of the same type.
+	 *
+	 * @param tagName   svg element tag name
+	 * @return {Object} map of <style property, value> pairs
+	 */
+	function getDefaultStyle(tagName)
+	{
+		if (_defaultStyles[tagName] == null)
+		{
+			var ns = "http://www.w3.org/2000/svg";
+			var svg = document.createElementNS(ns, "svg");
+			var element = document.createElementNS(ns, tagName);
+
+			svg.appendChild(element);
+			document.body.appendChild(svg);
+
+			var computed = window.getComputedStyle(element);
+			var style = {};
+
+			_.each(_styleProperties, function(property) {
+				style[property] = computed.getPropertyValue(property);
+			});
+
+			document.body.removeChild(svg);
+			_defaultStyles[tagName] = style;
+		}
+
+		return _defaultStyles[tagName];
+	}
+
+	/**
+	 * Copies the computed styles of the source element and all its
+	 * descendants into the target element (which should be a copy of
+	 * the source). Only the values different than the defaults are copied.
+	 *
+	 * @param source    source svg element (attached to the document)
+	 * @param target    target svg element (a deep copy of the source)
+	 */
+	function inlineStyles(source, target)
+	{
+		var sources = [source].concat(_.toArray(source.getElementsByTagName("*")));
+		var targets = [target].concat(_.toArray(target.getElementsByTagName("*")));
+
+		_.each(sources, function(element, idx) {
+			var computed = window.getComputedStyle(element);
+			var defaults = getDefaultStyle(element.tagName);
+			var style = [];
+
+			_.each(_styleProperties, function(property) {
+				var value = computed.getPropertyValue(property);
+
+				if (value != null &&
+				    value.length > 0 &&
+				    value !== defaults[property])
+				{
+					style.push(property + ":" + value);
+				}
+			});
+
+			if (style.length > 0)
+			{
+				targets[idx].setAttribute("style", style.join(";"));
+			}
+		});
+	}
+
+	/**
+	 * Serializes the given svg element into a standalone svg document.
+	 *
+	 * @param svg       svg element
+	 * @return {string} svg document as a string
+	 */
+	function serialize(svg)
+	{
+		return cbio.download.addSvgHeader(cbio.download.serializeHtml(svg));
+	}
+
+	/**
+	 * Renders the given svg document onto a new canvas. The background is
+	 * filled with the given color, since JPEG images have no transparency.
+	 *
+	 * @param svgString     svg document as a string
+	 * @param width         width of the svg document (in pixels)
+	 * @param height        height of the svg document (in pixels)
+	 * @param scale         scale factor of the canvas wrt the svg size
+	 * @param background    [optional] background color
+	 * @param callback      function to be invoked with an error (or null)
+	 *                      and the canvas
+	 */
+	function renderToCanvas(svgString, width, height, scale, background, callback)
+	{
+		var canvas = document.createElement("canvas");
+		var image = new Image();
+
+		canvas.width = Math.round(width * scale);
+		canvas.height = Math.round(height * scale);
+
+		image.onload = function() {
+			var context = canvas.getContext("2d");
+
+			if (background)
+			{
+				context.fillStyle = background;
+				context.fillRect(0, 0, canvas.width, canvas.height);
+			}
+
+			context.drawImage(image, 0, 0, canvas.width, canvas.height);
+			callback(null, canvas);
+		};
+
+		image.onerror = function() {
+			callback(new Error("Cannot render the svg document"));
+		};
+
+		image.src = "data:image/svg+xml;base64," +
+		            btoa(unescape(encodeURIComponent(svgString)));
+	}
+
+	/**
+	 * Extracts the binary content of the given (base64) data URL.
+	 *
+	 * @param dataUrl   data URL
+	 * @return {string} binary string (one character for each byte)
+	 */
+	function dataUrlToBinary(dataUrl)
+	{
+		return atob(dataUrl.substring(dataUrl.indexOf(",") + 1));
+	}
+
+	/**
+	 * Converts the given binary string into a byte array.
+	 *
+	 * @param binary    binary string (one character for each byte)
+	 * @return {Uint8Array} byte array
+	 */
+	function binaryToBytes(binary)
+	{
+		var bytes = new Uint8Array(binary.length);
+
+		for (var i = 0; i < binary.length; i++)
+		{
+			bytes[i] = binary.charCodeAt(i) & 0xFF;
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Escapes the given text to be used as a PDF string literal.
+	 *
+	 * @param text      text to escape
+	 * @return {string} escaped text
+	 */
+	function escapePdfString(text)
+	{
+		return String(text)
+			.replace(/[^\x20-\x7E]/g, "")
+			.replace(/([\\()])/g, "\\$1");
+	}
+
+	/**
+	 * Creates a single page PDF document displaying the given JPEG image.
+	 *
+	 * @param jpegDataUrl   JPEG image as a data URL
+	 * @param imageWidth    width of the image (in pixels)
+	 * @param imageHeight   height of the image (in pixels)
+	 * @param pageWidth     width of the page (in points)
+	 * @param pageHeight    height of the page (in points)
+	 * @param metadata      [optional] document info {title, subject}
+	 * @return {Uint8Array} PDF document as a byte array
+	 */
+	function createPdf(jpegDataUrl, imageWidth, imageHeight, pageWidth, pageHeight, metadata)
+	{
+		metadata = metadata || {};
+
+		var image = dataUrlToBinary(jpegDataUrl);
+		var content = "q " + pageWidth + " 0 0 " + pageHeight + " 0 0 cm /Im0 Do Q";
+
+		var objects = [
+			"<< /Type /Catalog /Pages 2 0 R >>",
+			"<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+			"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + pageWidth + " " + pageHeight + "] " +
+				"/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>",
+			"<< /Type /XObject /Subtype /Image /Width " + imageWidth +
+				" /Height " + imageHeight + " /ColorSpace /DeviceRGB" +
+				" /BitsPerComponent 8 /Filter /DCTDecode /Length " + image.length + " >>\n" +
+				"stream\n" + image + "\nendstream",
+			"<< /Length " + content.length + " >>\n" +
+				"stream\n" + content + "\nendstream",
+			"<< /Title (" + escapePdfString(metadata.title || "") + ")" +
+				" /Subject (" + escapePdfString(metadata.subject || "") + ")" +
+				" /Producer (Mutation Mapper) >>"
+		];
+
+		var pdf = "%PDF-1.4\n";
+		var offsets = [];
+
+		_.each(objects, function(object, idx) {
+			offsets.push(pdf.length);
+			pdf += (idx + 1) + " 0 obj\n" + object + "\nendobj\n";
+		});
+
+		var xref = pdf.length;
+
+		pdf += "xref\n0 " + (objects.length + 1) + "\n" +
+		       "0000000000 65535 f \n";
+
+		_.each(offsets, function(offset) {
+			pdf += ("0000000000" + offset).slice(-10) + " 00000 n \n";
+		});
+
+		pdf += "trailer\n<< /Size " + (objects.length + 1) +
+		       " /Root 1 0 R /Info 6 0 R >>\n" +
+		       "startxref\n" + xref + "\n%%EOF";
+
+		return binaryToBytes(pdf);
+	}
+
+	/**
+	 * Converts the given svg element into the desired format.
+	 *
+	 * @param svg       standalone svg element (styles already inlined)
+	 * @param options   {format: ["svg", "png" or "pdf"],
+	 *                   width: [svg width in pixels], height: [svg height in pixels],
+	 *                   dpi: [resolution of the raster output],
+	 *                   title: [document title], subject: [document subject]}
+	 * @param callback  function to be invoked with an error (or null) and
+	 *                  the converted content (a string for svg, a Blob for png & pdf)
+	 */
+	function convert(svg, options, callback)
+	{
+		var svgString = serialize(svg);
+
+		// css pixels are 1/96 inch
+		var scale = options.dpi / 96;
+
+		if (options.format === "svg")
+		{
+			callback(null, svgString);
+		}
+		else if (options.format === "png")
+		{
+			renderToCanvas(svgString, options.width, options.height, scale, null, function(error, canvas) {
+				if (error)
+				{
+					callback(error);
+					return;
+				}
+
+				var data = dataUrlToBinary(canvas.toDataURL("image/png"));
+				callback(null, new Blob([binaryToBytes(data)], {type: "image/png"}));
+			});
+		}
+		else if (options.format === "pdf")
+		{
+			renderToCanvas(svgString, options.width, options.height, scale, "#FFFFFF", function(error, canvas) {
+				if (error)
+				{
+					callback(error);
+					return;
+				}
+
+				// css pixels are 3/4 points
+				var pdf = createPdf(canvas.toDataURL("image/jpeg", 0.95),
+					canvas.width,
+					canvas.height,
+					options.width * 0.75,
+					options.height * 0.75,
+					{title: options.title, subject: options.subject});
+
+				callback(null, new Blob([pdf], {type: "application/pdf"}));
+			});
+		}
+		else
+		{
+			callback(new Error("Unknown export format: " + options.format));
+		}
+	}
+
+	return {
+		inlineStyles: inlineStyles,
+		serialize: serialize,
+		renderToCanvas: renderToCanvas,
+		createPdf: createPdf,
+		convert: convert
+	};
+})();
+
+module.exports = SvgExportUtil;
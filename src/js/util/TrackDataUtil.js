@@ -0,0 +1,277 @@
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to convert raw annotation data into
+ * mutation diagram track features, and to create the definitions
+ * of the built-in annotation tracks (see MutationDiagram.addTrack).
+ *
+ * A track feature is a JSON object:
+ * {start: [start position], end: [end position], label: [feature name],
+ *  type: [feature type], description: [feature description], color: [fill color]}
+ */
+var TrackDataUtil = (function()
+{
+	// UniProt feature types to display, grouped by the legend category
+	var _uniprotFeatureTypes = {
+		SIGNAL: "Signal peptide",
+		TRANSMEM: "Transmembrane",
+		MOD_RES: "PTM",
+		CARBOHYD: "PTM",
+		LIPID: "PTM",
+		CROSSLNK: "PTM",
+		DISULFID: "PTM"
+	};
+
+	var _uniprotCategoryColors = {
+		"Signal peptide": "#E69F00",
+		"Transmembrane": "#0072B2",
+		"PTM": "#CC0000"
+	};
+
+	var _exonColors = ["#7F7F7F", "#BFBFBF"];
+
+	/**
+	 * Converts the UniProt feature data (EBI Proteins API format)
+	 * into track features. Only PTM sites, signal peptides and
+	 * transmembrane regions are included.
+	 *
+	 * @param data  UniProt feature data, an array of protein entries
+	 *              each having a list of features
+	 * @return {Array}  an array of track features
+	 */
+	function convertUniprotFeatures(data)
+	{
+		var features = [];
+
+		_.each(data, function(entry) {
+			_.each(entry.features, function(feature) {
+				var category = _uniprotFeatureTypes[feature.type];
+
+				if (category)
+				{
+					features.push({
+						start: parseInt(feature.begin),
+						end: parseInt(feature.end),
+						label: category,
+						type: feature.type,
+						description: feature.description || "",
+						color: _uniprotCategoryColors[category]
+					});
+				}
+			});
+		});
+
+		return features;
+	}
+
+	/**
+	 * Converts the genomic coordinate data (EBI Proteins API format)
+	 * into exon track features. Only the exons of the first mapped
+	 * transcript are included.
+	 *
+	 * @param data  coordinate data, an array of protein entries
+	 * @return {Array}  an array of track features
+	 */
+	function convertExons(data)
+	{
+		var features = [];
+		var entry = _.first(data);
+
+		if (entry == null || _.isEmpty(entry.gnCoordinate))
+		{
+			return features;
+		}
+
+		var location = entry.gnCoordinate[0].genomicLocation || {};
+
+		_.each(location.exon, function(exon, idx) {
+			var proteinLocation = exon.proteinLocation;
+
+			if (proteinLocation &&
+			    proteinLocation.begin &&
+			    proteinLocation.end)
+			{
+				features.push({
+					start: proteinLocation.begin.position,
+					end: proteinLocation.end.position,
+					label: "Exon " + (idx + 1),
+					type: "exon",
+					description: exon.id || "",
+					color: _exonColors[idx % _exonColors.length]
+				});
+			}
+		});
+
+		return features;
+	}
+
+	/**
+	 * Parses the given BED-like text into track features. Instead of the
+	 * chromosome, the first column is the gene symbol, and the positions are
+	 * protein positions (0-based start, exclusive end as in BED format).
+	 *
+	 * Columns: gene, start, end, name, score, strand, thickStart, thickEnd, itemRgb
+	 * (only the first three columns are required). Comment lines, and
+	 * "track" & "browser" lines are ignored.
+	 *
+	 * @param text  BED-like input text
+	 * @return {Object} map of <gene symbol, array of track features> pairs
+	 */
+	function parseBed(text)
+	{
+		var features = {};
+
+		_.each((text || "").split(/\r?\n/), function(line) {
+			line = line.trim();
+
+			if (line.length === 0 ||
+			    line.indexOf("#") === 0 ||
+			    line.indexOf("track") === 0 ||
+			    line.indexOf("browser") === 0)
+			{
+				return;
+			}
+
+			var columns = line.split(/\t/);
+			var gene = columns[0];
+			var start = parseInt(columns[1]);
+			var end = parseInt(columns[2]);
+
+			if (columns.length < 3 ||
+			    _.isNaN(start) ||
+			    _.isNaN(end))
+			{
+				return;
+			}
+
+			if (features[gene] == null)
+			{
+				features[gene] = [];
+			}
+
+			features[gene].push({
+				start: start + 1,
+				end: end,
+				label: columns[3] || "",
+				type: "custom",
+				description: "",
+				color: parseColor(columns[8])
+			});
+		});
+
+		return features;
+	}
+
+	/**
+	 * Converts the BED itemRgb value ("R,G,B") into a css color.
+	 *
+	 * @param value itemRgb column value
+	 * @return {string|null}    css color, or null if not a valid color
+	 */
+	function parseColor(value)
+	{
+		if (value == null ||
+		    value === "0" ||
+		    value.trim().length === 0)
+		{
+			return null;
+		}
+
+		if (value.indexOf(",") !== -1)
+		{
+			return "rgb(" + value + ")";
+		}
+
+		return value;
+	}
+
+	/**
+	 * Creates the legend for the given features, one entry for
+	 * each distinct (label, color) pair.
+	 *
+	 * @param features      an array of track features
+	 * @param defaultColor  color of the features without a color
+	 * @return {Array}      legend entries [{label, color}]
+	 */
+	function createLegend(features, defaultColor)
+	{
+		var legend = _.map(features, function(feature) {
+			return {label: feature.label, color: feature.color || defaultColor};
+		});
+
+		return _.uniq(legend, false, function(entry) {
+			return entry.label + entry.color;
+		});
+	}
+
+	/**
+	 * Creates the UniProt feature track definition.
+	 *
+	 * @param proxy UniprotFeatureDataProxy instance
+	 * @return {Object} track definition
+	 */
+	function uniprotFeatureTrack(proxy)
+	{
+		return {
+			id: "uniprotFeatures",
+			label: "UniProt",
+			legend: _.map(_.keys(_uniprotCategoryColors), function(category) {
+				return {label: category, color: _uniprotCategoryColors[category]};
+			}),
+			dataFn: function(params, callback) {
+				proxy.getFeatureData(params, function(data) {
+					callback(convertUniprotFeatures(data));
+				});
+			}
+		};
+	}
+
+	/**
+	 * Creates the exon track definition.
+	 *
+	 * @param proxy ExonDataProxy instance
+	 * @return {Object} track definition
+	 */
+	function exonTrack(proxy)
+	{
+		return {
+			id: "exons",
+			label: "Exons",
+			legend: [{label: "Exon", color: _exonColors[0]}],
+			dataFn: function(params, callback) {
+				proxy.getExonData(params, function(data) {
+					callback(convertExons(data));
+				});
+			}
+		};
+	}
+
+	/**
+	 * Creates the custom (user provided) track definition.
+	 *
+	 * @param proxy CustomTrackDataProxy instance
+	 * @return {Object} track definition
+	 */
+	function customTrack(proxy)
+	{
+		return {
+			id: "custom",
+			label: proxy.getTrackLabel(),
+			dataFn: function(params, callback) {
+				proxy.getTrackData(params, callback);
+			}
+		};
+	}
+
+	return {
+		convertUniprotFeatures: convertUniprotFeatures,
+		convertExons: convertExons,
+		parseBed: parseBed,
+		createLegend: createLegend,
+		uniprotFeatureTrack: uniprotFeatureTrack,
+		exonTrack: exonTrack,
+		customTrack: customTrack
+	};
+})();
+
+module.exports = TrackDataUtil;
@@ -0,0 +1,139 @@
+var _ = require("underscore");
+
+/**
+ * Singleton utility class to generate the variant keys used for
+ * the annotation queries. This class has no view (DOM) dependency,
+ * so that it can also be used within a Web Worker.
+ */
+var VariantKeyUtil = (function()
+{
+	/**
+	 * Finds the longest common starting substring of the given strings.
+	 *
+	 * @param str1  first string
+	 * @param str2  second string
+	 * @return {String} longest common starting substring
+	 */
+	function commonPrefix(str1, str2)
+	{
+		var i = 0;
+
+		while (i < str1.length &&
+		       i < str2.length &&
+		       str1[i] === str2[i])
+		{
+			i++;
+		}
+
+		return str1.substring(0, i);
+	}
+
+	/**
+	 * Generates variant key for annotation queries.
+	 * This function assumes that basic mutation data (chromosome number,
+	 * start position, reference allele, variant allele) is available
+	 * for the provided mutation. If not, returns undefined.
+	 *
+	 * Example keys: 10:g.152595854G>A
+	 *               17:g.36002278_36002277insA
+	 *               1:g.206811015_206811016delAC
+	 *
+	 * @param mutation mutation attributes or a MutationModel instance
+	 * @returns {string|undefined} variant key (to be used for annotation query)
+	 */
+	function generateVariantKey(mutation)
+	{
+		var key = undefined;
+
+		var chr = mutation.chr;
+		var startPos = mutation.startPos;
+		var endPos = mutation.endPos;
+		var referenceAllele = mutation.referenceAllele;
+		var variantAllele = mutation.variantAllele;
+
+		// if mutation has a get function, assume that it is a MutationModel instance
+		if (_.isFunction(mutation.get))
+		{
+			chr = mutation.get("chr");
+			startPos = mutation.get("startPos");
+			endPos = mutation.get("endPos");
+			referenceAllele = mutation.get("referenceAllele");
+			variantAllele = mutation.get("variantAllele");
+		}
+
+		if (referenceAllele != null &&
+		    referenceAllele === variantAllele)
+		{
+			console.log("[VariantKeyUtil.generateVariantKey] " +
+			            "Warning: Reference allele (" + referenceAllele + ") for " +
+			            chr + ":" + startPos + "-" + endPos + " is the same as variant allele");
+		}
+
+		function adjustPosition()
+		{
+			var start = parseInt(startPos);
+			var end = parseInt(endPos);
+
+			if (_.isNaN(start) && _.isNaN(end))
+			{
+				// start or end position is not a number,
+				// cannot process further
+				return;
+			}
+
+			// remove common prefix and adjust variant position accordingly
+
+			var prefix = commonPrefix(referenceAllele, variantAllele);
+
+			if (prefix.length > 0)
+			{
+				referenceAllele = referenceAllele.substring(prefix.length);
+				variantAllele = variantAllele.substring(prefix.length);
+
+				start += prefix.length;
+				// TODO end position may already be correct
+				// (no need to update in that case)
+				end += prefix.length;
+
+				startPos = start.toString();
+				endPos = end.toString();
+			}
+		}
+
+		if (chr && startPos && referenceAllele && variantAllele)
+		{
+			adjustPosition();
+
+			// this is what we will end up with if there is no endPos is provided
+			// example SNP: 2 216809708 216809708 C T
+			// example key: 2:g.216809708C>T
+			key = chr + ":g." + startPos + referenceAllele + ">" + variantAllele;
+
+			if (endPos)
+			{
+				// example insertion: 17 36002277 36002278 - A
+				// example key:       17:g.36002278_36002277insA
+				if (referenceAllele === "-" ||
+				    referenceAllele.length === 0)
+				{
+					key = chr+ ":g." + endPos + "_" + startPos + "ins" + variantAllele;
+				}
+				// Example deletion: 1 206811015 206811016  AC -
+				// Example key:      1:g.206811015_206811016delAC
+				else if(variantAllele === "-" ||
+				        variantAllele.length === 0)
+				{
+					key = chr + ":g." + startPos + "_" + endPos + "del" + referenceAllele;
+				}
+			}
+		}
+
+		return key;
+	}
+
+	return {
+		generateVariantKey: generateVariantKey
+	};
+})();
+
+module.exports = VariantKeyUtil;
@@ -0,0 +1,522 @@
+var MutationCollection = require("../model/MutationCollection");
+var MutationModel = require("../model/MutationModel");
+var VariantAnnotationUtil = require("../util/VariantAnnotationUtil");
+var HgvsProteinParser = require("../util/HgvsProteinParser");
+
+var cbio = {
+	util: require("../util/cbio-util")
+};
+
+var $ = require("jquery");
+var jQuery = $;
+var _ = require("underscore");
+
+/**
+ * Utility class to parse VCF (Variant Call Format) input data.
+ *
+ * Each alternate allele of a VCF record is converted into a separate
+ * mutation for every sample carrying that allele. Since VCF does not contain
+ * any protein level information, the parsed mutations should be annotated
+ * (see annotate function) before visualizing.
+ *
+ * @param options   parser options
+ */
+function VcfInputParser(options)
+{
+	var _data = null; // MutationCollection
+	var _geneList = null;
+	var _sampleList = null;
+	var _idCounter = 0;
+
+	// map of <INFO id, definition> pairs parsed from the meta lines
+	var _infoDefs = {};
+	// map of <FORMAT id, definition> pairs parsed from the meta lines
+	var _formatDefs = {};
+
+	// default options
+	var _defaultOpts = {
+		// if true, only records with FILTER value PASS (or ".") are included
+		passOnly: false,
+		// if true, leading "chr" is removed from chromosome names
+		trimChrPrefix: true,
+		// data type to request from the data manager for annotation
+		annotationType: "variantAnnotation"
+	};
+
+	// merge options with default options to use defaults for missing values
+	var _options = jQuery.extend(true, {}, _defaultOpts, options);
+
+	// fixed VCF columns
+	var _columns = {
+		chr: 0,
+		pos: 1,
+		id: 2,
+		ref: 3,
+		alt: 4,
+		qual: 5,
+		filter: 6,
+		info: 7,
+		format: 8
+	};
+
+	/**
+	 * Parses the entire VCF input and creates a collection of mutations.
+	 *
+	 * @param input     VCF input string
+	 * @returns {MutationCollection} a collection of mutation models
+	 */
+	function parseInput(input)
+	{
+		var mutationData = new MutationCollection();
+		var lines = input.split("\n");
+		var samples = [];
+
+		_infoDefs = {};
+		_formatDefs = {};
+
+		_.each(lines, function(line) {
+			line = line.replace(/\r$/, "");
+
+			// skip empty lines
+			if (line.trim().length === 0)
+			{
+				return;
+			}
+
+			// meta information lines
+			if (line.indexOf("##") === 0)
+			{
+				parseMetaLine(line);
+			}
+			// header line: sample ids start after the FORMAT column
+			else if (line.indexOf("#") === 0)
+			{
+				samples = line.split("\t").slice(_columns.format + 1);
+			}
+			else
+			{
+				mutationData.add(parseRecord(line, samples));
+			}
+		});
+
+		_data = mutationData;
+		_sampleList = _.map(samples, function(sample) {
+			return sample.trim();
+		});
+		_geneList = null;
+
+		return mutationData;
+	}
+
+	/**
+	 * Parses an INFO or FORMAT meta information line, and registers the
+	 * definition. Other meta lines are ignored.
+	 *
+	 * Example: ##INFO=<ID=AF,Number=A,Type=Float,Description="Allele Frequency">
+	 *
+	 * @param line  single meta information line
+	 */
+	function parseMetaLine(line)
+	{
+		var match = line.match(/^##(INFO|FORMAT)=<(.*)>$/);
+
+		if (!match)
+		{
+			return;
+		}
+
+		var definition = {};
+		var fieldRegex = /([A-Za-z]+)=("[^"]*"|[^,]*)/g;
+		var field;
+
+		while ((field = fieldRegex.exec(match[2])) != null)
+		{
+			definition[field[1]] = field[2].replace(/^"|"$/g, "");
+		}
+
+		if (definition.ID)
+		{
+			if (match[1] === "INFO")
+			{
+				_infoDefs[definition.ID] = definition;
+			}
+			else
+			{
+				_formatDefs[definition.ID] = definition;
+			}
+		}
+	}
+
+	/**
+	 * Parses a single VCF record, and creates a mutation for each
+	 * (alternate allele, sample) pair where the sample carries the allele.
+	 *
+	 * @param line      single data line
+	 * @param samples   list of sample ids
+	 * @returns {Array} an array of MutationModel instances
+	 */
+	function parseRecord(line, samples)
+	{
+		var values = line.split("\t");
+		var mutations = [];
+
+		var filter = (values[_columns.filter] || ".").trim();
+
+		if (_options.passOnly &&
+		    filter !== "PASS" &&
+		    filter !== ".")
+		{
+			return mutations;
+		}
+
+		var chr = (values[_columns.chr] || "").trim();
+		var pos = parseInt(values[_columns.pos]);
+		var ref = (values[_columns.ref] || "").trim().toUpperCase();
+		var alts = (values[_columns.alt] || "").trim().toUpperCase().split(",");
+		var info = parseInfo(values[_columns.info]);
+		var formatKeys = (values[_columns.format] || "").trim().split(":");
+
+		if (_options.trimChrPrefix)
+		{
+			chr = chr.replace(/^chr/i, "");
+		}
+
+		_.each(alts, function(alt, altIdx) {
+			// skip missing and symbolic alleles (<DEL>, *, etc.)
+			if (!isValidAllele(alt) || !isValidAllele(ref))
+			{
+				return;
+			}
+
+			// allele index within the GT field (0 is the reference)
+			var alleleIdx = altIdx + 1;
+
+			var attributes = _.extend({
+				chr: chr,
+				variantId: (values[_columns.id] || "").trim(),
+				vcfInfo: alleleInfo(info, altIdx)
+			}, normalizeAlleles(pos, ref, alt));
+
+			// no sample columns: single mutation without a case id
+			if (samples.length === 0)
+			{
+				mutations.push(createMutation(attributes));
+			}
+
+			_.each(samples, function(sample, sampleIdx) {
+				var format = parseFormat(formatKeys,
+					values[_columns.format + 1 + sampleIdx]);
+
+				if (carriesAllele(format, alleleIdx))
+				{
+					mutations.push(createMutation(_.extend({},
+						attributes,
+						{caseId: sample.trim()},
+						sampleCounts(format, alleleIdx))));
+				}
+			});
+		});
+
+		return mutations;
+	}
+
+	/**
+	 * Creates a new mutation model for the given attributes.
+	 *
+	 * @param attributes    mutation attributes
+	 * @returns {MutationModel} a mutation model object
+	 */
+	function createMutation(attributes)
+	{
+		var mutation = new MutationModel();
+
+		attributes.mutationId = nextId();
+		attributes.mutationSid = attributes.mutationId;
+		attributes.variantKey = VariantAnnotationUtil.generateVariantKey(attributes);
+
+		mutation.set(attributes);
+
+		return mutation;
+	}
+
+	/**
+	 * Converts VCF style (padded) alleles into the MAF style
+	 * positions and alleles expected by the mutation model.
+	 *
+	 * Examples: 100 A AT  ->  100 101 - T
+	 *           100 AT A  ->  101 101 T -
+	 *
+	 * @param pos   VCF position
+	 * @param ref   reference allele
+	 * @param alt   alternate allele
+	 * @returns {object} startPos, endPos, referenceAllele, variantAllele values
+	 */
+	function normalizeAlleles(pos, ref, alt)
+	{
+		var prefix = cbio.util.lcss(ref, alt);
+		var start = pos + prefix.length;
+
+		ref = ref.substring(prefix.length);
+		alt = alt.substring(prefix.length);
+
+		var end = start + ref.length - 1;
+
+		// insertion: position is between the last common base and the next one
+		if (ref.length === 0)
+		{
+			ref = "-";
+			start = start - 1;
+			end = start + 1;
+		}
+		// deletion
+		else if (alt.length === 0)
+		{
+			alt = "-";
+		}
+
+		return {
+			startPos: start.toString(),
+			endPos: end.toString(),
+			referenceAllele: ref,
+			variantAllele: alt
+		};
+	}
+
+	/**
+	 * Parses the INFO column into a map of <key, value> pairs.
+	 * Flags (keys without value) are mapped to true.
+	 *
+	 * @param value INFO column value
+	 * @returns {object} map of <key, value> pairs
+	 */
+	function parseInfo(value)
+	{
+		var info = {};
+
+		if (value == null || value.trim() === ".")
+		{
+			return info;
+		}
+
+		_.each(value.trim().split(";"), function(pair) {
+			var idx = pair.indexOf("=");
+
+			if (idx < 0)
+			{
+				info[pair] = true;
+			}
+			else
+			{
+				info[pair.substring(0, idx)] = pair.substring(idx + 1);
+			}
+		});
+
+		return info;
+	}
+
+	/**
+	 * Picks the values specific to the given alternate allele for INFO
+	 * fields with one value per alternate allele (Number=A) or per allele
+	 * including the reference (Number=R).
+	 *
+	 * @param info      parsed INFO map
+	 * @param altIdx    index of the alternate allele
+	 * @returns {object} INFO map for a single alternate allele
+	 */
+	function alleleInfo(info, altIdx)
+	{
+		var result = {};
+
+		_.each(info, function(value, key) {
+			var def = _infoDefs[key];
+
+			if (def && _.isString(value) &&
+			    (def.Number === "A" || def.Number === "R"))
+			{
+				var parts = value.split(",");
+				var idx = def.Number === "A" ? altIdx : altIdx + 1;
+				result[key] = parts[idx];
+			}
+			else
+			{
+				result[key] = value;
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Parses a single sample column into a map of <FORMAT key, value> pairs.
+	 *
+	 * @param keys      FORMAT keys
+	 * @param value     sample column value
+	 * @returns {object} map of <FORMAT key, value> pairs
+	 */
+	function parseFormat(keys, value)
+	{
+		var format = {};
+		var parts = (value || "").trim().split(":");
+
+		_.each(keys, function(key, idx) {
+			if (parts[idx] != null && parts[idx] !== ".")
+			{
+				format[key] = parts[idx];
+			}
+		});
+
+		return format;
+	}
+
+	/**
+	 * Checks if the sample carries the allele with the given index.
+	 * If there is no genotype information, the sample is assumed to
+	 * carry the allele.
+	 *
+	 * @param format        parsed sample FORMAT map
+	 * @param alleleIdx     index of the allele within the GT field
+	 * @returns {boolean}   true if the sample carries the allele
+	 */
+	function carriesAllele(format, alleleIdx)
+	{
+		if (format.GT == null)
+		{
+			return true;
+		}
+
+		return _.contains(format.GT.split(/[\/|]/), alleleIdx.toString());
+	}
+
+	/**
+	 * Extracts read counts and allele frequency for the given allele
+	 * from the AD and AF FORMAT fields.
+	 *
+	 * @param format        parsed sample FORMAT map
+	 * @param alleleIdx     index of the allele within the GT field
+	 * @returns {object}    tumorRefCount, tumorAltCount, tumorFreq values (if available)
+	 */
+	function sampleCounts(format, alleleIdx)
+	{
+		var counts = {};
+
+		if (format.AD)
+		{
+			var depths = format.AD.split(",");
+
+			counts.tumorRefCount = depths[0];
+			counts.tumorAltCount = depths[alleleIdx];
+		}
+
+		if (format.AF)
+		{
+			counts.tumorFreq = format.AF.split(",")[alleleIdx - 1];
+		}
+
+		return _.omit(counts, function(value) {
+			return value == null || value === ".";
+		});
+	}
+
+	/**
+	 * Checks if the given allele is a regular nucleotide sequence.
+	 *
+	 * @param allele    allele string
+	 * @returns {boolean} true if valid, false otherwise
+	 */
+	function isValidAllele(allele)
+	{
+		return (/^[ACGTN]+$/).test(allele);
+	}
+
+	/**
+	 * Annotates the parsed mutations by running them through the variant
+	 * annotation data function of the given data manager. Gene symbols,
+	 * protein changes and mutation types are obtained from the annotation.
+	 *
+	 * @param dataManager   a MutationDataManager instance
+	 * @param callback      function to be invoked with the annotated MutationCollection
+	 */
+	function annotate(dataManager, callback)
+	{
+		var mutations = _data ? _data.toArray() : [];
+
+		dataManager.getData(_options.annotationType, {mutations: mutations}, function() {
+			_.each(mutations, function(mutation) {
+				var proteinChange = mutation.get("proteinChange");
+
+				// annotation provides protein change in HGVS format (p.V600E)
+				if (_.isString(proteinChange))
+				{
+					mutation.set({proteinChange: HgvsProteinParser.normalize(proteinChange)});
+				}
+			});
+
+			// gene list depends on the annotation data
+			_geneList = null;
+
+			if (_.isFunction(callback))
+			{
+				callback(_data);
+			}
+		});
+	}
+
+	/**
+	 * Returns the list of samples defined in the VCF header.
+	 *
+	 * @returns {Array} an array of sample ids
+	 */
+	function getSampleArray()
+	{
+		return _sampleList || [];
+	}
+
+	/**
+	 * Returns the list of genes for the annotated mutations.
+	 *
+	 * @returns {Array} an array of gene symbols
+	 */
+	function getGeneList()
+	{
+		if (_data == null)
+		{
+			return [];
+		}
+
+		if (_geneList == null)
+		{
+			var geneSet = {};
+
+			_data.each(function(mutation) {
+				var gene = mutation.get("geneSymbol");
+
+				if (gene != null && gene.length > 0)
+				{
+					geneSet[gene.toUpperCase()] = gene.toUpperCase();
+				}
+			});
+
+			_geneList = _.values(geneSet);
+		}
+
+		return _geneList;
+	}
+
+	function nextId()
+	{
+		_idCounter++;
+
+		return "vcf_mut_" + _idCounter;
+	}
+
+	return {
+		parseInput: parseInput,
+		annotate: annotate,
+		getSampleArray: getSampleArray,
+		getGeneList: getGeneList,
+		getInfoDefinitions: function() {return _infoDefs;},
+		getFormatDefinitions: function() {return _formatDefs;}
+	};
+}
+
+module.exports = VcfInputParser;
@@ -0,0 +1,52 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var StatUtil = require("../util/StatUtil");
+
+var Backbone = require("backbone");
+
+/**
+ * Tooltip view for the mutation clusters of the mutation diagram.
+ *
+ * options: {el: [target container],
+ *           model: [cluster as a JSON object (see ClusterUtil)]
+ *          }
+ */
+var ClusterTipView = Backbone.View.extend({
+	render: function()
+	{
+		// compile the template
+		var template = this.compileTemplate();
+
+		// load the compiled HTML into the Backbone "el"
+		this.$el.html(template);
+		this.format();
+	},
+	format: function()
+	{
+		// implement if necessary...
+	},
+	compileTemplate: function()
+	{
+		var model = this.model;
+
+		var label = "Cluster";
+
+		if (model.type === "spatial")
+		{
+			label = "3D cluster";
+		}
+
+		// pass variables in using Underscore.js template
+		var variables = {label: label,
+			start: model.start,
+			end: model.end,
+			count: model.count,
+			positionCount: model.positions.length,
+			qValue: StatUtil.formatPValue(model.qValue)};
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_cluster_tip_template");
+		return templateFn(variables);
+	}
+});
+
+module.exports = ClusterTipView;
@@ -0,0 +1,215 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var CoOccurrenceUtil = require("../util/CoOccurrenceUtil");
+var StatUtil = require("../util/StatUtil");
+
+var Backbone = require("backbone");
+var d3 = require("d3");
+var _ = require("underscore");
+var $ = require("jquery");
+var jQuery = $;
+
+/**
+ * Co-occurrence and mutual exclusivity analysis of all gene pairs:
+ * a heatmap of the log odds ratios, and a table listing the gene pairs
+ * sorted by p-value (see CoOccurrenceUtil).
+ *
+ * options: {el: [target container],
+ *           config: [optional view options, analysis options included],
+ *           model: {mutationProxy: [mutation data proxy],
+ *                   allMutations: [optional: promise of the mutations of all genes],
+ *                   sampleArray: [list of all profiled case ids, unmutated ones included]}
+ *          }
+ */
+var CoOccurrenceView = Backbone.View.extend({
+	initialize : function (options) {
+		var defaultOpts = {
+			config: {
+				title: "Mutual exclusivity and co-occurrence",
+				correction: "fdr",      // multiple testing correction
+				threshold: 0.05,        // max q-value of a significant pair
+				cellSize: 22,           // size of a heatmap cell
+				labelWidth: 60,         // width of the heatmap gene labels
+				maxLogOdds: 3,          // log odds ratio of the most saturated color
+				noSamplesInfo: "[not available: the list of profiled samples is missing]",
+				colors: {
+					mutualExclusivity: "#3366CC",
+					neutral: "#FFFFFF",
+					coOccurrence: "#DC3912"
+				}
+			}
+		};
+
+		this.options = jQuery.extend(true, {}, defaultOpts, options);
+
+		// gene pair results (see CoOccurrenceUtil.analyze)
+		this.results = [];
+	},
+	render: function()
+	{
+		var self = this;
+		var mutationProxy = self.model.mutationProxy;
+		var genes = mutationProxy.getGeneList();
+
+		// retrieve the mutations of all genes at once, unless the request
+		// is shared with the other views (see MutationDetailsController),
+		// the case map of the proxy is updated with the retrieved data
+		var allMutations = self.model.allMutations || $.Deferred(function(deferred) {
+			mutationProxy.getMutationData(genes.join(" "), deferred.resolve);
+		}).promise();
+
+		allMutations.done(function() {
+			var config = self.options.config;
+
+			// null if the profiled samples are not available
+			var results = CoOccurrenceUtil.analyze(
+				mutationProxy.getMutationUtil().getMutationCaseMap(),
+				genes,
+				{samples: self.model.sampleArray,
+					correction: config.correction,
+					threshold: config.threshold});
+
+			self.results = results || [];
+
+			// compile the template using underscore
+			var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_co_occurrence_view_template");
+			var template = templateFn({title: config.title,
+				info: results ? self._generateInfo() : config.noSamplesInfo,
+				rows: self._generateRows()});
+
+			// load the compiled HTML into the Backbone "el"
+			self.$el.html(template);
+			self.format();
+		});
+	},
+	format: function()
+	{
+		var self = this;
+
+		self._drawHeatmap(self.$el.find(".co-occurrence-heatmap")[0],
+			self.options.config);
+	},
+	/**
+	 * Generates the summary of the significant gene pairs.
+	 *
+	 * @return {string} summary string
+	 */
+	_generateInfo: function()
+	{
+		var self = this;
+
+		var significant = _.countBy(_.where(self.results, {significant: true}), "tendency");
+
+		return "[" + (significant[CoOccurrenceUtil.MUTUAL_EXCLUSIVITY] || 0) +
+			" significant mutually exclusive, " +
+			(significant[CoOccurrenceUtil.CO_OCCURRENCE] || 0) +
+			" significant co-occurring gene pairs]";
+	},
+	/**
+	 * Generates the table rows, sorted by p-value.
+	 *
+	 * @return {string} html content
+	 */
+	_generateRows: function()
+	{
+		var self = this;
+		var rowTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_co_occurrence_row_template");
+
+		return _.map(_.sortBy(self.results, "pValue"), function(result) {
+			return rowTemplateFn({geneA: result.geneA,
+				geneB: result.geneB,
+				neither: result.neither,
+				aNotB: result.aNotB,
+				bNotA: result.bNotA,
+				both: result.both,
+				logOddsRatio: result.logOddsRatio.toFixed(2),
+				pValue: StatUtil.formatPValue(result.pValue),
+				qValue: StatUtil.formatPValue(result.qValue),
+				tendency: result.tendency,
+				significant: result.significant ? "co-occurrence-significant" : ""});
+		}).join("");
+	},
+	/**
+	 * Draws the heatmap of the log odds ratios: a lower triangular
+	 * matrix of the genes, significant pairs are marked with an asterisk.
+	 *
+	 * @param container target container
+	 * @param config    view options
+	 */
+	_drawHeatmap: function(container, config)
+	{
+		var self = this;
+
+		if (_.isEmpty(self.results))
+		{
+			return;
+		}
+
+		var genes = self.model.mutationProxy.getGeneList();
+		var size = config.cellSize;
+
+		var color = d3.scale.linear()
+			.domain([-config.maxLogOdds, 0, config.maxLogOdds])
+			.range([config.colors.mutualExclusivity, config.colors.neutral, config.colors.coOccurrence])
+			.clamp(true);
+
+		var svg = d3.select(container).append("svg")
+			.attr("width", config.labelWidth + (genes.length - 1) * size + 1)
+			.attr("height", (genes.length - 1) * size + config.labelWidth + 1);
+
+		// gene A of each pair is a column, gene B is a row
+		_.each(genes.slice(1), function(gene, idx) {
+			svg.append("text")
+				.attr("class", "co-occurrence-heatmap-label")
+				.attr("x", config.labelWidth - 4)
+				.attr("y", idx * size + size / 2)
+				.attr("dy", ".35em")
+				.attr("text-anchor", "end")
+				.text(gene);
+		});
+
+		_.each(genes.slice(0, -1), function(gene, idx) {
+			var x = config.labelWidth + idx * size + size / 2;
+			var y = (genes.length - 1) * size + 4;
+
+			svg.append("text")
+				.attr("class", "co-occurrence-heatmap-label")
+				.attr("transform", "translate(" + x + "," + y + ") rotate(-90)")
+				.attr("dy", ".35em")
+				.attr("text-anchor", "end")
+				.text(gene);
+		});
+
+		_.each(self.results, function(result) {
+			var column = _.indexOf(genes, result.geneA);
+			var row = _.indexOf(genes, result.geneB) - 1;
+
+			var cell = svg.append("g")
+				.attr("class", "co-occurrence-heatmap-cell")
+				.attr("transform", "translate(" +
+					(config.labelWidth + column * size) + "," + (row * size) + ")");
+
+			cell.append("rect")
+				.attr("width", size)
+				.attr("height", size)
+				.attr("fill", color(result.logOddsRatio))
+				.attr("stroke", "#FFFFFF");
+
+			if (result.significant)
+			{
+				cell.append("text")
+					.attr("x", size / 2)
+					.attr("y", size / 2)
+					.attr("dy", ".35em")
+					.attr("text-anchor", "middle")
+					.text("*");
+			}
+
+			cell.append("title")
+				.text(result.geneA + " - " + result.geneB + ": " + result.tendency +
+					", log odds ratio " + result.logOddsRatio.toFixed(2) +
+					", q-value " + StatUtil.formatPValue(result.qValue));
+		});
+	}
+});
+
+module.exports = CoOccurrenceView;
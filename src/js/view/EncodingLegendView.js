@@ -0,0 +1,64 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+
+var Backbone = require("backbone");
+var d3 = require("d3");
+var _ = require("underscore");
+
+/**
+ * Legend view for the active lollipop encodings of the mutation diagram.
+ *
+ * options: {el: [target container],
+ *           model: {legend: [list of encoding legends
+ *                            (see MutationDiagram.getEncodingLegend)]}
+ *          }
+ */
+var EncodingLegendView = Backbone.View.extend({
+	render: function()
+	{
+		// compile the template
+		var template = this.compileTemplate();
+
+		// load the compiled HTML into the Backbone "el"
+		this.$el.html(template);
+		this.format();
+	},
+	format: function()
+	{
+		// hide the view if there is no active encoding
+		if (_.isEmpty(this.model.legend))
+		{
+			this.$el.hide();
+		}
+		else
+		{
+			this.$el.show();
+		}
+	},
+	compileTemplate: function()
+	{
+		var legendTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_encoding_legend_template");
+		var itemTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_encoding_legend_item_template");
+		var size = 12;
+
+		var legends = _.map(this.model.legend, function(encoding) {
+			var items = _.map(encoding.entries, function(entry) {
+				var path = d3.svg.symbol()
+					.size(size * size * 0.5)
+					.type(entry.shape)();
+
+				return itemTemplateFn({label: entry.label,
+					color: entry.color,
+					path: path,
+					size: size,
+					center: size / 2});
+			});
+
+			return legendTemplateFn({label: encoding.label,
+				items: items.join("")});
+		});
+
+		return legends.join("");
+	}
+});
+
+module.exports = EncodingLegendView;
@@ -0,0 +1,340 @@
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var MutationViewsUtil = require("../util/MutationViewsUtil");
+
+var Backbone = require("backbone");
+var d3 = require("d3");
+var _ = require("underscore");
+var $ = require("jquery");
+var jQuery = $;
+
+/**
+ * Overview of all genes of the mutation details view: lists each gene with
+ * its mutation count, number of mutated samples, sample frequency, mutation
+ * type breakdown and a mini lollipop sparkline of the mutated positions.
+ *
+ * Clicking a row triggers the GENE_OVERVIEW_GENE_SELECTED event with the
+ * gene symbol, rows can be sorted by clicking the column headers and
+ * filtered by the gene symbol.
+ *
+ * options: {el: [target container],
+ *           config: [optional view options],
+ *           model: {mutationProxy: [mutation data proxy],
+ *                   allMutations: [optional: promise of the mutations of all genes],
+ *                   sampleArray: [list of case ids, used to calculate the frequency]}
+ *          }
+ */
+var GeneOverviewView = Backbone.View.extend({
+	initialize : function (options) {
+		var defaultOpts = {
+			config: {
+				title: "Mutated genes",
+				sortBy: "numSamples",   // initial sort column
+				sortAscending: false,   // initial sort direction
+				typeBarWidth: 80,       // total width of the mutation type breakdown bar
+				sparklineWidth: 120,    // width of the sparkline
+				sparklineHeight: 20,    // height of the sparkline
+				sparklineColor: "#BABDB6", // color of the sparkline stems & baseline
+				typeColors: MutationViewsUtil.getMainTypeColors() // colors of the main mutation types
+			}
+		};
+
+		this.options = jQuery.extend(true, {}, defaultOpts, options);
+
+		// summaries of all genes (see _summarize)
+		this.summaries = [];
+		this.sortColumn = this.options.config.sortBy;
+		this.sortAscending = this.options.config.sortAscending;
+		this.filterText = "";
+		this.selectedGene = null;
+
+		// custom event dispatcher
+		this.dispatcher = {};
+		_.extend(this.dispatcher, Backbone.Events);
+	},
+	render: function()
+	{
+		var self = this;
+		var mutationProxy = self.model.mutationProxy;
+		var genes = mutationProxy.getGeneList();
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_gene_overview_template");
+		var template = templateFn({title: self.options.config.title});
+
+		// load the compiled HTML into the Backbone "el"
+		self.$el.html(template);
+
+		// retrieve the mutations of all genes at once, unless the request
+		// is shared with the other views (see MutationDetailsController)
+		var allMutations = self.model.allMutations || $.Deferred(function(deferred) {
+			mutationProxy.getMutationData(genes.join(" "), deferred.resolve);
+		}).promise();
+
+		allMutations.done(function(data) {
+			self.summaries = self._summarize(genes, data || []);
+			self.format();
+			self.renderRows();
+		});
+	},
+	format: function()
+	{
+		var self = this;
+
+		self.$el.find(".gene-overview-sortable").click(function() {
+			var column = $(this).attr("data-column");
+
+			if (self.sortColumn === column)
+			{
+				self.sortAscending = !self.sortAscending;
+			}
+			else
+			{
+				// gene symbols are sorted alphabetically, counts from the highest
+				self.sortColumn = column;
+				self.sortAscending = (column === "geneSymbol");
+			}
+
+			self.renderRows();
+		});
+
+		self.$el.find(".gene-overview-filter").on("input keyup", function() {
+			var text = $(this).val();
+
+			if (text !== self.filterText)
+			{
+				self.filterText = text;
+				self.renderRows();
+			}
+		});
+	},
+	/**
+	 * Renders the rows of the overview table with respect to the current
+	 * sort column and the filter text.
+	 */
+	renderRows: function()
+	{
+		var self = this;
+		var rowTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_gene_overview_row_template");
+		var tbody = self.$el.find(".gene-overview-rows");
+
+		tbody.empty();
+
+		_.each(self.getRows(), function(summary) {
+			var row = $(rowTemplateFn({geneSymbol: summary.geneSymbol,
+				numMutations: summary.numMutations,
+				numSamples: summary.numSamples,
+				frequency: (summary.frequency * 100).toFixed(1) + "%",
+				types: self._typeBar(summary)}));
+
+			row.click(function() {
+				self.dispatcher.trigger(
+					MutationDetailsEvents.GENE_OVERVIEW_GENE_SELECTED,
+					summary.geneSymbol);
+			});
+
+			tbody.append(row);
+			self._drawSparkline(row.find(".gene-overview-sparkline")[0], summary);
+		});
+
+		// update sort indicators
+		self.$el.find(".gene-overview-sortable").each(function() {
+			var header = $(this);
+			var sorted = header.attr("data-column") === self.sortColumn;
+
+			header.toggleClass("gene-overview-sorted-asc", sorted && self.sortAscending);
+			header.toggleClass("gene-overview-sorted-desc", sorted && !self.sortAscending);
+		});
+
+		self.highlightGene(self.selectedGene);
+	},
+	/**
+	 * Returns the gene summaries passing the current filter,
+	 * sorted by the current sort column.
+	 *
+	 * @return {Array}  an array of gene summaries
+	 */
+	getRows: function()
+	{
+		var self = this;
+		var text = self.filterText.trim().toLowerCase();
+
+		var rows = _.filter(self.summaries, function(summary) {
+			return text.length === 0 ||
+			       summary.geneSymbol.toLowerCase().indexOf(text) !== -1;
+		});
+
+		var sortFn = function(summary) {
+			return summary[self.sortColumn];
+		};
+
+		// reversing before and after the sort keeps the gene list
+		// order for the ties in descending order as well
+		if (self.sortAscending)
+		{
+			return _.sortBy(rows, sortFn);
+		}
+
+		return _.sortBy(rows.reverse(), sortFn).reverse();
+	},
+	/**
+	 * Highlights the row of the given gene (the gene of the active tab).
+	 *
+	 * @param gene  hugo gene symbol
+	 */
+	highlightGene: function(gene)
+	{
+		var self = this;
+
+		self.selectedGene = gene;
+		self.$el.find(".gene-overview-row").removeClass("gene-overview-row-selected");
+
+		if (gene)
+		{
+			self.$el.find(".gene-overview-row[data-gene='" + gene + "']")
+				.addClass("gene-overview-row-selected");
+		}
+	},
+	/**
+	 * Summarizes the given mutations for each gene.
+	 *
+	 * @param genes     list of hugo gene symbols
+	 * @param mutations an array of Mutation models (for all genes)
+	 * @return {Array}  an array of {geneSymbol, numMutations, numSamples,
+	 *                  frequency, types, positions}
+	 */
+	_summarize: function(genes, mutations)
+	{
+		var self = this;
+		var styleMap = MutationViewsUtil.getVisualStyleMaps().mutationType;
+		var mainTypeOf = MutationViewsUtil.getMainType;
+
+		var caseOf = function(mutation) {
+			return (mutation.get("caseId") || "").toLowerCase();
+		};
+
+		var geneMap = _.groupBy(mutations, function(mutation) {
+			return (mutation.get("geneSymbol") || "").toUpperCase();
+		});
+
+		// use the number of the mutated samples when no sample list provided
+		var totalSamples = _.size(self.model.sampleArray) ||
+			_.size(_.uniq(_.map(mutations, caseOf)));
+
+		return _.map(genes, function(gene) {
+			var geneMutations = geneMap[gene.toUpperCase()] || [];
+			var numSamples = _.size(_.uniq(_.map(geneMutations, caseOf)));
+
+			var types = _.map(_.groupBy(geneMutations, mainTypeOf), function(list, type) {
+				return {type: type,
+					label: (styleMap[type] && styleMap[type].longName) || "Other",
+					priority: styleMap[type] ? styleMap[type].priority : styleMap.other.priority,
+					count: list.length};
+			});
+
+			var positionMap = _.groupBy(_.filter(geneMutations, function(mutation) {
+				return mutation.getProteinStartPos() != null;
+			}), function(mutation) {
+				return mutation.getProteinStartPos();
+			});
+
+			var positions = _.map(positionMap, function(list, position) {
+				var majority = _.max(_.pairs(_.countBy(list, mainTypeOf)), function(pair) {
+					return pair[1];
+				});
+
+				return {position: parseInt(position),
+					count: list.length,
+					type: majority[0]};
+			});
+
+			return {geneSymbol: gene,
+				numMutations: geneMutations.length,
+				numSamples: numSamples,
+				frequency: totalSamples > 0 ? numSamples / totalSamples : 0,
+				types: _.sortBy(types, "priority"),
+				positions: positions};
+		});
+	},
+	/**
+	 * Generates the mutation type breakdown bar of the given gene summary.
+	 *
+	 * @param summary   gene summary
+	 * @return {string} html content
+	 */
+	_typeBar: function(summary)
+	{
+		var self = this;
+		var config = self.options.config;
+		var typeTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_gene_overview_type_template");
+
+		return _.map(summary.types, function(type) {
+			return typeTemplateFn({label: type.label,
+				count: type.count,
+				color: config.typeColors[type.type] || config.typeColors.other,
+				width: Math.max(Math.round(config.typeBarWidth * type.count / summary.numMutations), 1)});
+		}).join("");
+	},
+	/**
+	 * Draws a mini lollipop diagram of the mutated positions of the given
+	 * gene summary. Since the protein length is not known before retrieving
+	 * the sequence data, the x-axis ends at the last mutated position.
+	 *
+	 * @param container target container
+	 * @param summary   gene summary
+	 */
+	_drawSparkline: function(container, summary)
+	{
+		var self = this;
+		var config = self.options.config;
+
+		if (_.isEmpty(summary.positions))
+		{
+			return;
+		}
+
+		var width = config.sparklineWidth;
+		var height = config.sparklineHeight;
+		var radius = 2;
+
+		var xScale = d3.scale.linear()
+			.domain([0, _.max(_.pluck(summary.positions, "position"))])
+			.range([radius, width - radius]);
+
+		var yScale = d3.scale.linear()
+			.domain([0, _.max(_.pluck(summary.positions, "count"))])
+			.range([height - 1, radius]);
+
+		var svg = d3.select(container).append("svg")
+			.attr("width", width)
+			.attr("height", height);
+
+		svg.append("line")
+			.attr("x1", 0)
+			.attr("x2", width)
+			.attr("y1", height - 1)
+			.attr("y2", height - 1)
+			.attr("stroke", config.sparklineColor);
+
+		var lollipops = svg.selectAll("g")
+			.data(_.sortBy(summary.positions, "count"))
+			.enter().append("g");
+
+		lollipops.append("line")
+			.attr("x1", function(d) {return xScale(d.position);})
+			.attr("x2", function(d) {return xScale(d.position);})
+			.attr("y1", height - 1)
+			.attr("y2", function(d) {return yScale(d.count);})
+			.attr("stroke", config.sparklineColor);
+
+		lollipops.append("circle")
+			.attr("cx", function(d) {return xScale(d.position);})
+			.attr("cy", function(d) {return yScale(d.count);})
+			.attr("r", radius)
+			.attr("fill", function(d) {
+				return config.typeColors[d.type] || config.typeColors.other;
+			});
+	}
+});
+
+module.exports = GeneOverviewView;
@@ -0,0 +1,53 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+
+var Backbone = require("backbone");
+var $ = require("jquery");
+
+/**
+ * Tooltip view for the lollipop circles of the mirrored (two cohort)
+ * mutation diagram. Displays the mutation counts of both cohorts
+ * for the location of the lollipop.
+ *
+ * options: {el: [target container],
+ *           model: {count: [number of mutations],
+ *                   label: [info for that location],
+ *                   cohorts: [{label: [cohort name], count: [number of mutations]},
+ *                             {label: [cohort name], count: [number of mutations]}]}
+ *          }
+ */
+var LollipopComparisonTipView = Backbone.View.extend({
+	render: function()
+	{
+		// compile the template
+		var template = this.compileTemplate();
+
+		// load the compiled HTML into the Backbone "el"
+		this.$el.html(template);
+		this.format();
+	},
+	format: function()
+	{
+		// implement if necessary...
+	},
+	compileTemplate: function()
+	{
+		var model = this.model;
+		var mutationStr = model.count > 1 ? "mutations" : "mutation";
+
+		// pass variables in using Underscore.js template
+		var variables = {count: model.count,
+			mutationStr: mutationStr,
+			label: model.label,
+			firstLabel: model.cohorts[0].label,
+			firstCount: model.cohorts[0].count,
+			secondLabel: model.cohorts[1].label,
+			secondCount: model.cohorts[1].count};
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_lollipop_comparison_tip_template");
+
+		return $(templateFn(variables)).html();
+	}
+});
+
+module.exports = LollipopComparisonTipView;
@@ -30,6 +30,7 @@
 
 var LollipopTipStatsView = require("../view/LollipopTipStatsView");
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var StatUtil = require("../util/StatUtil");
 
 var Backbone = require("backbone");
 var $ = require("jquery");
@@ -39,7 +40,8 @@ var $ = require("jquery");
  *
  * options: {el: [target container],
  *           model: {count: [number of mutations],
- *                   label: [info for that location]}
+ *                   label: [info for that location],
+ *                   hotspot: [hotspot score for that location -- optional]}
  *          }
  *
  * @author Selcuk Onur Sumer
@@ -72,10 +74,19 @@ var LollipopTipView = Backbone.View.extend({
         var thatModel = this.model;
         var mutationStr = thatModel.count > 1 ? "mutations" : "mutation";
 
+		var hotspotInfo = "";
+
+		if (thatModel.hotspot && thatModel.hotspot.significant)
+		{
+			var hotspotTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_lollipop_tip_hotspot_template");
+			hotspotInfo = hotspotTemplateFn({qValue: StatUtil.formatPValue(thatModel.hotspot.qValue)});
+		}
+
 		// pass variables in using Underscore.js template
 		var variables = {count: thatModel.count,
 			mutationStr: mutationStr,
-			label: thatModel.label
+			label: thatModel.label,
+			hotspotInfo: hotspotInfo
         };
 
 		// compile the template using underscore
@@ -36,6 +36,7 @@ var MutationDetailsTableView = require("../view/MutationDetailsTableView");
 var MutationInfoPanelView = require("../view/MutationInfoPanelView");
 var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var HotspotUtil = require("../util/HotspotUtil");
 
 var loaderImage = require("../../images/ajax-loader.gif");
 
@@ -53,6 +54,8 @@ var jQuery = $;
  *                   dataProxies: [all available data proxies],
  *                   dataManager: global mutation data manager,
  *                   uniprotId: uniprot identifier,
+ *                   sequence: [PFAM sequence data, may be null],
+ *                   hotspotOpts: [hotspot detection options, null if disabled],
  *                   sampleArray: [list of case ids as an array of strings]}
  *          }
  *
@@ -96,6 +99,7 @@ var MainMutationView = Backbone.View.extend({
 		// they will be activated wrt selected options
 		self.$el.find(".mutation-details-filter-info").hide();
 		self.$el.find(".mutation-details-no-data-info").hide();
+		self.$el.find(".mutation-details-error-container").hide();
 		self.$el.find(".mutation-3d-initializer").hide();
 		self.$el.find(".mutation-info-panel-container").hide();
 		self.$el.find(".mutation-summary-view").hide();
@@ -255,6 +259,7 @@ var MainMutationView = Backbone.View.extend({
 
 		var model = {mutations: mutationData,
 			sequence: sequenceData,
+			hotspots: self.getHotspots(),
 			geneSymbol: gene,
 			dataProxies: dataProxies,
 			diagramOpts: options};
@@ -267,10 +272,40 @@ var MainMutationView = Backbone.View.extend({
 
 		return diagramView;
 	},
+	/**
+	 * Returns the hotspot scores of the mutations of this gene. Scores are
+	 * calculated only once, and shared by the diagram and the table.
+	 *
+	 * @return {Object} map of <protein position, hotspot score> pairs,
+	 *                  empty if the hotspot detection is disabled
+	 */
+	getHotspots: function()
+	{
+		var self = this;
+
+		if (self.hotspots == null)
+		{
+			var mutations = self.model.mutationData.getData();
+
+			self.hotspots = self.model.hotspotOpts == null ? {} :
+				HotspotUtil.scorePositions(mutations,
+					HotspotUtil.proteinLength(self.model.sequence, mutations),
+					self.model.hotspotOpts);
+		}
+
+		return self.hotspots;
+	},
 	initMutationTableView: function(options)
 	{
 		var self = this;
 
+		// no hotspot column if the hotspot detection is disabled
+		if (self.model.hotspotOpts == null)
+		{
+			options = jQuery.extend(true, {}, options,
+				{columnVisibility: {hotspot: "excluded"}});
+		}
+
 		self.tableView = self._initMutationTableView(self.model.geneSymbol,
 			self.model.mutationData,
 			self.model.dataProxies,
@@ -370,6 +405,46 @@ var MainMutationView = Backbone.View.extend({
 	},
 	hideNoDataInfo: function() {
 		this.$el.find(".mutation-details-no-data-info").slideUp();
+	},
+	/**
+	 * Shows an error message for the given panel (diagram, table, etc.).
+	 * Any previous error message for the same panel is replaced.
+	 *
+	 * @param panel     name of the panel
+	 * @param message   error message
+	 */
+	showErrorInfo: function(panel, message) {
+		var self = this;
+		var container = self.$el.find(".mutation-details-error-container");
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_error_info_template");
+
+		container.find(".mutation-details-error-info[data-panel='" + panel + "']").remove();
+		container.append(templateFn({panel: panel, message: message}));
+		container.slideDown();
+	},
+	/**
+	 * Hides the error message for the given panel,
+	 * or all error messages if no panel is provided.
+	 *
+	 * @param panel     [optional] name of the panel
+	 */
+	hideErrorInfo: function(panel) {
+		var self = this;
+		var container = self.$el.find(".mutation-details-error-container");
+
+		if (panel)
+		{
+			container.find(".mutation-details-error-info[data-panel='" + panel + "']").remove();
+		}
+		else
+		{
+			container.empty();
+		}
+
+		if (container.find(".mutation-details-error-info").length === 0)
+		{
+			container.slideUp();
+		}
 	}
 });
 
@@ -31,6 +31,7 @@
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
 
 var Backbone = require("backbone");
+var _ = require("underscore");
 var $ = require("jquery");
 require("jquery-ui/slider");
 
@@ -146,6 +147,60 @@ var MutationCustomizePanelView = Backbone.View.extend({
 				yAxisSlider.slider("option", "value", Math.floor(value));
 			}
 		});
+
+		// init y-axis mode selection
+		var yAxisModeSelect = self.$el.find(".diagram-y-axis-mode-select");
+
+		yAxisModeSelect.val(diagram.options.yAxisMode);
+
+		yAxisModeSelect.change(function() {
+			diagram.updateYAxisMode(yAxisModeSelect.val());
+		});
+
+		// init lollipop encoding selections
+		self.initEncodingSelect(self.$el.find(".diagram-color-by-select"), "color");
+		self.initEncodingSelect(self.$el.find(".diagram-shape-by-select"), "shape");
+
+		// init lollipop head composition selection
+		var compositionSelect = self.$el.find(".diagram-composition-select");
+
+		compositionSelect.val(diagram.options.lollipopComposition || "");
+
+		compositionSelect.change(function() {
+			diagram.updateComposition(compositionSelect.val() || null);
+		});
+	},
+	/**
+	 * Adds the available lollipop encodings to the given select box,
+	 * and updates the diagram encoding for the given channel on change.
+	 * The first (empty valued) option of the select box represents
+	 * the default encoding.
+	 *
+	 * @param select    select box (jQuery element)
+	 * @param channel   visual channel: "color" or "shape"
+	 */
+	initEncodingSelect: function(select, channel)
+	{
+		var self = this;
+		var diagram = self.options.diagram;
+		var current = channel === "shape" ?
+			diagram.options.lollipopShapeBy :
+			diagram.options.lollipopColorBy;
+
+		_.each(diagram.getEncodingOptions(), function(encoding) {
+			select.append($("<option>")
+				.val(encoding.name)
+				.text(encoding.label));
+		});
+
+		if (_.isString(current))
+		{
+			select.val(current);
+		}
+
+		select.change(function() {
+			diagram.updateEncoding(channel, select.val() || null);
+		});
 	},
 	toggleView: function() {
 		var self = this;
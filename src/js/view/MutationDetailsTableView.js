@@ -30,6 +30,8 @@
 
 var MutationDetailsUtil = require("../util/MutationDetailsUtil");
 var MutationDetailsTable = require("../component/MutationDetailsTable");
+var ColumnFilterPanel = require("../component/ColumnFilterPanel");
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 var MutationModel = require("../model/MutationModel");
 var MutationDataConverter = require("../util/MutationDataConverter");
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
@@ -58,7 +60,9 @@ var MutationDetailsTableView = Backbone.View.extend({
 	initialize : function (options) {
 		var defaultOpts = {
 			config: {
-				loaderImage: loaderImage
+				loaderImage: loaderImage,
+				// column filter panel options (false to disable the panel)
+				columnFilters: {}
 			}
 		};
 
@@ -67,6 +71,10 @@ var MutationDetailsTableView = Backbone.View.extend({
 		// custom event dispatcher
 		this.dispatcher = {};
 		_.extend(this.dispatcher, Backbone.Events);
+
+		// sids of the highlighted mutations, rows may be rendered
+		// after highlighting (see renderMode of MutationDetailsTable)
+		this.highlightedSids = [];
 	},
 	render: function()
 	{
@@ -111,6 +119,11 @@ var MutationDetailsTableView = Backbone.View.extend({
 
 		self.mutationTable = table;
 
+		// highlight the rows rendered after highlighting
+		table.dispatcher.on(MutationDetailsEvents.MUTATION_TABLE_REDRAWN, function() {
+			self._applyHighlights();
+		});
+
 		if (_.isFunction(callback))
 		{
 			callback(self, table);
@@ -119,12 +132,46 @@ var MutationDetailsTableView = Backbone.View.extend({
 		self._generateRowData(table, table.getColumnOptions(), mutationColl, function(rowData) {
 			// init table with the row data
 			table.renderTable(rowData);
+			// init column filter widgets for the rendered data
+			self._initColumnFilters(table);
 			// hide loader image
 			//self.$el.find(".mutation-details-table-loader").hide();
 		});
 
 		return table;
 	},
+	/**
+	 * Initializes the column filter panel for the given table.
+	 *
+	 * @param table     MutationDetailsTable instance
+	 * @return {ColumnFilterPanel}  panel instance (null if disabled)
+	 */
+	_initColumnFilters: function(table)
+	{
+		var self = this;
+		var config = self.options.config.columnFilters;
+
+		if (!config)
+		{
+			return null;
+		}
+
+		var options = jQuery.extend(true, {}, config,
+			{el: self.$el.find(".mutation-table-column-filters")});
+
+		var panel = new ColumnFilterPanel(options, table.getFilterableColumns());
+		panel.init();
+
+		panel.dispatcher.on(
+			MutationDetailsEvents.COLUMN_FILTERS_CHANGED,
+			function(filters) {
+				table.applyColumnFilters(filters);
+			});
+
+		self.columnFilterPanel = panel;
+
+		return panel;
+	},
 	_generateRowData: function(table, headers, mutationColl, callback)
 	{
 		var rows = [];
@@ -170,14 +217,27 @@ var MutationDetailsTableView = Backbone.View.extend({
 	highlight: function(mutations)
 	{
 		var self = this;
-		var tableSelector = self.$el.find('.mutation_details_table');
 
 		for (var i = 0; i < mutations.length; i++)
 		{
-			//var row = tableSelector.find("#" + mutations[i].mutationId);
-            var row = tableSelector.find("tr." + mutations[i].get("mutationSid"));
-            row.addClass("mutation-table-highlight");
+			self.highlightedSids.push(mutations[i].get("mutationSid"));
 		}
+
+		self._applyHighlights();
+	},
+	/**
+	 * Highlights the currently rendered rows of the highlighted mutations.
+	 */
+	_applyHighlights: function()
+	{
+		var self = this;
+		var tableSelector = self.$el.find('.mutation_details_table');
+
+		_.each(self.highlightedSids, function(sid) {
+			//var row = tableSelector.find("#" + mutations[i].mutationId);
+			var row = tableSelector.find("tr." + sid);
+			row.addClass("mutation-table-highlight");
+		});
 	},
 	/**
 	 * Clears all highlights from the mutation table.
@@ -187,6 +247,8 @@ var MutationDetailsTableView = Backbone.View.extend({
 		var self = this;
 		var tableSelector = self.$el.find('.mutation_details_table');
 
+		self.highlightedSids = [];
+
 		// TODO this depends on highlight function
 		tableSelector.find('tr').removeClass("mutation-table-highlight");
 	},
@@ -260,6 +322,27 @@ var MutationDetailsTableView = Backbone.View.extend({
 		// enable events after filtering
 		self.mutationTable.setFilterEventActive(true);
 	},
+	/**
+	 * Removes all column filters from the table, without triggering
+	 * a table filter event.
+	 */
+	clearColumnFilters: function()
+	{
+		var self = this;
+
+		if (self.columnFilterPanel)
+		{
+			self.columnFilterPanel.setFilters({});
+		}
+
+		if (!_.isEmpty(self.mutationTable.getColumnFilters()))
+		{
+			// disable event triggering before filtering, otherwise it creates a chain reaction
+			self.mutationTable.setFilterEventActive(false);
+			self.mutationTable.setColumnFilters({});
+			self.mutationTable.setFilterEventActive(true);
+		}
+	},
 	clearSearchBox: function() {
 		var self = this;
 		var searchBox = self.$el.find(".mutation_datatables_filter input[type=search]");
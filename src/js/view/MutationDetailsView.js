@@ -139,7 +139,7 @@ var MutationDetailsView = Backbone.View.extend({
 		{
 			var mainContent = self.$el.find(".mutation-details-content");
 			mainContent.tabs();
-			mainContent.tabs('paging', {tabsPerPage: 10, follow: true, cycle: false});
+			mainContent.tabs('paging', {tabsPerPage: 10, follow: true, cycle: false, followOnActive: true});
 			mainContent.tabs("option", "active", 0);
 			self.$el.find(".mutation-details-tabs-ref").tipTip(
 				{defaultPosition: "bottom", delay:"100", edgeOffset: 10, maxWidth: 200});
@@ -162,6 +162,73 @@ var MutationDetailsView = Backbone.View.extend({
 		// but the function doesn't have public access...
 		$(window).trigger('resize');
 	},
+	/**
+	 * Activates the tab of the given gene. Tab paging follows the
+	 * active tab, so the gene tab is displayed even if it is not
+	 * on the current page.
+	 *
+	 * @param gene  hugo gene symbol
+	 */
+	selectGeneTab: function(gene)
+	{
+		var self = this;
+		var mainContent = self.$el.find(".mutation-details-content");
+		var tab = mainContent.find(".mutation-details-tabs-ref[href='#mutation_details_" +
+			cbio.util.safeProperty(gene) + "']").closest("li");
+
+		if (tab.length > 0 &&
+		    mainContent.tabs("instance"))
+		{
+			mainContent.tabs("option", "active",
+				mainContent.find(".ui-tabs-nav > li").index(tab));
+		}
+	},
+	/**
+	 * Shows an error message within the tab of the given gene, in place of
+	 * the loader image. This is intended for errors occurred before the main
+	 * mutation view of the gene is initialized.
+	 *
+	 * @param gene      hugo gene symbol
+	 * @param panel     name of the panel (or data) failed to load
+	 * @param message   error message
+	 */
+	showErrorInfo: function(gene, panel, message)
+	{
+		var self = this;
+		var container = self.$el.find("#mutation_details_" + cbio.util.safeProperty(gene));
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_error_info_template");
+
+		container.find("img").hide();
+		container.find(".mutation-details-error-info[data-panel='" + panel + "']").remove();
+		container.append(templateFn({panel: panel, message: message}));
+	},
+	/**
+	 * Removes the tab (and the content) of the given gene, and triggers
+	 * the corresponding event so that any pending data request for the
+	 * gene can be cancelled.
+	 *
+	 * @param gene  hugo gene symbol
+	 */
+	removeGeneTab: function(gene)
+	{
+		var self = this;
+		var geneId = cbio.util.safeProperty(gene);
+		var mainContent = self.$el.find(".mutation-details-content");
+
+		mainContent.find(".mutation-details-tabs-ref[href='#mutation_details_" + geneId + "']")
+			.closest("li").remove();
+		mainContent.find("#mutation_details_" + geneId).remove();
+
+		if (mainContent.tabs("instance"))
+		{
+			mainContent.tabs("refresh");
+			self.refreshGenesTab();
+		}
+
+		self.dispatcher.trigger(
+			MutationDetailsEvents.GENE_TAB_REMOVED,
+			gene);
+	},
 	init3dPanel: function()
 	{
 		var self = this;
@@ -30,13 +30,16 @@
 
 var MutationDataConverter = require("../util/MutationDataConverter");
 var MutationDiagram = require("../component/MutationDiagram");
+var MirroredMutationDiagram = require("../component/MirroredMutationDiagram");
+var MutationCollection = require("../model/MutationCollection");
 var MutationCustomizePanelView = require("../view/MutationCustomizePanelView");
 var MutationHelpPanelView = require("../view/MutationHelpPanelView");
+var EncodingLegendView = require("../view/EncodingLegendView");
 var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
 
 var cbio = {
-	util: require("../util/cbio-util"),
-	download: require("../util/download-util")
+	util: require("../util/cbio-util")
 };
 
 var Backbone = require("backbone");
@@ -49,11 +52,16 @@ var $ = require("jquery");
  * options: {el: [target container],
  *           model: {mutations: [mutation data as an array of JSON objects],
  *                   sequence: [sequence data as an array of JSON objects],
+ *                   hotspots: [precalculated hotspot scores -- optional],
  *                   geneSymbol: [hugo gene symbol as a string],
  *                   dataProxies: all available data proxies,
  *                   diagramOpts: [mutation diagram options -- optional]}
  *          }
  *
+ * If diagramOpts.comparisonFn is provided, mutations are split into two cohorts
+ * and a mirrored diagram is drawn: comparisonFn(mutation) should return true
+ * for the mutations of the second (lower) cohort.
+ *
  * @author Selcuk Onur Sumer
  */
 var MutationDiagramView = Backbone.View.extend({
@@ -108,6 +116,9 @@ var MutationDiagramView = Backbone.View.extend({
 			// init diagram toolbar
 			self._initToolbar(self.mutationDiagram,
 			                  self.model.geneSymbol);
+
+			// init the legend of the lollipop encodings
+			self._initEncodingLegend(self.mutationDiagram);
 		}
 	},
 	/**
@@ -149,10 +160,31 @@ var MutationDiagramView = Backbone.View.extend({
 		// create a data object
 		var diagramData = {
 			mutations: mutationColl,
-			sequence: sequenceData
+			sequence: sequenceData,
+			hotspots: self.model.hotspots
 		};
 
-		var mutationDiagram = new MutationDiagram(gene, options, diagramData, dataProxies);
+		var mutationDiagram;
+
+		// comparison mode: draw the second cohort below the sequence
+		if (_.isFunction(options.comparisonFn))
+		{
+			var cohorts = mutationColl.partition(function(mutation) {
+				return !options.comparisonFn(mutation);
+			});
+
+			diagramData.mutations = new MutationCollection(cohorts[0]);
+			diagramData.comparisonMutations = new MutationCollection(cohorts[1]);
+
+			// hotspots are detected separately for each cohort
+			delete diagramData.hotspots;
+
+			mutationDiagram = new MirroredMutationDiagram(gene, options, diagramData, dataProxies);
+		}
+		else
+		{
+			mutationDiagram = new MutationDiagram(gene, options, diagramData, dataProxies);
+		}
 
 		// if no sequence data is provided, try to get it from the servlet
 		if (sequenceData == null)
@@ -189,75 +221,32 @@ var MutationDiagramView = Backbone.View.extend({
 		var toolbar = self.$el.find(".mutation-diagram-toolbar");
 		var pdfButton = self.$el.find(".diagram-to-pdf");
 		var svgButton = self.$el.find(".diagram-to-svg");
+		var pngButton = self.$el.find(".diagram-to-png");
 		var customizeButton = self.$el.find(".diagram-customize");
 		var helpButton = self.$el.find(".diagram-help");
 
-		// helper function to trigger submit event for the svg and pdf button clicks
-		var submitForm = function(alterFn, diagram, type)
-		{
-			var filename = "mutation_diagram_" + geneSymbol + "." + type;
-
-			// alter diagram to have the desired output
-			alterFn(diagram, false);
-
-			if (type == "svg")
-			{
-				cbio.download.initDownload(diagram.svg[0][0], {filename: filename});
-			}
-			else if (type == "pdf")
-			{
-				var params = {filename: filename,
-					contentType: "application/pdf",
-					servletName: "svgtopdf.do"
-				};
-
-				cbio.download.initDownload(diagram.svg[0][0], params);
-			}
-
-			// restore previous settings after generating xml string
-			alterFn(diagram, true);
-
-//			// set actual value of the form element (svgelement)
-//			var form = self.$el.find("." + formClass);
-//			form.find('input[name="svgelement"]').val(svgString);
-//
-//			// submit form
-//			form.submit();
-		};
-
-		// helper function to adjust SVG for file output
-		var alterDiagramForSvg = function(diagram, rollback)
-		{
-			var topLabel = geneSymbol;
-
-			if (rollback)
-			{
-				topLabel = "";
-			}
-
-			// adding a top left label (to include a label in the file)
-			diagram.updateTopLabel(topLabel);
-		};
-
-		// helper function to adjust SVG for PDF output
-		var alterDiagramForPdf = function(diagram, rollback)
+		// helper function to export the diagram in the given format
+		var exportDiagram = function(format)
 		{
-			// we also need the same changes (top label) in pdf
-			alterDiagramForSvg(diagram, rollback);
+			diagram.exportDiagram({
+				format: format,
+				filename: "mutation_diagram_" + geneSymbol + "." + format
+			});
 		};
 
 		//add listener to the svg button
 		svgButton.click(function (event) {
-			// submit svg form
-			//submitForm(alterDiagramForSvg, diagram, "svg-to-file-form");
-			submitForm(alterDiagramForSvg, diagram, "svg");
+			exportDiagram("svg");
+		});
+
+		// add listener to the png button
+		pngButton.click(function (event) {
+			exportDiagram("png");
 		});
 
 		// add listener to the pdf button
 		pdfButton.click(function (event) {
-			// submit pdf form
-			//submitForm(alterDiagramForPdf, diagram, "svg-to-pdf-form");
-			submitForm(alterDiagramForPdf, diagram, "pdf");
+			exportDiagram("pdf");
 		});
 
 		// add listeners to customize button
@@ -302,6 +291,32 @@ var MutationDiagramView = Backbone.View.extend({
 
 		toolbar.show();
 	},
+	/**
+	 * Initializes the legend of the active lollipop encodings below the
+	 * diagram. The legend is updated each time the plot is updated, since
+	 * the legend only contains the categories of the displayed lollipops.
+	 *
+	 * @param diagram       the mutation diagram instance
+	 */
+	_initEncodingLegend: function(diagram)
+	{
+		var self = this;
+		var container = self.$el.find(".mutation-diagram-encoding-legend");
+
+		var renderLegend = function() {
+			var legendView = new EncodingLegendView({
+				el: container,
+				model: {legend: diagram.getEncodingLegend()}});
+
+			legendView.render();
+		};
+
+		diagram.dispatcher.on(
+			MutationDetailsEvents.DIAGRAM_PLOT_UPDATED,
+			renderLegend);
+
+		renderLegend();
+	},
 	/**
 	 * Shows the toolbar buttons only on mouse over.
 	 * And hides them on mouse out.
@@ -0,0 +1,136 @@
+var MutationDetailsEvents = require("../controller/MutationDetailsEvents");
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+var MutationOncoprint = require("../component/MutationOncoprint");
+
+var loaderImage = require("../../images/ajax-loader.gif");
+
+var Backbone = require("backbone");
+var _ = require("underscore");
+var $ = require("jquery");
+var jQuery = $;
+
+/**
+ * Oncoprint-like view of the samples across all genes.
+ *
+ * options: {el: [target container],
+ *           config: [optional view options, also passed to the MutationOncoprint],
+ *           model: {mutationProxy: [mutation data proxy],
+ *                   allMutations: [optional: promise of the mutations of all genes],
+ *                   sampleArray: [list of case ids]}
+ *          }
+ */
+var MutationOncoprintView = Backbone.View.extend({
+	initialize : function (options) {
+		var defaultOpts = {
+			config: {
+				title: "Samples",
+				loaderImage: loaderImage
+			}
+		};
+
+		this.options = jQuery.extend(true, {}, defaultOpts, options);
+
+		// custom event dispatcher
+		this.dispatcher = {};
+		_.extend(this.dispatcher, Backbone.Events);
+	},
+	render: function()
+	{
+		var self = this;
+		var mutationProxy = self.model.mutationProxy;
+		var genes = mutationProxy.getGeneList();
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_oncoprint_view_template");
+		var template = templateFn({title: self.options.config.title,
+			loaderImage: self.options.config.loaderImage});
+
+		// load the compiled HTML into the Backbone "el"
+		self.$el.html(template);
+		self.format();
+
+		// retrieve the mutations of all genes at once, unless the request
+		// is shared with the other views (see MutationDetailsController)
+		var allMutations = self.model.allMutations || $.Deferred(function(deferred) {
+			mutationProxy.getMutationData(genes.join(" "), deferred.resolve);
+		}).promise();
+
+		allMutations.done(function(data) {
+			self._initOncoprint(genes, data || []);
+		});
+	},
+	format: function()
+	{
+		var self = this;
+
+		self.$el.find(".mutation-oncoprint-selection-info").hide();
+
+		self.$el.find(".mutation-oncoprint-selection-reset").click(function() {
+			if (self.oncoprint)
+			{
+				self.oncoprint.clearSelection();
+			}
+		});
+	},
+	/**
+	 * Initializes the oncoprint component for the given mutations.
+	 *
+	 * @param genes     list of hugo gene symbols
+	 * @param mutations list of Mutation models (for all genes)
+	 * @return {MutationOncoprint}  oncoprint instance
+	 */
+	_initOncoprint: function(genes, mutations)
+	{
+		var self = this;
+		var container = self.$el.find(".mutation-oncoprint-container");
+
+		container.empty();
+
+		var options = jQuery.extend(true, {}, self.options.config, {el: container});
+
+		var oncoprint = new MutationOncoprint(options, {
+			genes: genes,
+			samples: self.model.sampleArray,
+			mutations: mutations
+		});
+
+		oncoprint.init();
+		self.oncoprint = oncoprint;
+
+		oncoprint.dispatcher.on(
+			MutationDetailsEvents.ONCOPRINT_SAMPLES_SELECTED,
+			function(samples) {
+				self.updateSelectionInfo(samples);
+			});
+
+		self.dispatcher.trigger(
+			MutationDetailsEvents.ONCOPRINT_INIT,
+			oncoprint);
+
+		return oncoprint;
+	},
+	/**
+	 * Shows the number of selected samples, or hides the selection info
+	 * if no sample is selected.
+	 *
+	 * @param samples   list of selected case ids
+	 */
+	updateSelectionInfo: function(samples)
+	{
+		var self = this;
+		var info = self.$el.find(".mutation-oncoprint-selection-info");
+
+		if (_.isEmpty(samples))
+		{
+			info.hide();
+		}
+		else
+		{
+			info.find(".mutation-oncoprint-selection-count").text(
+				samples.length + (samples.length === 1 ? " sample" : " samples") + " selected");
+			info.show();
+		}
+	}
+});
+
+module.exports = MutationOncoprintView;
@@ -380,7 +380,9 @@ var PdbPanelView = Backbone.View.extend({
 		// get certain values from mutation diagram for consistent rendering!
 		if (mutationDiagram != null)
 		{
-			xScale = mutationDiagram.xScale;
+			// use the full sequence scale, the diagram itself may be zoomed in
+			xScale = mutationDiagram.xScaleFn(mutationDiagram.bounds,
+				mutationDiagram.xMax);
 
 			// set margin same as the diagram margin for correct alignment with x-axis
 
@@ -0,0 +1,54 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+
+var Backbone = require("backbone");
+
+/**
+ * Tooltip view for the features of the mutation diagram's annotation tracks.
+ *
+ * options: {el: [target container],
+ *           model: {label: [feature name],
+ *                   description: [feature description],
+ *                   start: [start position],
+ *                   end: [end position],
+ *                   trackLabel: [name of the track]}
+ *          }
+ */
+var TrackFeatureTipView = Backbone.View.extend({
+	render: function()
+	{
+		// compile the template
+		var template = this.compileTemplate();
+
+		// load the compiled HTML into the Backbone "el"
+		this.$el.html(template);
+		this.format();
+	},
+	format: function()
+	{
+		// implement if necessary...
+	},
+	compileTemplate: function()
+	{
+		var model = this.model;
+
+		// single position for point features, a range otherwise
+		var position = model.start;
+
+		if (model.end > model.start)
+		{
+			position = "(" + model.start + " - " + model.end + ")";
+		}
+
+		// pass variables in using Underscore.js template
+		var variables = {label: model.label,
+			description: model.description,
+			position: position,
+			trackLabel: model.trackLabel};
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_track_feature_tip_template");
+		return templateFn(variables);
+	}
+});
+
+module.exports = TrackFeatureTipView;
@@ -0,0 +1,46 @@
+var BackboneTemplateCache = require("../util/BackboneTemplateCache");
+
+var Backbone = require("backbone");
+var _ = require("underscore");
+
+/**
+ * Legend view for the annotation tracks of the mutation diagram.
+ *
+ * options: {el: [target container],
+ *           model: {trackLabel: [name of the track],
+ *                   legend: [list of {label, color} pairs]}
+ *          }
+ */
+var TrackLegendView = Backbone.View.extend({
+	render: function()
+	{
+		// compile the template
+		var template = this.compileTemplate();
+
+		// load the compiled HTML into the Backbone "el"
+		this.$el.html(template);
+		this.format();
+	},
+	format: function()
+	{
+		// implement if necessary...
+	},
+	compileTemplate: function()
+	{
+		var itemTemplateFn = BackboneTemplateCache.getTemplateFn("mutation_details_track_legend_item_template");
+
+		var items = _.map(this.model.legend, function(entry) {
+			return itemTemplateFn({label: entry.label, color: entry.color});
+		});
+
+		// pass variables in using Underscore.js template
+		var variables = {trackLabel: this.model.trackLabel,
+			items: items.join("")};
+
+		// compile the template using underscore
+		var templateFn = BackboneTemplateCache.getTemplateFn("mutation_details_track_legend_template");
+		return templateFn(variables);
+	}
+});
+
+module.exports = TrackLegendView;